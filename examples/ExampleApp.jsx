@@ -15,6 +15,7 @@
  * 11. LinearRegion table (EX1) — updates on roiCreated/roiFinalized/roiDeleted
  * 12. RectROI subset table (EX1) — shows rects overlapping selected LinearRegion
  * 13. LineROI creation ('V' key → vertical vline, 'H' key → horizontal hline)
+ * 14. Selected-ROI statistics panel — ROIController.watchStats() over the DataStore
  *
  * Keybinds:
  *   L  — create LinearRegion (2 clicks: x1, x2)
@@ -55,6 +56,10 @@ export default function ExampleApp() {
   const [selectedLinearId, setSelectedLinearId] = useState(null);
   const [childRects,      setChildRects]      = useState([]);
 
+  // ── Selected-ROI statistics ({ id, stats } or null) ─────────────────────────
+  const [roiStats, setRoiStats] = useState(null);
+  const statsUnsubRef = useRef(null);
+
   // ── EX6: plot-selection state (double-click highlights on plot) ─────────────
   const [plotSelectedLinearId, setPlotSelectedLinearId] = useState(null);
   const [plotSelectedRectId,   setPlotSelectedRectId]   = useState(null);
@@ -172,6 +177,20 @@ export default function ExampleApp() {
     rc.on('roiDeleted',   refreshROITables);
     rc.on('roiSelected',   handleROISelectedOnPlot);
     rc.on('roiDeselected', handleROIDeselectedOnPlot);
+
+    // Stats panel follows the most recently selected ROI; watchStats
+    // recomputes on every commit (drag end, undo/redo, external update)
+    const watch = (roi) => {
+      statsUnsubRef.current?.();
+      statsUnsubRef.current = null;
+      setRoiStats(null);
+      if (!roi) return;
+      statsUnsubRef.current = rc.watchStats(roi.id, controller.dataStore, stats => {
+        setRoiStats(stats ? { id: roi.id, stats } : null);
+      });
+    };
+    rc.on('roiSelected',   ({ roi }) => watch(roi));
+    rc.on('roiDeselected', () => watch(null));
   }, [refreshROITables, handleROISelectedOnPlot, handleROIDeselectedOnPlot]);
 
   // ── EX1: select/deselect a linear region row ─────────────────────────────────
@@ -209,11 +228,7 @@ export default function ExampleApp() {
     }
 
     // Programmatically select on plot
-    const roi = rc.getROI(id);
-    if (roi) {
-      rc._selectOnly(roi);
-      rc.emit('roisChanged', { rois: rc.getAllROIs() });
-    }
+    rc.selectROIs([id]);
 
     // Update double-click highlight state
     plotSelectedLinearIdRef.current = id;
@@ -228,11 +243,7 @@ export default function ExampleApp() {
     if (!rc) return;
 
     // Programmatically select the rect on plot
-    const roi = rc.getROI(id);
-    if (roi) {
-      rc._selectOnly(roi);
-      rc.emit('roisChanged', { rois: rc.getAllROIs() });
-    }
+    rc.selectROIs([id]);
 
     // Update double-click highlight state
     plotSelectedRectIdRef.current = id;
@@ -287,6 +298,10 @@ export default function ExampleApp() {
         console.log('[zoomChanged]', `factor=${data.factor?.toFixed(3)}`);
         addLog(`zoomChanged: factor=${data.factor?.toFixed(3)}`);
         break;
+      case 'pointClicked':
+        console.log('[pointClicked]', data);
+        addLog(`pointClicked: #${data.index}  (${data.x.toFixed(1)}, ${data.y.toFixed(2)})  size=${data.size.toFixed(1)}`);
+        break;
       case 'panChanged':
         if (Math.abs(data.dx) + Math.abs(data.dy) > 5) {
           addLog(`panChanged: dx=${data.dx.toFixed(0)} dy=${data.dy.toFixed(0)}`);
@@ -356,6 +371,36 @@ export default function ExampleApp() {
     setPanSpeed(v);
   };
 
+  // ── Export the current view as a 2× PNG and trigger a download ──────────────
+  const handleExportPNG = async () => {
+    try {
+      const blob = await plotRef.current?.exportPNG({ resolutionMultiplier: 2 });
+      if (!blob) return;
+      const url = URL.createObjectURL(blob);
+      const a   = document.createElement('a');
+      a.href     = url;
+      a.download = 'masterplot.png';
+      a.click();
+      URL.revokeObjectURL(url);
+      addLog(`exportPNG: ${(blob.size / 1024).toFixed(0)} KB`);
+    } catch (err) {
+      addLog(`exportPNG error: ${err.message}`);
+    }
+  };
+
+  // ── Export the current view as vector SVG ───────────────────────────────────
+  const handleExportSVG = () => {
+    const blob = plotRef.current?.exportSVG({ output: 'blob' });
+    if (!blob) return;
+    const url = URL.createObjectURL(blob);
+    const a   = document.createElement('a');
+    a.href     = url;
+    a.download = 'masterplot.svg';
+    a.click();
+    URL.revokeObjectURL(url);
+    addLog(`exportSVG: ${(blob.size / 1024).toFixed(0)} KB`);
+  };
+
   // ── EX4: Replace DataStore data on point-count dropdown change ───────────────
   const handlePointCountChange = (e) => {
     const count = Number(e.target.value);
@@ -490,7 +535,16 @@ export default function ExampleApp() {
           {kbd('R')} RectROI &nbsp;
           {kbd('V')} VLine &nbsp;
           {kbd('H')} HLine &nbsp;
+          {kbd('P')} Polygon &nbsp;
+          {kbd('F')} Lasso &nbsp;
+          {kbd('E')} Ellipse &nbsp;
+          {kbd('Shift+click')} / {kbd('Shift+drag')} Multi-select &nbsp;
           {kbd('D')} Delete &nbsp;
+          {kbd('←↑↓→')} Nudge ({kbd('Shift')} ×10) &nbsp;
+          {kbd('Tab')} Next ROI &nbsp;
+          {kbd('Ctrl+C')} / {kbd('Ctrl+V')} Copy / Paste &nbsp;
+          {kbd('Ctrl+Z')} Undo &nbsp;
+          {kbd('Ctrl+Shift+Z')} Redo &nbsp;
           {kbd('Esc')} Cancel &nbsp;
           {kbd('scroll')} Zoom &nbsp;
           {kbd('drag')} Pan
@@ -526,6 +580,18 @@ export default function ExampleApp() {
             ))}
           </select>
         </label>
+        <button
+          onClick={handleExportPNG}
+          style={{ background: '#222', color: '#adf', border: '1px solid #444', borderRadius: 3, padding: '1px 8px', fontSize: 11, cursor: 'pointer', fontFamily: 'monospace' }}
+        >
+          Export PNG
+        </button>
+        <button
+          onClick={handleExportSVG}
+          style={{ background: '#222', color: '#adf', border: '1px solid #444', borderRadius: 3, padding: '1px 8px', fontSize: 11, cursor: 'pointer', fontFamily: 'monospace' }}
+        >
+          Export SVG
+        </button>
         <span style={{ marginLeft: 'auto', color: '#666' }}>ROIs: {roiCount}</span>
       </div>
 
@@ -540,6 +606,7 @@ export default function ExampleApp() {
           yDomain={[0, 100]}
           xLabel="X"
           yLabel="Y"
+          tooltip
           onEvent={handleEvent}
           onInit={handlePlotInit}
         />
@@ -608,8 +675,8 @@ export default function ExampleApp() {
           </table>
         </div>
 
-        {/* Right: RectROI subset table */}
-        <div style={{ ...tableContainerStyle, borderRight: 'none' }}>
+        {/* Middle: RectROI subset table */}
+        <div style={tableContainerStyle}>
           <div style={{ color: '#888', fontSize: 11, marginBottom: 4 }}>
             RectROIs within selected LinearRegion
             <span style={{ color: '#444', marginLeft: 8 }}>
@@ -669,6 +736,36 @@ export default function ExampleApp() {
             </tbody>
           </table>
         </div>
+
+        {/* Right: statistics of the selected ROI */}
+        <div style={{ ...tableContainerStyle, flex: '0 0 240px', borderRight: 'none' }}>
+          <div style={{ color: '#888', fontSize: 11, marginBottom: 4 }}>
+            ROI stats
+            <span style={{ color: '#444', marginLeft: 8 }}>
+              {roiStats ? `${roiStats.id.slice(0, 8)} · ${roiStats.stats.count.toLocaleString()} pts` : '(select a ROI)'}
+            </span>
+          </div>
+          {roiStats && roiStats.stats.count > 0 && (
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={thStyle}></th>
+                  <th style={thStyle}>X</th>
+                  <th style={thStyle}>Y</th>
+                </tr>
+              </thead>
+              <tbody>
+                {['mean', 'median', 'std', 'min', 'max'].map(k => (
+                  <tr key={k}>
+                    <td style={{ padding: '2px 6px', color: '#666' }}>{k}</td>
+                    <td style={{ padding: '2px 6px', color: '#ccc' }}>{roiStats.stats[k].x.toFixed(2)}</td>
+                    <td style={{ padding: '2px 6px', color: '#ccc' }}>{roiStats.stats[k].y.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
       </div>
     </div>
   );
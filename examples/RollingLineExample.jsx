@@ -12,7 +12,7 @@
  *   odd  i → amplitude * cos(2π * FREQ * t) + offset_i
  *   t = wall-clock seconds elapsed since start
  *
- * Data older than WINDOW_SECS is trimmed from the path arrays each tick —
+ * Data older than WINDOW_SECS is trimmed from the signal buffers each tick —
  * the left edge of the plot visibly advances.
  *
  * X-axis: elapsed seconds since start (wall-clock time)
@@ -77,7 +77,7 @@ export default function RollingLineExample() {
     const dt         = TICK_DURATION / SAMPLES_PER_TICK;  // seconds per sample
 
     // Append one sample at a time so x = exact wall-clock time.
-    // appendSignalData does: path.push([xBase + i, y, 0]) for each i.
+    // appendSignalData assigns x = xBase + i to each sample.
     // With a single-element call (count=1), x = xBase + 0 = t ✓.
     SIGNALS.forEach((sig, i) => {
       const offset = signalOffset(i);
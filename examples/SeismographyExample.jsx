@@ -212,17 +212,16 @@ export default function SeismographyExample() {
 
         ctrl.addSignal('s', [r, g, b, 220]);
 
-        // Build signal path directly (x = fractional seconds, not integer indices).
-        // appendSignalData uses xBase+i which would give integer x; building the
-        // path directly gives exact time coordinates.
-        const sig = ctrl._signals.get('s');
-        const dt  = 1 / SAMPLE_RATE;
+        // x = fractional seconds, not integer indices: appendSignalData uses
+        // xBase+i which would give integer x, so pass explicit sample times.
+        const dt = 1 / SAMPLE_RATE;
+        const xs = new Float64Array(NUM_POINTS);
+        const ys = new Float32Array(NUM_POINTS);
         for (let j = 0; j < NUM_POINTS; j++) {
-          const t = j * dt;
-          sig.path.push([t, Math.sin(2 * Math.PI * FREQS[i] * t + PHASES[i]), 0]);
+          xs[j] = j * dt;
+          ys[j] = Math.sin(2 * Math.PI * FREQS[i] * xs[j] + PHASES[i]);
         }
-        sig.layerData = [{ path: sig.path, color: sig.color }];
-        sig.version++;
+        ctrl.setSignalData('s', xs, ys);
 
         ctrl.init(wc, ac);
 
@@ -423,7 +422,7 @@ export default function SeismographyExample() {
       <div style={S.header}>
         <span style={S.title}>Seismography</span>
         <span style={S.hint}>
-          50 stacked channels · shared X-axis · V = add vline · drag pick to move
+          50 stacked channels · shared X-axis · V = add vline · drag pick to move · Ctrl+C / Ctrl+V = copy pick to another channel
         </span>
         <span style={{ marginLeft: 'auto', ...S.hint }}>
           scroll=zoom&nbsp;&nbsp;drag=pan
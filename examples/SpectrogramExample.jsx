@@ -2,25 +2,46 @@
  * SpectrogramExample — demonstrates SpectrogramLayer + waveform LineLayer.
  *
  * Audio: 5-second linear chirp (440 → 4400 Hz) mixed with pink noise,
- * at 44100 Hz sample rate.
+ * at 44100 Hz sample rate.  Loaded files keep all their channels.
  *
  * Layout (top → bottom):
- *   1. Spectrogram panel  (SpectrogramLayer / BitmapLayer) + LUT sidebar
- *   2. Waveform panel     (buildLineLayer / PathLayer, downsampled by WAVEFORM_STEP)
- *      + frequency band controls + FilterPanel sidebar
+ *   1. Spectrogram panels (SpectrogramLayer / BitmapLayer), one per displayed
+ *      channel, + LUT sidebar
+ *   2. Waveform panels    (buildLineLayer / PathLayer, downsampled by WAVEFORM_STEP),
+ *      one per displayed channel, + frequency band controls + FilterPanel sidebar
  *
- * Live append: every 500 ms, extend the chirp signal by 0.25 s and
- * rebuild both layers.
+ * Channels: the "Channels" view shows one panel per file channel; "Sum"
+ * shows their average and "Mid / Side" shows (L+R)/2 and (L−R)/2 of the
+ * first two channels.  Spectrogram panels share one x and one y axis (as do
+ * the waveform panels), so zoom and pan act on all of them at once, and they
+ * share one LUT so colours compare across channels.  Mute/solo buttons in
+ * the header act on playback of the file channels, whatever the view.
+ *
+ * Live append: every 500 ms, extend the chirp signal by 0.25 s.  The
+ * spectrogram runs in incremental mode, computing only the new frames;
+ * the waveform layer is rebuilt.  "Apply" during live append filters the
+ * buffer once and then streams each new chunk through the filter (state
+ * carried across chunks), retuning it as the filter controls change.
  *
  * Controls:
- *   windowSize selector (256 / 512 / 1024 / 2048)
+ *   Playback rate (0.1× – 4×), optionally pitch-preserving (offline time-stretch)
+ *   Channel view (channels / sum / mid-side) + per-channel mute/solo
+ *   windowSize selector (256 / 512 / 1024 / 2048) + window function
+ *   Overlap, zero-padding and scaling (magnitude / spectrum / power / PSD) selectors
+ *   Frequency axis: linear / log / mel / Bark
  *   Live append checkbox
+ *   Load rate: resample opened files to a target rate (anti-aliased polyphase)
  *   Frequency band: lowFreq / highFreq float inputs (sets spectrogram y-domain)
- *   FilterPanel: DSP filter type/cutoff/Q + Apply/Clear
+ *   FilterPanel: DSP filter type/cutoff/Q, Butterworth / FIR chain stages,
+ *                zero-phase toggle + Apply/Clear
  *
- * Interaction (both panels):
+ * Interaction (all panels):
  *   Scroll wheel → zoom (centered on cursor)
  *   Drag         → pan (grab-and-drag)
+ *   Ctrl+click   → seek
+ *   L, click, click → draw a LinearRegion; selecting one plays just its time
+ *                  span (looping if "Loop region" is on), and dragging its
+ *                  edges re-plays the new span
  */
 
 import React, { useRef, useEffect, useState } from 'react';
@@ -31,11 +52,14 @@ import { AxisController }        from '../src/plot/axes/AxisController.js';
 import { AxisRenderer }          from '../src/plot/axes/AxisRenderer.js';
 import { SpectrogramLayer }      from '../src/plot/layers/SpectrogramLayer.js';
 import { buildLineLayer }        from '../src/plot/layers/LineLayer.js';
+import { ROILayer }              from '../src/plot/layers/ROILayer.js';
+import { ROIController }         from '../src/plot/ROI/ROIController.js';
 import { HistogramLUTController } from '../src/plot/layers/HistogramLUTController.js';
 import HistogramLUTPanel         from '../src/components/HistogramLUTPanel.jsx';
 import { PlaybackController }    from '../src/audio/PlaybackController.js';
 import { FilterController }      from '../src/audio/FilterController.js';
 import FilterPanel               from '../src/components/FilterPanel.jsx';
+import { ResampleWorkerClient }  from '../src/audio/ResampleWorkerClient.js';
 
 // ── Playhead drawing helpers ───────────────────────────────────────────────────
 
@@ -85,6 +109,18 @@ const NOISE_LEVEL   = 0.08;
 const APPEND_SECS   = 0.25;
 const APPEND_MS     = 500;
 const WAVEFORM_STEP = 50;    // downsample: 44100/50 = 882 display pts/sec
+const LIVE_MAX_SECS = 60;    // incremental spectrogram history when time window is "All"
+
+const LOG_MIN_HZ    = 20;    // lower edge of the log frequency axis
+
+/** Lowest frequency the y axis may show: a log scale cannot include 0 Hz. */
+const freqFloor = (scale) => (scale === 'log' ? LOG_MIN_HZ : 0);
+
+const DEFAULT_STFT_OPTS = { window: 'hann', overlap: 0.5, zeroPadding: 1, scaling: 'magnitude' };
+const WINDOW_LABELS = {
+  hann: 'Hann', hamming: 'Hamming', blackman: 'Blackman', blackmanharris: 'Blackman-Harris',
+  kaiser: 'Kaiser β=8.6', flattop: 'Flat-top', boxcar: 'Rectangular',
+};
 
 // Pink noise state (module-level)
 let _b0 = 0, _b1 = 0, _b2 = 0, _b3 = 0, _b4 = 0, _b5 = 0, _b6 = 0;
@@ -119,7 +155,8 @@ function generateSamples(fromSample, count) {
 
 function buildViewState(xAxis, yAxis, viewport) {
   const [xMin, xMax] = xAxis.getDomain();
-  const [yMin, yMax] = yAxis.getDomain();
+  // Warped axes (log / mel / Bark): layers are placed in warped units
+  const [yMin, yMax] = yAxis.getDomain().map(v => yAxis.warp(v));
   const { canvasWidth: W, canvasHeight: H, plotArea: pa, marginLeft, marginBottom } = viewport;
 
   const xSpan = Math.max(xMax - xMin, 1e-10);
@@ -132,47 +169,182 @@ function buildViewState(xAxis, yAxis, viewport) {
   return { id: 'ortho', target: [tx, ty, 0], zoom: [zoomX, zoomY] };
 }
 
+/**
+ * ROILayer for a panel's LinearRegions.  ROIs are in data units; the y
+ * extent is passed warped, matching where the panel's layers are placed.
+ */
+function buildRegionLayer(roiCtrl, xAxis, yAxis) {
+  const [xMin, xMax] = xAxis.getDomain();
+  const [yMin, yMax] = yAxis.getDomain().map(v => yAxis.warp(v));
+  return new ROILayer({
+    id:       'roi-layer',
+    rois:     roiCtrl ? roiCtrl.getAllROIs() : [],
+    draft:    roiCtrl ? roiCtrl.getDraft() : null,
+    plotXMin: xMin,
+    plotXMax: xMax,
+    plotYMin: yMin,
+    plotYMax: yMax,
+  });
+}
+
+// ── Channels ──────────────────────────────────────────────────────────────────
+
+const PLAY_RATES = [0.1, 0.125, 0.25, 0.5, 0.75, 1, 1.5, 2, 4];
+
+// Target rates for opened files; lower rates make long recordings faster to analyse
+const LOAD_RATES = [8000, 16000, 22050, 32000, 44100, 48000];
+
+const REGION_ONLY_KEYMAP = {
+  createRect: null, createVLine: null, createHLine: null,
+  createPolygon: null, createLasso: null, createEllipse: null,
+};
+
+const CHANNEL_VIEWS = { channels: 'Channels', sum: 'Sum', midside: 'Mid / Side' };
+
+/** Display name of channel i of n: L/R for stereo, Ch 1…n otherwise. */
+function channelLabel(i, n) {
+  if (n === 1) return '';
+  return n === 2 ? ['L', 'R'][i] : `Ch ${i + 1}`;
+}
+
+/**
+ * Signals to display for a channel view.  'sum' averages all channels (so a
+ * full-scale mono source stays full scale); 'midside' uses the first two.
+ * Views that need more channels than the file has fall back to 'channels'.
+ *
+ * @param {Float32Array[]} channels
+ * @param {string} view — key of CHANNEL_VIEWS
+ * @returns {{ sources: Float32Array[], labels: string[] }}
+ */
+function viewSources(channels, view) {
+  const n = channels.length;
+  if (view === 'sum' && n > 1) {
+    const sum = new Float32Array(channels[0].length);
+    for (const ch of channels) {
+      for (let i = 0; i < sum.length; i++) sum[i] += ch[i];
+    }
+    for (let i = 0; i < sum.length; i++) sum[i] /= n;
+    return { sources: [sum], labels: ['Sum'] };
+  }
+  if (view === 'midside' && n > 1) {
+    const [l, r] = channels;
+    const mid  = new Float32Array(l.length);
+    const side = new Float32Array(l.length);
+    for (let i = 0; i < l.length; i++) {
+      mid[i]  = (l[i] + r[i]) / 2;
+      side[i] = (l[i] - r[i]) / 2;
+    }
+    return { sources: [mid, side], labels: ['Mid', 'Side'] };
+  }
+  return { sources: channels, labels: channels.map((_, i) => channelLabel(i, n)) };
+}
+
+/** Waveform polyline points: every WAVEFORM_STEP-th sample, time from buffer start. */
+function waveformX(length, sr) {
+  const x = new Float32Array(Math.floor(length / WAVEFORM_STEP));
+  for (let i = 0; i < x.length; i++) x[i] = (i * WAVEFORM_STEP) / sr;
+  return x;
+}
+
+function waveformY(samples) {
+  const y = new Float32Array(Math.floor(samples.length / WAVEFORM_STEP));
+  for (let i = 0; i < y.length; i++) y[i] = samples[i * WAVEFORM_STEP];
+  return y;
+}
+
+/**
+ * Match a stack of plot panels (elements marked data-panel, each holding a
+ * WebGL canvas and an axis canvas) with Deck + AxisRenderer instances, and
+ * size them all.  Panels in a stack are laid out at equal size, so they share
+ * one viewport and one pair of axes.
+ *
+ * @param {HTMLElement} stack
+ * @param {{ webgl, axis, deck, axisRend }[]} panels — current panels; reused where the canvas is unchanged
+ * @returns {{ webgl, axis, deck, axisRend }[]}
+ */
+function syncPanels(stack, panels, xAxis, yAxis, viewport) {
+  const els  = stack ? Array.from(stack.querySelectorAll('[data-panel]')) : [];
+  const next = els.map(el => {
+    const [webgl, axis] = el.querySelectorAll('canvas');
+    return panels.find(p => p.webgl === webgl) || { webgl, axis, deck: null, axisRend: null };
+  });
+  for (const p of panels) {
+    if (!next.includes(p)) p.deck?.finalize();
+  }
+  if (!next.length) return next;
+
+  const w = next[0].webgl.offsetWidth  || 800;
+  const h = next[0].webgl.offsetHeight || 200;
+  viewport.setCanvasSize(w, h);
+  const { plotArea: pa } = viewport;
+  xAxis.setRange([pa.x, pa.x + pa.width]);
+  yAxis.setRange([pa.y + pa.height, pa.y]);  // inverted: y=0 at visual bottom
+  viewport.setScales(xAxis.getScale(), yAxis.getScale());
+
+  for (const p of next) {
+    p.webgl.width = w; p.webgl.height = h;
+    p.axis.width  = w; p.axis.height  = h;
+    if (p.deck) {
+      p.deck.setProps({ width: w, height: h });
+    } else {
+      p.deck = new Deck({
+        canvas: p.webgl, width: w, height: h,
+        views: [new OrthographicView({ id: 'ortho', controller: false, flipY: false })],
+        viewState: buildViewState(xAxis, yAxis, viewport),
+        layers: [],
+        controller: false,
+      });
+      p.axisRend = new AxisRenderer(p.axis, xAxis, yAxis, viewport);
+    }
+  }
+  return next;
+}
+
 // ── Component ────────────────────────────────────────────────────────────────
 
 export default function SpectrogramExample() {
-  // ── Spectrogram canvas refs ────────────────────────────────────────────────
-  const webglRef = useRef(null);
-  const axisRef  = useRef(null);
-
-  // ── Waveform canvas refs ───────────────────────────────────────────────────
-  const waveWebglRef = useRef(null);
-  const waveAxisRef  = useRef(null);
+  // ── Panel stack refs (one panel per displayed channel) ─────────────────────
+  const specStackRef = useRef(null);
+  const waveStackRef = useRef(null);
 
   // ── Spectrogram mutable state ──────────────────────────────────────────────
-  const deckRef         = useRef(null);
-  const xAxisRef        = useRef(null);
+  const specPanelsRef   = useRef([]);     // { webgl, axis, deck, axisRend } per panel
+  const xAxisRef        = useRef(null);   // shared by all spectrogram panels
   const yAxisRef        = useRef(null);
   const viewportRef     = useRef(null);
-  const axisRendRef     = useRef(null);
-  const samplesRef      = useRef(new Float32Array(0));
+  const specRoiRef      = useRef(null);   // LinearRegions drawn on the spectrogram panels
+  const channelsRef     = useRef([new Float32Array(0)]);  // PCM per file channel
+  const sourcesRef      = useRef([new Float32Array(0)]);  // PCM per displayed panel
+  const channelViewRef  = useRef('channels');
   const sampleCntRef    = useRef(0);
+  const sampleOffsetRef = useRef(0);      // absolute stream index of channelsRef.current[k][0]
+  const streamIdRef     = useRef(0);      // bumped when samples are replaced, not appended
+  const liveAppendRef   = useRef(true);   // RAF closure reads ref to avoid stale state
   const dataTriggerRef  = useRef(0);
   const dirtyRef        = useRef(true);
   const rafRef          = useRef(null);
   const panRef          = useRef(null);
   const intervalRef     = useRef(null);
   const windowSizeRef   = useRef(1024);
+  const stftOptsRef     = useRef(DEFAULT_STFT_OPTS);  // window / overlap / zeroPadding / scaling
+  const freqScaleRef    = useRef('linear');           // 'linear' | 'log' | 'mel' | 'bark'
   const timeWindowRef   = useRef(null);   // null = show all; number = seconds to display
 
   // ── Waveform mutable state ─────────────────────────────────────────────────
-  const waveDeckRef       = useRef(null);
+  const wavePanelsRef     = useRef([]);
   const waveXAxisRef      = useRef(null);
   const waveYAxisRef      = useRef(null);
   const waveViewportRef   = useRef(null);
-  const waveAxisRendRef   = useRef(null);
-  const waveXRef          = useRef(new Float32Array(0));  // time (seconds)
-  const waveYRef          = useRef(new Float32Array(0));  // amplitude
+  const waveRoiRef        = useRef(null);
+  const waveXRef          = useRef(new Float32Array(0));  // time (seconds), shared
+  const waveYsRef         = useRef([]);                   // amplitude per panel
   const waveDataTrigger   = useRef(0);
   const waveDirtyRef      = useRef(true);
   const wavePanRef        = useRef(null);
 
   const fileInputRef        = useRef(null);
   const loadedSampleRateRef = useRef(SAMPLE_RATE);  // actual sr of loaded audio
+  const resamplerRef        = useRef(null);         // ResampleWorkerClient, created on first use
 
   // ── HistogramLUT refs ──────────────────────────────────────────────────────
   const lutControllerRef  = useRef(null);
@@ -182,14 +354,17 @@ export default function SpectrogramExample() {
   }
 
   // ── Playback refs ──────────────────────────────────────────────────────────
-  const playbackRef = useRef(null);
+  const playbackRef   = useRef(null);
+  const loopRegionRef = useRef(false);
   if (!playbackRef.current) {
     playbackRef.current = new PlaybackController();
   }
 
   // ── Filter refs ────────────────────────────────────────────────────────────
   const filterControllerRef = useRef(null);
-  const originalSamplesRef  = useRef(null);  // snapshot of pre-filter PCM for "Clear Filter"
+  const originalSamplesRef  = useRef(null);  // snapshot of pre-filter PCM (per channel) for "Clear Filter"
+  const liveFilterRef       = useRef(null);  // { streams, raw } while live filtering: one StreamingFilter and
+                                             // one unfiltered copy per channel, for "Stop Live Filter"
   if (!filterControllerRef.current) {
     filterControllerRef.current = new FilterController();
   }
@@ -197,12 +372,24 @@ export default function SpectrogramExample() {
   const [log,              setLog]              = useState([]);
   const [liveAppend,       setLiveAppend]       = useState(true);
   const [windowSize,       setWindowSize]       = useState(1024);
+  const [stftOpts,         setStftOpts]         = useState(DEFAULT_STFT_OPTS);
+  const [freqScale,        setFreqScale]        = useState('linear');
   const [loading,          setLoading]          = useState(false);
   const [colorTrigger,     setColorTrigger]     = useState(0);
   const [playState,        setPlayState]        = useState('stopped'); // 'playing'|'paused'|'stopped'
   const [applying,         setApplying]         = useState(false);
+  const [liveFiltering,    setLiveFiltering]    = useState(false);
+  const [loadRate,         setLoadRate]         = useState(null);  // null = keep the decoded rate
   const [filterSampleRate, setFilterSampleRate] = useState(SAMPLE_RATE);
   const [timeWindow,       setTimeWindow]       = useState(null);  // null = All
+  const [numChannels,      setNumChannels]      = useState(1);
+  const [channelView,      setChannelView]      = useState('channels');
+  const [panelLabels,      setPanelLabels]      = useState(['']);  // one entry per displayed panel
+  const [channelStates,    setChannelStates]    = useState([]);    // playback mute/solo per channel
+  const [loopRegion,       setLoopRegion]       = useState(false);
+  const [playRate,         setPlayRate]         = useState(1);
+  const [keepPitch,        setKeepPitch]        = useState(false);
+  const [stretching,       setStretching]       = useState(false);
 
   // ── EX2: Frequency band filter state (controls spectrogram y-domain) ────────
   const [lowFreq,  setLowFreq]  = useState(0);
@@ -214,120 +401,143 @@ export default function SpectrogramExample() {
 
   const appendSamples = (count) => {
     const fromSample = sampleCntRef.current;
-    const newBuf     = generateSamples(fromSample, count);
+    const raw        = generateSamples(fromSample, count);
+    const live       = liveFilterRef.current;
+    const newBuf     = live ? live.streams[0].process(raw) : raw;
     sampleCntRef.current += count;
 
     const tw = timeWindowRef.current;
     const sr = SAMPLE_RATE;
 
-    // ── PCM buffer ─────────────────────────────────────────────────────────
-    const old    = samplesRef.current;
-    const merged = new Float32Array(old.length + count);
-    merged.set(old);
-    merged.set(newBuf, old.length);
-    if (tw) {
-      const maxSamples = Math.floor(tw * sr);
-      samplesRef.current = merged.length > maxSamples
-        ? merged.slice(merged.length - maxSamples)
-        : merged;
-    } else {
-      samplesRef.current = merged;
-    }
-    dataTriggerRef.current += 1;
-    dirtyRef.current = true;
-
-    // ── Waveform buffer ────────────────────────────────────────────────────
-    const numNewWavePts = Math.floor(count / WAVEFORM_STEP);
-    if (numNewWavePts > 0) {
-      const oldWY = waveYRef.current;
-      const grownY = new Float32Array(oldWY.length + numNewWavePts);
-      grownY.set(oldWY);
-      for (let i = 0; i < numNewWavePts; i++) {
-        grownY[oldWY.length + i] = newBuf[i * WAVEFORM_STEP];
-      }
-
-      if (tw) {
-        // Keep only the last tw seconds of waveform; rebase x to start at 0
-        const maxWavePts = Math.ceil(tw * sr / WAVEFORM_STEP);
-        const keepY = grownY.length > maxWavePts
-          ? grownY.slice(grownY.length - maxWavePts)
-          : grownY;
-        const keepX = new Float32Array(keepY.length);
-        const xStep = WAVEFORM_STEP / sr;
-        for (let i = 0; i < keepY.length; i++) keepX[i] = i * xStep;
-        waveXRef.current = keepX;
-        waveYRef.current = keepY;
-      } else {
-        const oldWX = waveXRef.current;
-        const grownX = new Float32Array(oldWX.length + numNewWavePts);
-        grownX.set(oldWX);
-        for (let i = 0; i < numNewWavePts; i++) {
-          grownX[oldWX.length + i] = (fromSample + i * WAVEFORM_STEP) / sr;
-        }
-        waveXRef.current = grownX;
-        waveYRef.current = grownY;
-      }
-      waveDataTrigger.current += 1;
-      waveDirtyRef.current = true;
-    }
-
-    const bufferSecs = samplesRef.current.length / sr;
+    // ── PCM buffer (the generated signal is mono) ──────────────────────────
+    // Keep only the last tw seconds; the display is rebased to start at 0
+    const maxSamples = tw ? Math.floor(tw * sr) : Infinity;
+    const appendTrimmed = (old, chunk) => {
+      const merged = new Float32Array(old.length + chunk.length);
+      merged.set(old);
+      merged.set(chunk, old.length);
+      return merged.length > maxSamples ? merged.slice(merged.length - maxSamples) : merged;
+    };
+    const old = channelsRef.current[0];
+    channelsRef.current = [appendTrimmed(old, newBuf)];
+    sampleOffsetRef.current += old.length + count - channelsRef.current[0].length;
+    if (live) live.raw = [appendTrimmed(live.raw[0], raw)];
+    originalSamplesRef.current = null;   // a file's snapshot no longer matches the buffer
+    refreshSources();
+
+    const bufferSecs = channelsRef.current[0].length / sr;
     xAxisRef.current?.setDomain([0, bufferSecs]);
     waveXAxisRef.current?.setDomain([0, bufferSecs]);
 
     addLog(`dataAppended: +${count} samples  buffer=${bufferSecs.toFixed(2)}s`);
   };
 
+  // ── Displayed signals ──────────────────────────────────────────────────────
+
+  /** Rebuild the per-panel signals and waveforms after channelsRef or the view changed. */
+  const refreshSources = () => {
+    const { sources, labels } = viewSources(channelsRef.current, channelViewRef.current);
+    sourcesRef.current = sources;
+    dataTriggerRef.current += 1;
+    dirtyRef.current = true;
+
+    waveXRef.current  = waveformX(sources[0].length, loadedSampleRateRef.current);
+    waveYsRef.current = sources.map(waveformY);
+    waveDataTrigger.current += 1;
+    waveDirtyRef.current = true;
+
+    setPanelLabels(prev => (prev.join('|') === labels.join('|') ? prev : labels));
+  };
+
   // ── Spectrogram render ─────────────────────────────────────────────────────
 
   const renderFrame = () => {
-    const deck     = deckRef.current;
     const xAxis    = xAxisRef.current;
     const yAxis    = yAxisRef.current;
     const viewport = viewportRef.current;
-    const axisRend = axisRendRef.current;
-    if (!deck || !xAxis || !yAxis || !viewport) return;
-
-    const layers = [
-      new SpectrogramLayer({
-        id:            'spectrogram',
-        samples:       samplesRef.current,
+    if (!xAxis || !yAxis || !viewport) return;
+
+    const viewState = buildViewState(xAxis, yAxis, viewport);
+    specPanelsRef.current.forEach(({ deck, axisRend }, k) => {
+      const samples = sourcesRef.current[k];
+      const layers  = samples ? [new SpectrogramLayer({
+        id:            `spectrogram-${k}`,
+        samples,
         sampleRate:    loadedSampleRateRef.current,
         windowSize:    windowSizeRef.current,
-        hopSize:       windowSizeRef.current / 2,
+        ...stftOptsRef.current,                  // window, overlap, zeroPadding, scaling
+        frequencyScale: freqScaleRef.current,
+        frequencyRange: freqScaleRef.current === 'log'
+          ? [LOG_MIN_HZ, loadedSampleRateRef.current / 2]
+          : null,
         dataTrigger:   dataTriggerRef.current,
         lutController: lutControllerRef.current,
         colorTrigger:  colorTriggerRef.current,  // read from ref, not stale state
-      }),
-    ];
-
-    deck.setProps({ viewState: buildViewState(xAxis, yAxis, viewport), layers });
-    axisRend?.render();
+        incremental:   liveAppendRef.current,    // live: only new frames are computed
+        sampleOffset:  sampleOffsetRef.current,
+        maxDuration:   timeWindowRef.current || LIVE_MAX_SECS,
+        streamId:      streamIdRef.current,
+        onError:       (err) => addLog(`Spectrogram error: ${err.message}`),
+      })] : [];
+      layers.push(buildRegionLayer(specRoiRef.current, xAxis, yAxis));
+
+      deck.setProps({ viewState, layers });
+      axisRend.render();
+    });
   };
 
   // ── Waveform render ────────────────────────────────────────────────────────
 
   const waveRenderFrame = () => {
-    const deck     = waveDeckRef.current;
     const xAxis    = waveXAxisRef.current;
     const yAxis    = waveYAxisRef.current;
     const viewport = waveViewportRef.current;
-    const axisRend = waveAxisRendRef.current;
-    if (!deck || !xAxis || !yAxis || !viewport) return;
+    if (!xAxis || !yAxis || !viewport) return;
 
+    const viewState = buildViewState(xAxis, yAxis, viewport);
     const x = waveXRef.current;
-    const y = waveYRef.current;
-    const layers = x.length >= 2
-      ? [buildLineLayer({ x, y }, {
-          id:    'waveform',
-          color: [100, 220, 255, 200],
-          width: 1,
-          layerProps: { updateTriggers: { getPath: waveDataTrigger.current } },
-        })]
-      : [];
-
-    deck.setProps({ viewState: buildViewState(xAxis, yAxis, viewport), layers });
-    axisRend?.render();
+    wavePanelsRef.current.forEach(({ deck, axisRend }, k) => {
+      const y = waveYsRef.current[k];
+      const layers = y && x.length >= 2
+        ? [buildLineLayer({ x, y }, {
+            id:    `waveform-${k}`,
+            color: [100, 220, 255, 200],
+            width: 1,
+            layerProps: { updateTriggers: { getPath: waveDataTrigger.current } },
+          })]
+        : [];
+      layers.push(buildRegionLayer(waveRoiRef.current, xAxis, yAxis));
+
+      deck.setProps({ viewState, layers });
+      axisRend.render();
+    });
+  };
+
+  // ── Region playback ────────────────────────────────────────────────────────
+
+  /** Play the time span of the selected LinearRegion, if exactly one is selected. */
+  const playSelectedRegion = (roiCtrl, { restart = true } = {}) => {
+    const pb  = playbackRef.current;
+    const sel = roiCtrl.getSelectedROIs();
+    const lr  = sel.length === 1 && sel[0].type === 'linearRegion' ? sel[0] : null;
+    if (!lr || !pb.duration) return;
+    const r = pb.range;
+    if (!restart && pb.isPlaying && r && r.start === lr.x1 && r.end === lr.x2) return;
+    pb.playRange(lr.x1, lr.x2, { loop: loopRegionRef.current });
+  };
+
+  const createRegionController = (viewport, stack, markDirty) => {
+    // Only LinearRegions: other shapes carry a y extent, which would not follow a warped frequency axis
+    const roiCtrl = new ROIController(viewport, { keymap: REGION_ONLY_KEYMAP });
+    roiCtrl.init(stack);
+    roiCtrl.on('roisChanged', markDirty);
+    roiCtrl.on('selectionChanged', () => playSelectedRegion(roiCtrl));
+    // Edge drag / move committed: play the new span (a plain click on the
+    // region that is already playing leaves it running)
+    roiCtrl.on('roiFinalized', ({ roi }) => {
+      if (roi.type === 'linearRegion' && roi.selected) playSelectedRegion(roiCtrl, { restart: false });
+    });
+    return roiCtrl;
   };
 
   // ── RAF loop ───────────────────────────────────────────────────────────────
@@ -345,15 +555,19 @@ export default function SpectrogramExample() {
         renderFrame();
         dirtyRef.current = false;
         // Draw playhead on top of axis overlay (after AxisRenderer clears & redraws)
-        if (pb && axisRef.current && xAxisRef.current && viewportRef.current) {
-          drawPlayhead(axisRef.current, pb.currentTime, xAxisRef.current, viewportRef.current);
+        if (pb && xAxisRef.current && viewportRef.current) {
+          for (const { axis } of specPanelsRef.current) {
+            drawPlayhead(axis, pb.currentTime, xAxisRef.current, viewportRef.current);
+          }
         }
       }
       if (waveDirtyRef.current) {
         waveRenderFrame();
         waveDirtyRef.current = false;
-        if (pb && waveAxisRef.current && waveXAxisRef.current && waveViewportRef.current) {
-          drawPlayhead(waveAxisRef.current, pb.currentTime, waveXAxisRef.current, waveViewportRef.current);
+        if (pb && waveXAxisRef.current && waveViewportRef.current) {
+          for (const { axis } of wavePanelsRef.current) {
+            drawPlayhead(axis, pb.currentTime, waveXAxisRef.current, waveViewportRef.current);
+          }
         }
       }
 
@@ -363,89 +577,66 @@ export default function SpectrogramExample() {
 
   // ── Mount / unmount ────────────────────────────────────────────────────────
 
+  /** Attach decks to the current panel canvases and size them. */
+  const layoutPanels = () => {
+    if (!xAxisRef.current || !waveXAxisRef.current) return;
+    specPanelsRef.current = syncPanels(
+      specStackRef.current, specPanelsRef.current, xAxisRef.current, yAxisRef.current, viewportRef.current);
+    wavePanelsRef.current = syncPanels(
+      waveStackRef.current, wavePanelsRef.current, waveXAxisRef.current, waveYAxisRef.current, waveViewportRef.current);
+    dirtyRef.current     = true;
+    waveDirtyRef.current = true;
+  };
+
   useEffect(() => {
-    const wc = webglRef.current;
-    const ac = axisRef.current;
-    const ww = waveWebglRef.current;
-    const wa = waveAxisRef.current;
-    if (!wc || !ac || !ww || !wa) return;
+    const ss = specStackRef.current;
+    const ws = waveStackRef.current;
+    if (!ss || !ws) return;
+
+    // Retune the live filter streams after a filter change
+    const onFilterChanged = () => {
+      const live = liveFilterRef.current;
+      if (!live) return;
+      try {
+        for (const stream of live.streams) filterControllerRef.current.updateStream(stream, SAMPLE_RATE);
+      } catch {
+        // keep the last valid design while a stage is mid-edit
+      }
+    };
 
     const initRaf = requestAnimationFrame(() => {
-      // ── Spectrogram panel ───────────────────────────────────────────────────
-      const w = wc.offsetWidth  || 800;
-      const h = wc.offsetHeight || 400;
-      wc.width = w; wc.height = h;
-      ac.width = w; ac.height = h;
-
+      // ── Spectrogram axes (shared by all spectrogram panels) ─────────────────
       const viewport = new ViewportController();
-      viewport.setCanvasSize(w, h);
-      const { plotArea: pa } = viewport;
-
       const xAxis = new AxisController({ axis: 'x', scaleType: 'linear', domain: [0, 1] });
       const yAxis = new AxisController({ axis: 'y', scaleType: 'linear', domain: [0, SAMPLE_RATE / 2] });
       xAxis.label = 'Time (s)';
       yAxis.label = 'Frequency (Hz)';
-      xAxis.setRange([pa.x, pa.x + pa.width]);
-      yAxis.setRange([pa.y + pa.height, pa.y]);  // inverted: y=0 at visual bottom
-      viewport.setScales(xAxis.getScale(), yAxis.getScale());
 
       xAxis.on('domainChanged', () => { viewport.setScales(xAxis.getScale(), yAxis.getScale()); dirtyRef.current = true; });
       yAxis.on('domainChanged', () => { viewport.setScales(xAxis.getScale(), yAxis.getScale()); dirtyRef.current = true; });
-
-      const deck = new Deck({
-        canvas: wc, width: w, height: h,
-        views: [new OrthographicView({ id: 'ortho', controller: false, flipY: false })],
-        viewState: buildViewState(xAxis, yAxis, viewport),
-        layers: [],
-        controller: false,
-      });
-
-      const axisRend = new AxisRenderer(ac, xAxis, yAxis, viewport);
+      yAxis.on('scaleTypeChanged', () => { viewport.setScales(xAxis.getScale(), yAxis.getScale()); dirtyRef.current = true; });
 
       xAxisRef.current    = xAxis;
       yAxisRef.current    = yAxis;
       viewportRef.current = viewport;
-      deckRef.current     = deck;
-      axisRendRef.current = axisRend;
-
-      // ── Waveform panel ──────────────────────────────────────────────────────
-      const ww2 = waveWebglRef.current;
-      const wa2 = waveAxisRef.current;
-      const ww_w = ww2.offsetWidth  || 800;
-      const ww_h = ww2.offsetHeight || 160;
-      ww2.width = ww_w; ww2.height = ww_h;
-      wa2.width = ww_w; wa2.height = ww_h;
+      specRoiRef.current  = createRegionController(viewport, ss, () => { dirtyRef.current = true; });
 
+      // ── Waveform axes (shared by all waveform panels) ───────────────────────
       const waveViewport = new ViewportController();
-      waveViewport.setCanvasSize(ww_w, ww_h);
-      const { plotArea: wpa } = waveViewport;
-
       const waveXAxis = new AxisController({ axis: 'x', scaleType: 'linear', domain: [0, 1] });
       const waveYAxis = new AxisController({ axis: 'y', scaleType: 'linear', domain: [-1.1, 1.1] });
       waveXAxis.label = 'Time (s)';
       waveYAxis.label = 'Amplitude';
-      waveXAxis.setRange([wpa.x, wpa.x + wpa.width]);
-      waveYAxis.setRange([wpa.y + wpa.height, wpa.y]);
-      waveViewport.setScales(waveXAxis.getScale(), waveYAxis.getScale());
 
       waveXAxis.on('domainChanged', () => { waveViewport.setScales(waveXAxis.getScale(), waveYAxis.getScale()); waveDirtyRef.current = true; });
       waveYAxis.on('domainChanged', () => { waveViewport.setScales(waveXAxis.getScale(), waveYAxis.getScale()); waveDirtyRef.current = true; });
 
-      const waveDeck = new Deck({
-        canvas: ww2, width: ww_w, height: ww_h,
-        views: [new OrthographicView({ id: 'ortho', controller: false, flipY: false })],
-        viewState: buildViewState(waveXAxis, waveYAxis, waveViewport),
-        layers: [],
-        controller: false,
-      });
-
-      const waveAxisRend = new AxisRenderer(wa2, waveXAxis, waveYAxis, waveViewport);
-
       waveXAxisRef.current    = waveXAxis;
       waveYAxisRef.current    = waveYAxis;
       waveViewportRef.current = waveViewport;
-      waveDeckRef.current     = waveDeck;
-      waveAxisRendRef.current = waveAxisRend;
+      waveRoiRef.current      = createRegionController(waveViewport, ws, () => { waveDirtyRef.current = true; });
+
+      layoutPanels();
 
       // ── Generate initial 5 s of audio ──────────────────────────────────────
       appendSamples(SAMPLE_RATE * 5);
@@ -459,9 +650,14 @@ export default function SpectrogramExample() {
       lc.on('levelsChanged', () => setColorTrigger(prev => prev + 1));
       lc.on('lutChanged',    () => setColorTrigger(prev => prev + 1));
 
-      // ── Wire PlaybackController → playState ────────────────────────────────
+      // ── Wire FilterController → live filter stream ──────────────────────────
+      filterControllerRef.current.on('changed', onFilterChanged);
+
+      // ── Wire PlaybackController → playState / channel strip ─────────────────
       const pb = playbackRef.current;
-      pb.on('stateChanged', ({ state }) => setPlayState(state));
+      pb.on('stateChanged',    ({ state })    => setPlayState(state));
+      pb.on('channelsChanged', ({ channels }) => setChannelStates(channels));
+      pb.on('stretchChanged',  ({ stretching: active }) => setStretching(active));
 
       // ── Start RAF loop and live-append interval ─────────────────────────────
       scheduleRender();
@@ -470,12 +666,12 @@ export default function SpectrogramExample() {
       }, APPEND_MS);
     });
 
-    // ── Spectrogram wheel + drag ────────────────────────────────────────────
+    // ── Spectrogram wheel + drag (delegated: panels come and go) ────────────
     const onWheel = (e) => {
-      e.preventDefault();
       const viewport = viewportRef.current;
-      if (!viewport) return;
-      const pos = viewport.getCanvasPosition(e, webglRef.current);
+      if (!viewport || e.target.tagName !== 'CANVAS') return;
+      e.preventDefault();
+      const pos = viewport.getCanvasPosition(e, e.target);
       if (!viewport.isInPlotArea(pos.x, pos.y)) return;
       const factor = (e.deltaY > 0) ? 0.85 : 1 / 0.85;
       xAxisRef.current?.zoomAround(factor, viewport.screenXToData(pos.x));
@@ -486,8 +682,8 @@ export default function SpectrogramExample() {
     const onMouseDown = (e) => {
       if (e.button !== 0) return;
       const viewport = viewportRef.current;
-      if (!viewport) return;
-      const pos = viewport.getCanvasPosition(e, webglRef.current);
+      if (!viewport || e.target.tagName !== 'CANVAS') return;
+      const pos = viewport.getCanvasPosition(e, e.target);
       if (!viewport.isInPlotArea(pos.x, pos.y)) return;
       // Ctrl+click → seek
       if (e.ctrlKey && playbackRef.current?.duration > 0) {
@@ -496,7 +692,11 @@ export default function SpectrogramExample() {
         waveDirtyRef.current = true;
         return;
       }
+      const roiCtrl = specRoiRef.current;
+      if (roiCtrl._mode !== 'idle' || roiCtrl._hitTest(pos.x, pos.y)) return;  // ROI creation / drag takes priority
+      if (e.shiftKey) return;  // Shift+drag on empty space is ROI rubber-band selection
       panRef.current = {
+        canvas: e.target,
         screenX: pos.x, screenY: pos.y,
         xDomain: xAxisRef.current?.getDomain(),
         yDomain: yAxisRef.current?.getDomain(),
@@ -508,7 +708,7 @@ export default function SpectrogramExample() {
       if (!pan) return;
       const viewport = viewportRef.current;
       if (!viewport) return;
-      const pos = viewport.getCanvasPosition(e, webglRef.current);
+      const pos = viewport.getCanvasPosition(e, pan.canvas);
       const dx  = pos.x - pan.screenX;
       const dy  = pos.y - pan.screenY;
       xAxisRef.current?.setDomain(pan.xDomain);
@@ -522,10 +722,10 @@ export default function SpectrogramExample() {
 
     // ── Waveform wheel + drag ───────────────────────────────────────────────
     const onWaveWheel = (e) => {
-      e.preventDefault();
       const viewport = waveViewportRef.current;
-      if (!viewport) return;
-      const pos = viewport.getCanvasPosition(e, waveWebglRef.current);
+      if (!viewport || e.target.tagName !== 'CANVAS') return;
+      e.preventDefault();
+      const pos = viewport.getCanvasPosition(e, e.target);
       if (!viewport.isInPlotArea(pos.x, pos.y)) return;
       const factor = (e.deltaY > 0) ? 0.85 : 1 / 0.85;
       waveXAxisRef.current?.zoomAround(factor, viewport.screenXToData(pos.x));
@@ -536,8 +736,8 @@ export default function SpectrogramExample() {
     const onWaveMouseDown = (e) => {
       if (e.button !== 0) return;
       const viewport = waveViewportRef.current;
-      if (!viewport) return;
-      const pos = viewport.getCanvasPosition(e, waveWebglRef.current);
+      if (!viewport || e.target.tagName !== 'CANVAS') return;
+      const pos = viewport.getCanvasPosition(e, e.target);
       if (!viewport.isInPlotArea(pos.x, pos.y)) return;
       // Ctrl+click → seek
       if (e.ctrlKey && playbackRef.current?.duration > 0) {
@@ -546,7 +746,11 @@ export default function SpectrogramExample() {
         waveDirtyRef.current = true;
         return;
       }
+      const roiCtrl = waveRoiRef.current;
+      if (roiCtrl._mode !== 'idle' || roiCtrl._hitTest(pos.x, pos.y)) return;
+      if (e.shiftKey) return;
       wavePanRef.current = {
+        canvas: e.target,
         screenX: pos.x, screenY: pos.y,
         xDomain: waveXAxisRef.current?.getDomain(),
         yDomain: waveYAxisRef.current?.getDomain(),
@@ -558,7 +762,7 @@ export default function SpectrogramExample() {
       if (!pan) return;
       const viewport = waveViewportRef.current;
       if (!viewport) return;
-      const pos = viewport.getCanvasPosition(e, waveWebglRef.current);
+      const pos = viewport.getCanvasPosition(e, pan.canvas);
       const dx  = pos.x - pan.screenX;
       const dy  = pos.y - pan.screenY;
       waveXAxisRef.current?.setDomain(pan.xDomain);
@@ -571,79 +775,48 @@ export default function SpectrogramExample() {
     const onWaveMouseUp = () => { wavePanRef.current = null; };
 
     // ── Resize ─────────────────────────────────────────────────────────────
-    const onResize = () => {
-      // Spectrogram panel
-      const wc2 = webglRef.current;
-      const ac2 = axisRef.current;
-      if (wc2 && deckRef.current) {
-        const w2 = wc2.offsetWidth, h2 = wc2.offsetHeight;
-        if (w2 && h2) {
-          wc2.width = w2; wc2.height = h2;
-          ac2.width = w2; ac2.height = h2;
-          deckRef.current.setProps({ width: w2, height: h2 });
-          const vp = viewportRef.current;
-          if (vp) {
-            vp.setCanvasSize(w2, h2);
-            const { plotArea: pa2 } = vp;
-            xAxisRef.current?.setRange([pa2.x, pa2.x + pa2.width]);
-            yAxisRef.current?.setRange([pa2.y + pa2.height, pa2.y]);
-            vp.setScales(xAxisRef.current?.getScale(), yAxisRef.current?.getScale());
-          }
-          dirtyRef.current = true;
-        }
-      }
-      // Waveform panel
-      const ww3 = waveWebglRef.current;
-      const wa3 = waveAxisRef.current;
-      if (ww3 && waveDeckRef.current) {
-        const ww_w2 = ww3.offsetWidth, ww_h2 = ww3.offsetHeight;
-        if (ww_w2 && ww_h2) {
-          ww3.width = ww_w2; ww3.height = ww_h2;
-          wa3.width = ww_w2; wa3.height = ww_h2;
-          waveDeckRef.current.setProps({ width: ww_w2, height: ww_h2 });
-          const wvp = waveViewportRef.current;
-          if (wvp) {
-            wvp.setCanvasSize(ww_w2, ww_h2);
-            const { plotArea: wpa2 } = wvp;
-            waveXAxisRef.current?.setRange([wpa2.x, wpa2.x + wpa2.width]);
-            waveYAxisRef.current?.setRange([wpa2.y + wpa2.height, wpa2.y]);
-            wvp.setScales(waveXAxisRef.current?.getScale(), waveYAxisRef.current?.getScale());
-          }
-          waveDirtyRef.current = true;
-        }
-      }
-    };
+    const onResize = () => layoutPanels();
 
     // ── Attach listeners ────────────────────────────────────────────────────
-    wc.addEventListener('wheel',     onWheel,         { passive: false });
-    wc.addEventListener('mousedown', onMouseDown);
-    wc.addEventListener('mousemove', onMouseMove);
-    wc.addEventListener('mouseup',   onMouseUp);
-    ww.addEventListener('wheel',     onWaveWheel,     { passive: false });
-    ww.addEventListener('mousedown', onWaveMouseDown);
-    ww.addEventListener('mousemove', onWaveMouseMove);
-    ww.addEventListener('mouseup',   onWaveMouseUp);
+    ss.addEventListener('wheel',     onWheel,         { passive: false });
+    ss.addEventListener('mousedown', onMouseDown);
+    ss.addEventListener('mousemove', onMouseMove);
+    ss.addEventListener('mouseup',   onMouseUp);
+    ws.addEventListener('wheel',     onWaveWheel,     { passive: false });
+    ws.addEventListener('mousedown', onWaveMouseDown);
+    ws.addEventListener('mousemove', onWaveMouseMove);
+    ws.addEventListener('mouseup',   onWaveMouseUp);
     window.addEventListener('resize', onResize);
 
     return () => {
       cancelAnimationFrame(initRaf);
       cancelAnimationFrame(rafRef.current);
       clearInterval(intervalRef.current);
-      wc.removeEventListener('wheel',     onWheel);
-      wc.removeEventListener('mousedown', onMouseDown);
-      wc.removeEventListener('mousemove', onMouseMove);
-      wc.removeEventListener('mouseup',   onMouseUp);
-      ww.removeEventListener('wheel',     onWaveWheel);
-      ww.removeEventListener('mousedown', onWaveMouseDown);
-      ww.removeEventListener('mousemove', onWaveMouseMove);
-      ww.removeEventListener('mouseup',   onWaveMouseUp);
+      ss.removeEventListener('wheel',     onWheel);
+      ss.removeEventListener('mousedown', onMouseDown);
+      ss.removeEventListener('mousemove', onMouseMove);
+      ss.removeEventListener('mouseup',   onMouseUp);
+      ws.removeEventListener('wheel',     onWaveWheel);
+      ws.removeEventListener('mousedown', onWaveMouseDown);
+      ws.removeEventListener('mousemove', onWaveMouseMove);
+      ws.removeEventListener('mouseup',   onWaveMouseUp);
       window.removeEventListener('resize', onResize);
-      deckRef.current?.finalize();
-      waveDeckRef.current?.finalize();
+      filterControllerRef.current.off('changed', onFilterChanged);
+      specRoiRef.current?.destroy();
+      waveRoiRef.current?.destroy();
+      specPanelsRef.current.forEach(p => p.deck.finalize());
+      wavePanelsRef.current.forEach(p => p.deck.finalize());
       playbackRef.current?.destroy();
+      resamplerRef.current?.terminate();
+      resamplerRef.current = null;
     };
   }, []); // mount once
 
+  // ── Add / remove panel decks when the displayed channels change ──────────────
+  useEffect(() => {
+    layoutPanels();
+  }, [panelLabels]);
+
   // ── Sync colorTrigger state → ref (RAF closure reads ref to avoid stale values) ──
   useEffect(() => {
     colorTriggerRef.current = colorTrigger;
@@ -652,30 +825,24 @@ export default function SpectrogramExample() {
 
   // ── Apply time window immediately when dropdown changes ──────────────────────
   useEffect(() => {
-    if (!xAxisRef.current || !samplesRef.current.length) return;
+    const length = channelsRef.current[0].length;
+    if (!xAxisRef.current || !length) return;
     const sr = loadedSampleRateRef.current;
 
     if (timeWindow) {
-      // Trim PCM to last timeWindow seconds
+      // Trim PCM to last timeWindow seconds; waveforms are rebuilt from it
       const maxSamples = Math.floor(timeWindow * sr);
-      if (samplesRef.current.length > maxSamples) {
-        samplesRef.current = samplesRef.current.slice(samplesRef.current.length - maxSamples);
-        dataTriggerRef.current += 1;
-      }
-      // Trim + rebase waveform
-      const maxWavePts = Math.ceil(timeWindow * sr / WAVEFORM_STEP);
-      if (waveYRef.current.length > maxWavePts) {
-        const trimY = waveYRef.current.slice(waveYRef.current.length - maxWavePts);
-        const trimX = new Float32Array(maxWavePts);
-        const xStep = WAVEFORM_STEP / sr;
-        for (let i = 0; i < maxWavePts; i++) trimX[i] = i * xStep;
-        waveXRef.current = trimX;
-        waveYRef.current = trimY;
-        waveDataTrigger.current += 1;
+      if (length > maxSamples) {
+        sampleOffsetRef.current += length - maxSamples;
+        const trim = (chs) => chs.map(ch => ch.slice(length - maxSamples));
+        channelsRef.current = trim(channelsRef.current);
+        if (originalSamplesRef.current) originalSamplesRef.current = trim(originalSamplesRef.current);
+        if (liveFilterRef.current) liveFilterRef.current.raw = trim(liveFilterRef.current.raw);
+        refreshSources();
       }
     }
 
-    const bufferSecs = samplesRef.current.length / sr;
+    const bufferSecs = channelsRef.current[0].length / sr;
     xAxisRef.current?.setDomain([0, bufferSecs]);
     waveXAxisRef.current?.setDomain([0, bufferSecs]);
     dirtyRef.current     = true;
@@ -686,12 +853,21 @@ export default function SpectrogramExample() {
   useEffect(() => {
     const yAxis = yAxisRef.current;
     if (!yAxis) return;
-    const lo = Math.max(0, lowFreq);
+    freqScaleRef.current = freqScale;
+    const floor = freqFloor(freqScale);
+    const lo = Math.max(floor, lowFreq);
     const hi = Math.min(loadedSampleRateRef.current / 2, highFreq);
-    if (lo >= hi) return;  // invalid range — don't apply
-    yAxis.setDomain([lo, hi]);
+    // Domain first, so a log scale never sees one that contains 0.  An
+    // invalid range keeps the current domain, raised to the floor if needed.
+    if (lo < hi) {
+      yAxis.setDomain([lo, hi]);
+    } else {
+      const [dLo, dHi] = yAxis.getDomain();
+      if (dLo < floor) yAxis.setDomain([floor, Math.max(dHi, loadedSampleRateRef.current / 2)]);
+    }
+    if (yAxis.scaleType !== freqScale) yAxis.setScaleType(freqScale);
     dirtyRef.current = true;
-  }, [lowFreq, highFreq]);
+  }, [lowFreq, highFreq, freqScale]);
 
   // ── UI handlers ───────────────────────────────────────────────────────────
 
@@ -704,6 +880,8 @@ export default function SpectrogramExample() {
     } else {
       clearInterval(intervalRef.current);
     }
+    liveAppendRef.current = checked;
+    dirtyRef.current      = true;
     setLiveAppend(checked);
   };
 
@@ -721,55 +899,86 @@ export default function SpectrogramExample() {
     dirtyRef.current = true;
   };
 
+  const handleSTFTOptChange = (key, parse) => (e) => {
+    const next = { ...stftOptsRef.current, [key]: parse(e.target.value) };
+    stftOptsRef.current = next;
+    if (key === 'scaling') lutControllerRef.current.reset();  // dB range moves: auto-level again
+    setStftOpts(next);
+    dirtyRef.current = true;
+  };
+
+  const handleRateChange = (e) => {
+    const v = Number(e.target.value);
+    setPlayRate(v);
+    playbackRef.current.setRate(v);
+  };
+
+  const handleKeepPitchChange = (e) => {
+    setKeepPitch(e.target.checked);
+    playbackRef.current.setPreservePitch(e.target.checked);
+  };
+
+  const handleLoopRegionChange = (e) => {
+    loopRegionRef.current = e.target.checked;
+    playbackRef.current.setLoop(e.target.checked);
+    setLoopRegion(e.target.checked);
+  };
+
+  const handleChannelViewChange = (e) => {
+    channelViewRef.current = e.target.value;
+    streamIdRef.current += 1;   // panel signals are replaced, not appended
+    refreshSources();
+    setChannelView(e.target.value);
+  };
+
   const handleFileLoad = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
     setLoading(true);
     clearInterval(intervalRef.current);
+    liveAppendRef.current = false;
     setLiveAppend(false);
     try {
       const arrayBuffer = await file.arrayBuffer();
       const audioCtx    = new AudioContext();
       const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
       audioCtx.close();
-      const pcm = audioBuffer.getChannelData(0);
-      const sr  = audioBuffer.sampleRate;
+      let channels = [];
+      for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+      }
+      let sr = audioBuffer.sampleRate;
+      if (loadRate && loadRate !== sr) {
+        const t0 = performance.now();
+        if (!resamplerRef.current) resamplerRef.current = new ResampleWorkerClient();
+        channels = await resamplerRef.current.resample(channels, sr, loadRate);   // off the main thread
+        addLog(`Resampled ${sr} → ${loadRate} Hz  (${(performance.now() - t0).toFixed(0)} ms)`);
+        sr = loadRate;
+      }
       loadedSampleRateRef.current = sr;
       // Clear all existing data
       lutControllerRef.current.reset();
-      samplesRef.current   = new Float32Array(0);
-      sampleCntRef.current = 0;
-      waveXRef.current     = new Float32Array(0);
-      waveYRef.current     = new Float32Array(0);
+      sampleOffsetRef.current = 0;
+      streamIdRef.current += 1;
+      liveFilterRef.current = null;
+      setLiveFiltering(false);
       // Load PCM
-      samplesRef.current   = pcm;
-      sampleCntRef.current = pcm.length;
-      originalSamplesRef.current = samplesRef.current.slice();  // snapshot for "Clear Filter"
+      channelsRef.current  = channels;
+      sampleCntRef.current = channels[0].length;
+      originalSamplesRef.current = channels.map(ch => ch.slice());  // snapshot for "Clear Filter"
       setFilterSampleRate(sr);
-      dataTriggerRef.current += 1;
+      setNumChannels(channels.length);
       // Reset frequency band to full range for new file
       setLowFreq(0);
       setHighFreq(sr / 2);
-      // Downsample for waveform
-      const numWavePts = Math.floor(pcm.length / WAVEFORM_STEP);
-      const newWX = new Float32Array(numWavePts);
-      const newWY = new Float32Array(numWavePts);
-      for (let i = 0; i < numWavePts; i++) {
-        newWX[i] = (i * WAVEFORM_STEP) / sr;
-        newWY[i] = pcm[i * WAVEFORM_STEP];
-      }
-      waveXRef.current = newWX;
-      waveYRef.current = newWY;
-      waveDataTrigger.current += 1;
-      const durationSecs = pcm.length / sr;
+      refreshSources();
+      const durationSecs = channels[0].length / sr;
       xAxisRef.current?.setDomain([0, durationSecs]);
       waveXAxisRef.current?.setDomain([0, durationSecs]);
-      yAxisRef.current?.setDomain([0, sr / 2]);   // Nyquist for this file
-      dirtyRef.current     = true;
-      waveDirtyRef.current = true;
-      addLog(`Loaded: ${file.name}  ·  ${sr} Hz  ·  ${durationSecs.toFixed(2)}s`);
+      yAxisRef.current?.setDomain([freqFloor(freqScaleRef.current), sr / 2]);   // Nyquist for this file
+      addLog(`Loaded: ${file.name}  ·  ${sr} Hz  ·  ${channels.length} ch  ·  ${durationSecs.toFixed(2)}s`);
       // Load into playback controller (non-blocking — await is fine here since we're already async)
-      await playbackRef.current.loadBuffer(samplesRef.current, loadedSampleRateRef.current);
+      await playbackRef.current.loadBuffer(channelsRef.current, loadedSampleRateRef.current);
     } catch (err) {
       addLog(`Error loading file: ${err.message}`);
     }
@@ -780,32 +989,76 @@ export default function SpectrogramExample() {
   // ── Filter handlers ───────────────────────────────────────────────────────
 
   const handleApplyFilter = async () => {
-    if (!samplesRef.current.length) return;
+    if (!channelsRef.current[0].length) return;
+    if (liveAppendRef.current) {
+      startLiveFilter();
+      return;
+    }
     setApplying(true);
     try {
       const fc       = filterControllerRef.current;
-      const filtered = await fc.applyToSamples(samplesRef.current, loadedSampleRateRef.current);
-      samplesRef.current = filtered;
-      dataTriggerRef.current += 1;
-      dirtyRef.current = true;
+      const filtered = [];
+      for (const ch of channelsRef.current) {
+        filtered.push(await fc.applyToSamples(ch, loadedSampleRateRef.current));
+      }
+      channelsRef.current = filtered;
+      streamIdRef.current += 1;
+      refreshSources();
       // If playback is loaded, reload with filtered audio
       if (playbackRef.current?.duration > 0) {
         await playbackRef.current.loadBuffer(filtered, loadedSampleRateRef.current);
       }
-      addLog(`Filter: ${fc.state.type}  cutoff=${fc.state.frequency.toFixed(0)} Hz  Q=${fc.state.Q.toFixed(2)}`);
+      addLog(`Filter: ${fc.describe().join(' → ')}`);
     } catch (err) {
       addLog(`Filter error: ${err.message}`);
     }
     setApplying(false);
   };
 
+  /**
+   * Live append: filter each buffered channel once, then keep the same
+   * streams for every appended chunk so history is never reprocessed.  The
+   * unfiltered signal is kept alongside, for "Stop Live Filter".  Chunks are
+   * generated at SAMPLE_RATE, so the streams are designed for that rate.
+   */
+  const startLiveFilter = () => {
+    const fc = filterControllerRef.current;
+    if (liveFilterRef.current) {
+      addLog('Live filter already running — filter changes apply to new chunks');
+      return;
+    }
+    try {
+      const raw     = channelsRef.current;
+      const streams = raw.map(() => fc.createStream(SAMPLE_RATE));
+      channelsRef.current   = raw.map((ch, c) => streams[c].process(ch));
+      liveFilterRef.current = { streams, raw };
+      streamIdRef.current += 1;   // buffered samples were replaced once
+      refreshSources();
+      setLiveFiltering(true);
+      const causal = fc.state.zeroPhase ? '  (causal: zero-phase is offline only)' : '';
+      addLog(`Live filter: ${fc.describe().join(' → ')}${causal}`);
+    } catch (err) {
+      addLog(`Filter error: ${err.message}`);
+    }
+  };
+
   const handleClearFilter = async () => {
+    const live = liveFilterRef.current;
+    if (live) {
+      liveFilterRef.current = null;
+      channelsRef.current   = live.raw;
+      streamIdRef.current  += 1;
+      refreshSources();
+      setLiveFiltering(false);
+      addLog('Live filter off — unfiltered signal restored');
+      return;
+    }
     if (!originalSamplesRef.current) return;
-    samplesRef.current = originalSamplesRef.current.slice();
-    dataTriggerRef.current += 1;
-    dirtyRef.current = true;
+    channelsRef.current = originalSamplesRef.current.map(ch => ch.slice());
+    streamIdRef.current += 1;
+    refreshSources();
     if (playbackRef.current?.duration > 0) {
-      await playbackRef.current.loadBuffer(samplesRef.current, loadedSampleRateRef.current);
+      await playbackRef.current.loadBuffer(channelsRef.current, loadedSampleRateRef.current);
     }
     addLog('Filter cleared — original audio restored');
   };
@@ -855,6 +1108,18 @@ export default function SpectrogramExample() {
     background: '#222', border: '1px solid #444', borderRadius: 3,
     color: '#ccc', padding: '2px 6px', fontSize: 12, marginLeft: 4,
   };
+  const stackStyle = {
+    flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden', minWidth: 0,
+  };
+  const panelLabelStyle = {
+    position: 'absolute', top: 4, right: 10, pointerEvents: 'none',
+    color: '#adf', fontSize: 11, background: 'rgba(0, 0, 0, 0.5)', padding: '0 4px',
+  };
+  const channelButtonStyle = (active, color) => ({
+    background: active ? color : '#222', border: '1px solid #555', borderRadius: 3,
+    color: active ? '#000' : '#888', padding: '0 5px', fontSize: 10,
+    cursor: 'pointer', fontFamily: 'monospace',
+  });
   const numInputStyle = {
     background: '#1a1a1a', border: '1px solid #444', borderRadius: 3,
     color: '#ccc', padding: '2px 5px', fontSize: 11, width: 72,
@@ -876,6 +1141,58 @@ export default function SpectrogramExample() {
               <option key={v} value={v}>{v}</option>
             ))}
           </select>
+          <select value={stftOpts.window} onChange={handleSTFTOptChange('window', String)} style={selectStyle}>
+            {Object.entries(WINDOW_LABELS).map(([v, label]) => (
+              <option key={v} value={v}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          Overlap
+          <select value={stftOpts.overlap} onChange={handleSTFTOptChange('overlap', Number)} style={selectStyle}>
+            {[0, 0.25, 0.5, 0.75, 0.875].map(v => (
+              <option key={v} value={v}>{v * 100}%</option>
+            ))}
+          </select>
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          Zero-pad
+          <select value={stftOpts.zeroPadding} onChange={handleSTFTOptChange('zeroPadding', Number)} style={selectStyle}>
+            {[1, 2, 4, 8].map(v => (
+              <option key={v} value={v}>×{v}</option>
+            ))}
+          </select>
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          Scale
+          <select value={stftOpts.scaling} onChange={handleSTFTOptChange('scaling', String)} style={selectStyle}>
+            <option value="magnitude">Magnitude</option>
+            <option value="spectrum">Spectrum</option>
+            <option value="power">Power</option>
+            <option value="psd">PSD</option>
+          </select>
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          Freq axis
+          <select value={freqScale} onChange={e => setFreqScale(e.target.value)} style={selectStyle}>
+            <option value="linear">Linear</option>
+            <option value="log">Log</option>
+            <option value="mel">Mel</option>
+            <option value="bark">Bark</option>
+          </select>
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          View
+          <select value={channelView} onChange={handleChannelViewChange} disabled={numChannels < 2} style={selectStyle}>
+            {Object.entries(CHANNEL_VIEWS).map(([v, label]) => (
+              <option key={v} value={v}>{label}</option>
+            ))}
+          </select>
         </label>
 
         <label style={checkboxLabelStyle}>
@@ -894,6 +1211,15 @@ export default function SpectrogramExample() {
           Live append
         </label>
 
+        <label style={checkboxLabelStyle}>
+          Load rate
+          <select value={loadRate ?? 'native'} disabled={loading} style={selectStyle}
+            onChange={e => setLoadRate(e.target.value === 'native' ? null : Number(e.target.value))}>
+            <option value="native">Native</option>
+            {LOAD_RATES.map(r => <option key={r} value={r}>{r / 1000} kHz</option>)}
+          </select>
+        </label>
+
         <label style={checkboxLabelStyle}>
           <button
             onClick={() => fileInputRef.current?.click()}
@@ -944,17 +1270,63 @@ export default function SpectrogramExample() {
           {'\u23F9'}
         </button>
 
+        <label style={checkboxLabelStyle}>
+          Rate
+          <select value={playRate} onChange={handleRateChange} style={selectStyle}>
+            {PLAY_RATES.map(v => (
+              <option key={v} value={v}>{v}×</option>
+            ))}
+          </select>
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          <input type="checkbox" checked={keepPitch} onChange={handleKeepPitchChange} />
+          {stretching ? 'Stretching…' : 'Keep pitch'}
+        </label>
+
+        <label style={checkboxLabelStyle}>
+          <input type="checkbox" checked={loopRegion} onChange={handleLoopRegionChange} />
+          Loop region
+        </label>
+
+        {/* Per-channel mute / solo (playback of the file channels) */}
+        {channelStates.length > 1 && channelStates.map(({ muted, soloed, audible }, i) => (
+          <span key={i} style={{ display: 'flex', alignItems: 'center', gap: 3 }}>
+            <span style={{ color: audible ? '#adf' : '#555' }}>{channelLabel(i, channelStates.length)}</span>
+            <button
+              onClick={() => playbackRef.current.setChannelMute(i, !muted)}
+              style={channelButtonStyle(muted, '#fa8')}
+            >
+              M
+            </button>
+            <button
+              onClick={() => playbackRef.current.setChannelSolo(i, !soloed)}
+              style={channelButtonStyle(soloed, '#fd4')}
+            >
+              S
+            </button>
+          </span>
+        ))}
+
         <span style={{ marginLeft: 'auto', color: '#666' }}>
-          scroll=zoom · drag=pan · ctrl+click=seek
+          scroll=zoom · drag=pan · ctrl+click=seek · L=region (select to play)
         </span>
       </div>
 
       <div style={plotWrapStyle}>
-        {/* Spectrogram row: plot canvas + LUT sidebar */}
+        {/* Spectrogram row: one plot per displayed channel + LUT sidebar */}
         <div style={{ flex: 3, display: 'flex', flexDirection: 'row', overflow: 'hidden' }}>
-          <div style={{ ...panelStyle, flex: 1 }}>
-            <canvas ref={webglRef} style={canvasStyle} />
-            <canvas ref={axisRef}  style={{ ...canvasStyle, pointerEvents: 'none' }} />
+          <div ref={specStackRef} style={stackStyle}>
+            {panelLabels.map((label, k) => (
+              <React.Fragment key={k}>
+                {k > 0 && <div style={dividerStyle} />}
+                <div data-panel style={{ ...panelStyle, flex: 1 }}>
+                  <canvas style={canvasStyle} />
+                  <canvas style={{ ...canvasStyle, pointerEvents: 'none' }} />
+                  {label && <div style={panelLabelStyle}>{label}</div>}
+                </div>
+              </React.Fragment>
+            ))}
           </div>
           {/* LUT sidebar only (FilterPanel moved to waveform section) */}
           <div style={{ width: 140, display: 'flex', flexDirection: 'column', borderLeft: '1px solid #333', flexShrink: 0 }}>
@@ -964,11 +1336,19 @@ export default function SpectrogramExample() {
 
         <div style={dividerStyle} />
 
-        {/* Waveform row: plot canvas + controls sidebar */}
+        {/* Waveform row: one plot per displayed channel + controls sidebar */}
         <div style={{ flex: 1.5, display: 'flex', flexDirection: 'row', overflow: 'hidden' }}>
-          <div style={{ ...panelStyle, flex: 1 }}>
-            <canvas ref={waveWebglRef} style={canvasStyle} />
-            <canvas ref={waveAxisRef}  style={{ ...canvasStyle, pointerEvents: 'none' }} />
+          <div ref={waveStackRef} style={stackStyle}>
+            {panelLabels.map((label, k) => (
+              <React.Fragment key={k}>
+                {k > 0 && <div style={dividerStyle} />}
+                <div data-panel style={{ ...panelStyle, flex: 1 }}>
+                  <canvas style={canvasStyle} />
+                  <canvas style={{ ...canvasStyle, pointerEvents: 'none' }} />
+                  {label && <div style={panelLabelStyle}>{label}</div>}
+                </div>
+              </React.Fragment>
+            ))}
           </div>
 
           {/* Waveform sidebar: frequency band inputs + FilterPanel */}
@@ -1038,15 +1418,15 @@ export default function SpectrogramExample() {
             <div style={{ padding: '6px 10px', borderTop: '1px solid #2a2a2a' }}>
               <button
                 onClick={handleClearFilter}
-                disabled={!originalSamplesRef.current}
+                disabled={!originalSamplesRef.current && !liveFiltering}
                 style={{
                   width: '100%',
                   background: '#222', border: '1px solid #555', borderRadius: 3,
-                  color: originalSamplesRef.current ? '#fa8' : '#555',
+                  color: (originalSamplesRef.current || liveFiltering) ? '#fa8' : '#555',
                   padding: '3px 8px', fontSize: 11, cursor: 'pointer', fontFamily: 'monospace',
                 }}
               >
-                Clear DSP Filter
+                {liveFiltering ? 'Stop Live Filter' : 'Clear DSP Filter'}
               </button>
             </div>
           </div>
@@ -1,74 +1,267 @@
 import EventEmitter from 'events';
+import { designStage, applyDesigns, designsResponse, designsGroupDelay, describeStage } from './dsp/chain.js';
+import { oddExtend } from './dsp/zeroPhase.js';
+import { StreamingFilter } from './dsp/stream.js';
 
+/**
+ * Filter state (a biquad plus optional chain stages) and offline processing.
+ *
+ * By default everything is pure JS (src/audio/dsp): the biquad uses the Web
+ * Audio coefficient formulas, so it matches a BiquadFilterNode, and the
+ * controller works in a worker or in Node.  `backend: 'webaudio'` renders the
+ * biquad through OfflineAudioContext and asks a BiquadFilterNode for its
+ * response instead; chain stages are pure JS either way.
+ */
 export class FilterController extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {'js'|'webaudio'} [opts.backend='js']
+   */
+  constructor(opts = {}) {
     super();
+    this.setBackend(opts.backend || 'js');
     this.state = {
       type:      'none',   // 'none'|'lowpass'|'highpass'|'bandpass'|'notch'|'allpass'
       frequency: 1000,     // Hz — cutoff / centre frequency
       Q:         1.0,      // resonance / bandwidth
+      stages:    [],       // extra pure-JS stages after the biquad — see dsp/chain.js
+      zeroPhase: false,    // forward-backward: no phase shift, magnitude squared
     };
+    this._nextStageId = 1;
+    this._designs     = new Map();   // `${sampleRate}|${JSON spec}` → designStage() result
+  }
+
+  setType(type)      { this.state.type = type;       this._emitChanged(); }
+  setFrequency(freq) { this.state.frequency = freq;  this._emitChanged(); }
+  setQ(q)            { this.state.Q = q;             this._emitChanged(); }
+  setZeroPhase(on)   { this.state.zeroPhase = !!on;  this._emitChanged(); }
+
+  /** 'js' (default) or 'webaudio' — see the class comment.  Output is the same up to rounding. */
+  get backend() { return this._backend; }
+
+  setBackend(backend) {
+    if (!FilterController.backends.includes(backend)) {
+      throw new Error(`FilterController: unknown backend "${backend}"`);
+    }
+    this._backend = backend;
+  }
+
+  // ─── Filter chain ───────────────────────────────────────────────────────────
+
+  /**
+   * Append a stage to the chain, e.g.
+   *   { kind: 'butterworth', type: 'lowpass', frequency: 1000, order: 8 }
+   *   { kind: 'fir-equiripple', type: 'bandpass', frequency: [300, 3000], numTaps: 255 }
+   * See dsp/chain.js for every kind and its defaults.  Returns the stage id.
+   */
+  addStage(spec) {
+    const id = `stage-${this._nextStageId++}`;
+    this.state.stages = [...this.state.stages, { ...spec, id }];
+    this._emitChanged();
+    return id;
+  }
+
+  /** Merge `patch` into the stage with this id. */
+  updateStage(id, patch) {
+    this.state.stages = this.state.stages.map(s => (s.id === id ? { ...s, ...patch, id } : s));
+    this._emitChanged();
+  }
+
+  removeStage(id) {
+    this.state.stages = this.state.stages.filter(s => s.id !== id);
+    this._emitChanged();
+  }
+
+  clearStages() {
+    this.state.stages = [];
+    this._emitChanged();
+  }
+
+  /** True when the biquad or any chain stage would change the signal. */
+  get active() {
+    return this.state.type !== 'none' || this.state.stages.length > 0;
   }
 
-  setType(type)      { this.state.type = type;       this.emit('changed', { ...this.state }); }
-  setFrequency(freq) { this.state.frequency = freq;  this.emit('changed', { ...this.state }); }
-  setQ(q)            { this.state.Q = q;             this.emit('changed', { ...this.state }); }
+  /** One line per active stage, for logs and labels. */
+  describe() {
+    const lines = [];
+    if (this.state.type !== 'none') lines.push(describeStage(this._biquadSpec()));
+    for (const s of this.state.stages) lines.push(describeStage(s));
+    if (lines.length && this.state.zeroPhase) lines.push('zero-phase');
+    return lines;
+  }
 
   /**
-   * Process samples through the biquad filter using OfflineAudioContext.
+   * Process samples through the biquad filter, then the chain stages.
    * Returns a new Float32Array — original is not mutated.
-   * If type === 'none', returns the same reference unchanged.
+   * If no filter is active, returns the same reference unchanged.
+   *
+   * Design errors (e.g. a cutoff above Nyquist at this sample rate) throw.
    */
   async applyToSamples(samples, sampleRate) {
-    if (this.state.type === 'none') return samples;
-    const offlineCtx = new OfflineAudioContext(1, samples.length, sampleRate);
-    const buf        = offlineCtx.createBuffer(1, samples.length, sampleRate);
-    buf.getChannelData(0).set(samples);
-    const source = offlineCtx.createBufferSource();
-    source.buffer = buf;
-    const filter = offlineCtx.createBiquadFilter();
-    filter.type            = this.state.type;
-    filter.frequency.value = Math.min(this.state.frequency, sampleRate / 2 - 1);
-    filter.Q.value         = this.state.Q;
-    source.connect(filter);
-    filter.connect(offlineCtx.destination);
-    source.start(0);
-    const rendered = await offlineCtx.startRendering();
-    return rendered.getChannelData(0).slice();  // copy — ChannelData view becomes invalid after GC
+    if (!this.active) return samples;
+    const webAudio = this._backend === 'webaudio' && this.state.type !== 'none';
+    const designs  = this._designChain(sampleRate, !webAudio);
+    let out = samples;
+
+    if (webAudio) {
+      if (this.state.zeroPhase) {
+        // Odd-extension padding as dsp/zeroPhase.js; a BiquadFilterNode always
+        // starts from silence, so pad a few cutoff periods to keep its start-up
+        // transient outside the returned samples
+        const periods = Math.ceil(4 * sampleRate / Math.max(this.state.frequency, 20));
+        const pad = Math.max(0, Math.min(samples.length - 1, periods));
+        const fwd = await this._renderBiquad(Float32Array.from(oddExtend(samples, pad)), sampleRate);
+        const bwd = await this._renderBiquad(fwd.reverse(), sampleRate);
+        out = bwd.reverse().slice(pad, pad + samples.length);
+      } else {
+        out = await this._renderBiquad(samples, sampleRate);
+      }
+    }
+
+    if (designs.length) out = applyDesigns(designs, out, { zeroPhase: this.state.zeroPhase });
+    return out;
   }
 
   /**
-   * Compute frequency response for the current filter settings.
-   * Returns { freqs: Float32Array, db: Float32Array } for nPoints log-spaced
-   * frequencies from 20 Hz to nyquist.  Returns null if type === 'none'.
+   * Stateful filter for a live stream: the biquad and chain stages designed
+   * for sampleRate, with delay lines kept across process(chunk) calls.
+   * Always pure JS and causal — `zeroPhase` applies to applyToSamples() only.
+   * The stream is a snapshot; call updateStream() after a change to retune it
+   * without restarting.
    *
-   * Note: creates and immediately closes a temporary AudioContext; call only
-   * when the user interacts with controls (not on every RAF frame).
+   * @param {number} sampleRate
+   * @returns {StreamingFilter}
+   */
+  createStream(sampleRate) {
+    return new StreamingFilter(this._designChain(sampleRate, true));
+  }
+
+  /** Retune a stream from createStream() to the current settings. */
+  updateStream(stream, sampleRate) {
+    stream.setDesigns(this._designChain(sampleRate, true));
+  }
+
+  /**
+   * Compute frequency response for the current filter settings: the biquad
+   * and every chain stage combined.
+   * Returns { freqs, db, phase, groupDelay } (Float32Arrays) for nPoints
+   * log-spaced frequencies from 20 Hz to nyquist.  `phase` is in radians,
+   * wrapped to ±π; `groupDelay` (−dφ/dω) is in seconds, evaluated
+   * analytically from the coefficients with either backend.  Zero-phase
+   * filtering reports 0 for both.  Returns null if no filter is active.
+   *
+   * Note: with the 'webaudio' backend the biquad part creates and
+   * immediately closes a temporary AudioContext; call only when the user
+   * interacts with controls (not on every RAF frame).
    */
   getFrequencyResponse(nPoints = 256, sampleRate = 44100) {
-    if (this.state.type === 'none') return null;
+    if (!this.active) return null;
     const nyquist = sampleRate / 2;
     const freqs   = new Float32Array(nPoints);
     for (let i = 0; i < nPoints; i++) {
       freqs[i] = 20 * Math.pow(nyquist / 20, i / (nPoints - 1));
     }
-    const magRes   = new Float32Array(nPoints);
-    const phaseRes = new Float32Array(nPoints);
-    const tmpCtx   = new AudioContext({ sampleRate });
-    const tmpNode  = tmpCtx.createBiquadFilter();
-    tmpNode.type            = this.state.type;
-    tmpNode.frequency.value = Math.min(this.state.frequency, nyquist - 1);
-    tmpNode.Q.value         = this.state.Q;
-    tmpNode.getFrequencyResponse(freqs, magRes, phaseRes);
-    tmpCtx.close();  // release resources; fire-and-forget async close is fine
-    const db = new Float32Array(nPoints);
+
+    const webAudio = this._backend === 'webaudio' && this.state.type !== 'none';
+    let designs, delayDesigns;
+    try {
+      designs      = this._designChain(sampleRate, !webAudio);
+      delayDesigns = webAudio ? this._designChain(sampleRate, true) : designs;
+    } catch {
+      return null;   // a stage that cannot be designed at this rate has no response
+    }
+    const { re, im } = designsResponse(designs, freqs, sampleRate);
+    const delay      = designsGroupDelay(delayDesigns, freqs, sampleRate);
+
+    if (webAudio) {
+      const magRes   = new Float32Array(nPoints);
+      const phaseRes = new Float32Array(nPoints);
+      const tmpCtx   = new AudioContext({ sampleRate });
+      const tmpNode  = tmpCtx.createBiquadFilter();
+      tmpNode.type            = this.state.type;
+      tmpNode.frequency.value = Math.min(this.state.frequency, nyquist - 1);
+      tmpNode.Q.value         = this.state.Q;
+      tmpNode.getFrequencyResponse(freqs, magRes, phaseRes);
+      tmpCtx.close();  // release resources; fire-and-forget async close is fine
+      for (let i = 0; i < nPoints; i++) {
+        const hr = magRes[i] * Math.cos(phaseRes[i]);
+        const hi = magRes[i] * Math.sin(phaseRes[i]);
+        const r  = re[i] * hr - im[i] * hi;
+        im[i]    = re[i] * hi + im[i] * hr;
+        re[i]    = r;
+      }
+    }
+
+    const db         = new Float32Array(nPoints);
+    const phase      = new Float32Array(nPoints);
+    const groupDelay = new Float32Array(nPoints);
     for (let i = 0; i < nPoints; i++) {
-      db[i] = 20 * Math.log10(Math.max(magRes[i], 1e-10));
+      const mag = Math.hypot(re[i], im[i]);
+      // Forward-backward squares the magnitude and cancels the phase
+      db[i]         = 20 * Math.log10(Math.max(this.state.zeroPhase ? mag * mag : mag, 1e-10));
+      phase[i]      = this.state.zeroPhase ? 0 : Math.atan2(im[i], re[i]);
+      groupDelay[i] = this.state.zeroPhase ? 0 : delay[i];
     }
-    return { freqs, db };
+    return { freqs, db, phase, groupDelay };
   }
 
   static get filterTypes() {
     return ['none', 'lowpass', 'highpass', 'bandpass', 'notch', 'allpass'];
   }
+
+  static get backends() {
+    return ['js', 'webaudio'];
+  }
+
+  // ─── Private ────────────────────────────────────────────────────────────────
+
+  _emitChanged() {
+    this.emit('changed', { ...this.state });
+  }
+
+  /** The biquad as a chain stage spec (dsp/chain.js). */
+  _biquadSpec() {
+    const { type, frequency, Q } = this.state;
+    return { kind: 'biquad', type, frequency, Q };
+  }
+
+  /**
+   * Chain stages designed for sampleRate, preceded by the biquad when
+   * `withBiquad` and a type is set (cached: equiripple design is not cheap).
+   */
+  _designChain(sampleRate, withBiquad) {
+    const specs = this.state.stages.map(({ id, ...spec }) => spec);
+    if (withBiquad && this.state.type !== 'none') {
+      // Same cutoff clamp as the BiquadFilterNode path
+      specs.unshift({ ...this._biquadSpec(), frequency: Math.min(this.state.frequency, sampleRate / 2 - 1) });
+    }
+    return specs.map(spec => {
+      const key = `${sampleRate}|${JSON.stringify(spec)}`;
+      let design = this._designs.get(key);
+      if (!design) {
+        design = designStage(spec, sampleRate);
+        if (this._designs.size > 64) this._designs.clear();
+        this._designs.set(key, design);
+      }
+      return design;
+    });
+  }
+
+  async _renderBiquad(samples, sampleRate) {
+    const offlineCtx = new OfflineAudioContext(1, samples.length, sampleRate);
+    const buf        = offlineCtx.createBuffer(1, samples.length, sampleRate);
+    buf.getChannelData(0).set(samples);
+    const source = offlineCtx.createBufferSource();
+    source.buffer = buf;
+    const filter = offlineCtx.createBiquadFilter();
+    filter.type            = this.state.type;
+    filter.frequency.value = Math.min(this.state.frequency, sampleRate / 2 - 1);
+    filter.Q.value         = this.state.Q;
+    source.connect(filter);
+    filter.connect(offlineCtx.destination);
+    source.start(0);
+    const rendered = await offlineCtx.startRendering();
+    return rendered.getChannelData(0).slice();  // copy — ChannelData view becomes invalid after GC
+  }
 }
@@ -1,25 +1,91 @@
 import EventEmitter from 'events';
+import { timeStretch } from './timeStretch.js';
 
+export const MIN_RATE = 0.1;
+export const MAX_RATE = 4;
+
+/**
+ * PlaybackController — Web Audio playback of an N-channel PCM buffer.
+ *
+ * Graph: BufferSource → ChannelSplitter → one GainNode per channel →
+ * ChannelMerger → destination.  Each channel keeps its own output slot, so
+ * stereo stays stereo; the per-channel gains implement mute and solo.
+ *
+ * Mute/solo follow mixing-desk rules: while any channel is soloed only the
+ * soloed channels are audible, otherwise every unmuted channel is.
+ *
+ * Range playback: playRange() plays only [start, end], once or looping, and
+ * keeps currentTime inside it.  The range stays active through pause/resume
+ * and after it finishes (play() replays it); stop(), seeking outside it or
+ * loading a new buffer ends it.
+ *
+ * Rate: setRate() plays 0.1×–4× as fast.  By default this is a tape-speed
+ * change — pitch moves with the rate, which is what brings ultrasonic calls
+ * into hearing range.  With setPreservePitch(true) the buffer is instead
+ * time-stretched offline (phase vocoder, see timeStretch.js) and played at
+ * 1×, so the pitch stays put.  Either way currentTime, ranges and seek()
+ * stay in seconds of the original recording.
+ *
+ * Events:
+ *   stateChanged    { state: 'loaded' | 'playing' | 'paused' | 'stopped', duration? }
+ *   channelsChanged { channels: [{ muted, soloed, audible }] }
+ *   rateChanged     { rate, preservePitch }
+ *   stretchChanged  { stretching }  — around the offline time-stretch
+ */
 export class PlaybackController extends EventEmitter {
   constructor() {
     super();
     this._audioContext     = null;
     this._audioBuffer      = null;
     this._source           = null;
+    this._splitter         = null;
+    this._merger           = null;
+    this._gains            = [];  // GainNode per channel
+    this._channels         = [];  // { muted, soloed } per channel
     this._isPlaying        = false;
     this._pauseOffset      = 0;   // seconds into buffer where we paused/stopped
     this._startContextTime = 0;   // audioContext.currentTime at last play() call
     this._startOffset      = 0;   // buffer offset at last play() call
+    this._range            = null; // { start, end, loop } while range playback is active
+    this._rate             = 1;
+    this._sourceRate       = 1;   // rate the running source advances the original timeline at
+    this._preservePitch    = false;
+    this._stretched        = null; // { rate, buffer } — cached time-stretched buffer
+    this._playToken        = 0;    // latest play() call; older ones give up after awaiting
+    this._stretchJobs      = 0;    // time-stretches in progress
   }
 
   get isPlaying() { return this._isPlaying; }
   get duration()  { return this._audioBuffer?.duration ?? 0; }
+  get channelCount() { return this._channels.length; }
+
+  /** Per-channel mute/solo state, plus whether each channel is currently heard. */
+  get channels() {
+    const anySolo = this._channels.some(c => c.soloed);
+    return this._channels.map(c => ({
+      muted:   c.muted,
+      soloed:  c.soloed,
+      audible: anySolo ? c.soloed : !c.muted,
+    }));
+  }
+
+  get rate()          { return this._rate; }
+  get preservePitch() { return this._preservePitch; }
+  /** True while a time-stretched buffer is being computed. */
+  get stretching()    { return this._stretchJobs > 0; }
+
+  /** Active playback range { start, end, loop } in seconds, or null. */
+  get range() { return this._range ? { ...this._range } : null; }
 
   /** Returns the current playback position in seconds. */
   get currentTime() {
     if (this._isPlaying && this._audioContext) {
       const elapsed = this._audioContext.currentTime - this._startContextTime;
-      return Math.min(this._startOffset + elapsed, this.duration);
+      let t = this._startOffset + elapsed * this._sourceRate;
+      const r = this._range;
+      if (r?.loop && t >= r.end) t = r.start + (t - r.start) % (r.end - r.start);
+      else if (r) t = Math.min(t, r.end);
+      return Math.min(t, this.duration);
     }
     return this._pauseOffset;
   }
@@ -27,49 +93,166 @@ export class PlaybackController extends EventEmitter {
   /**
    * Decode samples into an AudioBuffer. Called after file load.
    * Creates or reuses the AudioContext; resumes it (autoplay policy).
+   *
+   * @param {Float32Array|Float32Array[]} samples — mono PCM, or one array per channel
+   * @param {number} sampleRate
+   *
+   * Mute/solo state survives a reload with the same channel count (e.g.
+   * after applying a filter) and is reset otherwise.
    */
   async loadBuffer(samples, sampleRate) {
+    const channels = Array.isArray(samples) ? samples : [samples];
     this._stopSource();
     this._isPlaying   = false;
     this._pauseOffset = 0;
+    this._range       = null;
+    this._stretched   = null;
     if (!this._audioContext || this._audioContext.state === 'closed') {
       this._audioContext = new AudioContext({ sampleRate });
     }
     await this._audioContext.resume();
-    const buf = this._audioContext.createBuffer(1, samples.length, sampleRate);
-    buf.getChannelData(0).set(samples);
+    const buf = this._audioContext.createBuffer(channels.length, channels[0].length, sampleRate);
+    channels.forEach((pcm, i) => buf.getChannelData(i).set(pcm));
     this._audioBuffer = buf;
+
+    if (this._channels.length !== channels.length) {
+      this._channels = channels.map(() => ({ muted: false, soloed: false }));
+      this._buildGraph(channels.length);
+      this.emit('channelsChanged', { channels: this.channels });
+    } else if (this._splitter?.context !== this._audioContext) {
+      this._buildGraph(channels.length);   // context was recreated
+    }
     this.emit('stateChanged', { state: 'loaded', duration: buf.duration });
   }
 
-  /** Start or resume playback. Optional offset (seconds) overrides saved position. */
+  /** Mute or unmute one channel.  Takes effect immediately, also mid-playback. */
+  setChannelMute(index, muted) {
+    const ch = this._channels[index];
+    if (!ch || ch.muted === !!muted) return;
+    ch.muted = !!muted;
+    this._applyGains();
+  }
+
+  /** Solo or unsolo one channel.  Several channels may be soloed at once. */
+  setChannelSolo(index, soloed) {
+    const ch = this._channels[index];
+    if (!ch || ch.soloed === !!soloed) return;
+    ch.soloed = !!soloed;
+    this._applyGains();
+  }
+
+  /**
+   * Start or resume playback. Optional offset (seconds) overrides saved position.
+   * With an active range, playback starts at the range start if the offset
+   * falls outside it.
+   */
   async play(offset = null) {
     if (!this._audioBuffer || !this._audioContext) return;
+    const token = ++this._playToken;
     await this._audioContext.resume();   // browser autoplay guard
+    const buffer = await this._playbackBuffer();
+    if (token !== this._playToken || !buffer) return;   // superseded while waiting
     this._stopSource();
-    const startAt = (offset !== null) ? Math.max(0, offset) : this._pauseOffset;
+    const r = this._range;
+    let startAt = (offset !== null) ? Math.max(0, offset) : this._pauseOffset;
+    if (r && (startAt < r.start || startAt >= r.end)) startAt = r.start;
     if (startAt >= this.duration) return;
 
+    // Source-buffer seconds per original second: 1, or 1/rate when stretched
+    const stretched = buffer !== this._audioBuffer;
+    const k = stretched ? 1 / this._rate : 1;
+
     const source = this._audioContext.createBufferSource();
-    source.buffer = this._audioBuffer;
-    source.connect(this._audioContext.destination);
+    source.buffer = buffer;
+    source.playbackRate.value = stretched ? 1 : this._rate;
+    source.connect(this._splitter);
     source._userStopped = false;  // distinguish natural end from manual stop
     source.onended = () => {
       if (!source._userStopped) {
         this._isPlaying   = false;
-        this._pauseOffset = 0;
+        this._pauseOffset = this._range ? this._range.start : 0;
         this.emit('stateChanged', { state: 'stopped' });
       }
     };
-    source.start(0, startAt);
+    if (r?.loop) {
+      source.loop      = true;
+      source.loopStart = r.start * k;
+      source.loopEnd   = r.end * k;
+      source.start(0, startAt * k);
+    } else if (r) {
+      source.start(0, startAt * k, (r.end - startAt) * k);
+    } else {
+      source.start(0, startAt * k);
+    }
     this._source           = source;
+    this._sourceRate       = this._rate;
     this._startContextTime = this._audioContext.currentTime;
     this._startOffset      = startAt;
     this._isPlaying        = true;
     this.emit('stateChanged', { state: 'playing' });
   }
 
+  /**
+   * Play only [start, end] (seconds), from its start.
+   * @param {number} start
+   * @param {number} end
+   * @param {object}  [opts]
+   * @param {boolean} [opts.loop=false] — repeat the range until stopped
+   */
+  playRange(start, end, { loop = false } = {}) {
+    const lo = Math.max(0, Math.min(start, end));
+    const hi = Math.min(this.duration, Math.max(start, end));
+    if (hi <= lo) return;
+    this._range = { start: lo, end: hi, loop: !!loop };
+    return this.play(lo);
+  }
+
+  /** Turn looping of the active range on or off without restarting it. */
+  setLoop(loop) {
+    const r = this._range;
+    if (!r || r.loop === !!loop) return;
+    const t = this.currentTime;   // read before the range changes
+    r.loop = !!loop;
+    if (this._isPlaying) this.play(t);
+  }
+
+  /**
+   * Set the playback rate, clamped to [MIN_RATE, MAX_RATE].  Takes effect
+   * immediately; with preservePitch the stretched buffer is rebuilt first.
+   * @param {number} rate
+   */
+  async setRate(rate) {
+    const next = Math.min(MAX_RATE, Math.max(MIN_RATE, rate));
+    if (next === this._rate) return;
+    const t = this.currentTime;
+    this._rate = next;
+    this.emit('rateChanged', { rate: next, preservePitch: this._preservePitch });
+    if (!this._isPlaying) return;
+    if (this._preservePitch) {
+      await this.play(t);
+    } else {
+      // Re-anchor the clock, then change speed in place (no restart, no gap)
+      this._startOffset      = t;
+      this._startContextTime = this._audioContext.currentTime;
+      this._sourceRate       = next;
+      this._source.playbackRate.value = next;
+    }
+  }
+
+  /**
+   * Keep the pitch when the rate is not 1× (offline time-stretch) instead of
+   * letting it follow the rate.
+   * @param {boolean} on
+   */
+  async setPreservePitch(on) {
+    if (this._preservePitch === !!on) return;
+    this._preservePitch = !!on;
+    this.emit('rateChanged', { rate: this._rate, preservePitch: this._preservePitch });
+    if (this._isPlaying && this._rate !== 1) await this.play(this.currentTime);
+  }
+
   pause() {
+    this._playToken++;   // also cancels a play() still waiting for its buffer
     if (!this._isPlaying) return;
     this._pauseOffset = this.currentTime;
     this._stopSource();
@@ -78,15 +261,19 @@ export class PlaybackController extends EventEmitter {
   }
 
   stop() {
+    this._playToken++;
     this._stopSource();
     this._isPlaying   = false;
     this._pauseOffset = 0;
+    this._range       = null;
     this.emit('stateChanged', { state: 'stopped' });
   }
 
-  /** Jump to a time; resumes playback if it was playing. */
+  /** Jump to a time; resumes playback if it was playing.  Leaves range playback if outside the range. */
   seek(time) {
     const clipped    = Math.max(0, Math.min(time, this.duration));
+    const r          = this._range;
+    if (r && (clipped < r.start || clipped >= r.end)) this._range = null;
     const wasPlaying = this._isPlaying;
     if (wasPlaying) { this._stopSource(); this._isPlaying = false; }
     this._pauseOffset = clipped;
@@ -98,6 +285,67 @@ export class PlaybackController extends EventEmitter {
     this._stopSource();
     this._audioContext?.close();
     this._audioContext = null;
+    this._splitter     = null;
+    this._merger       = null;
+    this._gains        = [];
+  }
+
+  /**
+   * Buffer to play at the current rate: the original, or its time-stretch.
+   * The stretch is cached per rate and shared by concurrent callers.
+   */
+  _playbackBuffer() {
+    const src = this._audioBuffer;
+    if (!this._preservePitch || this._rate === 1) return Promise.resolve(src);
+    const s = this._stretched;
+    if (!s || s.rate !== this._rate || s.source !== src) {
+      this._stretched = { rate: this._rate, source: src, promise: this._stretch(src, this._rate) };
+    }
+    return this._stretched.promise;
+  }
+
+  async _stretch(src, rate) {
+    const ratio = 1 / rate;
+    if (this._stretchJobs++ === 0) this.emit('stretchChanged', { stretching: true });
+    try {
+      const out = this._audioContext.createBuffer(
+        src.numberOfChannels, Math.round(src.length * ratio), src.sampleRate);
+      for (let c = 0; c < src.numberOfChannels; c++) {
+        await new Promise(resolve => setTimeout(resolve, 0));   // let the UI paint between channels
+        if (this._audioBuffer !== src) return null;             // a new buffer was loaded meanwhile
+        out.getChannelData(c).set(timeStretch(src.getChannelData(c), ratio));
+      }
+      return out;
+    } finally {
+      if (--this._stretchJobs === 0) this.emit('stretchChanged', { stretching: false });
+    }
+  }
+
+  _buildGraph(count) {
+    const ctx = this._audioContext;
+    this._splitter?.disconnect();
+    this._gains.forEach(g => g.disconnect());
+    this._merger?.disconnect();
+
+    this._splitter = ctx.createChannelSplitter(count);
+    this._merger   = ctx.createChannelMerger(count);
+    this._gains    = this._channels.map((_, i) => {
+      const gain = ctx.createGain();
+      this._splitter.connect(gain, i);
+      gain.connect(this._merger, 0, i);
+      return gain;
+    });
+    this._merger.connect(ctx.destination);
+    this._applyGains(false);
+  }
+
+  _applyGains(notify = true) {
+    const now = this._audioContext?.currentTime ?? 0;
+    this.channels.forEach(({ audible }, i) => {
+      // Short ramp instead of a hard switch so toggling mid-playback doesn't click
+      this._gains[i]?.gain.setTargetAtTime(audible ? 1 : 0, now, 0.005);
+    });
+    if (notify) this.emit('channelsChanged', { channels: this.channels });
   }
 
   _stopSource() {
@@ -0,0 +1,98 @@
+/**
+ * ResampleWorkerClient — runs dsp/resample.js off the main thread.
+ *
+ * Resampling a long recording is billions of multiply-adds, so it runs in a
+ * Web Worker.  Each channel is copied once and the copy's buffer is
+ * transferred to the worker; the resampled channels come back transferred,
+ * so nothing is cloned.  Jobs run in the order they are started.
+ *
+ * Where Worker is unavailable (SSR, old browsers, Node) the job runs on the
+ * main thread one channel at a time, yielding between channels; the promise
+ * API is the same.
+ *
+ * Usage:
+ *   const client = new ResampleWorkerClient();
+ *   const out = await client.resample(channels, 48000, 44100);   // Float32Array[]
+ *   client.terminate();
+ */
+
+import { resample } from './dsp/resample.js';
+
+export class ResampleWorkerClient {
+  constructor() {
+    this._jobId  = 0;
+    this._jobs   = new Map();   // jobId → { resolve, reject }
+    this._worker = null;
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this._worker = new Worker(new URL('./resample.worker.js', import.meta.url));
+        this._worker.onmessage = (e) => this._onMessage(e.data);
+        this._worker.onerror   = (e) => {
+          e.preventDefault();
+          this._rejectAll(new Error(e.message || 'resample worker error'));
+        };
+      } catch {
+        this._worker = null;   // resampling on the main thread instead
+      }
+    }
+  }
+
+  /**
+   * Resample every channel from fromRate to toRate (see dsp/resample.js).
+   * The input arrays are not modified or detached.
+   *
+   * @param {Float32Array[]} channels
+   * @param {number} fromRate — Hz (integer)
+   * @param {number} toRate   — Hz (integer)
+   * @param {object} [opts]   — as resample()
+   * @returns {Promise<Float32Array[]>}
+   */
+  resample(channels, fromRate, toRate, opts = {}) {
+    if (!this._worker) return this._resampleHere(channels, fromRate, toRate, opts);
+
+    const jobId  = ++this._jobId;
+    const copies = channels.map(ch => ch.slice());   // own buffers — transferred below
+    return new Promise((resolve, reject) => {
+      this._jobs.set(jobId, { resolve, reject });
+      this._worker.postMessage({ jobId, channels: copies, fromRate, toRate, opts },
+                               copies.map(ch => ch.buffer));
+    });
+  }
+
+  /** Release the worker; jobs still running reject.  The client cannot be reused. */
+  terminate() {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._rejectAll(new Error('ResampleWorkerClient terminated'));
+  }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  async _resampleHere(channels, fromRate, toRate, opts) {
+    const out = [];
+    for (const ch of channels) {
+      await new Promise(resolve => setTimeout(resolve, 0));   // let the UI paint between channels
+      out.push(resample(ch, fromRate, toRate, opts));
+    }
+    return out;
+  }
+
+  _onMessage(msg) {
+    const job = this._jobs.get(msg.jobId);
+    if (!job) return;
+    this._jobs.delete(msg.jobId);
+    if (msg.type === 'done') job.resolve(msg.channels);
+    else job.reject(new Error(msg.message));
+  }
+
+  _rejectAll(err) {
+    const jobs = [...this._jobs.values()];
+    this._jobs.clear();
+    for (const job of jobs) job.reject(err);
+  }
+}
+
+export default ResampleWorkerClient;
@@ -0,0 +1,85 @@
+/**
+ * biquad — second-order section coefficients with BiquadFilterNode semantics.
+ *
+ * The formulas are those of the Web Audio spec ("Filters characteristics",
+ * after the RBJ Audio EQ Cookbook), so a section designed here sounds like a
+ * BiquadFilterNode with the same type / frequency / Q / gain.  As there,
+ * lowpass and highpass read Q in dB (resonance peak height); the other types
+ * read it as a plain quality factor, and the shelves use slope S = 1.
+ *
+ * Sections are { b0, b1, b2, a1, a2 }, normalised so a0 = 1:
+ *
+ *   H(z) = (b0 + b1·z⁻¹ + b2·z⁻²) / (1 + a1·z⁻¹ + a2·z⁻²)
+ */
+
+export const BIQUAD_TYPES = [
+  'lowpass', 'highpass', 'bandpass', 'notch', 'allpass', 'peaking', 'lowshelf', 'highshelf',
+];
+
+/**
+ * @param {string} type       — one of BIQUAD_TYPES
+ * @param {number} frequency  — Hz; clamped inside (0, Nyquist)
+ * @param {number} Q
+ * @param {number} gain       — dB (peaking and shelves only)
+ * @param {number} sampleRate
+ * @returns {{ b0: number, b1: number, b2: number, a1: number, a2: number }}
+ */
+export function biquadCoefficients(type, frequency, Q, gain, sampleRate) {
+  const nyquist = sampleRate / 2;
+  const f0    = Math.min(Math.max(frequency, 1e-3), nyquist * 0.9999);
+  const w0    = 2 * Math.PI * f0 / sampleRate;
+  const cos   = Math.cos(w0);
+  const sin   = Math.sin(w0);
+  const A     = Math.pow(10, gain / 40);
+  const alphaQ   = sin / (2 * Q);
+  const alphaQdB = sin / (2 * Math.pow(10, Q / 20));
+  const alphaS   = sin / 2 * Math.SQRT2;   // S = 1
+  const sqrtA    = Math.sqrt(A);
+
+  let b0, b1, b2, a0, a1, a2;
+  switch (type) {
+    case 'lowpass':
+      b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+      a0 = 1 + alphaQdB;  a1 = -2 * cos; a2 = 1 - alphaQdB;
+      break;
+    case 'highpass':
+      b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+      a0 = 1 + alphaQdB;  a1 = -2 * cos;   a2 = 1 - alphaQdB;
+      break;
+    case 'bandpass':
+      b0 = alphaQ;     b1 = 0;         b2 = -alphaQ;
+      a0 = 1 + alphaQ; a1 = -2 * cos;  a2 = 1 - alphaQ;
+      break;
+    case 'notch':
+      b0 = 1;          b1 = -2 * cos;  b2 = 1;
+      a0 = 1 + alphaQ; a1 = -2 * cos;  a2 = 1 - alphaQ;
+      break;
+    case 'allpass':
+      b0 = 1 - alphaQ; b1 = -2 * cos;  b2 = 1 + alphaQ;
+      a0 = 1 + alphaQ; a1 = -2 * cos;  a2 = 1 - alphaQ;
+      break;
+    case 'peaking':
+      b0 = 1 + alphaQ * A; b1 = -2 * cos; b2 = 1 - alphaQ * A;
+      a0 = 1 + alphaQ / A; a1 = -2 * cos; a2 = 1 - alphaQ / A;
+      break;
+    case 'lowshelf':
+      b0 =      A * ((A + 1) - (A - 1) * cos + 2 * alphaS * sqrtA);
+      b1 =  2 * A * ((A - 1) - (A + 1) * cos);
+      b2 =      A * ((A + 1) - (A - 1) * cos - 2 * alphaS * sqrtA);
+      a0 =           (A + 1) + (A - 1) * cos + 2 * alphaS * sqrtA;
+      a1 =     -2 * ((A - 1) + (A + 1) * cos);
+      a2 =           (A + 1) + (A - 1) * cos - 2 * alphaS * sqrtA;
+      break;
+    case 'highshelf':
+      b0 =      A * ((A + 1) + (A - 1) * cos + 2 * alphaS * sqrtA);
+      b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+      b2 =      A * ((A + 1) + (A - 1) * cos - 2 * alphaS * sqrtA);
+      a0 =           (A + 1) - (A - 1) * cos + 2 * alphaS * sqrtA;
+      a1 =      2 * ((A - 1) - (A + 1) * cos);
+      a2 =           (A + 1) - (A - 1) * cos - 2 * alphaS * sqrtA;
+      break;
+    default:
+      throw new Error(`biquadCoefficients: unknown type "${type}"`);
+  }
+  return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+}
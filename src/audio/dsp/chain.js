@@ -0,0 +1,178 @@
+/**
+ * chain — design, run and evaluate a series of filter stages.
+ *
+ * A stage spec is a plain, serialisable object; designStage() turns it into
+ * coefficients for one sample rate:
+ *
+ *   { kind: 'biquad',         type, frequency, Q = 1, gain = 0 }       → { sos }
+ *   { kind: 'butterworth',    type, frequency, order = 4 }             → { sos }
+ *   { kind: 'fir-window',     type, frequency, numTaps = 101,
+ *                             window = 'hamming', beta }               → { taps }
+ *   { kind: 'fir-equiripple', type, frequency, numTaps = 101,
+ *                             transitionWidth = 4·sampleRate/numTaps,
+ *                             narrowed to fit beside the edges }       → { taps }
+ *
+ * `type` is a BiquadFilterNode type for 'biquad' stages and one of
+ * lowpass / highpass / bandpass / bandstop otherwise; band types take
+ * `frequency` as [low, high] Hz.
+ */
+
+import { biquadCoefficients } from './biquad.js';
+import { butterworth, sosFilter, sosSteadyState, sosResponse } from './iir.js';
+import {
+  firWindowedSinc, firEquiripple, equirippleBands, firFilter, firSteadyState, firResponse,
+} from './fir.js';
+import { zeroPhase } from './zeroPhase.js';
+
+export const STAGE_KINDS = ['biquad', 'butterworth', 'fir-window', 'fir-equiripple'];
+
+/**
+ * @param {object} spec
+ * @param {number} sampleRate
+ * @returns {{ sos: object[] } | { taps: Float64Array }}
+ */
+export function designStage(spec, sampleRate) {
+  const { kind, type, frequency } = spec;
+  switch (kind) {
+    case 'biquad':
+      return { sos: [biquadCoefficients(type, frequency, spec.Q ?? 1, spec.gain ?? 0, sampleRate)] };
+    case 'butterworth':
+      return { sos: butterworth(spec.order ?? 4, type, frequency, sampleRate) };
+    case 'fir-window':
+      return {
+        taps: firWindowedSinc(spec.numTaps ?? 101, type, frequency, sampleRate,
+          { window: spec.window, beta: spec.beta }),
+      };
+    case 'fir-equiripple': {
+      const numTaps = spec.numTaps ?? 101;
+      const width   = spec.transitionWidth ?? defaultTransition(numTaps, frequency, sampleRate);
+      const { bands, desired } = equirippleBands(type, frequency, width, sampleRate);
+      return { taps: firEquiripple(numTaps, bands, desired, sampleRate, { weights: spec.weights }) };
+    }
+    default:
+      throw new Error(`designStage: unknown stage kind "${kind}"`);
+  }
+}
+
+/** 4·sampleRate/numTaps (≈ 70 dB stopband), narrowed so it fits beside every edge. */
+function defaultTransition(numTaps, frequency, sampleRate) {
+  const nyquist = sampleRate / 2;
+  const edges   = Array.isArray(frequency) ? frequency : [frequency];
+  let room = Math.min(...edges.map(f => Math.min(f, nyquist - f)));
+  if (edges.length === 2) room = Math.min(room, (edges[1] - edges[0]) / 2);
+  return Math.min(4 * sampleRate / numTaps, 1.8 * room);
+}
+
+/** Filter with one design; `steady` starts it settled on x[0] instead of silence. */
+function runDesign(design, x, steady) {
+  const x0 = x.length ? x[0] : 0;
+  return design.sos
+    ? sosFilter(design.sos, x, steady ? sosSteadyState(design.sos, x0) : undefined)
+    : firFilter(design.taps, x, steady ? firSteadyState(design.taps, x0) : undefined);
+}
+
+/** Odd-extension length for zero-phase runs: 3× each stage's order, as scipy. */
+function padLength(designs) {
+  let pad = 0;
+  for (const d of designs) pad += d.sos ? 3 * (2 * d.sos.length + 1) : 3 * d.taps.length;
+  return pad;
+}
+
+/**
+ * Run samples through every design in order.
+ *
+ * @param {Array<object>} designs — designStage() results
+ * @param {ArrayLike<number>} samples
+ * @param {object} [opts]
+ * @param {boolean} [opts.zeroPhase=false] — forward-backward (see zeroPhase.js)
+ * @returns {Float32Array}
+ */
+export function applyDesigns(designs, samples, opts = {}) {
+  const out = opts.zeroPhase
+    ? zeroPhase(samples, x => designs.reduce((sig, d) => runDesign(d, sig, true), x), padLength(designs))
+    : designs.reduce((sig, d) => runDesign(d, sig, false), Float64Array.from(samples));
+  return Float32Array.from(out);
+}
+
+/**
+ * Combined complex response of the designs in series.
+ *
+ * @param {Array<object>} designs
+ * @param {ArrayLike<number>} freqs — Hz
+ * @param {number} sampleRate
+ * @returns {{ re: Float64Array, im: Float64Array }}
+ */
+export function designsResponse(designs, freqs, sampleRate) {
+  const re = new Float64Array(freqs.length).fill(1);
+  const im = new Float64Array(freqs.length);
+  for (const d of designs) {
+    const h = d.sos ? sosResponse(d.sos, freqs, sampleRate) : firResponse(d.taps, freqs, sampleRate);
+    for (let i = 0; i < freqs.length; i++) {
+      const r = re[i] * h.re[i] - im[i] * h.im[i];
+      im[i]   = re[i] * h.im[i] + im[i] * h.re[i];
+      re[i]   = r;
+    }
+  }
+  return { re, im };
+}
+
+/** Group delay (samples) of the polynomial Σ c[k]·z⁻ᵏ at ω: Re(Σ k·c[k]·e^(−jωk) / Σ c[k]·e^(−jωk)). */
+function polyGroupDelay(c, w) {
+  let nr = 0, ni = 0, dr = 0, di = 0;
+  for (let k = 0; k < c.length; k++) {
+    const cos = Math.cos(w * k), sin = Math.sin(w * k);
+    nr += c[k] * cos;     ni -= c[k] * sin;
+    dr += k * c[k] * cos; di -= k * c[k] * sin;
+  }
+  const mag2 = nr * nr + ni * ni;
+  return mag2 > 1e-24 ? (dr * nr + di * ni) / mag2 : 0;   // undefined at an exact zero
+}
+
+/**
+ * Combined group delay −dφ/dω of the designs in series, in seconds.
+ *
+ * @param {Array<object>} designs
+ * @param {ArrayLike<number>} freqs — Hz
+ * @param {number} sampleRate
+ * @returns {Float64Array}
+ */
+export function designsGroupDelay(designs, freqs, sampleRate) {
+  const out = new Float64Array(freqs.length);
+  for (let i = 0; i < freqs.length; i++) {
+    const w = 2 * Math.PI * freqs[i] / sampleRate;
+    let samples = 0;
+    for (const d of designs) {
+      if (d.taps) {
+        samples += polyGroupDelay(d.taps, w);
+      } else {
+        for (const { b0, b1, b2, a1, a2 } of d.sos) {
+          samples += polyGroupDelay([b0, b1, b2], w) - polyGroupDelay([1, a1, a2], w);
+        }
+      }
+    }
+    out[i] = samples / sampleRate;
+  }
+  return out;
+}
+
+// ─── Labels ──────────────────────────────────────────────────────────────────
+
+const fmtHz = (f) => (f < 1000 ? `${f.toFixed(0)} Hz` : `${(f / 1000).toFixed(2)} kHz`);
+
+/**
+ * Short human-readable summary, e.g. "Butterworth lowpass order 8 1.00 kHz".
+ * @param {object} spec
+ * @returns {string}
+ */
+export function describeStage(spec) {
+  const freq = Array.isArray(spec.frequency)
+    ? spec.frequency.map(fmtHz).join('–')
+    : fmtHz(spec.frequency);
+  switch (spec.kind) {
+    case 'biquad':         return `biquad ${spec.type} ${freq} Q ${(spec.Q ?? 1).toFixed(2)}`;
+    case 'butterworth':    return `Butterworth ${spec.type} order ${spec.order ?? 4} ${freq}`;
+    case 'fir-window':     return `FIR ${spec.type} ${spec.numTaps ?? 101} taps ${freq} (${spec.window || 'hamming'})`;
+    case 'fir-equiripple': return `FIR ${spec.type} ${spec.numTaps ?? 101} taps ${freq} (equiripple)`;
+    default:               return String(spec.kind);
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * fir — linear-phase FIR design, filtering and frequency response.
+ *
+ * Both designs return symmetric taps, so every frequency is delayed by the
+ * same (numTaps − 1) / 2 samples and waveforms keep their shape.
+ *
+ *   firWindowedSinc — ideal (sinc) response truncated by a window, as
+ *                     scipy.signal.firwin; the window trades transition width
+ *                     for stopband depth.
+ *   firEquiripple   — Parks–McClellan / Remez exchange, as scipy.signal.remez;
+ *                     minimises the worst-case weighted error, so for a given
+ *                     length it has the narrowest transition of the two.
+ *
+ * Highpass and bandstop responses need an odd number of taps: an even-length
+ * symmetric filter always has a zero at Nyquist.
+ */
+
+import { createWindow } from './windows.js';
+
+export const FIR_TYPES = ['lowpass', 'highpass', 'bandpass', 'bandstop'];
+
+/** Normalised (0…1 = Nyquist) passbands of a FIR_TYPES response. */
+function passbands(type, frequency, sampleRate) {
+  const nyquist = sampleRate / 2;
+  const band    = type === 'bandpass' || type === 'bandstop';
+  const edges   = band ? frequency : [frequency];
+  if (!FIR_TYPES.includes(type)) throw new Error(`fir: unknown type "${type}"`);
+  if (!Array.isArray(edges) || edges.length !== (band ? 2 : 1) ||
+      edges.some(f => !(f > 0 && f < nyquist)) || (band && edges[0] >= edges[1])) {
+    throw new Error(`fir: invalid ${type} edge(s) ${JSON.stringify(frequency)} for Nyquist ${nyquist} Hz`);
+  }
+  const e = edges.map(f => f / nyquist);
+  switch (type) {
+    case 'lowpass':  return [[0, e[0]]];
+    case 'highpass': return [[e[0], 1]];
+    case 'bandpass': return [[e[0], e[1]]];
+    default:         return [[0, e[0]], [e[1], 1]];
+  }
+}
+
+function checkTaps(numTaps, type) {
+  if (!Number.isInteger(numTaps) || numTaps < 3) {
+    throw new Error(`fir: numTaps must be an integer ≥ 3, got ${numTaps}`);
+  }
+  if ((type === 'highpass' || type === 'bandstop') && numTaps % 2 === 0) {
+    throw new Error(`fir: a ${type} filter needs an odd number of taps, got ${numTaps}`);
+  }
+}
+
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+// ─── Windowed sinc ───────────────────────────────────────────────────────────
+
+/**
+ * @param {number} numTaps
+ * @param {string} type                 — one of FIR_TYPES
+ * @param {number|number[]} frequency   — −6 dB edge in Hz, or [low, high] for band types
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {string} [opts.window='hamming'] — any createWindow() name
+ * @param {number} [opts.beta]             — Kaiser shape parameter
+ * @returns {Float64Array} taps, scaled to unity gain in the (first) passband
+ */
+export function firWindowedSinc(numTaps, type, frequency, sampleRate, opts = {}) {
+  checkTaps(numTaps, type);
+  const bands = passbands(type, frequency, sampleRate);
+
+  // createWindow() is periodic; the symmetric window of N points is the
+  // periodic window of N − 1 points with its first value repeated at the end
+  const periodic = createWindow(opts.window || 'hamming', numTaps - 1, { beta: opts.beta });
+  const win = new Float64Array(numTaps);
+  win.set(periodic);
+  win[numTaps - 1] = periodic[0];
+
+  const alpha = (numTaps - 1) / 2;
+  const h = new Float64Array(numTaps);
+  for (let n = 0; n < numTaps; n++) {
+    const m = n - alpha;
+    let v = 0;
+    for (const [lo, hi] of bands) v += hi * sinc(hi * m) - lo * sinc(lo * m);
+    h[n] = v * win[n];
+  }
+
+  // Unity gain at DC, Nyquist or the passband centre
+  const [lo, hi] = bands[0];
+  const f = lo === 0 ? 0 : hi === 1 ? 1 : (lo + hi) / 2;
+  let gain = 0;
+  for (let n = 0; n < numTaps; n++) gain += h[n] * Math.cos(Math.PI * (n - alpha) * f);
+  for (let n = 0; n < numTaps; n++) h[n] /= gain;
+  return h;
+}
+
+// ─── Equiripple (Parks–McClellan) ────────────────────────────────────────────
+
+/**
+ * @param {number} numTaps
+ * @param {number[]} bands     — band edges in Hz, ascending pairs from 0 to
+ *                               Nyquist, e.g. [0, 1000, 1500, 22050]
+ * @param {number[]} desired   — gain per band, e.g. [1, 0]
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {number[]} [opts.weights]          — relative error weight per band (default all 1)
+ * @param {number}   [opts.gridDensity=16]
+ * @param {number}   [opts.maxIterations=40]
+ * @returns {Float64Array} taps
+ */
+export function firEquiripple(numTaps, bands, desired, sampleRate, opts = {}) {
+  const numBands = bands.length / 2;
+  if (!Number.isInteger(numTaps) || numTaps < 3) {
+    throw new Error(`firEquiripple: numTaps must be an integer ≥ 3, got ${numTaps}`);
+  }
+  if (!Number.isInteger(numBands) || numBands < 1 || desired.length !== numBands) {
+    throw new Error('firEquiripple: bands must be edge pairs with one desired gain per band');
+  }
+  for (let i = 0; i < bands.length; i++) {
+    if (bands[i] < 0 || bands[i] > sampleRate / 2 || (i > 0 && bands[i] <= bands[i - 1])) {
+      throw new Error(`firEquiripple: band edges must ascend within 0…${sampleRate / 2} Hz`);
+    }
+  }
+  if (numTaps % 2 === 0 && bands[bands.length - 1] === sampleRate / 2 && desired[numBands - 1] !== 0) {
+    throw new Error('firEquiripple: an even number of taps cannot pass Nyquist');
+  }
+  const weights = opts.weights || new Array(numBands).fill(1);
+  const density = opts.gridDensity || 16;
+  const maxIter = opts.maxIterations || 40;
+  const odd     = numTaps % 2 === 1;
+
+  // Edges in cycles/sample (0 … 0.5); r + 1 extremal frequencies
+  const edges = bands.map(f => f / sampleRate);
+  const r     = Math.floor(numTaps / 2) + (odd ? 1 : 0);
+
+  // Dense grid over the bands
+  const delf = 0.5 / (density * r);
+  const grid = [];
+  const D    = [];
+  const W    = [];
+  for (let b = 0; b < numBands; b++) {
+    const lo = edges[2 * b];
+    const hi = edges[2 * b + 1];
+    const k  = Math.max(1, Math.round((hi - lo) / delf));
+    for (let i = 0; i < k; i++) {
+      grid.push(lo + i * delf);
+      D.push(desired[b]);
+      W.push(weights[b]);
+    }
+    grid[grid.length - 1] = hi;
+  }
+  const gridSize = grid.length;
+  if (gridSize < r + 1) throw new Error('firEquiripple: bands too narrow for this many taps');
+
+  // An even-length symmetric filter is cos(πf) × a cosine series: fold it in
+  if (!odd) {
+    for (let i = 0; i < gridSize; i++) {
+      const c = Math.cos(Math.PI * grid[i]);
+      D[i] /= c;
+      W[i] *= c;
+    }
+  }
+
+  const ext = new Int32Array(r + 1);
+  for (let i = 0; i <= r; i++) ext[i] = Math.floor(i * (gridSize - 1) / r);
+
+  const x  = new Float64Array(r + 1);
+  const y  = new Float64Array(r + 1);
+  const ad = new Float64Array(r + 1);
+  const E  = new Float64Array(gridSize);
+
+  // Barycentric Lagrange weights and the alternating-error fit through ext
+  const calcParams = () => {
+    for (let i = 0; i <= r; i++) x[i] = Math.cos(2 * Math.PI * grid[ext[i]]);
+    const ld = Math.floor((r - 1) / 15) + 1;
+    for (let i = 0; i <= r; i++) {
+      let denom = 1;
+      for (let j = 0; j < ld; j++) {
+        for (let k = j; k <= r; k += ld) if (k !== i) denom *= 2 * (x[i] - x[k]);
+      }
+      if (Math.abs(denom) < 1e-5) denom = 1e-5;
+      ad[i] = 1 / denom;
+    }
+    let numer = 0, denom = 0, sign = 1;
+    for (let i = 0; i <= r; i++) {
+      numer += ad[i] * D[ext[i]];
+      denom += sign * ad[i] / W[ext[i]];
+      sign = -sign;
+    }
+    const delta = numer / denom;
+    sign = 1;
+    for (let i = 0; i <= r; i++) {
+      y[i] = D[ext[i]] - sign * delta / W[ext[i]];
+      sign = -sign;
+    }
+  };
+
+  const computeA = (freq) => {
+    const xc = Math.cos(2 * Math.PI * freq);
+    let numer = 0, denom = 0;
+    for (let i = 0; i <= r; i++) {
+      let c = xc - x[i];
+      if (Math.abs(c) < 1e-7) return y[i];
+      c = ad[i] / c;
+      denom += c;
+      numer += c * y[i];
+    }
+    return numer / denom;
+  };
+
+  // Pick the r + 1 largest alternating local extrema of the error
+  const search = () => {
+    const found = [];
+    if ((E[0] > 0 && E[0] > E[1]) || (E[0] < 0 && E[0] < E[1])) found.push(0);
+    for (let i = 1; i < gridSize - 1; i++) {
+      if ((E[i] >= E[i - 1] && E[i] > E[i + 1] && E[i] > 0) ||
+          (E[i] <= E[i - 1] && E[i] < E[i + 1] && E[i] < 0)) found.push(i);
+    }
+    const last = gridSize - 1;
+    if ((E[last] > 0 && E[last] > E[last - 1]) || (E[last] < 0 && E[last] < E[last - 1])) found.push(last);
+
+    let extra = found.length - (r + 1);
+    while (extra > 0) {
+      let up  = E[found[0]] > 0;
+      let l   = 0;
+      let alt = true;
+      for (let j = 1; j < found.length; j++) {
+        if (Math.abs(E[found[j]]) < Math.abs(E[found[l]])) l = j;
+        if (up && E[found[j]] < 0) up = false;
+        else if (!up && E[found[j]] > 0) up = true;
+        else { alt = false; break; }
+      }
+      // All alternating and one too many: drop the smaller end
+      if (alt && extra === 1) {
+        l = Math.abs(E[found[found.length - 1]]) < Math.abs(E[found[0]]) ? found.length - 1 : 0;
+      }
+      found.splice(l, 1);
+      extra--;
+    }
+    for (let i = 0; i <= r && i < found.length; i++) ext[i] = found[i];
+  };
+
+  const converged = () => {
+    let min = Math.abs(E[ext[0]]);
+    let max = min;
+    for (let i = 1; i <= r; i++) {
+      const v = Math.abs(E[ext[i]]);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    return max === 0 || (max - min) / max < 1e-4;
+  };
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    calcParams();
+    for (let i = 0; i < gridSize; i++) E[i] = W[i] * (D[i] - computeA(grid[i]));
+    search();
+    if (converged()) break;
+  }
+  calcParams();
+
+  // Sample the amplitude response on the DFT grid and invert
+  const half = Math.floor(numTaps / 2);
+  const A = new Float64Array(half + 1);
+  for (let i = 0; i <= half; i++) {
+    const c = odd ? 1 : Math.cos(Math.PI * i / numTaps);
+    A[i] = computeA(i / numTaps) * c;
+  }
+  const M    = (numTaps - 1) / 2;
+  const kMax = odd ? M : numTaps / 2 - 1;
+  const h    = new Float64Array(numTaps);
+  for (let n = 0; n < numTaps; n++) {
+    const w = 2 * Math.PI * (n - M) / numTaps;
+    let v = A[0];
+    for (let k = 1; k <= kMax; k++) v += 2 * A[k] * Math.cos(w * k);
+    h[n] = v / numTaps;
+  }
+  return h;
+}
+
+/**
+ * Band edges and gains for firEquiripple() from a FIR_TYPES response, with
+ * each transition band `transitionWidth` Hz wide and centred on its edge.
+ *
+ * @param {string} type
+ * @param {number|number[]} frequency
+ * @param {number} transitionWidth — Hz
+ * @param {number} sampleRate
+ * @returns {{ bands: number[], desired: number[] }}
+ */
+export function equirippleBands(type, frequency, transitionWidth, sampleRate) {
+  const nyquist = sampleRate / 2;
+  const pass    = passbands(type, frequency, sampleRate);
+  const half    = transitionWidth / 2;
+  const edges   = (type === 'bandpass' || type === 'bandstop') ? frequency : [frequency];
+  for (const f of edges) {
+    if (f - half <= 0 || f + half >= nyquist) {
+      throw new Error(`equirippleBands: transition ${transitionWidth} Hz around ${f} Hz leaves the 0…${nyquist} Hz range`);
+    }
+  }
+  if (edges.length === 2 && edges[1] - edges[0] <= transitionWidth) {
+    throw new Error(`equirippleBands: band ${edges[0]}–${edges[1]} Hz is narrower than the ${transitionWidth} Hz transition`);
+  }
+  const lowPasses = pass[0][0] === 0;
+  const bands   = [0];
+  const desired = [];
+  let gain = lowPasses ? 1 : 0;
+  for (const f of edges) {
+    bands.push(f - half, f + half);
+    desired.push(gain);
+    gain = 1 - gain;
+  }
+  bands.push(nyquist);
+  desired.push(gain);
+  return { bands, desired };
+}
+
+// ─── Filtering ───────────────────────────────────────────────────────────────
+
+/**
+ * Direct-form convolution; output[n] = Σ taps[k] · x[n − k].
+ *
+ * @param {ArrayLike<number>} taps
+ * @param {ArrayLike<number>} x
+ * @param {Float64Array} [history] — the taps.length − 1 previous inputs, most
+ *   recent first; read as the initial conditions and updated in place
+ *   (default: silence)
+ * @returns {Float64Array}
+ */
+export function firFilter(taps, x, history) {
+  const n = x.length;
+  const m = taps.length;
+  const y = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let acc = 0;
+    for (let k = 0; k < m; k++) {
+      const j = i - k;
+      if (j >= 0) acc += taps[k] * x[j];
+      else if (history) acc += taps[k] * history[-j - 1];
+      else break;
+    }
+    y[i] = acc;
+  }
+  if (history) {
+    const h = m - 1;
+    if (n >= h) {
+      for (let k = 0; k < h; k++) history[k] = x[n - 1 - k];
+    } else {
+      history.copyWithin(n, 0, h - n);
+      for (let k = 0; k < n; k++) history[k] = x[n - 1 - k];
+    }
+  }
+  return y;
+}
+
+/**
+ * History that makes the filter start as if `x0` had always been its input.
+ *
+ * @param {ArrayLike<number>} taps
+ * @param {number} x0
+ * @returns {Float64Array}
+ */
+export function firSteadyState(taps, x0) {
+  return new Float64Array(taps.length - 1).fill(x0);
+}
+
+// ─── Frequency response ──────────────────────────────────────────────────────
+
+/**
+ * Complex response H(e^jω) = Σ taps[n] · e^(−jωn) at each frequency.
+ *
+ * @param {ArrayLike<number>} taps
+ * @param {ArrayLike<number>} freqs — Hz
+ * @param {number} sampleRate
+ * @returns {{ re: Float64Array, im: Float64Array }}
+ */
+export function firResponse(taps, freqs, sampleRate) {
+  const re = new Float64Array(freqs.length);
+  const im = new Float64Array(freqs.length);
+  for (let i = 0; i < freqs.length; i++) {
+    const w = 2 * Math.PI * freqs[i] / sampleRate;
+    let sr = 0, si = 0;
+    for (let n = 0; n < taps.length; n++) {
+      sr += taps[n] * Math.cos(w * n);
+      si -= taps[n] * Math.sin(w * n);
+    }
+    re[i] = sr;
+    im[i] = si;
+  }
+  return { re, im };
+}
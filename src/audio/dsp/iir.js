@@ -0,0 +1,225 @@
+/**
+ * iir — cascaded second-order sections: Butterworth design, filtering and
+ * frequency response.
+ *
+ * An SOS filter is an array of biquad sections { b0, b1, b2, a1, a2 } (see
+ * biquad.js) applied in series.  Cascading sections instead of expanding to
+ * one high-order polynomial keeps 8th-order and steeper designs numerically
+ * stable.
+ *
+ * butterworth() follows scipy.signal.butter(output='sos'): analog prototype
+ * poles, lowpass → lowpass/highpass/bandpass/bandstop transform, bilinear
+ * transform with pre-warped edges, then poles and zeros paired into sections.
+ */
+
+// ─── Complex helpers ─────────────────────────────────────────────────────────
+
+const cx   = (re, im = 0) => ({ re, im });
+const cadd = (a, b) => cx(a.re + b.re, a.im + b.im);
+const csub = (a, b) => cx(a.re - b.re, a.im - b.im);
+const cmul = (a, b) => cx(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const cdiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return cx((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+};
+const csqrt = (a) => {
+  const r  = Math.hypot(a.re, a.im);
+  const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+  return cx(Math.sqrt(Math.max(0, (r + a.re) / 2)), a.im < 0 ? -im : im);
+};
+const cprod = (list) => list.reduce(cmul, cx(1));
+const cneg  = (a) => cx(-a.re, -a.im);
+
+// ─── Design ──────────────────────────────────────────────────────────────────
+
+export const BUTTERWORTH_TYPES = ['lowpass', 'highpass', 'bandpass', 'bandstop'];
+
+/**
+ * Digital Butterworth filter as second-order sections.
+ *
+ * @param {number} order                — prototype order; bandpass / bandstop
+ *                                        filters have twice as many poles
+ * @param {string} type                 — one of BUTTERWORTH_TYPES
+ * @param {number|number[]} frequency   — −3 dB edge in Hz, or [low, high] for band types
+ * @param {number} sampleRate
+ * @returns {Array<{ b0, b1, b2, a1, a2 }>}
+ */
+export function butterworth(order, type, frequency, sampleRate) {
+  if (!Number.isInteger(order) || order < 1) {
+    throw new Error(`butterworth: order must be a positive integer, got ${order}`);
+  }
+  const nyquist = sampleRate / 2;
+  const band    = type === 'bandpass' || type === 'bandstop';
+  const edges   = band ? frequency : [frequency];
+  if (!BUTTERWORTH_TYPES.includes(type)) throw new Error(`butterworth: unknown type "${type}"`);
+  if (!Array.isArray(edges) || edges.length !== (band ? 2 : 1) ||
+      edges.some(f => !(f > 0 && f < nyquist)) || (band && edges[0] >= edges[1])) {
+    throw new Error(`butterworth: invalid ${type} edge(s) ${JSON.stringify(frequency)} for Nyquist ${nyquist} Hz`);
+  }
+
+  // Bilinear transform at rate fs; edges are pre-warped so the digital −3 dB
+  // points land exactly on the requested frequencies
+  const fs   = 2;
+  const warp = (f) => 2 * fs * Math.tan(Math.PI * f / sampleRate);
+
+  // Analog lowpass prototype, cutoff 1 rad/s: left-half-plane poles, no zeros
+  let z = [];
+  let p = [];
+  let k = 1;
+  for (let m = 1; m <= order; m++) {
+    const theta = Math.PI * (2 * m + order - 1) / (2 * order);
+    p.push(cx(Math.cos(theta), Math.sin(theta)));
+  }
+  const degree = order;
+
+  if (type === 'lowpass') {
+    const w = warp(edges[0]);
+    p = p.map(v => cmul(v, cx(w)));
+    k *= Math.pow(w, degree);
+  } else if (type === 'highpass') {
+    const w = warp(edges[0]);
+    k *= cdiv(cprod(z.map(cneg)), cprod(p.map(cneg))).re;
+    p = p.map(v => cdiv(cx(w), v));
+    z = new Array(degree).fill(null).map(() => cx(0));
+  } else {
+    const w1 = warp(edges[0]);
+    const w2 = warp(edges[1]);
+    const bw = w2 - w1;
+    const w0sq = cx(w1 * w2);
+    const split = (v) => {
+      const root = csqrt(csub(cmul(v, v), w0sq));
+      return [cadd(v, root), csub(v, root)];
+    };
+    if (type === 'bandpass') {
+      p = p.flatMap(v => split(cmul(v, cx(bw / 2))));
+      z = new Array(degree).fill(null).map(() => cx(0));
+      k *= Math.pow(bw, degree);
+    } else {
+      k *= cdiv(cprod(z.map(cneg)), cprod(p.map(cneg))).re;
+      p = p.flatMap(v => split(cdiv(cx(bw / 2), v)));
+      const w0 = Math.sqrt(w1 * w2);
+      z = [];
+      for (let i = 0; i < degree; i++) z.push(cx(0, w0), cx(0, -w0));
+    }
+  }
+
+  // Bilinear transform s → z; zeros at infinity map to z = −1
+  const fs2 = cx(2 * fs);
+  k *= cdiv(cprod(z.map(v => csub(fs2, v))), cprod(p.map(v => csub(fs2, v)))).re;
+  const zd = z.map(v => cdiv(cadd(fs2, v), csub(fs2, v)));
+  const pd = p.map(v => cdiv(cadd(fs2, v), csub(fs2, v)));
+  while (zd.length < pd.length) zd.push(cx(-1));
+
+  return zpkToSOS(zd, pd, k);
+}
+
+/** Quadratic factors (1, c1, c2) of a root set: conjugate pairs, then real roots paired outside-in. */
+function quadratics(roots) {
+  const tol  = 1e-9;
+  const out  = [];
+  const real = [];
+  for (const r of roots) {
+    if (Math.abs(r.im) <= tol * Math.max(1, Math.abs(r.re))) real.push(r.re);
+    else if (r.im > 0) out.push([-2 * r.re, r.re * r.re + r.im * r.im]);
+  }
+  real.sort((a, b) => a - b);
+  while (real.length > 1) {
+    const a = real.shift();
+    const b = real.pop();
+    out.push([-(a + b), a * b]);
+  }
+  if (real.length) out.push([-real[0], 0]);
+  return out;
+}
+
+function zpkToSOS(z, p, k) {
+  const den = quadratics(p);
+  const num = quadratics(z);
+  const n   = Math.max(den.length, num.length);
+  const sos = [];
+  for (let i = 0; i < n; i++) {
+    const [b1, b2] = num[i] || [0, 0];
+    const [a1, a2] = den[i] || [0, 0];
+    const g = i === 0 ? k : 1;
+    sos.push({ b0: g, b1: g * b1, b2: g * b2, a1, a2 });
+  }
+  return sos;
+}
+
+// ─── Filtering ───────────────────────────────────────────────────────────────
+
+/**
+ * Run samples through the sections in series (transposed direct form II).
+ *
+ * @param {Array<{ b0, b1, b2, a1, a2 }>} sos
+ * @param {ArrayLike<number>} x
+ * @param {Float64Array} [state] — two delay values per section, read as the
+ *   initial conditions and updated in place (default: all zero)
+ * @returns {Float64Array}
+ */
+export function sosFilter(sos, x, state) {
+  const y = Float64Array.from(x);
+  sos.forEach(({ b0, b1, b2, a1, a2 }, s) => {
+    let z1 = state ? state[2 * s] : 0;
+    let z2 = state ? state[2 * s + 1] : 0;
+    for (let n = 0; n < y.length; n++) {
+      const xn = y[n];
+      const yn = b0 * xn + z1;
+      z1 = b1 * xn - a1 * yn + z2;
+      z2 = b2 * xn - a2 * yn;
+      y[n] = yn;
+    }
+    if (state) { state[2 * s] = z1; state[2 * s + 1] = z2; }
+  });
+  return y;
+}
+
+/**
+ * Delay values that make the cascade start as if `x0` had always been its
+ * input (scipy.signal.sosfilt_zi × x0), so filtering begins without a step.
+ *
+ * @param {Array<{ b0, b1, b2, a1, a2 }>} sos
+ * @param {number} x0
+ * @returns {Float64Array}
+ */
+export function sosSteadyState(sos, x0) {
+  const state = new Float64Array(2 * sos.length);
+  let x = x0;
+  sos.forEach(({ b0, b1, b2, a1, a2 }, s) => {
+    const den = 1 + a1 + a2;
+    const y   = Math.abs(den) > 1e-300 ? x * (b0 + b1 + b2) / den : 0;
+    state[2 * s]     = y - b0 * x;
+    state[2 * s + 1] = b2 * x - a2 * y;
+    x = y;
+  });
+  return state;
+}
+
+// ─── Frequency response ──────────────────────────────────────────────────────
+
+/**
+ * Complex response H(e^jω) of the cascade at each frequency.
+ *
+ * @param {Array<{ b0, b1, b2, a1, a2 }>} sos
+ * @param {ArrayLike<number>} freqs — Hz
+ * @param {number} sampleRate
+ * @returns {{ re: Float64Array, im: Float64Array }}
+ */
+export function sosResponse(sos, freqs, sampleRate) {
+  const re = new Float64Array(freqs.length).fill(1);
+  const im = new Float64Array(freqs.length);
+  for (let i = 0; i < freqs.length; i++) {
+    const w  = 2 * Math.PI * freqs[i] / sampleRate;
+    const c1 = Math.cos(w),     s1 = -Math.sin(w);       // z⁻¹
+    const c2 = Math.cos(2 * w), s2 = -Math.sin(2 * w);   // z⁻²
+    let h = cx(1);
+    for (const { b0, b1, b2, a1, a2 } of sos) {
+      const num = cx(b0 + b1 * c1 + b2 * c2, b1 * s1 + b2 * s2);
+      const den = cx(1 + a1 * c1 + a2 * c2, a1 * s1 + a2 * s2);
+      h = cmul(h, cdiv(num, den));
+    }
+    re[i] = h.re;
+    im[i] = h.im;
+  }
+  return { re, im };
+}
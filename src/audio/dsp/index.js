@@ -0,0 +1,17 @@
+/**
+ * Pure-JS DSP: filter design, filtering and frequency response with no Web
+ * Audio dependency, for the main thread, workers and Node alike.
+ */
+
+export { WINDOW_NAMES, createWindow } from './windows.js';
+export { BIQUAD_TYPES, biquadCoefficients } from './biquad.js';
+export { BUTTERWORTH_TYPES, butterworth, sosFilter, sosSteadyState, sosResponse } from './iir.js';
+export {
+  FIR_TYPES, firWindowedSinc, firEquiripple, equirippleBands, firFilter, firSteadyState, firResponse,
+} from './fir.js';
+export { oddExtend, zeroPhase } from './zeroPhase.js';
+export {
+  STAGE_KINDS, designStage, applyDesigns, designsResponse, designsGroupDelay, describeStage,
+} from './chain.js';
+export { StreamingFilter } from './stream.js';
+export { resample, resamplePoly, decimate } from './resample.js';
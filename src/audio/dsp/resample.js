@@ -0,0 +1,88 @@
+/**
+ * resample — polyphase rational resampling and decimation.
+ *
+ * fromRate → toRate is reduced to up / down = L / M.  Conceptually the input
+ * is upsampled by L (zeros inserted), lowpassed below the lower of the two
+ * Nyquist frequencies and kept every M-th sample; the polyphase form only
+ * evaluates the taps that meet non-zero input, ≈ numTaps / L per output
+ * sample.  Filter design follows scipy.signal.resample_poly: a Kaiser
+ * windowed sinc (β = 5) of 2·10·max(L, M) + 1 taps, whose delay is
+ * compensated so output sample 0 lines up with input sample 0.
+ */
+
+import { firWindowedSinc } from './fir.js';
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * @param {ArrayLike<number>} samples
+ * @param {number} fromRate — Hz (integer)
+ * @param {number} toRate   — Hz (integer)
+ * @param {object} [opts]
+ * @param {number} [opts.halfLength=10] — filter half-length in units of
+ *   max(L, M); longer → sharper anti-alias cutoff, slower
+ * @param {number} [opts.beta=5]        — Kaiser shape; higher → deeper stopband, wider transition
+ * @returns {Float32Array} length ⌈samples.length · toRate / fromRate⌉
+ */
+export function resample(samples, fromRate, toRate, opts = {}) {
+  if (!Number.isInteger(fromRate) || !Number.isInteger(toRate) || fromRate <= 0 || toRate <= 0) {
+    throw new Error(`resample: rates must be positive integers, got ${fromRate} → ${toRate}`);
+  }
+  const g = gcd(fromRate, toRate);
+  return resamplePoly(samples, toRate / g, fromRate / g, opts);
+}
+
+/**
+ * Keep every `factor`-th sample after anti-alias lowpass filtering.
+ *
+ * @param {ArrayLike<number>} samples
+ * @param {number} factor — integer ≥ 1
+ * @param {object} [opts] — as resample()
+ * @returns {Float32Array}
+ */
+export function decimate(samples, factor, opts = {}) {
+  if (!Number.isInteger(factor) || factor < 1) {
+    throw new Error(`decimate: factor must be a positive integer, got ${factor}`);
+  }
+  return resamplePoly(samples, 1, factor, opts);
+}
+
+/**
+ * Upsample by `up`, filter, downsample by `down` (both reduced integers).
+ *
+ * @param {ArrayLike<number>} samples
+ * @param {number} up
+ * @param {number} down
+ * @param {object} [opts] — as resample()
+ * @returns {Float32Array}
+ */
+export function resamplePoly(samples, up, down, opts = {}) {
+  const n      = samples.length;
+  const outLen = Math.ceil(n * up / down);
+  const out    = new Float32Array(outLen);
+  if (up === down) {
+    out.set(samples);
+    return out;
+  }
+  if (outLen === 0) return out;
+
+  // Lowpass at the lower Nyquist, designed at the upsampled rate (up units/s),
+  // with gain `up` to make up for the inserted zeros
+  const maxRate = Math.max(up, down);
+  const half    = (opts.halfLength ?? 10) * maxRate;
+  const numTaps = 2 * half + 1;
+  const h = firWindowedSinc(numTaps, 'lowpass', 0.5 / maxRate * up, up,
+    { window: 'kaiser', beta: opts.beta ?? 5 });
+  for (let k = 0; k < numTaps; k++) h[k] *= up;
+
+  // y[i] = Σ_j x[j] · h[t − j·up], t = i·down + half (the filter's centre)
+  for (let i = 0; i < outLen; i++) {
+    const t  = i * down + half;
+    const j0 = Math.max(0, Math.ceil((t - numTaps + 1) / up));
+    const j1 = Math.min(n - 1, Math.floor(t / up));
+    let acc = 0;
+    for (let j = j0; j <= j1; j++) acc += samples[j] * h[t - j * up];
+    out[i] = acc;
+  }
+  return out;
+}
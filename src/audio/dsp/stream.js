@@ -0,0 +1,65 @@
+/**
+ * StreamingFilter — run designed stages over a signal that arrives in chunks.
+ *
+ * Each design keeps its delay line (SOS section states or FIR input history)
+ * between process() calls, so filtering chunk by chunk gives exactly the
+ * output of filtering the whole signal at once, and only new samples are
+ * processed.  Streaming is causal: forward-backward (zero-phase) filtering
+ * needs the samples after each one and stays an offline operation.
+ */
+
+import { sosFilter } from './iir.js';
+import { firFilter } from './fir.js';
+
+function emptyState(design) {
+  return design.sos
+    ? new Float64Array(2 * design.sos.length)
+    : new Float64Array(design.taps.length - 1);
+}
+
+export class StreamingFilter {
+  /** @param {Array<object>} designs — designStage() results, applied in order */
+  constructor(designs) {
+    this._designs = [];
+    this._states  = [];
+    this.setDesigns(designs);
+  }
+
+  /**
+   * Swap in new coefficients mid-stream (e.g. while a cutoff is dragged).
+   * A stage with the same structure (section or tap count) keeps its delay
+   * line, so the output continues without a restart transient; any other
+   * stage starts from silence.
+   *
+   * @param {Array<object>} designs
+   */
+  setDesigns(designs) {
+    this._states = designs.map((d, i) => {
+      const prev  = this._designs[i];
+      const state = this._states[i];
+      const same  = prev && (d.sos
+        ? prev.sos && prev.sos.length === d.sos.length
+        : prev.taps && prev.taps.length === d.taps.length);
+      return same ? state : emptyState(d);
+    });
+    this._designs = designs;
+  }
+
+  /**
+   * Filter the next chunk.
+   * @param {ArrayLike<number>} chunk
+   * @returns {Float32Array}
+   */
+  process(chunk) {
+    let sig = chunk;
+    this._designs.forEach((d, i) => {
+      sig = d.sos ? sosFilter(d.sos, sig, this._states[i]) : firFilter(d.taps, sig, this._states[i]);
+    });
+    return Float32Array.from(sig);
+  }
+
+  /** Forget the signal history: the next chunk starts from silence. */
+  reset() {
+    this._states = this._designs.map(emptyState);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * windows — periodic (DFT-even) window functions, as scipy.signal.get_window
+ * returns them.  Shared by FIR design (fir.js) and the spectrogram STFT
+ * (plot/layers/stft.js).
+ */
+
+// general_cosine coefficients (scipy.signal.windows)
+const COSINE_WINDOWS = {
+  hann:           [0.5, 0.5],
+  hamming:        [0.54, 0.46],
+  blackman:       [0.42, 0.50, 0.08],
+  blackmanharris: [0.35875, 0.48829, 0.14128, 0.01168],
+  flattop:        [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368],
+};
+
+/** Window names accepted by createWindow(). */
+export const WINDOW_NAMES = ['hann', 'hamming', 'blackman', 'blackmanharris', 'kaiser', 'flattop', 'boxcar'];
+
+/** Modified Bessel function of the first kind, order 0 (power series). */
+function besselI0(x) {
+  let sum  = 1;
+  let term = 1;
+  const q  = x * x / 4;
+  for (let k = 1; k < 500; k++) {
+    term *= q / (k * k);
+    sum  += term;
+    if (term < sum * 1e-17) break;
+  }
+  return sum;
+}
+
+/**
+ * Periodic (DFT-even) window of `size` points, as scipy.signal.get_window.
+ *
+ * @param {string} name — one of WINDOW_NAMES ('rectangular' is an alias of 'boxcar')
+ * @param {number} size
+ * @param {object} [opts]
+ * @param {number} [opts.beta=8.6] — Kaiser shape parameter
+ * @returns {Float64Array}
+ */
+export function createWindow(name, size, opts = {}) {
+  const w = new Float64Array(size);
+  const M = size + 1;           // symmetric length; the last point is dropped
+  const key = name === 'rectangular' ? 'boxcar' : name;
+
+  if (key === 'boxcar') {
+    w.fill(1);
+  } else if (key === 'kaiser') {
+    const beta = opts.beta ?? 8.6;
+    const norm = besselI0(beta);
+    for (let n = 0; n < size; n++) {
+      const r = 2 * n / (M - 1) - 1;
+      w[n] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / norm;
+    }
+  } else if (COSINE_WINDOWS[key]) {
+    const a = COSINE_WINDOWS[key];
+    for (let n = 0; n < size; n++) {
+      let v = 0;
+      for (let k = 0; k < a.length; k++) {
+        v += (k % 2 ? -a[k] : a[k]) * Math.cos(2 * Math.PI * k * n / (M - 1));
+      }
+      w[n] = v;
+    }
+  } else {
+    throw new Error(`createWindow: unknown window "${name}"`);
+  }
+  return w;
+}
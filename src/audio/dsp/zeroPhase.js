@@ -0,0 +1,43 @@
+/**
+ * zeroPhase — forward-backward ("filtfilt") filtering.
+ *
+ * Running a filter forwards, then backwards over the reversed output,
+ * cancels its phase: nothing is delayed and peaks stay where they were.  The
+ * magnitude response is applied twice (squared), so a −3 dB edge becomes
+ * −6 dB.  The signal is padded with its odd extension (mirrored about the end
+ * samples, as scipy.signal.filtfilt) so the start-up transients fall outside
+ * the returned samples.
+ */
+
+/**
+ * Pad `x` with `pad` points of its odd extension at both ends.
+ *
+ * @param {ArrayLike<number>} x
+ * @param {number} pad — at most x.length − 1
+ * @returns {Float64Array} length x.length + 2·pad
+ */
+export function oddExtend(x, pad) {
+  const n   = x.length;
+  const out = new Float64Array(n + 2 * pad);
+  for (let i = 0; i < pad; i++) {
+    out[i]           = 2 * x[0] - x[pad - i];
+    out[pad + n + i] = 2 * x[n - 1] - x[n - 2 - i];
+  }
+  out.set(x, pad);
+  return out;
+}
+
+/**
+ * @param {ArrayLike<number>} x
+ * @param {(signal: Float64Array) => Float64Array} run — causal filter
+ * @param {number} padLen — extension per side; clamped to x.length − 1
+ * @returns {Float64Array} length x.length
+ */
+export function zeroPhase(x, run, padLen) {
+  const n = x.length;
+  if (n < 2) return Float64Array.from(x);
+  const pad = Math.max(0, Math.min(padLen, n - 1));
+  const y = run(oddExtend(x, pad)).reverse();
+  const z = run(y).reverse();
+  return z.slice(pad, pad + n);
+}
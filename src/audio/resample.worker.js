@@ -0,0 +1,22 @@
+/**
+ * resample.worker — Web Worker entry for ResampleWorkerClient.
+ *
+ * Message in:
+ *   { jobId, channels, fromRate, toRate, opts }   — channel buffers transferred
+ *
+ * Messages out:
+ *   { type: 'done',  jobId, channels }            — channel buffers transferred
+ *   { type: 'error', jobId, message }
+ */
+
+import { resample } from './dsp/resample.js';
+
+self.onmessage = (e) => {
+  const { jobId, channels, fromRate, toRate, opts } = e.data;
+  try {
+    const out = channels.map(ch => resample(ch, fromRate, toRate, opts));
+    self.postMessage({ type: 'done', jobId, channels: out }, out.map(ch => ch.buffer));
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err.message });
+  }
+};
@@ -1,9 +1,31 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { FilterController } from '../audio/FilterController.js';
+import { designStage, describeStage } from '../audio/dsp/chain.js';
+
+// Chain stages the panel can add; N is the order (IIR) or tap count (FIR)
+const STAGE_PRESETS = {
+  'butterworth':    { label: 'Butterworth',   n: 4,   nKey: 'order'   },
+  'fir-window':     { label: 'FIR windowed',  n: 101, nKey: 'numTaps' },
+  'fir-equiripple': { label: 'FIR equiripple', n: 101, nKey: 'numTaps' },
+};
+const STAGE_TYPES = ['lowpass', 'highpass', 'bandpass', 'bandstop'];
+
+// Response curves the plot can show
+const VIEWS = [
+  { key: 'magnitude', label: 'Mag'   },
+  { key: 'phase',     label: 'Phase' },
+  { key: 'delay',     label: 'Delay' },
+];
 
 export default function FilterPanel({ controller, sampleRate = 44100, onApply, applying = false }) {
   const canvasRef = useRef(null);
+  const dragRef   = useRef(null);   // { startY, startQ, x, y, raf } while the cutoff marker is dragged
+  const [view, setView] = useState('magnitude');
   const [state, setState] = useState({ ...controller.state });
+  const [stageKind, setStageKind] = useState('butterworth');
+  const [stageType, setStageType] = useState('lowpass');
+  const [stageN, setStageN]       = useState(STAGE_PRESETS.butterworth.n);
+  const [stageError, setStageError] = useState(null);
 
   // Wire controller events
   useEffect(() => {
@@ -12,7 +34,16 @@ export default function FilterPanel({ controller, sampleRate = 44100, onApply, a
     return () => controller.off('changed', onChange);
   }, [controller]);
 
-  // Draw frequency response every time filter state changes
+  // Drop a marker update still queued for the next frame on unmount
+  useEffect(() => () => {
+    if (dragRef.current && dragRef.current.raf) cancelAnimationFrame(dragRef.current.raf);
+  }, []);
+
+  // Log frequency axis: x = 20 Hz → Nyquist across the canvas width
+  const freqToX = (f, W) => Math.log(f / 20) / Math.log(sampleRate / 2 / 20) * W;
+  const xToFreq = (x, W) => 20 * Math.pow(sampleRate / 2 / 20, Math.max(0, Math.min(1, x / W)));
+
+  // Draw the selected response curve every time filter state or view changes
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -22,43 +53,131 @@ export default function FilterPanel({ controller, sampleRate = 44100, onApply, a
     ctx.fillStyle = '#111';
     ctx.fillRect(0, 0, W, H);
 
-    // 0 dB reference line (dB range: −60 to +6; 0 dB sits at 90.9% from bottom)
+    // Reference line: 0 dB (dB range −60 to +6), 0° or 0 ms
     const DB_MIN = -60, DB_MAX = 6;
-    const dbToY = db => H - ((db - DB_MIN) / (DB_MAX - DB_MIN)) * H;
-    const zeroY = dbToY(0);
+    const resp = controller.active ? controller.getFrequencyResponse(W, sampleRate) : null;
+    let values, toY, label;
+    if (view === 'phase') {
+      values = resp && Array.from(resp.phase, p => p * 180 / Math.PI);
+      toY    = deg => H / 2 - (deg / 180) * (H / 2);
+      label  = '±180°';
+    } else if (view === 'delay') {
+      values = resp && Array.from(resp.groupDelay, s => s * 1000);
+      // Scale to the passband: delay where the response is below −60 dB is meaningless
+      let max = 0;
+      if (values) values.forEach((v, i) => { if (resp.db[i] > DB_MIN && v > max) max = v; });
+      max   = max > 0 ? max * 1.1 : 1;
+      toY   = ms => H - (ms / max) * H;
+      label = max >= 10 ? `${max.toFixed(0)} ms` : `${max.toFixed(2)} ms`;
+    } else {
+      values = resp && resp.db;
+      toY    = db => H - ((db - DB_MIN) / (DB_MAX - DB_MIN)) * H;
+    }
+    const zeroY = toY(0);
     ctx.strokeStyle = '#2a2a2a'; ctx.lineWidth = 1;
     ctx.beginPath(); ctx.moveTo(0, zeroY); ctx.lineTo(W, zeroY); ctx.stroke();
+    if (label) {
+      ctx.fillStyle = '#555'; ctx.font = '9px monospace';
+      ctx.fillText(label, 2, 9);
+    }
 
-    if (state.type === 'none') {
-      // Flat 0 dB line
+    if (!values) {
+      // Flat reference line
       ctx.strokeStyle = '#444'; ctx.lineWidth = 1.5;
       ctx.beginPath(); ctx.moveTo(0, zeroY); ctx.lineTo(W, zeroY); ctx.stroke();
-      return;
-    }
-
-    const resp = controller.getFrequencyResponse(W, sampleRate);
-    if (!resp) return;
-
-    // Response curve
-    ctx.strokeStyle = '#4af'; ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    for (let i = 0; i < W; i++) {
-      const y = Math.max(0, Math.min(H, dbToY(resp.db[i])));
-      if (i === 0) ctx.moveTo(i, y); else ctx.lineTo(i, y);
+    } else {
+      // Response curve; wrapped phase jumps are drawn as breaks, not verticals
+      ctx.strokeStyle = '#4af'; ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let i = 0; i < W; i++) {
+        const y = Math.max(0, Math.min(H, toY(values[i])));
+        const jump = view === 'phase' && i > 0 && Math.abs(values[i] - values[i - 1]) > 180;
+        if (i === 0 || jump) ctx.moveTo(i, y); else ctx.lineTo(i, y);
+      }
+      ctx.stroke();
     }
-    ctx.stroke();
 
-    // Cutoff frequency marker (orange vertical dashed line)
-    const nyquist = sampleRate / 2;
-    const fx = Math.log(state.frequency / 20) / Math.log(nyquist / 20) * W;
+    // Cutoff frequency marker (orange vertical dashed line) — drag to move
+    const fx = freqToX(state.frequency, W);
     ctx.strokeStyle = '#f80'; ctx.lineWidth = 1;
     ctx.setLineDash([3, 3]);
     ctx.beginPath(); ctx.moveTo(fx, 0); ctx.lineTo(fx, H); ctx.stroke();
     ctx.setLineDash([]);
-  }, [state, sampleRate, controller]);
+  }, [state, sampleRate, controller, view]);
+
+  /** Pointer x in canvas pixels and whether it is on the cutoff marker. */
+  const markerHit = (e) => {
+    const canvas = canvasRef.current;
+    const rect   = canvas.getBoundingClientRect();
+    const x      = (e.clientX - rect.left) * canvas.width / rect.width;
+    return { x, near: Math.abs(x - freqToX(controller.state.frequency, canvas.width)) <= 5 };
+  };
+
+  // Drag the marker: horizontal → frequency, vertical → Q (20 px per doubling).
+  // Every change redraws the response (an AudioContext with the 'webaudio'
+  // backend), so pointer moves are applied at most once per animation frame.
+  const applyDrag = (drag) => {
+    drag.raf = 0;
+    controller.setFrequency(Math.round(xToFreq(drag.x, canvasRef.current.width)));
+    if (controller.state.type !== 'none') {
+      const q = drag.startQ * Math.pow(2, (drag.startY - drag.y) / 20);
+      controller.setQ(Math.round(Math.max(0.1, Math.min(30, q)) * 100) / 100);
+    }
+  };
+  const handlePointerDown = (e) => {
+    if (!markerHit(e).near) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { startY: e.clientY, startQ: controller.state.Q, x: 0, y: e.clientY, raf: 0 };
+  };
+  const handlePointerMove = (e) => {
+    const canvas = e.currentTarget;
+    const { x, near } = markerHit(e);
+    const drag = dragRef.current;
+    if (!drag) {
+      canvas.style.cursor = near ? 'move' : 'default';
+      return;
+    }
+    drag.x = x;
+    drag.y = e.clientY;
+    if (!drag.raf) drag.raf = requestAnimationFrame(() => applyDrag(drag));
+  };
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+    if (drag.raf) {
+      // Land exactly where the pointer was released
+      cancelAnimationFrame(drag.raf);
+      applyDrag(drag);
+    }
+    e.currentTarget.releasePointerCapture(e.pointerId);
+  };
 
   const nyquist = sampleRate / 2;
   const sliderStyle = { width: '100%', marginTop: 2 };
+  const selectStyle = { background: '#1a1a1a', border: '1px solid #444', color: '#aaa', padding: '2px', fontSize: 11 };
+  const active = controller.active;
+
+  // New stages take the cutoff slider's frequency; band types span an octave around it
+  const addStage = () => {
+    const f = state.frequency;
+    const spec = {
+      kind:      stageKind,
+      type:      stageType,
+      frequency: stageType === 'bandpass' || stageType === 'bandstop'
+        ? [Math.round(f / Math.SQRT2), Math.round(Math.min(f * Math.SQRT2, nyquist * 0.99))]
+        : f,
+      [STAGE_PRESETS[stageKind].nKey]: stageN,
+    };
+    try {
+      designStage(spec, sampleRate);
+    } catch (err) {
+      setStageError(err.message);
+      return;
+    }
+    setStageError(null);
+    controller.addStage(spec);
+  };
 
   return (
     <div style={{
@@ -72,53 +191,107 @@ export default function FilterPanel({ controller, sampleRate = 44100, onApply, a
       <select
         value={state.type}
         onChange={e => controller.setType(e.target.value)}
-        style={{ background: '#1a1a1a', border: '1px solid #444', color: '#aaa', padding: '2px', fontSize: 11 }}
+        style={selectStyle}
       >
         {FilterController.filterTypes.map(t => <option key={t} value={t}>{t}</option>)}
       </select>
 
+      <label>
+        <span style={{ color: '#555' }}>Cutoff </span>
+        <span style={{ color: '#aaa' }}>
+          {state.frequency < 1000
+            ? `${state.frequency.toFixed(0)} Hz`
+            : `${(state.frequency / 1000).toFixed(2)} kHz`}
+        </span>
+        {/* Log-scale slider: range [0,1] mapped to [20 Hz, Nyquist] via exponential */}
+        <input type="range" min="0" max="1" step="0.001"
+          value={Math.log(state.frequency / 20) / Math.log(nyquist / 20)}
+          onChange={e => {
+            const t = parseFloat(e.target.value);
+            controller.setFrequency(Math.round(20 * Math.pow(nyquist / 20, t)));
+          }}
+          style={sliderStyle}
+        />
+      </label>
       {state.type !== 'none' && (
-        <>
-          <label>
-            <span style={{ color: '#555' }}>Cutoff </span>
-            <span style={{ color: '#aaa' }}>
-              {state.frequency < 1000
-                ? `${state.frequency.toFixed(0)} Hz`
-                : `${(state.frequency / 1000).toFixed(2)} kHz`}
-            </span>
-            {/* Log-scale slider: range [0,1] mapped to [20 Hz, Nyquist] via exponential */}
-            <input type="range" min="0" max="1" step="0.001"
-              value={Math.log(state.frequency / 20) / Math.log(nyquist / 20)}
-              onChange={e => {
-                const t = parseFloat(e.target.value);
-                controller.setFrequency(Math.round(20 * Math.pow(nyquist / 20, t)));
-              }}
-              style={sliderStyle}
-            />
-          </label>
-          <label>
-            <span style={{ color: '#555' }}>Q </span>
-            <span style={{ color: '#aaa' }}>{state.Q.toFixed(2)}</span>
-            <input type="range" min="0.1" max="30" step="0.1"
-              value={state.Q}
-              onChange={e => controller.setQ(parseFloat(e.target.value))}
-              style={sliderStyle}
-            />
-          </label>
-        </>
+        <label>
+          <span style={{ color: '#555' }}>Q </span>
+          <span style={{ color: '#aaa' }}>{state.Q.toFixed(2)}</span>
+          <input type="range" min="0.1" max="30" step="0.1"
+            value={state.Q}
+            onChange={e => controller.setQ(parseFloat(e.target.value))}
+            style={sliderStyle}
+          />
+        </label>
       )}
 
-      {/* Frequency response canvas: x = 20 Hz→Nyquist (log), y = −60→+6 dB */}
+      {/* Chain: extra stages after the biquad, applied in series */}
+      {state.stages.map(s => (
+        <div key={s.id} style={{ display: 'flex', gap: 4, alignItems: 'flex-start', color: '#aaa', fontSize: 10 }}>
+          <span style={{ flex: 1 }}>{describeStage(s)}</span>
+          <button
+            onClick={() => controller.removeStage(s.id)}
+            title="Remove stage"
+            style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer', padding: 0, fontSize: 11 }}
+          >×</button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: 3 }}>
+        <select value={stageKind} style={{ ...selectStyle, flex: 1, minWidth: 0 }}
+          onChange={e => { setStageKind(e.target.value); setStageN(STAGE_PRESETS[e.target.value].n); }}>
+          {Object.entries(STAGE_PRESETS).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+        </select>
+        <input type="number" min="1" step="1" value={stageN}
+          title={STAGE_PRESETS[stageKind].nKey === 'order' ? 'Order' : 'Taps'}
+          onChange={e => setStageN(parseInt(e.target.value, 10) || 1)}
+          style={{ ...selectStyle, width: 38 }}
+        />
+      </div>
+      <div style={{ display: 'flex', gap: 3 }}>
+        <select value={stageType} onChange={e => setStageType(e.target.value)} style={{ ...selectStyle, flex: 1, minWidth: 0 }}>
+          {STAGE_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <button onClick={addStage} title="Add stage at the cutoff frequency"
+          style={{ ...selectStyle, color: '#fda', cursor: 'pointer', fontFamily: 'monospace' }}>
+          + stage
+        </button>
+      </div>
+      {stageError && <div style={{ color: '#f66', fontSize: 10 }}>{stageError}</div>}
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+        <input type="checkbox" checked={state.zeroPhase}
+          onChange={e => controller.setZeroPhase(e.target.checked)} />
+        Zero-phase
+      </label>
+
+      <div style={{ display: 'flex', gap: 3 }}>
+        {VIEWS.map(v => (
+          <button key={v.key} onClick={() => setView(v.key)}
+            style={{
+              ...selectStyle, flex: 1, cursor: 'pointer', fontFamily: 'monospace', fontSize: 10,
+              color: view === v.key ? '#fda' : '#666',
+              borderColor: view === v.key ? '#886' : '#444',
+            }}
+          >{v.label}</button>
+        ))}
+      </div>
+
+      {/* Response canvas: x = 20 Hz→Nyquist (log); y = −60→+6 dB, ±180° or 0→max ms.
+          Drag the orange marker: left/right sets the cutoff, up/down the Q */}
       <canvas ref={canvasRef} width={118} height={55}
-        style={{ width: '100%', height: 55, borderRadius: 2, border: '1px solid #1a1a1a' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{ width: '100%', height: 55, borderRadius: 2, border: '1px solid #1a1a1a', touchAction: 'none' }}
       />
 
       <button
         onClick={onApply}
-        disabled={applying || state.type === 'none'}
+        disabled={applying || !active}
         style={{
           background: '#1a1a1a', border: '1px solid #444',
-          color: (applying || state.type === 'none') ? '#444' : '#fda',
+          color: (applying || !active) ? '#444' : '#fda',
           padding: '3px', fontSize: 11, cursor: 'pointer', fontFamily: 'monospace',
         }}
       >
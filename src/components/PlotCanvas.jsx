@@ -13,12 +13,21 @@
  *   - ROI geometry
  *
  * React state IS used for:
- *   - UI overlay text (mode indicator, point count badge)
+ *   - UI overlay text (mode indicator, point count badge, point tooltip)
  */
 
 import React, { useRef, useEffect, useState, useImperativeHandle, forwardRef } from 'react';
 import { PlotController } from '../plot/PlotController.js';
 
+/** Default tooltip body: coordinates followed by any DataStore metadata fields. */
+function defaultTooltipFormatter(point) {
+  const lines = [`x: ${point.x.toFixed(3)}`, `y: ${point.y.toFixed(3)}`];
+  if (point.metadata) {
+    for (const [k, v] of Object.entries(point.metadata)) lines.push(`${k}: ${v}`);
+  }
+  return lines.join('\n');
+}
+
 const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
   const {
     width       = '100%',
@@ -30,6 +39,11 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
     xLabel,
     yLabel,
     dataStore,  // F17: optional shared DataStore instance
+    picking     = false,  // enable pointHovered / pointClicked events
+    tooltip     = false,  // true | (point) => string — hover tooltip (implies picking)
+    tooltipStyle,         // optional style overrides for the tooltip box
+    keymap,               // optional ROI key binding overrides (see ROIKeymap)
+    keyboard    = true,   // false disables all ROI key bindings
     onEvent,    // optional: (eventName, data) => void
     onInit,     // optional: (controller) => void — fires once after init
   } = props;
@@ -41,11 +55,14 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
 
   const [modeText,  setModeText]  = useState('');
   const [pointCount, setPointCount] = useState(0);
+  const [hoverPoint, setHoverPoint] = useState(null);
 
   // Expose controller via ref
   useImperativeHandle(ref, () => ({
     getController: () => controllerRef.current,
     appendData:    (chunk, autoExpand) => controllerRef.current?.appendData(chunk, autoExpand),
+    exportPNG:     (options) => controllerRef.current?.exportPNG(options),
+    exportSVG:     (options) => controllerRef.current?.exportSVG(options),
   }));
 
   useEffect(() => {
@@ -53,6 +70,8 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
 
     const controller = new PlotController({
       xScaleType, yScaleType, xDomain, yDomain, xLabel, yLabel,
+      picking: picking || !!tooltip,
+      keymap, keyboard,
       ...(dataStore ? { dataStore } : {}),
     });
 
@@ -78,19 +97,23 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
 
       // Wire events to UI state (cheap: only a few events/sec)
       controller.on('dataAppended', ({ total }) => setPointCount(total));
+      if (tooltip) controller.on('pointHovered', point => setHoverPoint(point));
 
       controller.on('modeChanged', ({ mode }) => {
         const labels = {
           idle:         '',
           createLinear: 'Mode: Draw LinearRegion — click x1, then x2',
           createRect:   'Mode: Draw RectROI — click top-left, then bottom-right',
+          createPolygon: 'Mode: Draw Polygon — click vertices, click first vertex / Enter to close',
+          createLasso:  'Mode: Draw Lasso — press and drag a freehand outline',
+          createEllipse: 'Mode: Draw Ellipse — click center, then radii (Shift = circle)',
         };
         setModeText(labels[mode] || mode);
       });
 
       // Bubble all events to parent if requested
       if (onEvent) {
-        const names = ['roiCreated','roiUpdated','roiDeleted','dataAppended','domainChanged','zoomChanged','panChanged'];
+        const names = ['roiCreated','roiUpdated','roiDeleted','dataAppended','domainChanged','zoomChanged','panChanged','pointHovered','pointClicked','selectionChanged'];
         names.forEach(n => controller.on(n, d => onEvent(n, d)));
       }
 
@@ -100,6 +123,9 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
           idle:         '',
           createLinear: 'Mode: Draw LinearRegion — click x1, then x2',
           createRect:   'Mode: Draw RectROI — click top-left, then bottom-right',
+          createPolygon: 'Mode: Draw Polygon — click vertices, click first vertex / Enter to close',
+          createLasso:  'Mode: Draw Lasso — press and drag a freehand outline',
+          createEllipse: 'Mode: Draw Ellipse — click center, then radii (Shift = circle)',
         };
         setModeText(labels[mode] || mode);
       });
@@ -138,6 +164,24 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
     display:       modeText ? 'block' : 'none',
   };
 
+  const tooltipBoxStyle = hoverPoint && {
+    position:      'absolute',
+    left:          hoverPoint.screenX + 10,
+    top:           hoverPoint.screenY + 10,
+    color:         '#ddd',
+    fontSize:      11,
+    fontFamily:    'monospace',
+    whiteSpace:    'pre',
+    pointerEvents: 'none',
+    background:    'rgba(0,0,0,0.8)',
+    border:        '1px solid #444',
+    padding:       '3px 6px',
+    borderRadius:  3,
+    ...tooltipStyle,
+  };
+  const tooltipText = hoverPoint &&
+    (typeof tooltip === 'function' ? tooltip(hoverPoint) : defaultTooltipFormatter(hoverPoint));
+
   const canvasStyle = {
     position: 'absolute',
     top: 0, left: 0,
@@ -155,6 +199,9 @@ const PlotCanvas = forwardRef(function PlotCanvas(props, ref) {
       {/* Mode indicator */}
       <div style={modeStyle}>{modeText}</div>
 
+      {/* Point tooltip */}
+      {hoverPoint && <div style={tooltipBoxStyle}>{tooltipText}</div>}
+
       {/* Point count */}
       <div style={overlayStyle}>{pointCount.toLocaleString()} pts</div>
     </div>
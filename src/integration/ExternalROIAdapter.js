@@ -8,10 +8,12 @@
  * ```
  * {
  *   id:        string   — stable UUID
- *   type:      'linearRegion' | 'rect'
+ *   type:      'linearRegion' | 'rect' | 'lineROI' | 'polygon' | 'lasso' | 'ellipse'
  *   version:   number   — monotonic integer; incremented on each user commit
  *   updatedAt: number   — Date.now() timestamp of last bumpVersion()
- *   domain:    { x: [x1, x2], y?: [y1, y2] }   — JSON-safe bounds snapshot
+ *   domain:    { x: [x1, x2], y?: [y1, y2], vertices?: [[x, y], ...] }
+ *              — JSON-safe bounds snapshot; polygon/lasso include vertices,
+ *                ellipse includes center, radii and angle
  *   metadata:  object   — arbitrary per-ROI data
  * }
  * ```
@@ -13,13 +13,25 @@
  * auto-domain updates on expiration. Non-rolling mode is fully unchanged.
  *
  * Memory layout: parallel typed arrays for x, y, _sizeArr (Float32Array) and
- * color (Uint8Array, 4 bytes per point = RGBA).
+ * color (Uint8Array, 4 bytes per point = RGBA), plus an interleaved
+ * _positions buffer ([x0, y0, x1, y1, ...] Float32Array) kept in step with
+ * x / y so ScatterLayer can hand it to deck.gl as a binary attribute.
+ *
+ * Incremental GPU upload:
+ * Every append (and every age expiry) bumps `version` and logs the physical
+ * slot ranges it wrote — two ranges when a rolling append wraps past the end
+ * of the ring.  A consumer that mirrors the physical buffers on the GPU
+ * (getPhysicalAttributes) remembers the version it last uploaded and asks
+ * getDirtyRanges(sinceVersion) for just the slots to re-upload.  Buffer
+ * reallocation (growth, enableRolling) and clear() reset the log, so
+ * consumers fall back to a full upload.
  */
 
 import { EventEmitter } from 'events';
 
 const INITIAL_CAPACITY = 65536;   // 64k points to start
 const GROWTH_FACTOR    = 1.5;     // grow 50% when full
+const CHANGE_LOG_LIMIT = 256;     // dirty-range entries kept for lagging consumers
 
 export class DataStore extends EventEmitter {
   constructor(initialCapacity = INITIAL_CAPACITY) {
@@ -33,6 +45,18 @@ export class DataStore extends EventEmitter {
     this._y        = new Float32Array(this._capacity);
     this._sizeArr  = new Float32Array(this._capacity);  // renamed from _size (avoids semantic collision)
     this._color    = new Uint8Array(this._capacity * 4);   // RGBA per point
+    this._positions = new Float32Array(this._capacity * 2); // interleaved x, y
+
+    // Cached getGPUAttributes() / getPhysicalAttributes() results; dropped
+    // whenever the data changes
+    this._gpuAttrs      = null;
+    this._physicalAttrs = null;
+
+    // Dirty-range log for incremental GPU upload (see file header)
+    this._version   = 0;
+    this._logStart  = 0;    // oldest version getDirtyRanges() can answer from
+    this._changeLog = [];   // [{ version, start, end }] physical slot ranges
+    this._highWater = 0;    // slots [0, _highWater) have been written
 
     // Per-point JS metadata (not GPU); keyed by numeric index
     this._metadata = new Map();
@@ -76,9 +100,11 @@ export class DataStore extends EventEmitter {
     this._y         = new Float32Array(capacity);
     this._sizeArr   = new Float32Array(capacity);
     this._color     = new Uint8Array(capacity * 4);
+    this._positions = new Float32Array(capacity * 2);
     this._timestamps = new Float64Array(capacity);
 
     this._metadata.clear();
+    this._resetChangeLog();
   }
 
   /**
@@ -98,13 +124,16 @@ export class DataStore extends EventEmitter {
 
       if (ageOk && countOk) break;
 
-      // Evict oldest point
+      // Evict oldest point.  The slot stays on the GPU until overwritten, so
+      // make it transparent there.
+      this._color[this._tailIndex * 4 + 3] = 0;
       this._tailIndex = (this._tailIndex + 1) % this._capacity;
       this._count--;
       expired++;
     }
 
     if (expired > 0) {
+      this._markDirty((this._tailIndex - expired + this._capacity) % this._capacity, expired);
       this.emit('dataExpired', { expired, remaining: this._count });
     }
   }
@@ -114,16 +143,17 @@ export class DataStore extends EventEmitter {
    * Handles wrap-around via two-slice copy into fresh typed arrays.
    * Safe for CPU-side use (filtering, domain recalc, histogram).
    *
-   * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array }}
+   * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array, positions: Float32Array }}
    */
   getLogicalData() {
     if (!this._rollingEnabled) {
       // Non-rolling: just return live subarrays (same as getGPUAttributes)
       return {
-        x:     this._x.subarray(0, this._count),
-        y:     this._y.subarray(0, this._count),
-        size:  this._sizeArr.subarray(0, this._count),
-        color: this._color.subarray(0, this._count * 4),
+        x:         this._x.subarray(0, this._count),
+        y:         this._y.subarray(0, this._count),
+        size:      this._sizeArr.subarray(0, this._count),
+        color:     this._color.subarray(0, this._count * 4),
+        positions: this._positions.subarray(0, this._count * 2),
       };
     }
 
@@ -135,6 +165,7 @@ export class DataStore extends EventEmitter {
     const outY    = new Float32Array(n);
     const outSize = new Float32Array(n);
     const outColor = new Uint8Array(n * 4);
+    const outPos   = new Float32Array(n * 2);
 
     // How many elements fit before wrapping
     const firstSlice = Math.min(n, cap - tail);
@@ -144,15 +175,17 @@ export class DataStore extends EventEmitter {
     outY.set(this._y.subarray(tail, tail + firstSlice), 0);
     outSize.set(this._sizeArr.subarray(tail, tail + firstSlice), 0);
     outColor.set(this._color.subarray(tail * 4, (tail + firstSlice) * 4), 0);
+    outPos.set(this._positions.subarray(tail * 2, (tail + firstSlice) * 2), 0);
 
     if (secondSlice > 0) {
       outX.set(this._x.subarray(0, secondSlice), firstSlice);
       outY.set(this._y.subarray(0, secondSlice), firstSlice);
       outSize.set(this._sizeArr.subarray(0, secondSlice), firstSlice);
       outColor.set(this._color.subarray(0, secondSlice * 4), firstSlice * 4);
+      outPos.set(this._positions.subarray(0, secondSlice * 2), firstSlice * 2);
     }
 
-    return { x: outX, y: outY, size: outSize, color: outColor };
+    return { x: outX, y: outY, size: outSize, color: outColor, positions: outPos };
   }
 
   // ─── Public API ─────────────────────────────────────────────────────────────
@@ -171,12 +204,16 @@ export class DataStore extends EventEmitter {
     const incoming = chunk.x.length;
     if (incoming === 0) return;
 
+    let start;
     if (this._rollingEnabled) {
+      start = this._headIndex;
       this._appendRolling(chunk, incoming);
     } else {
+      start = this._count;
       this._appendLinear(chunk, incoming);
     }
 
+    this._markDirty(start, Math.min(incoming, this._capacity));
     this.emit('dirty');
   }
 
@@ -185,18 +222,79 @@ export class DataStore extends EventEmitter {
    * Non-rolling: live subarray views (no copy).
    * Rolling: ordered copy via getLogicalData() to handle wrap-around.
    *
-   * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array }}
+   * The same object is returned until the data next changes (append, expiry,
+   * clear), so consumers can use its identity as a change signal.
+   *
+   * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array, positions: Float32Array }}
    */
   getGPUAttributes() {
-    if (this._rollingEnabled) {
-      return this.getLogicalData();
-    }
-    return {
-      x:     this._x.subarray(0, this._count),
-      y:     this._y.subarray(0, this._count),
-      size:  this._sizeArr.subarray(0, this._count),
-      color: this._color.subarray(0, this._count * 4),
+    if (!this._gpuAttrs) this._gpuAttrs = this.getLogicalData();
+    return this._gpuAttrs;
+  }
+
+  /**
+   * Whole physical buffers, for consumers that mirror them on the GPU and
+   * update incrementally via getDirtyRanges().  Slot order is storage order,
+   * not logical order: in rolling mode the ring wraps, and slots outside
+   * tail → head hold evicted points (transparent once evicted by age).
+   *
+   * `length` is the number of slots ever written (draw this many instances);
+   * `slotToIndex(slot)` maps a slot to its getGPUAttributes() / getMetadata()
+   * index, or -1 for an evicted slot.  The same object is returned until the
+   * next change, and the arrays stay the same until the next reallocation.
+   *
+   * @returns {{ x, y, size, color, positions, length: number, version: number,
+   *             slotToIndex: (slot: number) => number }}
+   */
+  getPhysicalAttributes() {
+    if (this._physicalAttrs) return this._physicalAttrs;
+
+    const rolling = this._rollingEnabled;
+    const cap     = this._capacity;
+    const tail    = this._tailIndex;
+    const count   = this._count;
+
+    this._physicalAttrs = {
+      x:         this._x,
+      y:         this._y,
+      size:      this._sizeArr,
+      color:     this._color,
+      positions: this._positions,
+      length:    this._highWater,
+      version:   this._version,
+      slotToIndex: rolling
+        ? slot => { const i = (slot - tail + cap) % cap; return i < count ? i : -1; }
+        : slot => (slot < count ? slot : -1),
     };
+    return this._physicalAttrs;
+  }
+
+  /** Change counter; bumped by every append, expiry and clear. */
+  get version() { return this._version; }
+
+  /**
+   * Physical slot ranges written since `sinceVersion`, merged and sorted.
+   *
+   * @param {number} sinceVersion — `version` at the consumer's last upload
+   * @returns {Array<[number, number]>|null} [start, end) slot ranges; null
+   *   when the log no longer reaches back that far or the buffers were
+   *   reallocated — re-upload everything
+   */
+  getDirtyRanges(sinceVersion) {
+    if (sinceVersion < this._logStart) return null;
+
+    const ranges = this._changeLog
+      .filter(e => e.version > sinceVersion)
+      .map(e => [e.start, e.end])
+      .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const r of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else merged.push(r);
+    }
+    return merged;
   }
 
   /** @returns {number} */
@@ -215,10 +313,40 @@ export class DataStore extends EventEmitter {
     this._headIndex = 0;
     this._tailIndex = 0;
     this._metadata.clear();
+    this._resetChangeLog();
   }
 
   // ─── Internal ───────────────────────────────────────────────────────────────
 
+  /**
+   * Record `n` slots written from physical slot `start` (wrapping in rolling
+   * mode) and drop the cached attribute objects.
+   */
+  _markDirty(start, n) {
+    this._version++;
+    this._gpuAttrs      = null;
+    this._physicalAttrs = null;
+
+    const first = Math.min(n, this._capacity - start);
+    this._changeLog.push({ version: this._version, start, end: start + first });
+    if (n > first) this._changeLog.push({ version: this._version, start: 0, end: n - first });
+    this._highWater = Math.max(this._highWater, start + first, n - first);
+
+    while (this._changeLog.length > CHANGE_LOG_LIMIT) {
+      this._logStart = this._changeLog.shift().version;
+    }
+  }
+
+  /** Forget all logged ranges — buffers were reallocated or emptied. */
+  _resetChangeLog() {
+    this._version++;
+    this._logStart      = this._version;
+    this._changeLog     = [];
+    this._highWater     = this._rollingEnabled ? 0 : this._count;
+    this._gpuAttrs      = null;
+    this._physicalAttrs = null;
+  }
+
   /**
    * Append path for rolling ring buffer mode.
    * Writes each incoming point at headIndex; if buffer is full, advances
@@ -233,6 +361,8 @@ export class DataStore extends EventEmitter {
 
       this._x[head]         = chunk.x[i];
       this._y[head]         = chunk.y[i];
+      this._positions[head * 2]     = this._x[head];
+      this._positions[head * 2 + 1] = this._y[head];
       this._sizeArr[head]   = chunk.size  ? chunk.size[i]  : 4.0;
       this._timestamps[head] = now;
 
@@ -286,6 +416,12 @@ export class DataStore extends EventEmitter {
       for (let i = 0; i < incoming; i++) this._y[base + i] = chunk.y[i];
     }
 
+    // Interleave the new range into positions
+    for (let i = base; i < base + incoming; i++) {
+      this._positions[i * 2]     = this._x[i];
+      this._positions[i * 2 + 1] = this._y[i];
+    }
+
     // Copy size (default 4.0)
     if (chunk.size) {
       if (chunk.size instanceof Float32Array) {
@@ -334,16 +470,20 @@ export class DataStore extends EventEmitter {
     const newY     = new Float32Array(newCapacity);
     const newSize  = new Float32Array(newCapacity);
     const newColor = new Uint8Array(newCapacity * 4);
+    const newPos   = new Float32Array(newCapacity * 2);
 
     newX.set(this._x.subarray(0, this._count));
     newY.set(this._y.subarray(0, this._count));
     newSize.set(this._sizeArr.subarray(0, this._count));
     newColor.set(this._color.subarray(0, this._count * 4));
-
-    this._x        = newX;
-    this._y        = newY;
-    this._sizeArr  = newSize;
-    this._color    = newColor;
+    newPos.set(this._positions.subarray(0, this._count * 2));
+
+    this._x         = newX;
+    this._y         = newY;
+    this._sizeArr   = newSize;
+    this._color     = newColor;
+    this._positions = newPos;
+    this._resetChangeLog();
 
     this._capacity = newCapacity;
   }
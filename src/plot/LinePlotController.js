@@ -8,11 +8,19 @@
  * API:
  *   addSignal(id, color)                 — register a named signal with RGBA color
  *   appendSignalData(id, yValues, xBase) — append y values (x = xBase + i)
+ *   setSignalData(id, xValues, yValues)  — replace a signal with explicit x/y samples
  *   advanceXCounter(n)                   — advance the shared x index by n
  *   reset()                              — clear all signals and reset domains
  *   expandDomains()                      — fit axes to current data extents
+ *   exportSVG(options)                   — vector export of the current view
+ *   getSignalStats(id, x1, x2)           — RMS / peak-to-peak / integral over an x-range
  *   init(webglCanvas, axisCanvas)        — attach to DOM, start render loop
  *   destroy()                            — clean up
+ *
+ * Samples live in typed-array SignalBuffers.  Each render uploads only the
+ * M4 decimation of the visible x-range (first/min/max/last per pixel
+ * column), cached per signal and recomputed when the x-domain, plot width
+ * or signal data change — so 50M-sample signals cost O(plot width) per frame.
  */
 
 import { EventEmitter } from 'events';
@@ -23,6 +31,9 @@ import { PathLayer }        from '@deck.gl/layers';
 import { ViewportController } from './ViewportController.js';
 import { AxisController }     from './axes/AxisController.js';
 import { AxisRenderer }       from './axes/AxisRenderer.js';
+import { SVGExporter }        from './export/SVGExporter.js';
+import { computeSignalStats } from './ROI/ROIStats.js';
+import { SignalBuffer }       from './lod/SignalBuffer.js';
 
 export class LinePlotController extends EventEmitter {
   /**
@@ -52,8 +63,8 @@ export class LinePlotController extends EventEmitter {
     if (opts.xLabel) this._xAxis.label = opts.xLabel;
     if (opts.yLabel) this._yAxis.label = opts.yLabel;
 
-    // Signal registry: id → { path: [], color, layerData, version }
-    // path entries are [x, y, 0] triples used directly by PathLayer
+    // Signal registry: id → { buffer: SignalBuffer, color, version, lod }
+    // lod caches the decimated PathLayer data: { key, layerData }
     this._signals = new Map();
     this._xCounter = 0;  // global x index, shared across all signals per tick
 
@@ -92,10 +103,10 @@ export class LinePlotController extends EventEmitter {
    */
   addSignal(id, color) {
     this._signals.set(id, {
-      path:      [],     // mutable array of [x, y, 0] triples
+      buffer:  new SignalBuffer(),
       color,
-      layerData: null,   // cached [{path, color}] — replaced on each append
-      version:   0,      // incremented on append, drives updateTriggers
+      version: 0,      // incremented on data change, invalidates lod
+      lod:     null,   // { key, layerData } — decimated view for the current domain
     });
   }
 
@@ -110,16 +121,52 @@ export class LinePlotController extends EventEmitter {
     const sig = this._signals.get(id);
     if (!sig) return;
 
-    for (let i = 0; i < yValues.length; i++) {
-      sig.path.push([xBase + i, yValues[i], 0]);
-    }
+    const xValues = new Float64Array(yValues.length);
+    for (let i = 0; i < xValues.length; i++) xValues[i] = xBase + i;
+    sig.buffer.append(xValues, yValues);
+    sig.version++;
+    this._dirty = true;
+  }
+
+  /**
+   * Replace a signal's samples with explicit x / y values (e.g. fractional
+   * sample times).  x must be non-decreasing.
+   *
+   * @param {string}                id
+   * @param {number[]|Float64Array} xValues
+   * @param {number[]|Float32Array} yValues — same length as xValues
+   */
+  setSignalData(id, xValues, yValues) {
+    const sig = this._signals.get(id);
+    if (!sig) return;
 
-    // New layerData reference → deck.gl detects data change and re-evaluates getPath
-    sig.layerData = [{ path: sig.path, color: sig.color }];
+    sig.buffer.clear();
+    sig.buffer.append(xValues, yValues);
     sig.version++;
     this._dirty = true;
   }
 
+  /** @returns {string[]} registered signal ids */
+  getSignalIds() {
+    return [...this._signals.keys()];
+  }
+
+  /**
+   * Statistics of one signal over [x1, x2] — count, mean, RMS, min, max,
+   * peak-to-peak and trapezoidal integral.  Pass a ROI's x bounds to get
+   * region statistics (ROIController.computeStats does this).
+   *
+   * @param {string} id
+   * @param {number} [x1=-Infinity]
+   * @param {number} [x2=Infinity]
+   * @returns {{ count, mean, rms, min, max, peakToPeak, integral }|null} null if unknown id
+   */
+  getSignalStats(id, x1 = -Infinity, x2 = Infinity) {
+    const sig = this._signals.get(id);
+    if (!sig) return null;
+    return computeSignalStats(sig.buffer.x, sig.buffer.y, x1, x2);
+  }
+
   /** Advance the shared x counter by n (call after one round of appendSignalData). */
   advanceXCounter(n) {
     this._xCounter += n;
@@ -134,19 +181,7 @@ export class LinePlotController extends EventEmitter {
    */
   trimBefore(xMin) {
     for (const sig of this._signals.values()) {
-      if (sig.path.length === 0) continue;
-      // Binary-search the first index where x >= xMin
-      let lo = 0, hi = sig.path.length;
-      while (lo < hi) {
-        const mid = (lo + hi) >>> 1;
-        if (sig.path[mid][0] < xMin) lo = mid + 1;
-        else hi = mid;
-      }
-      if (lo > 0) {
-        sig.path = sig.path.slice(lo);
-        sig.layerData = sig.path.length > 0 ? [{ path: sig.path, color: sig.color }] : null;
-        sig.version++;
-      }
+      if (sig.buffer.trimBefore(xMin) > 0) sig.version++;
     }
     this._dirty = true;
   }
@@ -166,15 +201,14 @@ export class LinePlotController extends EventEmitter {
   /** Total path points across all registered signals. */
   getPointCount() {
     let n = 0;
-    for (const sig of this._signals.values()) n += sig.path.length;
+    for (const sig of this._signals.values()) n += sig.buffer.length;
     return n;
   }
 
   /** Clear all signal data and reset domains/counter. */
   reset() {
     for (const sig of this._signals.values()) {
-      sig.path      = [];
-      sig.layerData = null;
+      sig.buffer.clear();
       sig.version++;
     }
     this._xCounter = 0;
@@ -194,12 +228,12 @@ export class LinePlotController extends EventEmitter {
     let yMin = Infinity, yMax = -Infinity;
 
     for (const sig of this._signals.values()) {
-      if (sig.path.length === 0) continue;
-      xMax = Math.max(xMax, sig.path[sig.path.length - 1][0]);
-      for (const pt of sig.path) {
-        if (pt[1] < yMin) yMin = pt[1];
-        if (pt[1] > yMax) yMax = pt[1];
-      }
+      const { buffer } = sig;
+      if (buffer.length === 0) continue;
+      xMax = Math.max(xMax, buffer.x[buffer.length - 1]);
+      const [lo, hi] = buffer.yExtent();
+      if (lo < yMin) yMin = lo;
+      if (hi > yMax) yMax = hi;
     }
 
     if (yMin === Infinity) return;
@@ -210,6 +244,46 @@ export class LinePlotController extends EventEmitter {
     this._updateScales();
   }
 
+  // ─── Export ────────────────────────────────────────────────────────────────
+
+  /**
+   * Export the current view as a standalone SVG document (signals as
+   * polylines, plus grid, ticks and labels).
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.hideAxes=false]
+   * @param {boolean} [options.decimate=true] — clip each signal to the visible
+   *   x-domain and keep first/min/max/last per pixel column
+   * @param {string|null} [options.background='#0d0d0d'] — null = transparent
+   * @param {'string'|'blob'} [options.output='string']
+   * @returns {string|Blob}
+   */
+  exportSVG(options = {}) {
+    const {
+      hideAxes   = false,
+      decimate   = true,
+      background = '#0d0d0d',
+      output     = 'string',
+    } = options;
+
+    const svg = new SVGExporter({
+      viewport: this._viewport,
+      xAxis:    this._xAxis,
+      yAxis:    this._yAxis,
+      style:    this._axisRenderer ? this._axisRenderer.style : undefined,
+      background,
+    });
+
+    for (const sig of this._signals.values()) {
+      const points = decimate ? this._getSignalLayerData(sig)[0].path : sig.buffer.toPoints();
+      svg.addPath(points, { color: sig.color, width: 2, decimate });
+    }
+    if (!hideAxes) svg.addAxes();
+
+    const text = svg.toString();
+    return output === 'blob' ? new Blob([text], { type: 'image/svg+xml' }) : text;
+  }
+
   // ─── Init / destroy ────────────────────────────────────────────────────────
 
   init(webglCanvas, axisCanvas) {
@@ -274,17 +348,17 @@ export class LinePlotController extends EventEmitter {
     const layers = [];
 
     for (const [id, sig] of this._signals) {
-      if (!sig.layerData || sig.path.length < 2) continue;
+      if (sig.buffer.length < 2) continue;
 
+      // A new layerData reference per recompute → deck.gl re-evaluates getPath
       layers.push(new PathLayer({
         id:           `line-${id}`,
-        data:         sig.layerData,
+        data:         this._getSignalLayerData(sig),
         getPath:      d => d.path,
         getColor:     d => d.color,
         getWidth:     2,
         widthUnits:   'pixels',
         pickable:     false,
-        updateTriggers: { getPath: sig.version },
       }));
     }
 
@@ -293,6 +367,25 @@ export class LinePlotController extends EventEmitter {
     if (this._axisRenderer) this._axisRenderer.render();
   }
 
+  /**
+   * PathLayer data for one signal: the M4 decimation of the visible x-range
+   * at one bucket per device-pixel column, cached on the x-domain, column
+   * count and signal version (the y-domain does not change which samples
+   * are distinguishable).
+   */
+  _getSignalLayerData(sig) {
+    const [xMin, xMax] = this._xAxis.getDomain();
+    const ratio   = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const columns = Math.ceil(this._viewport.plotArea.width * ratio);
+    const key = `${xMin}|${xMax}|${columns}|${sig.version}`;
+
+    if (!sig.lod || sig.lod.key !== key) {
+      const path = sig.buffer.decimate(xMin, xMax, columns);
+      sig.lod = { key, layerData: [{ path, color: sig.color }] };
+    }
+    return sig.lod.layerData;
+  }
+
   // ─── Coordinate / scale ────────────────────────────────────────────────────
 
   _resize(w, h) {
@@ -32,7 +32,14 @@ import { AxisController }     from './axes/AxisController.js';
 import { AxisRenderer }       from './axes/AxisRenderer.js';
 import { ROIController }      from './ROI/ROIController.js';
 import { buildScatterLayer }  from './layers/ScatterLayer.js';
+import { decimateScatter }    from './lod/ScatterLOD.js';
 import { ROILayer }           from './layers/ROILayer.js';
+import { SVGExporter }        from './export/SVGExporter.js';
+
+/** Resolve on the next animation frame. */
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
 
 export class PlotController extends EventEmitter {
   /**
@@ -41,6 +48,13 @@ export class PlotController extends EventEmitter {
    * @param {string}  [opts.yScaleType='linear']
    * @param {number[]} [opts.xDomain=[0,1]]
    * @param {number[]} [opts.yDomain=[0,100]]
+   * @param {boolean} [opts.picking=false]  — enable point hover/click picking
+   * @param {number}  [opts.pickRadius=4]   — pick tolerance in CSS pixels
+   * @param {object}  [opts.keymap]         — ROI key binding overrides (see ROIKeymap)
+   * @param {boolean} [opts.keyboard=true]  — false disables all ROI key bindings
+   * @param {EventTarget} [opts.keyTarget]  — element ROI keys are read from (default: window)
+   * @param {boolean} [opts.lod=true]       — pixel-grid decimation of large datasets (see ScatterLOD)
+   * @param {number}  [opts.lodThreshold=250000] — point count above which LOD applies
    */
   constructor(opts = {}) {
     super();
@@ -71,7 +85,11 @@ export class PlotController extends EventEmitter {
       domain:    opts.yDomain    || [0, 100],
     });
 
-    this._roiController = new ROIController(this._viewport);
+    this._roiController = new ROIController(this._viewport, {
+      keymap:    opts.keymap,
+      keyboard:  opts.keyboard,
+      keyTarget: opts.keyTarget,
+    });
 
     // Set axis labels (optional)
     if (opts.xLabel) this._xAxis.label = opts.xLabel;
@@ -87,9 +105,12 @@ export class PlotController extends EventEmitter {
     this._rafId       = null;
     this._dirty       = true;  // flag: re-render next frame
 
-    // Data trigger counter for deck.gl updateTriggers
+    // Data change counter — part of the LOD cache key
     this._dataTrigger = 0;
 
+    // DataStore version whose physical buffers were last uploaded (see _render)
+    this._uploadedVersion = -1;
+
     // Auto-expand domain when new data is appended
     this._autoExpand = opts.autoExpand ?? true;
 
@@ -116,12 +137,26 @@ export class PlotController extends EventEmitter {
     this._axisDragAxis   = null;   // 'x' | 'y'
     this._axisDragStart  = null;   // { x, y, xDomain, yDomain }
 
+    // Point picking — hover is resolved at most once per frame in the RAF loop
+    this._pickingEnabled = opts.picking ?? false;
+    this._pickRadius     = opts.pickRadius ?? 4;
+    this._hoverPos       = null;   // { x, y } pending hover pick, or null
+    this._hoveredIndex   = -1;     // DataStore index under the cursor, -1 = none
+    this._clickStart     = null;   // { x, y } left-button down position
+
+    // Level of detail — decimated render data, recomputed when the view or data changes
+    this._lodEnabled   = opts.lod ?? true;
+    this._lodThreshold = opts.lodThreshold ?? 250000;
+    this._lodCache     = null;   // { key, data }
+    this._lodPixelRatio = null;  // override of devicePixelRatio (exportPNG)
+
     // Bound event handlers for cleanup
     this._onWheel      = this._onWheel.bind(this);
     this._onMouseDown  = this._onMouseDown.bind(this);
     this._onMouseMove  = this._onMouseMove.bind(this);
     this._onMouseUp    = this._onMouseUp.bind(this);
     this._onResize     = this._onResize.bind(this);
+    this._onMouseLeave = this._onMouseLeave.bind(this);
 
     // Wire up subsystem events → re-emit on self
     this._wireEvents();
@@ -171,6 +206,7 @@ export class PlotController extends EventEmitter {
     webglCanvas.addEventListener('mousedown', this._onMouseDown);
     webglCanvas.addEventListener('mousemove', this._onMouseMove);
     webglCanvas.addEventListener('mouseup',   this._onMouseUp);
+    webglCanvas.addEventListener('mouseleave', this._onMouseLeave);
     window.addEventListener('resize',         this._onResize);
 
     // Start render loop
@@ -186,6 +222,7 @@ export class PlotController extends EventEmitter {
       this._webglCanvas.removeEventListener('mousedown', this._onMouseDown);
       this._webglCanvas.removeEventListener('mousemove', this._onMouseMove);
       this._webglCanvas.removeEventListener('mouseup',   this._onMouseUp);
+      this._webglCanvas.removeEventListener('mouseleave', this._onMouseLeave);
     }
     window.removeEventListener('resize', this._onResize);
 
@@ -248,6 +285,69 @@ export class PlotController extends EventEmitter {
     this._followPanSpeed = Math.max(0.001, Number(speed));
   }
 
+  // ─── Point picking ─────────────────────────────────────────────────────────
+
+  /**
+   * Enable or disable scatter point picking.  While enabled, hovering emits
+   * `pointHovered` and a click (press + release without dragging) on a point
+   * emits `pointClicked`.  Picking costs one small offscreen render per
+   * frame while the cursor moves, so it is off by default.
+   *
+   * @param {boolean} enabled
+   */
+  setPickingEnabled(enabled) {
+    this._pickingEnabled = !!enabled;
+    if (!this._pickingEnabled) {
+      this._hoverPos = null;
+      this._setHovered(null);
+    }
+    this._dirty = true;
+  }
+
+  /**
+   * Return the scatter point nearest the given canvas position (within
+   * `pickRadius`), or null.  Works regardless of the picking flag as long
+   * as a frame has been rendered with picking enabled.
+   *
+   * @param {number} screenX — canvas CSS pixel x
+   * @param {number} screenY — canvas CSS pixel y
+   * @returns {{ index: number, x: number, y: number, size: number,
+   *             color: number[], metadata: object|undefined,
+   *             screenX: number, screenY: number }|null}
+   */
+  pickPoint(screenX, screenY) {
+    if (!this._deck || !this._viewport.isInPlotArea(screenX, screenY)) return null;
+
+    const info = this._deck.pickObject({
+      x:        screenX,
+      y:        screenY,
+      radius:   this._pickRadius,
+      layerIds: ['masterplot-scatter'],
+    });
+    if (!info || info.index < 0) return null;
+
+    const data = this._getDisplayData();
+    const i    = info.index;
+    if (i >= (data.length ?? data.x.length)) return null;
+
+    // Filtered / decimated data carries an index map back to DataStore
+    // logical indices; physical buffers map ring slots instead
+    const index = data.index ? data.index[i] : data.slotToIndex ? data.slotToIndex(i) : i;
+    if (index < 0) return null;
+    const c     = i * 4;
+
+    return {
+      index,
+      x:        data.x[i],
+      y:        data.y[i],
+      size:     data.size[i],
+      color:    [data.color[c], data.color[c + 1], data.color[c + 2], data.color[c + 3]],
+      metadata: this._dataStore.getMetadata(index),
+      screenX:  this._viewport.dataXToScreen(data.x[i]),
+      screenY:  this._viewport.dataYToScreen(data.y[i]),
+    };
+  }
+
   // ─── Zoom / Pan ────────────────────────────────────────────────────────────
 
   /**
@@ -293,6 +393,7 @@ export class PlotController extends EventEmitter {
 
     this._dataView     = dataView;
     this._ownsDataView = owns;
+    this._dataTrigger++;  // render source changed
 
     if (this._dataView) {
       this._dataView.on('dirty',      this._onDataViewDirty);
@@ -302,23 +403,130 @@ export class PlotController extends EventEmitter {
     this._dirty = true;
   }
 
-  // ─── Export placeholder (v2) ───────────────────────────────────────────────
+  // ─── Export ────────────────────────────────────────────────────────────────
 
   /**
-   * Export the plot as PNG.
-   * v2 feature — architecture is in place; implementation deferred.
+   * Export the plot as a PNG image.
+   *
+   * The deck.gl canvas is re-rendered at `resolutionMultiplier` × its CSS size
+   * (via deck's `useDevicePixels`), copied into an offscreen canvas in the same
+   * task as the redraw (so no `preserveDrawingBuffer` is needed), and the axis
+   * overlay (ticks, grid, labels, LineROI labels) is redrawn on top at the same
+   * scale.  The live view is restored afterwards.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.hideAxes=false]          — omit the axis overlay
+   * @param {boolean} [options.hideLegend=false]        — reserved; no legend yet
+   * @param {number}  [options.resolutionMultiplier=2]  — output px per CSS px
+   * @param {string|null} [options.background='#0d0d0d'] — fill colour; null = transparent
+   * @param {'blob'|'dataURL'} [options.output='blob']
+   * @returns {Promise<Blob|string>}
+   */
+  async exportPNG(options = {}) {
+    const {
+      hideAxes             = false,
+      resolutionMultiplier = 2,
+      background           = '#0d0d0d',
+      output               = 'blob',
+    } = options;
+
+    if (!this._deck || !this._webglCanvas) {
+      throw new Error('exportPNG: init() must be called before exporting');
+    }
+
+    const scale = Math.max(1, Number(resolutionMultiplier) || 1);
+    const { canvasWidth: W, canvasHeight: H } = this._viewport;
+    const outW  = Math.round(W * scale);
+    const outH  = Math.round(H * scale);
+
+    // luma.gl resizes the drawing buffer on its next animation frame
+    this._deck.setProps({ useDevicePixels: scale });
+    await nextFrame();
+    await nextFrame();
+
+    const out = document.createElement('canvas');
+    out.width  = outW;
+    out.height = outH;
+    const ctx  = out.getContext('2d');
+
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, outW, outH);
+    }
+
+    try {
+      // Redraw and copy synchronously — the drawing buffer is only guaranteed
+      // to hold the frame until control returns to the browser.
+      this._lodPixelRatio = scale;
+      this._render();
+      this._deck.redraw('exportPNG');
+      ctx.drawImage(this._webglCanvas, 0, 0, outW, outH);
+    } finally {
+      this._lodPixelRatio = null;
+      this._deck.setProps({ useDevicePixels: true });
+      this._dirty = true;
+    }
+
+    if (!hideAxes && this._axisRenderer) {
+      ctx.save();
+      ctx.scale(outW / W, outH / H);
+      this._axisRenderer.renderToContext(ctx, this._roiController.getAllROIs());
+      ctx.restore();
+    }
+
+    if (output === 'dataURL') return out.toDataURL('image/png');
+
+    return new Promise((resolve, reject) => {
+      out.toBlob(blob => {
+        if (blob) resolve(blob);
+        else reject(new Error('exportPNG: canvas.toBlob() returned null'));
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * Export the current view as a standalone SVG document.
+   *
+   * Scatter points, ROIs, grid, ticks and labels are re-emitted as vector
+   * primitives from their sources (DataView/DataStore, ROIController,
+   * AxisController) rather than read back from the canvas, so output is
+   * resolution-independent and suitable for publication figures.
    *
    * @param {object} [options]
    * @param {boolean} [options.hideAxes=false]
-   * @param {boolean} [options.hideLegend=false]
-   * @param {number}  [options.resolutionMultiplier=2]
+   * @param {boolean} [options.hideROIs=false]
+   * @param {boolean} [options.decimate=true] — drop off-screen points and
+   *   points that duplicate an already-drawn pixel (see SVGExporter.addScatter)
+   * @param {string|null} [options.background='#0d0d0d'] — null = transparent
+   * @param {'string'|'blob'} [options.output='string']
+   * @returns {string|Blob}
    */
-  exportPNG(options = {}) {
-    const { hideAxes = false, resolutionMultiplier = 2 } = options;
-    if (hideAxes) this._axisRenderer.exportMode(true);
-    // TODO (v2): offscreen canvas + WebGL readPixels + axis canvas composite
-    console.warn('exportPNG: v2 feature, not yet implemented');
-    if (hideAxes) this._axisRenderer.exportMode(false);
+  exportSVG(options = {}) {
+    const {
+      hideAxes   = false,
+      hideROIs   = false,
+      decimate   = true,
+      background = '#0d0d0d',
+      output     = 'string',
+    } = options;
+
+    const svg = new SVGExporter({
+      viewport: this._viewport,
+      xAxis:    this._xAxis,
+      yAxis:    this._yAxis,
+      style:    this._axisRenderer ? this._axisRenderer.style : undefined,
+      background,
+    });
+
+    const gpuAttrs = this._getRenderData();
+    const rois = this._roiController.getAllROIs();
+
+    svg.addScatter(gpuAttrs, { decimate });
+    if (!hideROIs) svg.addROIs(rois);
+    if (!hideAxes) svg.addAxes(hideROIs ? [] : rois);
+
+    const text = svg.toString();
+    return output === 'blob' ? new Blob([text], { type: 'image/svg+xml' }) : text;
   }
 
   // ─── Internal: render loop ─────────────────────────────────────────────────
@@ -347,6 +555,14 @@ export class PlotController extends EventEmitter {
         this._render();
         this._dirty = false;
       }
+
+      // Hover picking runs after render so it sees the current layers
+      if (this._hoverPos) {
+        const { x, y } = this._hoverPos;
+        this._hoverPos = null;
+        this._setHovered(this.pickPoint(x, y));
+      }
+
       this._scheduleRender();
     });
   }
@@ -354,25 +570,34 @@ export class PlotController extends EventEmitter {
   _render() {
     if (!this._deck) return;
 
-    // F17: use DataView when present (authoritative GPU source); else fall back to DataStore
-    const gpuAttrs = this._dataView
-      ? this._dataView.getData()
-      : this._dataStore.getGPUAttributes();
+    const gpuAttrs = this._getDisplayData();
     const rois     = this._roiController.getAllROIs();
     const [xMin, xMax] = this._xAxis.getDomain();
     const [yMin, yMax] = this._yAxis.getDomain();
     const xIsLog = this._xAxis.scaleType === 'log';
     const yIsLog = this._yAxis.scaleType === 'log';
 
+    // Physical DataStore buffers are updated in place: upload only the slot
+    // ranges written since the version last rendered
+    let dirtyRanges = null;
+    if (gpuAttrs.slotToIndex && gpuAttrs.version !== this._uploadedVersion) {
+      dirtyRanges = this._dataStore.getDirtyRanges(this._uploadedVersion) || [[0, gpuAttrs.length]];
+      this._uploadedVersion = gpuAttrs.version;
+    }
+
     const layers = [];
 
-    if (gpuAttrs.x.length > 0) {
-      layers.push(buildScatterLayer(gpuAttrs, { dataTrigger: this._dataTrigger, xIsLog, yIsLog }));
+    if ((gpuAttrs.length ?? gpuAttrs.x.length) > 0) {
+      layers.push(buildScatterLayer(gpuAttrs, {
+        xIsLog, yIsLog, dirtyRanges,
+        pickable: this._pickingEnabled,
+      }));
     }
 
     layers.push(new ROILayer({
       id:       'roi-layer',
       rois,
+      draft:    this._roiController.getDraft(),
       plotXMin: xMin,
       plotXMax: xMax,
       plotYMin: yMin,
@@ -392,6 +617,56 @@ export class PlotController extends EventEmitter {
     }
   }
 
+  /** F17: use DataView when present (authoritative GPU source); else fall back to DataStore */
+  _getRenderData() {
+    return this._dataView
+      ? this._dataView.getData()
+      : this._dataStore.getGPUAttributes();
+  }
+
+  /**
+   * Data handed to the scatter layer.
+   *
+   * Without a DataView and below lodThreshold points (or with lod: false)
+   * these are DataStore's physical buffers, which _render() keeps on the GPU
+   * and updates by dirty range.  A DataView's snapshot is used as is.  Above
+   * the threshold, the decimated copy is cached, keyed on the data trigger,
+   * both axis domains and scale types and the plot-area size, so zoom/pan
+   * recomputes it once per frame and idle frames reuse it.
+   */
+  _getDisplayData() {
+    const useLOD = this._lodEnabled &&
+      (this._dataView ? true : this._dataStore.getPointCount() > this._lodThreshold);
+    if (!this._dataView && !useLOD) return this._dataStore.getPhysicalAttributes();
+
+    const src = this._getRenderData();
+    if (!useLOD || src.x.length <= this._lodThreshold) return src;
+
+    const xDomain = this._xAxis.getDomain();
+    const yDomain = this._yAxis.getDomain();
+    const xIsLog  = this._xAxis.scaleType === 'log';
+    const yIsLog  = this._yAxis.scaleType === 'log';
+    const { width, height } = this._viewport.plotArea;
+    const pixelRatio = this._lodPixelRatio ??
+      ((typeof window !== 'undefined' && window.devicePixelRatio) || 1);
+    const key = `${this._dataTrigger}|${xDomain}|${yDomain}|${xIsLog}|${yIsLog}|` +
+                `${width}x${height}@${pixelRatio}`;
+
+    if (this._lodCache && this._lodCache.key === key) return this._lodCache.data;
+
+    const data = decimateScatter(src, { xDomain, yDomain, width, height, xIsLog, yIsLog, pixelRatio });
+    this._lodCache = { key, data };
+    return data;
+  }
+
+  /** Update hover state; emits `pointHovered` (point or null) only on change. */
+  _setHovered(point) {
+    const index = point ? point.index : -1;
+    if (index === this._hoveredIndex) return;
+    this._hoveredIndex = index;
+    this.emit('pointHovered', point);
+  }
+
   // ─── Internal: coordinate / scale sync ────────────────────────────────────
 
   _resize(width, height) {
@@ -564,6 +839,9 @@ export class PlotController extends EventEmitter {
     }
 
     if (!this._viewport.isInPlotArea(pos.x, pos.y)) return;
+    if (e.shiftKey) return; // Shift+drag on empty space is ROI rubber-band selection
+
+    this._clickStart = { x: pos.x, y: pos.y };
 
     this._isPanning = true;
     this._panStart  = {
@@ -583,10 +861,21 @@ export class PlotController extends EventEmitter {
     // F21: axis drag zoom — mutually exclusive with plot pan
     if (this._isAxisDragging) { this._handleAxisDragMove(e); return; }
 
-    if (!this._isPanning || !this._panStart) return;
-
     const pos = this._viewport.getCanvasPosition(e, this._webglCanvas);
 
+    // Hover picking — deferred to the RAF loop; suppressed during any drag
+    // or ROI creation so it never competes with interaction
+    if (this._pickingEnabled) {
+      if (this._isPanning || this._isRightDragging || this._roiController._mode !== 'idle') {
+        this._hoverPos = null;
+        this._setHovered(null);
+      } else {
+        this._hoverPos = { x: pos.x, y: pos.y };
+      }
+    }
+
+    if (!this._isPanning || !this._panStart) return;
+
     if (this._panMode === 'drag') {
       // F4: drag pan — data moves with cursor (restore-and-reapply, inverted signs)
       const dx = pos.x - this._panStart.screenX;
@@ -621,6 +910,26 @@ export class PlotController extends EventEmitter {
       this._panStart      = null;
       this._panCurrentPos = null;  // F5: stop velocity pan
     }
+
+    // Click = press and release within a few pixels (no pan happened)
+    if (e.button === 0 && this._clickStart) {
+      const start = this._clickStart;
+      this._clickStart = null;
+      if (this._pickingEnabled) {
+        const pos = this._viewport.getCanvasPosition(e, this._webglCanvas);
+        const CLICK_SLOP = 3;
+        if (Math.abs(pos.x - start.x) <= CLICK_SLOP && Math.abs(pos.y - start.y) <= CLICK_SLOP) {
+          const point = this.pickPoint(start.x, start.y);
+          if (point) this.emit('pointClicked', point);
+        }
+      }
+    }
+  }
+
+  _onMouseLeave() {
+    this._hoverPos   = null;
+    this._clickStart = null;
+    this._setHovered(null);
   }
 
   // F6: right-click mousedown — start drag zoom if inside plot area
@@ -711,6 +1020,7 @@ export class PlotController extends EventEmitter {
     this._dataStore.on('dataExpired', e => this.emit('dataExpired', e));
     // DataStore dirty without a DataView — still need to re-render (e.g. shared store, no DataView)
     this._dataStore.on('dirty', () => {
+      this._lodCache = null;  // shared stores can change without our _dataTrigger moving
       if (!this._dataView) { this._dirty = true; }
     });
 
@@ -726,6 +1036,8 @@ export class PlotController extends EventEmitter {
     this._roiController.on('roiDeleted',   e => this.emit('roiDeleted',   e));
     this._roiController.on('roiFinalized',     e => this.emit('roiFinalized',     e));
     this._roiController.on('roiExternalUpdate', e => this.emit('roiExternalUpdate', e)); // F14
+    this._roiController.on('historyChanged',    e => this.emit('historyChanged',    e));
+    this._roiController.on('selectionChanged',  e => this.emit('selectionChanged',  e));
     this._roiController.on('roisChanged',  () => { this._dirty = true; });
 
     // Axis domain events
@@ -14,6 +14,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { roiPredicate, computePointStats } from './ROI/ROIStats.js';
 
 export class PlotDataView extends EventEmitter {
   /**
@@ -100,8 +101,10 @@ export class PlotDataView extends EventEmitter {
   }
 
   /**
-   * Return a new child PlotDataView keeping only points inside the named ROI
-   * bounding box. Requires opts.roiController to have been set.
+   * Return a new child PlotDataView keeping only points inside the named ROI.
+   * ROIs with a `containsPoint(x, y)` method (PolygonROI, LassoROI,
+   * EllipseROI) get an exact test; all others use their bounding box.
+   * Requires opts.roiController to have been set.
    *
    * @param {string} roiId
    * @returns {PlotDataView}
@@ -118,11 +121,8 @@ export class PlotDataView extends EventEmitter {
         // ROI not found — return all data (graceful degradation)
         return data;
       }
-      const { x1, x2, y1, y2 } = roi.getBounds();
-      return self._filterPoints(data, (i) => {
-        return data.x[i] >= x1 && data.x[i] <= x2 &&
-               data.y[i] >= y1 && data.y[i] <= y2;
-      });
+      const inside = roiPredicate(roi);
+      return self._filterPoints(data, (i) => inside(data.x[i], data.y[i]));
     };
     return new PlotDataView(this, filterFn, { roiController });
   }
@@ -179,6 +179,19 @@ export class PlotDataView extends EventEmitter {
     return { counts, edges };
   }
 
+  // ─── Statistics ──────────────────────────────────────────────────────────────
+
+  /**
+   * Summary statistics of all points in this view (see ROIStats).
+   * Combine with filterByROI() for per-ROI numbers that stay cached until the
+   * next roiFinalized / data change.
+   *
+   * @returns {{ count, mean, median, std, min, max, centroid }}
+   */
+  stats() {
+    return computePointStats(this.getData());
+  }
+
   // ─── Snapshot ────────────────────────────────────────────────────────────────
 
   /**
@@ -245,9 +258,13 @@ export class PlotDataView extends EventEmitter {
    * Filter points by predicate. Two-pass: count then copy.
    * Allocates output typed arrays exactly sized to the match count.
    *
-   * @param {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array }} data
+   * The result carries an `index` array mapping each output point back to its
+   * DataStore logical index (composed through chained filters), so picks on a
+   * filtered view can still resolve DataStore metadata.
+   *
+   * @param {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array, index?: Uint32Array }} data
    * @param {(i: number) => boolean} predicate
-   * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array }}
+   * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array, index: Uint32Array }}
    */
   _filterPoints(data, predicate) {
     const n = data.x.length;
@@ -263,6 +280,8 @@ export class PlotDataView extends EventEmitter {
     const outY     = new Float32Array(count);
     const outSize  = new Float32Array(count);
     const outColor = new Uint8Array(count * 4);
+    const outIndex = new Uint32Array(count);
+    const srcIndex = data.index || null;
 
     // Second pass: copy matching points
     let j = 0;
@@ -277,11 +296,12 @@ export class PlotDataView extends EventEmitter {
         outColor[dst + 1] = data.color[src + 1];
         outColor[dst + 2] = data.color[src + 2];
         outColor[dst + 3] = data.color[src + 3];
+        outIndex[j] = srcIndex ? srcIndex[i] : i;
         j++;
       }
     }
 
-    return { x: outX, y: outY, size: outSize, color: outColor };
+    return { x: outX, y: outY, size: outSize, color: outColor, index: outIndex };
   }
 }
 
@@ -88,7 +88,8 @@ export class ConstraintEngine {
         this._clampChild(child, parent);
       }
 
-      // ── For LineROI: write the clamped x1/y1 back into position ─────────
+      // ── LineROI / PolygonROI: write the clamped bounds back into ─────────
+      //    position / vertices
       if (typeof child._syncPosition === 'function') {
         child._syncPosition();
       }
@@ -0,0 +1,299 @@
+/**
+ * EllipseROI — rotated ellipse (or circle) region of interest.
+ *
+ * Defined in data coordinates by a center, two radii and a rotation angle
+ * (radians, counter-clockwise from the +x data axis).  Created with the E key:
+ * first click sets the center, second click sets the radii (hold Shift for a
+ * circle).
+ *
+ * Handles (hit-tested in screen space via ViewportController):
+ *   'rx'     — end of the first semi-axis; drag to change rx
+ *   'ry'     — end of the second semi-axis; drag to change ry
+ *   'rotate' — ROTATE_HANDLE_FACTOR × rx along the first axis; drag to rotate
+ *   'move'   — anywhere inside the ellipse
+ * Radius / rotate handles are only active while the ROI is selected.
+ *
+ * ROIBase bounds are kept equal to the rotated ellipse's axis-aligned bounding
+ * box.  When ConstraintEngine (or ROIController) writes bounds directly it
+ * calls _syncPosition(), which re-centres the ellipse in the new box and
+ * scales the radii if the box shrank.
+ *
+ * Serialization format:
+ *   { id, type:'ellipse', center, radii, angle, version, updatedAt, domain, metadata }
+ *   domain = { x:[x1,x2], y:[y1,y2], center:[cx,cy], radii:[rx,ry], angle }
+ */
+
+import { ROIBase } from './ROIBase.js';
+
+const HANDLE_SIZE_PX       = 8;
+const ROTATE_HANDLE_FACTOR = 1.3;
+const MIN_RADIUS           = 1e-12;
+
+export const ELLIPSE_HANDLES = {
+  NONE:   'none',
+  MOVE:   'move',
+  RX:     'rx',
+  RY:     'ry',
+  ROTATE: 'rotate',
+};
+
+export class EllipseROI extends ROIBase {
+  /**
+   * @param {object}   opts
+   * @param {number[]} [opts.center=[0,0]] — [cx, cy] in data coordinates
+   * @param {number[]} [opts.radii=[1,1]]  — [rx, ry] in data units
+   * @param {number}   [opts.angle=0]      — rotation in radians
+   */
+  constructor(opts = {}) {
+    super(opts);
+    this.type = 'ellipse';
+
+    this.cx    = opts.center?.[0] ?? 0;
+    this.cy    = opts.center?.[1] ?? 0;
+    this.rx    = Math.abs(opts.radii?.[0] ?? 1);
+    this.ry    = Math.abs(opts.radii?.[1] ?? 1);
+    this.angle = opts.angle ?? 0;
+
+    this._syncBoundsFromShape();
+
+    if (!opts.domain) {
+      this.domain = this._buildDomain();
+    }
+  }
+
+  // ─── Domain helpers ───────────────────────────────────────────────────────
+
+  _buildDomain() {
+    return {
+      x:      [this.x1, this.x2],
+      y:      [this.y1, this.y2],
+      center: [this.cx, this.cy],
+      radii:  [this.rx, this.ry],
+      angle:  this.angle,
+    };
+  }
+
+  /**
+   * F14 override — domain captures center / radii / angle for version-gating.
+   */
+  bumpVersion() {
+    this.version  += 1;
+    this.updatedAt = Date.now();
+    this.domain    = this._buildDomain();
+  }
+
+  // ─── Shape ↔ bounds sync ──────────────────────────────────────────────────
+
+  /** @returns {{ center: number[], radii: number[], angle: number }} copy of the shape */
+  getShape() {
+    return { center: [this.cx, this.cy], radii: [this.rx, this.ry], angle: this.angle };
+  }
+
+  /**
+   * Replace center / radii / angle and recompute bounds.
+   * @param {{ center?: number[], radii?: number[], angle?: number }} shape
+   * @param {boolean} [silent=false] — suppress the onUpdate event
+   */
+  setShape(shape, silent = false) {
+    if (shape.center) { this.cx = shape.center[0]; this.cy = shape.center[1]; }
+    if (shape.radii)  { this.rx = Math.abs(shape.radii[0]); this.ry = Math.abs(shape.radii[1]); }
+    if (shape.angle !== undefined) this.angle = shape.angle;
+    this._syncBoundsFromShape();
+    if (!silent) this.emit('onUpdate', { roi: this, bounds: this.getBounds() });
+  }
+
+  /** Recompute x1/x2/y1/y2 as the rotated ellipse's bounding box. */
+  _syncBoundsFromShape() {
+    const c = Math.cos(this.angle), s = Math.sin(this.angle);
+    const hx = Math.hypot(this.rx * c, this.ry * s);
+    const hy = Math.hypot(this.rx * s, this.ry * c);
+    this.x1 = this.cx - hx; this.x2 = this.cx + hx;
+    this.y1 = this.cy - hy; this.y2 = this.cy + hy;
+    this._shapeBounds = this.getBounds();
+  }
+
+  /**
+   * Fit the ellipse to bounds written directly by ConstraintEngine /
+   * ROIController: re-centre, and scale the radii by the box's shrink factor
+   * (per-axis when unrotated, uniformly otherwise so the shape stays an
+   * ellipse of the same orientation).
+   */
+  _syncPosition() {
+    const from = this._shapeBounds;
+    if (!from) return;
+    if (from.x1 === this.x1 && from.x2 === this.x2 &&
+        from.y1 === this.y1 && from.y2 === this.y2) return;
+
+    const fw = from.x2 - from.x1, fh = from.y2 - from.y1;
+    const sx = fw > 0 ? (this.x2 - this.x1) / fw : 1;
+    const sy = fh > 0 ? (this.y2 - this.y1) / fh : 1;
+
+    this.cx = (this.x1 + this.x2) / 2;
+    this.cy = (this.y1 + this.y2) / 2;
+    if (this.angle === 0) {
+      this.rx *= sx;
+      this.ry *= sy;
+    } else {
+      const k = Math.min(sx, sy);
+      this.rx *= k;
+      this.ry *= k;
+    }
+    this._syncBoundsFromShape();
+  }
+
+  // ─── Geometry ─────────────────────────────────────────────────────────────
+
+  /** Unit vectors of the two semi-axes in data space. */
+  _axes() {
+    const c = Math.cos(this.angle), s = Math.sin(this.angle);
+    return { u: [c, s], v: [-s, c] };
+  }
+
+  /**
+   * True if the data-space point lies inside the ellipse.
+   * Used by PlotDataView.filterByROI for exact (non-bbox) filtering.
+   */
+  containsPoint(x, y) {
+    if (x < this.x1 || x > this.x2 || y < this.y1 || y > this.y2) return false;
+    const { u, v } = this._axes();
+    const dx = x - this.cx, dy = y - this.cy;
+    const a  = (dx * u[0] + dy * u[1]) / Math.max(this.rx, MIN_RADIUS);
+    const b  = (dx * v[0] + dy * v[1]) / Math.max(this.ry, MIN_RADIUS);
+    return a * a + b * b <= 1;
+  }
+
+  /**
+   * Sample the outline as a closed data-space polygon (first point not
+   * repeated).  Used by ROILayer and SVG export.
+   *
+   * @param {number} [segments=64]
+   * @returns {Array<number[]>}
+   */
+  getOutline(segments = 64) {
+    const { u, v } = this._axes();
+    const pts = [];
+    for (let i = 0; i < segments; i++) {
+      const t  = (i / segments) * Math.PI * 2;
+      const ct = Math.cos(t) * this.rx, st = Math.sin(t) * this.ry;
+      pts.push([this.cx + ct * u[0] + st * v[0], this.cy + ct * u[1] + st * v[1]]);
+    }
+    return pts;
+  }
+
+  /**
+   * Data-space positions of the radius / rotation handles.
+   * @returns {{ rx: number[], ry: number[], rotate: number[] }}
+   */
+  getHandlePositions() {
+    const { u, v } = this._axes();
+    const k = ROTATE_HANDLE_FACTOR;
+    return {
+      rx:     [this.cx + u[0] * this.rx,     this.cy + u[1] * this.rx],
+      ry:     [this.cx + v[0] * this.ry,     this.cy + v[1] * this.ry],
+      rotate: [this.cx + u[0] * this.rx * k, this.cy + u[1] * this.rx * k],
+    };
+  }
+
+  // ─── Interaction ──────────────────────────────────────────────────────────
+
+  /**
+   * Hit test in screen space.  Handles are projected through the viewport
+   * and matched within HANDLE_SIZE_PX; the body test maps the pointer back to
+   * data space and uses the exact ellipse equation.
+   *
+   * @param {number} sx — screen x
+   * @param {number} sy — screen y
+   * @param {ViewportController} viewport
+   * @returns {string} ELLIPSE_HANDLES.*
+   */
+  hitTest(sx, sy, viewport) {
+    if (!this.flags.visible) return ELLIPSE_HANDLES.NONE;
+
+    if (this.selected) {
+      const h = this.getHandlePositions();
+      const near = ([x, y]) =>
+        Math.abs(sx - viewport.dataXToScreen(x)) <= HANDLE_SIZE_PX &&
+        Math.abs(sy - viewport.dataYToScreen(y)) <= HANDLE_SIZE_PX;
+
+      if (near(h.rotate)) return ELLIPSE_HANDLES.ROTATE;
+      if (this.flags.resizable) {
+        if (near(h.rx)) return ELLIPSE_HANDLES.RX;
+        if (near(h.ry)) return ELLIPSE_HANDLES.RY;
+      }
+    }
+
+    if (this.containsPoint(viewport.screenXToData(sx), viewport.screenYToData(sy))) {
+      return ELLIPSE_HANDLES.MOVE;
+    }
+
+    return ELLIPSE_HANDLES.NONE;
+  }
+
+  /**
+   * Apply a data-space drag delta.
+   *
+   * ROIController restores the drag-start shape before calling this, so dx/dy
+   * are the total displacement from the drag origin.  Radius and rotate
+   * handles use the handle's start position plus the delta as the cursor.
+   *
+   * @param {string} handle — ELLIPSE_HANDLES.*
+   * @param {number} dx
+   * @param {number} dy
+   */
+  applyDelta(handle, dx, dy) {
+    const { u, v } = this._axes();
+    const h = this.getHandlePositions();
+
+    switch (handle) {
+      case ELLIPSE_HANDLES.MOVE:
+        if (!this.flags.movable) return;
+        this.cx += dx;
+        this.cy += dy;
+        break;
+      case ELLIPSE_HANDLES.RX: {
+        const px = h.rx[0] + dx - this.cx, py = h.rx[1] + dy - this.cy;
+        this.rx = Math.max(Math.abs(px * u[0] + py * u[1]), MIN_RADIUS);
+        break;
+      }
+      case ELLIPSE_HANDLES.RY: {
+        const px = h.ry[0] + dx - this.cx, py = h.ry[1] + dy - this.cy;
+        this.ry = Math.max(Math.abs(px * v[0] + py * v[1]), MIN_RADIUS);
+        break;
+      }
+      case ELLIPSE_HANDLES.ROTATE: {
+        const px = h.rotate[0] + dx - this.cx, py = h.rotate[1] + dy - this.cy;
+        if (px !== 0 || py !== 0) this.angle = Math.atan2(py, px);
+        break;
+      }
+      default:
+        return;
+    }
+
+    this._syncBoundsFromShape();
+    this.emit('onUpdate', { roi: this, bounds: this.getBounds() });
+  }
+
+  // ─── Serialization ────────────────────────────────────────────────────────
+
+  /**
+   * Override ROIBase to include center / radii / angle.
+   * Called by ROIController.serializeAll().
+   *
+   * @returns {{ id, type, center, radii, angle, version, updatedAt, domain, metadata }}
+   */
+  serialize() {
+    return {
+      id:        this.id,
+      type:      this.type,
+      center:    [this.cx, this.cy],
+      radii:     [this.rx, this.ry],
+      angle:     this.angle,
+      version:   this.version,
+      updatedAt: this.updatedAt,
+      domain:    this.domain,
+      metadata:  this.metadata,
+    };
+  }
+}
+
+export default EllipseROI;
@@ -0,0 +1,26 @@
+/**
+ * LassoROI — freehand polygon ROI.
+ *
+ * Created by pressing F and dragging: ROIController samples the cursor path
+ * every LASSO_MIN_SPACING_PX and closes it on mouseup.  Once created it behaves
+ * exactly like a PolygonROI — vertex drag, whole-shape move, constraints,
+ * point-in-polygon filtering — only the type tag differs.
+ *
+ * Serialization format:
+ *   { id, type:'lasso', vertices, version, updatedAt, domain, metadata }
+ */
+
+import { PolygonROI } from './PolygonROI.js';
+
+// Minimum screen distance between sampled lasso vertices.  Keeps the vertex
+// count proportional to the outline length rather than the mouse event rate.
+export const LASSO_MIN_SPACING_PX = 4;
+
+export class LassoROI extends PolygonROI {
+  constructor(opts = {}) {
+    super(opts);
+    this.type = 'lasso';
+  }
+}
+
+export default LassoROI;
@@ -44,10 +44,8 @@ export class LinearRegion extends ROIBase {
   /**
    * F14: Override — LinearRegion domain omits y (spans ±Infinity; not JSON-safe).
    */
-  bumpVersion() {
-    this.version  += 1;
-    this.updatedAt = Date.now();
-    this.domain    = { x: [this.x1, this.x2] };
+  _buildDomain() {
+    return { x: [this.x1, this.x2] };
   }
 
   /**
@@ -0,0 +1,248 @@
+/**
+ * PolygonROI — closed polygon region of interest defined by data-space vertices.
+ *
+ * Created by clicking vertices (P key); LassoROI extends this class for
+ * freehand creation.  Supports per-vertex dragging and whole-shape move.
+ *
+ * ROIBase bounds are kept equal to the vertex bounding box so ConstraintEngine
+ * can shift/clamp polygons without special-casing them:
+ *   - After ConstraintEngine (or ROIController) writes x1/x2/y1/y2 directly,
+ *     it calls _syncPosition() — the same hook LineROI uses — which maps the
+ *     vertices affinely from their previous bounding box onto the new one.
+ *     A pure shift therefore translates the shape; a clamp that shrinks the
+ *     box scales it.
+ *
+ * Handle naming:
+ *   'move' — pointer inside the polygon (whole-shape drag)
+ *   'v<i>' — pointer on vertex i (vertex drag)
+ *
+ * Serialization format:
+ *   { id, type:'polygon', vertices, version, updatedAt, domain, metadata }
+ *   domain = { x:[x1,x2], y:[y1,y2], vertices:[[x,y],...] } — vertices are
+ *   included so domain-only consumers (ExternalROIAdapter.save) keep the shape.
+ */
+
+import { ROIBase } from './ROIBase.js';
+
+const VERTEX_HANDLE_PX = 8;
+
+export const POLY_HANDLES = {
+  NONE: 'none',
+  MOVE: 'move',
+};
+
+/**
+ * Even-odd ray-casting point-in-polygon test.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<number[]>} vertices — [[x, y], ...], implicitly closed
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [xi, yi] = vertices[i];
+    const [xj, yj] = vertices[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export class PolygonROI extends ROIBase {
+  /**
+   * @param {object} opts
+   * @param {Array<number[]>} [opts.vertices=[]] — [[x, y], ...] in data coordinates
+   */
+  constructor(opts = {}) {
+    super(opts);
+    this.type = 'polygon';
+
+    this.vertices = (opts.vertices || []).map(([x, y]) => [x, y]);
+    this._syncBoundsFromVertices();
+
+    if (!opts.domain) {
+      this.domain = this._buildDomain();
+    }
+  }
+
+  // ─── Domain helpers ───────────────────────────────────────────────────────
+
+  _buildDomain() {
+    return {
+      x:        [this.x1, this.x2],
+      y:        [this.y1, this.y2],
+      vertices: this.vertices.map(([x, y]) => [x, y]),
+    };
+  }
+
+  /**
+   * F14 override — domain captures the vertex list for version-gating.
+   */
+  bumpVersion() {
+    this.version  += 1;
+    this.updatedAt = Date.now();
+    this.domain    = this._buildDomain();
+  }
+
+  // ─── Vertices ↔ bounds sync ───────────────────────────────────────────────
+
+  /** @returns {{ vertices: Array<number[]> }} copy of the shape */
+  getShape() {
+    return { vertices: this.vertices.map(([x, y]) => [x, y]) };
+  }
+
+  /**
+   * Restore a shape captured by getShape().
+   * @param {{ vertices: Array<number[]> }} shape
+   * @param {boolean} [silent=false]
+   */
+  setShape(shape, silent = false) {
+    this.setVertices(shape.vertices, silent);
+  }
+
+  /**
+   * Replace the vertex list and recompute bounds.
+   *
+   * @param {Array<number[]>} vertices
+   * @param {boolean} [silent=false] — suppress the onUpdate event
+   */
+  setVertices(vertices, silent = false) {
+    this.vertices = vertices.map(([x, y]) => [x, y]);
+    this._syncBoundsFromVertices();
+    if (!silent) this.emit('onUpdate', { roi: this, bounds: this.getBounds() });
+  }
+
+  /** Recompute x1/x2/y1/y2 as the vertex bounding box. */
+  _syncBoundsFromVertices() {
+    if (this.vertices.length === 0) {
+      this._vertexBounds = this.getBounds();
+      return;
+    }
+    let x1 = Infinity, x2 = -Infinity, y1 = Infinity, y2 = -Infinity;
+    for (const [x, y] of this.vertices) {
+      if (x < x1) x1 = x;
+      if (x > x2) x2 = x;
+      if (y < y1) y1 = y;
+      if (y > y2) y2 = y;
+    }
+    this.x1 = x1; this.x2 = x2;
+    this.y1 = y1; this.y2 = y2;
+    this._vertexBounds = { x1, x2, y1, y2 };
+  }
+
+  /**
+   * Map the vertices from the bounding box they were last synced to onto the
+   * current x1/x2/y1/y2.  Called by ConstraintEngine and ROIController after
+   * they write bounds directly (shift or clamp).
+   */
+  _syncPosition() {
+    const from = this._vertexBounds;
+    if (!from) return;
+    if (from.x1 === this.x1 && from.x2 === this.x2 &&
+        from.y1 === this.y1 && from.y2 === this.y2) return;
+
+    const map = (v, a1, a2, b1, b2) => (a2 === a1 ? b1 : b1 + (v - a1) * (b2 - b1) / (a2 - a1));
+    this.vertices = this.vertices.map(([x, y]) => [
+      map(x, from.x1, from.x2, this.x1, this.x2),
+      map(y, from.y1, from.y2, this.y1, this.y2),
+    ]);
+    this._vertexBounds = this.getBounds();
+  }
+
+  // ─── Geometry ─────────────────────────────────────────────────────────────
+
+  /**
+   * True if the data-space point lies inside the polygon.
+   * Used by PlotDataView.filterByROI for exact (non-bbox) filtering.
+   */
+  containsPoint(x, y) {
+    if (this.vertices.length < 3) return false;
+    if (x < this.x1 || x > this.x2 || y < this.y1 || y > this.y2) return false;
+    return pointInPolygon(x, y, this.vertices);
+  }
+
+  // ─── Interaction ──────────────────────────────────────────────────────────
+
+  /**
+   * Hit test: vertex handles first (only when selected, so dense lasso
+   * outlines don't swallow body drags), then the polygon body.
+   *
+   * @param {number} sx — screen x
+   * @param {number} sy — screen y
+   * @param {ViewportController} viewport
+   * @returns {string} POLY_HANDLES.* or 'v<i>'
+   */
+  hitTest(sx, sy, viewport) {
+    if (!this.flags.visible || this.vertices.length < 3) return POLY_HANDLES.NONE;
+
+    const screen = this.vertices.map(([x, y]) => [
+      viewport.dataXToScreen(x),
+      viewport.dataYToScreen(y),
+    ]);
+
+    if (this.selected && this.flags.resizable) {
+      for (let i = screen.length - 1; i >= 0; i--) {
+        const [vx, vy] = screen[i];
+        if (Math.abs(sx - vx) <= VERTEX_HANDLE_PX && Math.abs(sy - vy) <= VERTEX_HANDLE_PX) {
+          return `v${i}`;
+        }
+      }
+    }
+
+    if (pointInPolygon(sx, sy, screen)) return POLY_HANDLES.MOVE;
+
+    return POLY_HANDLES.NONE;
+  }
+
+  /**
+   * Apply a data-space delta for the active handle.
+   *
+   * ROIController restores the drag-start vertices before calling this, so
+   * dx/dy are the total displacement from the drag origin.
+   *
+   * @param {string} handle — 'move' or 'v<i>'
+   * @param {number} dx
+   * @param {number} dy
+   */
+  applyDelta(handle, dx, dy) {
+    if (handle === POLY_HANDLES.MOVE) {
+      if (!this.flags.movable) return;
+      for (const v of this.vertices) { v[0] += dx; v[1] += dy; }
+    } else if (handle && handle[0] === 'v') {
+      const v = this.vertices[Number(handle.slice(1))];
+      if (!v) return;
+      v[0] += dx;
+      v[1] += dy;
+    } else {
+      return;
+    }
+
+    this._syncBoundsFromVertices();
+    this.emit('onUpdate', { roi: this, bounds: this.getBounds() });
+  }
+
+  // ─── Serialization ────────────────────────────────────────────────────────
+
+  /**
+   * Override ROIBase to include the vertex list.
+   * Called by ROIController.serializeAll().
+   *
+   * @returns {{ id, type, vertices, version, updatedAt, domain, metadata }}
+   */
+  serialize() {
+    return {
+      id:        this.id,
+      type:      this.type,
+      vertices:  this.vertices.map(([x, y]) => [x, y]),
+      version:   this.version,
+      updatedAt: this.updatedAt,
+      domain:    this.domain,
+      metadata:  this.metadata,
+    };
+  }
+}
+
+export default PolygonROI;
@@ -69,7 +69,15 @@ export class ROIBase extends EventEmitter {
   bumpVersion() {
     this.version  += 1;
     this.updatedAt = Date.now();
-    this.domain    = { x: [this.x1, this.x2], y: [this.y1, this.y2] };
+    this.domain    = this._buildDomain();
+  }
+
+  /**
+   * JSON-safe domain snapshot of the current geometry.  Subclasses with
+   * extra geometry (position, vertices, center/radii) override this.
+   */
+  _buildDomain() {
+    return { x: [this.x1, this.x2], y: [this.y1, this.y2] };
   }
 
   // ─── Bounds ──────────────────────────────────────────────────────────────────
@@ -9,12 +9,47 @@
  *   current axis scales.  This means ROI positions are always in data space
  *   and remain valid across zoom/pan operations.
  *
- * Creation modes:
+ * Creation modes (default bindings — see ROIKeymap for remapping):
  *   'L' key → LinearRegion creation (2 clicks: x1, x2)
  *   'R' key → RectROI creation (2 clicks: top-left, bottom-right)
- *   'D' key → delete active/selected ROI
+ *   'P' key → PolygonROI creation (click vertices; click the first vertex,
+ *             double-click or press Enter to close)
+ *   'F' key → LassoROI creation (press, drag a freehand outline, release)
+ *   'E' key → EllipseROI creation (2 clicks: center, then radii; Shift = circle)
+ *   'D' key → delete the selected ROI(s)
  *   Escape  → cancel creation
  *
+ * Keyboard editing:
+ *   Arrow keys → nudge the selection 1 px (Shift: 10 px); one undo step each
+ *   Tab / Shift+Tab → select the next / previous ROI
+ *
+ * Key bindings come from opts.keymap merged over DEFAULT_KEYMAP; pass
+ * opts.keyboard = false to register no key listener at all.  Keys are read
+ * from window and only act while the mouse is over this plot (except delete),
+ * or from opts.keyTarget (e.g. a focusable container) with no hover gate.
+ *
+ * Selection:
+ *   click              → select one ROI (and start dragging it)
+ *   Shift+click        → add / remove a ROI from the selection
+ *   Shift+drag (empty) → rubber-band: add every ROI inside the box
+ *   Dragging any member of a multi-selection by its body moves the whole
+ *   selection; 'D' deletes it as one undo step.  'selectionChanged' fires
+ *   whenever the selected set changes.
+ *
+ * Copy / paste:
+ *   Ctrl+C copies the selected ROIs (with their children) to a clipboard
+ *   shared by every ROIController on the page; Ctrl+V pastes it into the
+ *   hovered plot.  Clones get fresh ids and version 1 and are auto-parented
+ *   like newly drawn ROIs.  pasteROIs() accepts any serializeAll()-format
+ *   array, so ROIs can also be moved between plots programmatically.
+ *
+ * Undo / redo:
+ *   Ctrl+Z (Cmd+Z) → undo, Ctrl+Shift+Z / Ctrl+Y → redo.  ROIHistory records
+ *   one step per create, delete or drag commit, including the children that
+ *   ConstraintEngine moved.  Restored ROIs get a fresh bumpVersion() and a
+ *   'roiFinalized' event, so an undone state is newer than anything already
+ *   saved and propagates through ExternalROIAdapter like a normal edit.
+ *
  * Event flow:
  *   ROIController emits → PlotController listens → re-emits on own EventEmitter
  */
@@ -23,38 +58,77 @@ import { EventEmitter } from 'events';
 import { RectROI, HANDLES } from './RectROI.js';
 import { LinearRegion, LR_HANDLES } from './LinearRegion.js';
 import { LineROI, LINE_HANDLE } from './LineROI.js';
+import { PolygonROI, POLY_HANDLES } from './PolygonROI.js';
+import { LassoROI, LASSO_MIN_SPACING_PX } from './LassoROI.js';
+import { EllipseROI, ELLIPSE_HANDLES } from './EllipseROI.js';
 import { ConstraintEngine } from './ConstraintEngine.js';
+import { ROIHistory } from './ROIHistory.js';
+import { roiPredicate, computePointStats } from './ROIStats.js';
+import { resolveKeymap, matchKeyAction } from './ROIKeymap.js';
+
+// Ctrl+C / Ctrl+V clipboard, shared by all ROIControllers so ROIs can be
+// copied from one plot and pasted into another.  serializeAll()-format array.
+let _clipboard = null;
 
 export class ROIController extends EventEmitter {
   /**
    * @param {ViewportController} viewport
+   * @param {object}  [opts]
+   * @param {object}  [opts.keymap]           — action → binding overrides (see ROIKeymap)
+   * @param {boolean} [opts.keyboard=true]    — false disables every key binding
+   * @param {EventTarget} [opts.keyTarget]    — element to read keys from (default: window, hover-gated)
+   * @param {number}  [opts.nudgePx=1]        — arrow-key step in screen pixels
+   * @param {number}  [opts.nudgeCoarsePx=10] — Shift+arrow step in screen pixels
    */
-  constructor(viewport) {
+  constructor(viewport, opts = {}) {
     super();
 
     this._viewport       = viewport;
+
+    // Keyboard configuration
+    this._keymap          = resolveKeymap(opts.keymap);
+    this._keyboardEnabled = opts.keyboard !== false;
+    this._keyTarget       = opts.keyTarget || null;
+    this._keysAttached    = false;
+    this._nudgePx         = opts.nudgePx       ?? 1;
+    this._nudgeCoarsePx   = opts.nudgeCoarsePx ?? 10;
     this._constraintEngine = new ConstraintEngine();
+    this._history        = new ROIHistory();
+
+    // Last version of each deleted ROI id, so a re-created ROI (undo of a
+    // delete, redo of a create) always resumes above it
+    this._tombstones     = new Map();
+    this._applyingHistory = false;
 
     // All ROIs keyed by id
     this._rois = new Map();
 
     // Interaction state
-    this._mode          = 'idle'; // 'idle' | 'createLinear' | 'createRect'
+    this._mode          = 'idle'; // 'idle' | 'createLinear' | 'createRect' | 'createPolygon' | 'createLasso' | ...
     this._creationStep  = 0;      // 0 = waiting for first click, 1 = waiting for second
-    this._creationData  = null;   // partial bounds during creation
+    this._creationData  = null;   // partial bounds during creation (polygon/lasso: { vertices, cursor })
 
     // Drag/resize state
     this._dragging      = false;
     this._dragROI       = null;   // ROI being dragged
     this._dragHandle    = null;   // handle type
     this._dragStartData = null;   // { dataX, dataY } at mousedown
-    this._dragStartBounds = null; // ROI bounds at mousedown
+    // ROIs moved by the drag, each with its mousedown state:
+    // [{ roi, handle, startBounds, startShape }] — one entry for a single
+    // drag, one per top-level selected ROI for a group move
+    this._dragTargets   = null;
+    this._dragStartSnapshots = null; // _snapshotTree() at mousedown, for the history step
+
+    // Rubber-band selection box in data space ({ x0, y0, x1, y1 }) or null
+    this._marquee       = null;
 
     // Currently selected ROI
     this._activeROI     = null;
 
-    // Canvas reference (set during init)
+    // Canvas reference (set during init), and the canvas last under the
+    // pointer when init() was given a container of canvases
     this._canvas        = null;
+    this._pointerCanvas = null;
 
     // Track whether the mouse is currently over this controller's canvas.
     // Used to gate keybinds so only the hovered plot responds.
@@ -73,6 +147,12 @@ export class ROIController extends EventEmitter {
 
   /**
    * Attach to canvas and start listening for events.
+   *
+   * `canvas` may also be a container of several equally sized plot canvases
+   * that share this controller's viewport (e.g. stacked channels of one
+   * recording).  Pointer positions are then measured against the canvas
+   * under the pointer, so ROIs can be drawn and edited on any of them.
+   *
    * @param {HTMLElement} canvas
    */
   init(canvas) {
@@ -82,7 +162,7 @@ export class ROIController extends EventEmitter {
     canvas.addEventListener('mouseup',    this._onMouseUp);
     canvas.addEventListener('mouseenter', this._onMouseEnter);
     canvas.addEventListener('mouseleave', this._onMouseLeave);
-    window.addEventListener('keydown',    this._onKeyDown);
+    if (this._keyboardEnabled) this._attachKeys();
   }
 
   destroy() {
@@ -93,7 +173,40 @@ export class ROIController extends EventEmitter {
       this._canvas.removeEventListener('mouseenter', this._onMouseEnter);
       this._canvas.removeEventListener('mouseleave', this._onMouseLeave);
     }
-    window.removeEventListener('keydown', this._onKeyDown);
+    this._detachKeys();
+  }
+
+  // ─── Keyboard configuration ──────────────────────────────────────────────────
+
+  /**
+   * Enable or disable all key bindings (adds / removes the keydown listener).
+   * @param {boolean} enabled
+   */
+  setKeyboardEnabled(enabled) {
+    this._keyboardEnabled = !!enabled;
+    if (!this._canvas) return; // applied on init()
+    if (this._keyboardEnabled) this._attachKeys();
+    else this._detachKeys();
+  }
+
+  /**
+   * Replace the key bindings; `overrides` is merged over DEFAULT_KEYMAP.
+   * @param {object} overrides
+   */
+  setKeymap(overrides) {
+    this._keymap = resolveKeymap(overrides);
+  }
+
+  _attachKeys() {
+    if (this._keysAttached) return;
+    (this._keyTarget || window).addEventListener('keydown', this._onKeyDown);
+    this._keysAttached = true;
+  }
+
+  _detachKeys() {
+    if (!this._keysAttached) return;
+    (this._keyTarget || window).removeEventListener('keydown', this._onKeyDown);
+    this._keysAttached = false;
   }
 
   // ─── Public ROI management ───────────────────────────────────────────────────
@@ -111,21 +224,377 @@ export class ROIController extends EventEmitter {
   }
 
   deleteROI(id) {
+    this.deleteROIs([id]);
+  }
+
+  /**
+   * Delete several ROIs (and their descendants) as a single undo step.
+   * Ids whose ancestor is also being deleted are covered by that ancestor.
+   *
+   * @param {string[]} ids
+   */
+  deleteROIs(ids) {
+    const roots = this._topLevel(ids.map(id => this._rois.get(id)).filter(Boolean));
+    if (roots.length === 0) return;
+
+    const before = roots.flatMap(roi => this._snapshotTree(roi));
+    const selectionChanged = before.some(snap => this._rois.get(snap.serialized.id).selected);
+
+    for (const roi of roots) {
+      for (const snap of this._snapshotTree(roi)) {
+        this._tombstones.set(snap.serialized.id, snap.serialized.version);
+      }
+
+      // Remove children from map recursively
+      roi.walkChildren(child => this._rois.delete(child.id));
+
+      roi.onDelete();
+      this._rois.delete(roi.id);
+
+      if (this._activeROI && !this._rois.has(this._activeROI.id)) {
+        this._activeROI = null;
+      }
+
+      this.emit('roiDeleted', { id: roi.id });
+    }
+
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+    if (selectionChanged) this._emitSelectionChanged();
+
+    this._recordStep('delete', before.map(snap => ({
+      id: snap.serialized.id, before: snap, after: null,
+    })));
+  }
+
+  // ─── Selection ───────────────────────────────────────────────────────────────
+
+  /** @returns {ROIBase[]} selected ROIs in insertion order */
+  getSelectedROIs() {
+    return this.getAllROIs().filter(roi => roi.selected);
+  }
+
+  /**
+   * Select ROIs by id.
+   *
+   * @param {string[]} ids
+   * @param {object}  [opts]
+   * @param {boolean} [opts.additive=false] — keep the current selection
+   */
+  selectROIs(ids, { additive = false } = {}) {
+    const targets = ids.map(id => this._rois.get(id)).filter(Boolean);
+    this._setSelection(additive ? [...this.getSelectedROIs(), ...targets] : targets);
+    if (targets.length > 0) this._activeROI = targets[targets.length - 1];
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+  }
+
+  clearSelection() {
+    this._deselectAll();
+    this._activeROI = null;
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+  }
+
+  /**
+   * Select the next (direction = 1) or previous (-1) visible ROI in creation
+   * order, wrapping around.  Bound to Tab / Shift+Tab by default.
+   *
+   * @param {1|-1} [direction=1]
+   * @returns {boolean} false if there are no visible ROIs
+   */
+  cycleSelection(direction = 1) {
+    const rois = this.getAllROIs().filter(roi => roi.flags.visible);
+    if (rois.length === 0) return false;
+
+    const current = this._activeROI && rois.includes(this._activeROI)
+      ? this._activeROI
+      : this.getSelectedROIs().pop();
+    const i = current ? rois.indexOf(current) : (direction > 0 ? -1 : 0);
+    const next = rois[(i + direction + rois.length) % rois.length];
+
+    this._selectOnly(next);
+    this._activeROI = next;
+    this.emit('roiSelected', { roi: next });
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+    return true;
+  }
+
+  /**
+   * Move the selected ROIs (or the active ROI) by a screen-pixel offset and
+   * commit it like a drag: constraints, version bump, 'roiFinalized' and one
+   * undo step.  Bound to the arrow keys by default.
+   *
+   * @param {number} dxPx — screen pixels, + = right
+   * @param {number} dyPx — screen pixels, + = down
+   * @returns {boolean} true if anything was moved
+   */
+  nudgeSelection(dxPx, dyPx) {
+    if (this._dragging || this._mode !== 'idle') return false;
+
+    let rois = this.getSelectedROIs();
+    if (rois.length === 0 && this._activeROI) rois = [this._activeROI];
+    rois = this._topLevel(rois).filter(roi => roi.flags.movable);
+    if (rois.length === 0) return false;
+
+    const startSnapshots = rois.flatMap(roi => this._snapshotTree(roi));
+    const targets = rois.map(roi => ({
+      roi,
+      handle:      'move',
+      startBounds: roi.getBounds(),
+      startShape:  typeof roi.getShape === 'function' ? roi.getShape() : null,
+    }));
+
+    const moved = [];
+    for (const target of targets) {
+      const { dx, dy } = this._pixelDeltaToData(target.roi, dxPx, dyPx);
+      const changed = this._dragTarget(target, dx, dy);
+      const start   = startSnapshots.find(snap => snap.serialized.id === target.roi.id);
+      // Skip axes the ROI can't move along (LinearRegion / LineROI off-axis)
+      if (this._sameGeometry(start, this._snapshot(target.roi))) continue;
+
+      moved.push(target);
+      this.emit('roiUpdated', { roi: target.roi, bounds: target.roi.getBounds() });
+      changed.forEach(child => {
+        this.emit('roiUpdated', { roi: child, bounds: child.getBounds() });
+      });
+    }
+    if (moved.length === 0) return false;
+
+    this._commitDragTargets(moved, startSnapshots);
+    return true;
+  }
+
+  /**
+   * Convert a screen-pixel offset to a data delta at the ROI's position (so
+   * steps stay one pixel on log axes).  Infinite bounds (LinearRegion y,
+   * LineROI off-axis) fall back to the plot-area centre.
+   */
+  _pixelDeltaToData(roi, dxPx, dyPx) {
+    const vp = this._viewport;
+    const pa = vp.plotArea;
+    const ax = isFinite(roi.x1) ? roi.x1 : vp.screenXToData(pa.x + pa.width  / 2);
+    const ay = isFinite(roi.y1) ? roi.y1 : vp.screenYToData(pa.y + pa.height / 2);
+    return {
+      dx: dxPx ? vp.screenXToData(vp.dataXToScreen(ax) + dxPx) - ax : 0,
+      dy: dyPx ? vp.screenYToData(vp.dataYToScreen(ay) + dyPx) - ay : 0,
+    };
+  }
+
+  // ─── Statistics ──────────────────────────────────────────────────────────────
+
+  /**
+   * Summary statistics of the data inside a ROI (see ROIStats).
+   *
+   * dataSource may be:
+   *   - DataStore / PlotDataView / { x, y } arrays → point statistics
+   *     { count, mean, median, std, min, max, centroid } using the same
+   *     membership test as PlotDataView.filterByROI
+   *   - LinePlotController → signal statistics over the ROI's x-range,
+   *     { [signalId]: { count, mean, rms, min, max, peakToPeak, integral } },
+   *     or a single signal's stats when opts.signal is given
+   *
+   * @param {string} roiId
+   * @param {object} dataSource
+   * @param {object} [opts]
+   * @param {string} [opts.signal] — LinePlotController signal id
+   * @returns {object|null} null if the ROI does not exist
+   */
+  computeStats(roiId, dataSource, { signal } = {}) {
+    const roi = this._rois.get(roiId);
+    if (!roi || !dataSource) return null;
+
+    if (typeof dataSource.getSignalStats === 'function') {
+      const { x1, x2 } = roi.getBounds();
+      if (signal !== undefined) return dataSource.getSignalStats(signal, x1, x2);
+      const out = {};
+      for (const id of dataSource.getSignalIds()) out[id] = dataSource.getSignalStats(id, x1, x2);
+      return out;
+    }
+
+    const data = typeof dataSource.getLogicalData === 'function' ? dataSource.getLogicalData()
+               : typeof dataSource.getData === 'function'        ? dataSource.getData()
+               : dataSource;
+    return computePointStats(data, roiPredicate(roi));
+  }
+
+  /**
+   * Call `callback(stats)` now and again whenever the ROI is committed
+   * ('roiFinalized', including constraint-driven child commits, undo/redo
+   * and paste) or updated externally.  Calls `callback(null)` once if the
+   * ROI is deleted.  Data changes alone do not trigger a recompute.
+   *
+   * @param {string}   roiId
+   * @param {object}   dataSource — see computeStats()
+   * @param {Function} callback
+   * @param {object}   [opts]     — see computeStats()
+   * @returns {function(): void} unsubscribe
+   */
+  watchStats(roiId, dataSource, callback, opts) {
+    // roiDeleted only names the deleted root, so check existence instead of
+    // the id to also catch deletion through an ancestor
+    let alive = this._rois.has(roiId);
+    const update   = ({ roi }) => {
+      if (!roi || roi.id !== roiId) return;
+      alive = true;
+      callback(this.computeStats(roiId, dataSource, opts));
+    };
+    const onDelete = () => {
+      if (alive && !this._rois.has(roiId)) {
+        alive = false;
+        callback(null);
+      }
+    };
+    this.on('roiFinalized',      update);
+    this.on('roiExternalUpdate', update);
+    this.on('roiDeleted',        onDelete);
+    callback(this.computeStats(roiId, dataSource, opts));
+
+    return () => {
+      this.off('roiFinalized',      update);
+      this.off('roiExternalUpdate', update);
+      this.off('roiDeleted',        onDelete);
+    };
+  }
+
+  // ─── Copy / paste ────────────────────────────────────────────────────────────
+
+  /**
+   * Copy the selected ROIs and their descendants to the shared clipboard.
+   * @returns {object[]|null} the copied serializeAll()-format array, or null
+   *   if nothing is selected
+   */
+  copySelection() {
+    const roots = this._topLevel(this.getSelectedROIs());
+    if (roots.length === 0) return null;
+    _clipboard = roots.flatMap(roi => this._serializeSubtree(roi));
+    return _clipboard;
+  }
+
+  /**
+   * Paste the shared clipboard into this controller.
+   * @param {{ dx?: number, dy?: number }} [offset]
+   * @returns {ROIBase[]} the created ROIs (empty if the clipboard is empty)
+   */
+  paste(offset) {
+    return _clipboard ? this.pasteROIs(_clipboard, offset) : [];
+  }
+
+  /**
+   * Clone a ROI and its descendants within this controller.
+   *
+   * @param {string} id
+   * @param {{ dx?: number, dy?: number }} [offset] — data-space shift of the copy
+   * @returns {ROIBase|null} the cloned root ROI
+   */
+  duplicateROI(id, offset) {
     const roi = this._rois.get(id);
-    if (!roi) return;
+    if (!roi) return null;
+    return this.pasteROIs(this._serializeSubtree(roi), offset)[0] ?? null;
+  }
 
-    // Remove children from map recursively
-    roi.walkChildren(child => this._rois.delete(child.id));
+  /**
+   * Create clones of serialized ROIs (serializeAll() / serialize() schema).
+   *
+   * Every clone gets a fresh id and starts at version 1.  parentId links
+   * inside the array are preserved (remapped to the new ids); ROIs whose
+   * parent is not in the array are auto-parented as if newly drawn.  The
+   * pasted roots become the selection, and the whole paste is one undo step.
+   *
+   * @param {object[]} serialized
+   * @param {{ dx?: number, dy?: number }} [offset] — data-space shift applied to every clone
+   * @returns {ROIBase[]} the created ROIs, parents before children
+   */
+  pasteROIs(serialized, { dx = 0, dy = 0 } = {}) {
+    const idMap   = new Map();   // source id → clone
+    const created = [];
+    const roots   = [];
+    let pending   = [...serialized];
+
+    // Parents first: each pass creates every entry whose parent is already
+    // cloned or not part of the array at all
+    const inArray = new Set(serialized.map(s => s.id));
+    while (pending.length > 0) {
+      const ready = pending.filter(s => !s.parentId || !inArray.has(s.parentId) || idMap.has(s.parentId));
+      if (ready.length === 0) break; // parentId cycle — ignore the rest
+      pending = pending.filter(s => !ready.includes(s));
+
+      for (const s of ready) {
+        const roi = this._roiFromSerialized({ ...s, id: undefined, metadata: { ...s.metadata } });
+        if (!roi) continue;
+
+        roi.x1 += dx; roi.x2 += dx;
+        roi.y1 += dy; roi.y2 += dy;
+        if (typeof roi._syncPosition === 'function') roi._syncPosition();
+
+        const parent = idMap.get(s.parentId);
+        if (parent) {
+          roi.setParent(parent);
+          if (roi.type === 'rect' && parent.type === 'linearRegion') {
+            roi.xLocked = true;
+            roi.x1 = parent.x1;
+            roi.x2 = parent.x2;
+          }
+        } else {
+          this._autoParent(roi);
+          roots.push(roi);
+        }
 
-    roi.onDelete();
-    this._rois.delete(id);
+        roi.version   = 1;
+        roi.updatedAt = Date.now();
+        roi.domain    = roi._buildDomain();
 
-    if (this._activeROI && this._activeROI.id === id) {
-      this._activeROI = null;
+        idMap.set(s.id, roi);
+        created.push(roi);
+      }
     }
 
-    this.emit('roiDeleted', { id });
+    if (created.length === 0) return created;
+
+    for (const roi of created) {
+      this._rois.set(roi.id, roi);
+      roi.onCreate();
+      this.emit('roiCreated', { roi, type: roi.type });
+    }
+    this._setSelection(roots);
+    this._activeROI = roots[roots.length - 1] ?? null;
     this.emit('roisChanged', { rois: this.getAllROIs() });
+
+    this._recordStep('paste', created.map(roi => ({
+      id: roi.id, before: null, after: this._snapshot(roi),
+    })));
+    return created;
+  }
+
+  // ─── Undo / redo ─────────────────────────────────────────────────────────────
+
+  /**
+   * Revert the most recent create / delete / drag step.
+   * @returns {boolean} true if a step was undone
+   */
+  undo() {
+    if (this._dragging) return false;
+    const step = this._history.undo();
+    if (!step) return false;
+    this._applyHistoryStep(step, 'before');
+    return true;
+  }
+
+  /**
+   * Re-apply the most recently undone step.
+   * @returns {boolean} true if a step was redone
+   */
+  redo() {
+    if (this._dragging) return false;
+    const step = this._history.redo();
+    if (!step) return false;
+    this._applyHistoryStep(step, 'after');
+    return true;
+  }
+
+  canUndo() { return this._history.canUndo; }
+  canRedo() { return this._history.canRedo; }
+
+  clearHistory() {
+    this._history.clear();
+    this._emitHistoryChanged();
   }
 
   // ─── F14: Serialization API ──────────────────────────────────────────────────
@@ -135,14 +604,24 @@ export class ROIController extends EventEmitter {
    * @returns {{ id, type, version, updatedAt, domain, metadata }[]}
    */
   serializeAll() {
-    return this.getAllROIs().map(roi => {
-      const s = typeof roi.serialize === 'function'
-        ? roi.serialize()
-        : { id: roi.id, type: roi.type, version: roi.version,
-            updatedAt: roi.updatedAt, domain: roi.domain, metadata: roi.metadata };
-      s.parentId = roi.parent?.id ?? null;
-      return s;
-    });
+    return this.getAllROIs().map(roi => this._serializeROI(roi));
+  }
+
+  /** Serialize a ROI and all its descendants, parent first. */
+  _serializeSubtree(roi) {
+    const out = [this._serializeROI(roi)];
+    roi.walkChildren(child => out.push(this._serializeROI(child)));
+    return out;
+  }
+
+  /** Serialize one ROI (serializeAll() element format, including parentId). */
+  _serializeROI(roi) {
+    const s = typeof roi.serialize === 'function'
+      ? roi.serialize()
+      : { id: roi.id, type: roi.type, version: roi.version,
+          updatedAt: roi.updatedAt, domain: roi.domain, metadata: roi.metadata };
+    s.parentId = roi.parent?.id ?? null;
+    return s;
   }
 
   /**
@@ -153,6 +632,8 @@ export class ROIController extends EventEmitter {
   deserializeAll(array) {
     this._rois.clear();
     this._activeROI = null;
+    this._history.clear();
+    this._tombstones.clear();
 
     for (const s of array) {
       const roi = this._roiFromSerialized(s);
@@ -160,6 +641,7 @@ export class ROIController extends EventEmitter {
     }
 
     this.emit('roisChanged', { rois: this.getAllROIs() });
+    this._emitHistoryChanged();
   }
 
   /**
@@ -202,6 +684,22 @@ export class ROIController extends EventEmitter {
         }
         if (serializedROI.mode !== undefined) existing.mode = serializedROI.mode;
       }
+      // PolygonROI / LassoROI: explicit vertices win; otherwise map the
+      // current shape onto the new domain bounds
+      if (existing instanceof PolygonROI) {
+        const vertices = serializedROI.vertices ?? serializedROI.domain?.vertices;
+        if (vertices) existing.setVertices(vertices, true);
+        else existing._syncPosition();
+      }
+      // EllipseROI: explicit center/radii/angle (top-level or in domain) win
+      if (existing instanceof EllipseROI) {
+        const src = serializedROI.center ? serializedROI : serializedROI.domain;
+        if (src?.center) {
+          existing.setShape({ center: src.center, radii: src.radii, angle: src.angle }, true);
+        } else {
+          existing._syncPosition();
+        }
+      }
       existing.version   = serializedROI.version;
       existing.updatedAt = serializedROI.updatedAt;
       existing.domain    = serializedROI.domain;
@@ -226,6 +724,9 @@ export class ROIController extends EventEmitter {
                : type === 'rect'   ? 'createRect'
                : type === 'vline'  ? 'createVLine'
                : type === 'hline'  ? 'createHLine'
+               : type === 'polygon' ? 'createPolygon'
+               : type === 'lasso'   ? 'createLasso'
+               : type === 'ellipse' ? 'createEllipse'
                : 'idle';
     this._creationStep = 0;
     this._creationData = null;
@@ -233,44 +734,104 @@ export class ROIController extends EventEmitter {
   }
 
   cancelCreateMode() {
+    const hadDraft = this._creationData?.vertices != null;
     this._mode         = 'idle';
     this._creationStep = 0;
     this._creationData = null;
     this.emit('modeChanged', { mode: 'idle' });
+    if (hadDraft) this.emit('roisChanged', { rois: this.getAllROIs() });
   }
 
-  // ─── Event handlers ───────────────────────────────────────────────────────────
-
-  _onKeyDown(e) {
-    // D key: delete active/selected ROI regardless of whether the mouse is
-    // over this canvas — allows deletion after selecting from a table row.
-    if (e.key.toLowerCase() === 'd') {
-      const target = this._activeROI
-        ?? [...this._rois.values()].find(r => r.selected)
-        ?? null;
-      if (target) this.deleteROI(target.id);
-      return;
+  /**
+   * In-progress polygon / lasso outline or rubber-band selection box for
+   * preview rendering, or null.  For polygons the current cursor position is
+   * appended as a rubber-band vertex.
+   *
+   * @returns {{ type: 'polygon'|'lasso'|'marquee', vertices: Array<number[]> }|null}
+   */
+  getDraft() {
+    if (this._marquee) {
+      const { x0, y0, x1, y1 } = this._marquee;
+      return { type: 'marquee', vertices: [[x0, y0], [x1, y0], [x1, y1], [x0, y1]] };
+    }
+    const d = this._creationData;
+    if (!d || !d.vertices || d.vertices.length === 0) return null;
+    if (this._mode === 'createPolygon') {
+      return {
+        type:     'polygon',
+        vertices: d.cursor ? [...d.vertices, d.cursor] : d.vertices,
+      };
     }
+    if (this._mode === 'createLasso') {
+      return { type: 'lasso', vertices: d.vertices };
+    }
+    return null;
+  }
 
-    // All other keybinds only fire when the mouse is over this plot's canvas,
-    // so multiple plots on the same page don't all activate simultaneously.
-    if (!this._mouseIsOver) return;
+  // ─── Event handlers ───────────────────────────────────────────────────────────
 
-    switch (e.key.toLowerCase()) {
-      case 'l':
-        this.enterCreateMode('linear');
+  _onKeyDown(e) {
+    const match = matchKeyAction(this._keymap, e);
+    if (!match) return;
+    const { action, coarse } = match;
+
+    // Delete works regardless of whether the mouse is over this canvas —
+    // allows deletion after selecting from a table row.  With a window
+    // listener every other binding only fires while the mouse is over this
+    // plot, so multiple plots on the same page don't all activate at once.
+    if (action !== 'delete' && !this._keyTarget && !this._mouseIsOver) return;
+
+    const step = coarse ? this._nudgeCoarsePx : this._nudgePx;
+
+    switch (action) {
+      case 'createLinear':  this.enterCreateMode('linear');  break;
+      case 'createRect':    this.enterCreateMode('rect');    break;
+      case 'createVLine':   this.enterCreateMode('vline');   break;
+      case 'createHLine':   this.enterCreateMode('hline');   break;
+      case 'createPolygon': this.enterCreateMode('polygon'); break;
+      case 'createLasso':   this.enterCreateMode('lasso');   break;
+      case 'createEllipse': this.enterCreateMode('ellipse'); break;
+      case 'finishPolygon':
+        if (this._mode === 'createPolygon') this._finishPolygonCreation();
         break;
-      case 'r':
-        this.enterCreateMode('rect');
+      case 'cancel':
+        this.cancelCreateMode();
         break;
-      case 'v':
-        this.enterCreateMode('vline');
+      case 'delete': {
+        const targets = this.getSelectedROIs();
+        if (targets.length === 0 && this._activeROI) targets.push(this._activeROI);
+        if (targets.length > 0) this.deleteROIs(targets.map(roi => roi.id));
         break;
-      case 'h':
-        this.enterCreateMode('hline');
+      }
+      case 'undo':
+        e.preventDefault();
+        this.undo();
         break;
-      case 'escape':
-        this.cancelCreateMode();
+      case 'redo':
+        e.preventDefault();
+        this.redo();
+        break;
+      case 'copy':
+        this.copySelection();
+        break;
+      case 'paste':
+        if (_clipboard) {
+          e.preventDefault();
+          this.paste();
+        }
+        break;
+      case 'nudgeLeft':
+      case 'nudgeRight':
+      case 'nudgeUp':
+      case 'nudgeDown': {
+        const dx = action === 'nudgeLeft' ? -step : action === 'nudgeRight' ? step : 0;
+        const dy = action === 'nudgeUp'   ? -step : action === 'nudgeDown'  ? step : 0;
+        if (this.nudgeSelection(dx, dy)) e.preventDefault();
+        break;
+      }
+      case 'nextROI':
+      case 'prevROI':
+        if (this.cycleSelection(action === 'nextROI' ? 1 : -1)) e.preventDefault();
         break;
       default:
         break;
@@ -280,7 +841,7 @@ export class ROIController extends EventEmitter {
   _onMouseDown(e) {
     if (e.button !== 0) return; // left button only
 
-    const { dataX, dataY, screenX, screenY } = this._viewport.eventToData(e, this._canvas);
+    const { dataX, dataY, screenX, screenY } = this._viewport.eventToData(e, this._eventCanvas(e));
 
     if (!this._viewport.isInPlotArea(screenX, screenY)) return;
 
@@ -305,20 +866,66 @@ export class ROIController extends EventEmitter {
       return;
     }
 
+    if (this._mode === 'createPolygon') {
+      this._handlePolygonCreationClick(dataX, dataY, screenX, screenY);
+      return;
+    }
+
+    if (this._mode === 'createEllipse') {
+      this._handleEllipseCreationClick(dataX, dataY, e.shiftKey);
+      return;
+    }
+
+    if (this._mode === 'createLasso') {
+      // Press starts the freehand outline; mousemove samples, mouseup closes
+      this._creationData = { vertices: [[dataX, dataY]], lastScreen: { x: screenX, y: screenY } };
+      this._creationStep = 1;
+      return;
+    }
+
     // ── Idle mode: check for ROI hit ────────────────────────────────────────
     const hit = this._hitTest(screenX, screenY);
 
+    if (hit && e.shiftKey) {
+      // Shift+click toggles membership without starting a drag
+      if (hit.roi.selected) {
+        this._setSelection(this.getSelectedROIs().filter(roi => roi !== hit.roi));
+        if (this._activeROI === hit.roi) this._activeROI = null;
+      } else {
+        this._setSelection([...this.getSelectedROIs(), hit.roi]);
+        this._activeROI = hit.roi;
+        this.emit('roiSelected', { roi: hit.roi });
+      }
+      this.emit('roisChanged', { rois: this.getAllROIs() });
+      return;
+    }
+
     if (hit) {
+      // Body drag on a member of a multi-selection moves the whole group;
+      // anything else selects just the hit ROI
+      const group = hit.handle === 'move' && hit.roi.selected
+        ? this._topLevel(this.getSelectedROIs())
+        : null;
+      if (!group || group.length < 2) this._selectOnly(hit.roi);
+      const targets = group && group.length >= 2 ? group : [hit.roi];
+
       this._activeROI     = hit.roi;
       this._dragging      = true;
       this._dragROI       = hit.roi;
       this._dragHandle    = hit.handle;
       this._dragStartData = { dataX, dataY };
-      this._dragStartBounds = hit.roi.getBounds();
+      this._dragTargets   = targets.map(roi => ({
+        roi,
+        handle:      roi === hit.roi ? hit.handle : 'move',
+        startBounds: roi.getBounds(),
+        startShape:  typeof roi.getShape === 'function' ? roi.getShape() : null,
+      }));
+      this._dragStartSnapshots = targets.flatMap(roi => this._snapshotTree(roi));
 
-      // Deselect all, select hit ROI
-      this._selectOnly(hit.roi);
       this.emit('roiSelected', { roi: hit.roi });
+    } else if (e.shiftKey) {
+      // Shift+drag on empty space → rubber-band selection
+      this._marquee = { x0: dataX, y0: dataY, x1: dataX, y1: dataY };
     } else {
       // Click on empty space → deselect
       this._deselectAll();
@@ -328,57 +935,49 @@ export class ROIController extends EventEmitter {
   }
 
   _onMouseMove(e) {
-    const { dataX, dataY, screenX, screenY } = this._viewport.eventToData(e, this._canvas);
+    const { dataX, dataY, screenX, screenY } = this._viewport.eventToData(e, this._eventCanvas(e));
+
+    // ── Polygon / lasso creation preview ───────────────────────────────────
+    if (this._mode === 'createPolygon' && this._creationData) {
+      this._creationData.cursor = [dataX, dataY];
+      this.emit('roisChanged', { rois: this.getAllROIs() });
+      return;
+    }
+    if (this._mode === 'createLasso' && this._creationStep === 1) {
+      const last = this._creationData.lastScreen;
+      if (Math.hypot(screenX - last.x, screenY - last.y) >= LASSO_MIN_SPACING_PX) {
+        this._creationData.vertices.push([dataX, dataY]);
+        this._creationData.lastScreen = { x: screenX, y: screenY };
+        this.emit('roisChanged', { rois: this.getAllROIs() });
+      }
+      return;
+    }
 
-    if (this._dragging && this._dragROI) {
+    if (this._marquee) {
+      this._marquee.x1 = dataX;
+      this._marquee.y1 = dataY;
+      this.emit('roisChanged', { rois: this.getAllROIs() });
+      return;
+    }
+
+    if (this._dragging && this._dragTargets) {
       // Compute data-space delta from drag start
       const dx = dataX - this._dragStartData.dataX;
       const dy = dataY - this._dragStartData.dataY;
 
-      const roi = this._dragROI;
+      for (const target of this._dragTargets) {
+        const { roi } = target;
+        const changed = this._dragTarget(target, dx, dy);
 
-      // Restore to start bounds then apply delta (avoids float drift)
-      const sb = this._dragStartBounds;
-      roi.x1 = sb.x1; roi.x2 = sb.x2;
-      roi.y1 = sb.y1; roi.y2 = sb.y2;
+        // Emit roiUpdated for the dragged ROI itself
+        this.emit('roiUpdated', { roi, bounds: roi.getBounds() });
 
-      if (roi.type === 'linearRegion') {
-        roi.applyDelta(this._dragHandle, dx);
-      } else {
-        roi.applyDelta(this._dragHandle, dx, dy);
-      }
-
-      // Enforce constraints upward (parent might clip this ROI)
-      if (roi.parent) {
-        // xLocked rects always track parent x bounds exactly
-        if (roi.xLocked) {
-          roi.x1 = roi.parent.x1;
-          roi.x2 = roi.parent.x2;
-        } else {
-          this._constraintEngine._clampChild(roi, roi.parent);
-        }
-        // LineROI: write the clamped bound back into position
-        if (typeof roi._syncPosition === 'function') {
-          roi._syncPosition();
-        }
-        roi.emit('onUpdate', { roi, bounds: roi.getBounds() });
+        // F19: also emit roiUpdated for each child whose bounds actually changed
+        changed.forEach(child => {
+          this.emit('roiUpdated', { roi: child, bounds: child.getBounds() });
+        });
       }
 
-      // Enforce constraints downward (children follow); collect changed set (F19)
-      const delta = roi.type === 'linearRegion'
-        ? { dx: roi.x1 - sb.x1, dy: 0 }
-        : { dx: roi.x1 - sb.x1, dy: roi.y1 - sb.y1 };
-
-      const changed = this._constraintEngine.applyConstraints(roi, delta);
-
-      // Emit roiUpdated for the active ROI itself
-      this.emit('roiUpdated', { roi, bounds: roi.getBounds() });
-
-      // F19: also emit roiUpdated for each child whose bounds actually changed
-      changed.forEach(child => {
-        this.emit('roiUpdated', { roi: child, bounds: child.getBounds() });
-      });
-
       this.emit('roisChanged', { rois: this.getAllROIs() });
       return;
     }
@@ -394,50 +993,140 @@ export class ROIController extends EventEmitter {
     }
   }
 
+  /**
+   * Move one drag target to its mousedown state plus (dx, dy), then enforce
+   * constraints against its parent and on its descendants.
+   *
+   * @returns {Set<ROIBase>} descendants whose bounds changed
+   */
+  _dragTarget({ roi, handle, startBounds: sb, startShape }, dx, dy) {
+    // Restore to start bounds then apply delta (avoids float drift)
+    roi.x1 = sb.x1; roi.x2 = sb.x2;
+    roi.y1 = sb.y1; roi.y2 = sb.y2;
+    if (startShape) roi.setShape(startShape, true);
+
+    if (roi.type === 'linearRegion') {
+      roi.applyDelta(handle, dx);
+    } else {
+      roi.applyDelta(handle, dx, dy);
+    }
+
+    // Enforce constraints upward (parent might clip this ROI)
+    if (roi.parent) {
+      // xLocked rects always track parent x bounds exactly
+      if (roi.xLocked) {
+        roi.x1 = roi.parent.x1;
+        roi.x2 = roi.parent.x2;
+      } else {
+        this._constraintEngine._clampChild(roi, roi.parent);
+      }
+      // LineROI / PolygonROI / EllipseROI: write the clamped bounds back into the shape
+      if (typeof roi._syncPosition === 'function') {
+        roi._syncPosition();
+      }
+      roi.emit('onUpdate', { roi, bounds: roi.getBounds() });
+    }
+
+    // Enforce constraints downward (children follow); collect changed set (F19)
+    const delta = roi.type === 'linearRegion'
+      ? { dx: roi.x1 - sb.x1, dy: 0 }
+      : { dx: roi.x1 - sb.x1, dy: roi.y1 - sb.y1 };
+
+    return this._constraintEngine.applyConstraints(roi, delta);
+  }
+
   _onMouseUp(e) {
+    if (this._marquee) {
+      const box = this._marquee;
+      this._marquee = null;
+      const inside = this.getAllROIs().filter(roi => roi.flags.visible && this._inMarquee(roi, box));
+      this._setSelection([...this.getSelectedROIs(), ...inside]);
+      if (inside.length > 0) this._activeROI = inside[inside.length - 1];
+      this.emit('roisChanged', { rois: this.getAllROIs() });
+      return;
+    }
+
+    if (this._mode === 'createLasso' && this._creationStep === 1) {
+      const { vertices } = this._creationData;
+      if (vertices.length >= 3) {
+        this._commitShape(new LassoROI({ vertices }), 'lasso');
+      } else {
+        this.cancelCreateMode();
+      }
+      return;
+    }
+
     if (this._dragging) {
-      const roi = this._dragROI;
+      const targets = this._dragTargets || [];
       this._dragging      = false;
       this._dragROI       = null;
       this._dragHandle    = null;
       this._dragStartData = null;
+      this._dragTargets   = null;
+      const startSnapshots = this._dragStartSnapshots;
+      this._dragStartSnapshots = null;
 
+      this._commitDragTargets(targets, startSnapshots);
+    }
+  }
+
+  /**
+   * Commit a finished drag / nudge: bump versions and emit 'roiFinalized' for
+   * each target and every descendant whose bounds changed, then record one
+   * history step.
+   *
+   * @param {Array<{ roi }>} targets
+   * @param {object[]} startSnapshots — _snapshotTree() results from before the edit
+   */
+  _commitDragTargets(targets, startSnapshots) {
+    for (const { roi } of targets) {
       // F14: bump version on commit, emit full versioned payload
-      if (roi) {
-        roi.bumpVersion();
-        this.emit('roiFinalized', {
-          roi,
-          bounds:    roi.getBounds(),
-          version:   roi.version,
-          updatedAt: roi.updatedAt,
-          domain:    roi.domain,
-        });
+      roi.bumpVersion();
+      this.emit('roiFinalized', {
+        roi,
+        bounds:    roi.getBounds(),
+        version:   roi.version,
+        updatedAt: roi.updatedAt,
+        domain:    roi.domain,
+      });
 
-        // F19: for each descendant whose bounds differ from the last committed
-        // domain snapshot, bump its version and emit roiFinalized.
-        // Only bumps when bounds actually changed — no false-positive increments.
-        roi.walkChildren(child => {
-          const d = child.domain;
-          const xChanged = child.x1 !== d.x[0] || child.x2 !== d.x[1];
-          const yChanged = d.y
-            ? (child.y1 !== d.y[0] || child.y2 !== d.y[1])
-            : false;
-
-          if (xChanged || yChanged) {
-            child.bumpVersion();
-            this.emit('roiFinalized', {
-              roi:       child,
-              bounds:    child.getBounds(),
-              version:   child.version,
-              updatedAt: child.updatedAt,
-              domain:    child.domain,
-            });
-          }
-        });
+      // F19: for each descendant whose bounds differ from the last committed
+      // domain snapshot, bump its version and emit roiFinalized.
+      // Only bumps when bounds actually changed — no false-positive increments.
+      roi.walkChildren(child => {
+        const d = child.domain;
+        const xChanged = child.x1 !== d.x[0] || child.x2 !== d.x[1];
+        const yChanged = d.y
+          ? (child.y1 !== d.y[0] || child.y2 !== d.y[1])
+          : false;
+
+        if (xChanged || yChanged) {
+          child.bumpVersion();
+          this.emit('roiFinalized', {
+            roi:       child,
+            bounds:    child.getBounds(),
+            version:   child.version,
+            updatedAt: child.updatedAt,
+            domain:    child.domain,
+          });
+        }
+      });
+    }
 
-        this.emit('roisChanged', { rois: this.getAllROIs() });
+    if (targets.length === 0) return;
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+
+    // One history step for every moved ROI and each descendant that moved
+    const changes = [];
+    for (const before of startSnapshots || []) {
+      const current = this._rois.get(before.serialized.id);
+      if (!current) continue;
+      const after = this._snapshot(current);
+      if (!this._sameGeometry(before, after)) {
+        changes.push({ id: current.id, before, after });
       }
     }
+    this._recordStep('edit', changes);
   }
 
   // ─── Creation helpers ─────────────────────────────────────────────────────────
@@ -461,6 +1150,7 @@ export class ROIController extends EventEmitter {
 
       this.emit('roiCreated', { roi: lr, type: 'linearRegion' });
       this.emit('roisChanged', { rois: this.getAllROIs() });
+      this._recordCreate(lr);
       this.cancelCreateMode();
     }
   }
@@ -481,17 +1171,9 @@ export class ROIController extends EventEmitter {
         y2: Math.max(y1, y2),
       });
 
-      // Try to parent this rect inside the first LinearRegion it overlaps
-      const parent = this._findLinearRegionParent(rect);
-      if (parent) {
-        rect.setParent(parent);
-        // Bind x bounds exactly to the parent LinearRegion
-        rect.xLocked = true;
-        rect.x1 = parent.x1;
-        rect.x2 = parent.x2;
-        // Clamp y within parent (no-op for LinearRegion which has ±Infinity y)
-        this._constraintEngine._clampChild(rect, parent);
-      }
+      // Try to parent this rect inside the first LinearRegion it overlaps;
+      // refresh the domain so it reflects the x-locked bounds
+      if (this._autoParent(rect)) rect.domain = rect._buildDomain();
 
       this._rois.set(rect.id, rect);
       rect.onCreate();
@@ -500,6 +1182,7 @@ export class ROIController extends EventEmitter {
 
       this.emit('roiCreated', { roi: rect, type: 'rect' });
       this.emit('roisChanged', { rois: this.getAllROIs() });
+      this._recordCreate(rect);
       this.cancelCreateMode();
     }
   }
@@ -522,10 +1205,7 @@ export class ROIController extends EventEmitter {
     const lineROI = new LineROI({ orientation, mode, position });
 
     // Auto-parent vertical LineROI inside the first enclosing LinearRegion
-    if (orientation === 'vertical') {
-      const parent = this._findLineROIParent(lineROI);
-      if (parent) lineROI.setParent(parent);
-    }
+    this._autoParent(lineROI);
 
     this._rois.set(lineROI.id, lineROI);
     lineROI.onCreate();
@@ -534,9 +1214,123 @@ export class ROIController extends EventEmitter {
 
     this.emit('roiCreated', { roi: lineROI, type: 'lineROI' });
     this.emit('roisChanged', { rois: this.getAllROIs() });
+    this._recordCreate(lineROI);
     this.cancelCreateMode();
   }
 
+  /**
+   * Polygon creation click.  Adds a vertex; clicking the first vertex (with
+   * ≥3 vertices placed) or clicking the last vertex again (double-click)
+   * closes the polygon.
+   */
+  _handlePolygonCreationClick(dataX, dataY, screenX, screenY) {
+    const CLOSE_PX = 8;
+    if (!this._creationData) {
+      this._creationData = { vertices: [], cursor: null };
+      this._creationStep = 1;
+    }
+    const { vertices } = this._creationData;
+
+    const nearVertex = (v) => Math.abs(this._viewport.dataXToScreen(v[0]) - screenX) <= CLOSE_PX &&
+                              Math.abs(this._viewport.dataYToScreen(v[1]) - screenY) <= CLOSE_PX;
+
+    if (vertices.length >= 3 && (nearVertex(vertices[0]) || nearVertex(vertices[vertices.length - 1]))) {
+      this._finishPolygonCreation();
+      return;
+    }
+    // Second click of a double-click on a short outline — ignore the duplicate
+    if (vertices.length > 0 && nearVertex(vertices[vertices.length - 1])) return;
+
+    vertices.push([dataX, dataY]);
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+  }
+
+  /** Close the in-progress polygon (needs ≥3 vertices; otherwise cancels). */
+  _finishPolygonCreation() {
+    const vertices = this._creationData?.vertices ?? [];
+    if (vertices.length < 3) {
+      this.cancelCreateMode();
+      return;
+    }
+    this._commitShape(new PolygonROI({ vertices }), 'polygon');
+  }
+
+  /**
+   * Ellipse creation: first click = center, second click = radii
+   * (|dx|, |dy| from the center).  Shift on the second click makes a circle.
+   */
+  _handleEllipseCreationClick(dataX, dataY, circle) {
+    if (this._creationStep === 0) {
+      this._creationData = { cx: dataX, cy: dataY };
+      this._creationStep = 1;
+      return;
+    }
+    const { cx, cy } = this._creationData;
+    let rx = Math.abs(dataX - cx);
+    let ry = Math.abs(dataY - cy);
+    if (circle) rx = ry = Math.max(rx, ry);
+    if (rx === 0 || ry === 0) {
+      this.cancelCreateMode();
+      return;
+    }
+    this._commitShape(new EllipseROI({ center: [cx, cy], radii: [rx, ry] }), 'ellipse');
+  }
+
+  /**
+   * Register a newly drawn PolygonROI / LassoROI / EllipseROI.  Auto-parents
+   * it to the first LinearRegion that contains its bounding box; the shape
+   * then shifts with and is clamped inside that region (not x-locked).
+   */
+  _commitShape(roi, type) {
+    if (this._autoParent(roi)) roi.domain = roi._buildDomain();
+
+    this._rois.set(roi.id, roi);
+    roi.onCreate();
+    this._activeROI = roi;
+    this._selectOnly(roi);
+
+    this.emit('roiCreated', { roi, type });
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+    this._recordCreate(roi);
+    this.cancelCreateMode();
+  }
+
+  /**
+   * Parent a new (or pasted) ROI the way interactive creation does:
+   *   - vertical LineROI → first LinearRegion containing its position
+   *   - RectROI          → first containing LinearRegion; x-locked to it
+   *   - polygon / lasso / ellipse → first containing LinearRegion; clamped
+   * LinearRegions and horizontal LineROIs are never parented.
+   *
+   * @param {ROIBase} roi
+   * @returns {ROIBase|null} the parent, if one was found
+   */
+  _autoParent(roi) {
+    if (roi.type === 'linearRegion') return null;
+
+    if (roi.type === 'lineROI') {
+      if (roi.orientation !== 'vertical') return null;
+      const parent = this._findLineROIParent(roi);
+      if (parent) roi.setParent(parent);
+      return parent;
+    }
+
+    const parent = this._findLinearRegionParent(roi);
+    if (!parent) return null;
+
+    roi.setParent(parent);
+    if (roi.type === 'rect') {
+      // Bind x bounds exactly to the parent LinearRegion
+      roi.xLocked = true;
+      roi.x1 = parent.x1;
+      roi.x2 = parent.x2;
+    }
+    // Clamp within parent (y is a no-op for LinearRegion's ±Infinity bounds)
+    this._constraintEngine._clampChild(roi, parent);
+    if (typeof roi._syncPosition === 'function') roi._syncPosition();
+    return parent;
+  }
+
   /**
    * Find the first LinearRegion whose x-range contains the LineROI's position.
    * @param {LineROI} lineROI
@@ -582,6 +1376,20 @@ export class ROIController extends EventEmitter {
         domain:      s.domain || undefined,
         metadata:    s.metadata || {},
       });
+    } else if (s.type === 'polygon' || s.type === 'lasso') {
+      const vertices = s.vertices ?? s.domain?.vertices ?? [];
+      const Ctor = s.type === 'lasso' ? LassoROI : PolygonROI;
+      roi = new Ctor({ id: s.id, vertices, domain: s.domain, metadata: s.metadata || {} });
+    } else if (s.type === 'ellipse') {
+      const src = s.center ? s : (s.domain || {});
+      roi = new EllipseROI({
+        id:       s.id,
+        center:   src.center,
+        radii:    src.radii,
+        angle:    src.angle,
+        domain:   s.domain,
+        metadata: s.metadata || {},
+      });
     } else {
       return null;
     }
@@ -604,8 +1412,125 @@ export class ROIController extends EventEmitter {
     return null;
   }
 
+  // ─── History helpers ─────────────────────────────────────────────────────────
+
+  /**
+   * Capture everything needed to restore a ROI: its serialized form (for
+   * re-creation), exact bounds and shape, flags and x-lock.
+   */
+  _snapshot(roi) {
+    const serialized = this._serializeROI(roi);
+    return {
+      serialized: { ...serialized, metadata: { ...serialized.metadata } },
+      bounds:     roi.getBounds(),
+      shape:      typeof roi.getShape === 'function' ? roi.getShape() : null,
+      flags:      { ...roi.flags },
+      xLocked:    !!roi.xLocked,
+    };
+  }
+
+  /** Snapshots of a ROI and all its descendants, parent first. */
+  _snapshotTree(roi) {
+    const snaps = [this._snapshot(roi)];
+    roi.walkChildren(child => snaps.push(this._snapshot(child)));
+    return snaps;
+  }
+
+  _sameGeometry(a, b) {
+    return JSON.stringify([a.bounds, a.shape]) === JSON.stringify([b.bounds, b.shape]);
+  }
+
+  _recordCreate(roi) {
+    this._recordStep('create', [{ id: roi.id, before: null, after: this._snapshot(roi) }]);
+  }
+
+  _recordStep(label, changes) {
+    if (this._applyingHistory) return;
+    if (this._history.push({ label, changes })) this._emitHistoryChanged();
+  }
+
+  _emitHistoryChanged() {
+    this.emit('historyChanged', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+  }
+
+  /**
+   * Move every ROI in a history step to its 'before' or 'after' state.
+   * Changes are stored parent-first, so re-created children find their parent.
+   *
+   * @param {{ changes: Array<{ id, before, after }> }} step
+   * @param {'before'|'after'} side
+   */
+  _applyHistoryStep(step, side) {
+    this._applyingHistory = true;
+    try {
+      for (const change of step.changes) {
+        const snap = change[side];
+        if (snap) this._restoreSnapshot(change.id, snap);
+        else this.deleteROI(change.id); // no-op if already removed with its parent
+      }
+    } finally {
+      this._applyingHistory = false;
+    }
+
+    this.emit('roisChanged', { rois: this.getAllROIs() });
+    this._emitHistoryChanged();
+  }
+
+  /**
+   * Restore one ROI from a snapshot, re-creating it if it was deleted.
+   *
+   * The version is never rolled back: the restored state is committed with
+   * bumpVersion() (above the ROI's current or last-deleted version) and
+   * emitted as 'roiFinalized', so version-gated consumers accept it.
+   */
+  _restoreSnapshot(id, snap) {
+    let roi = this._rois.get(id);
+    const created = !roi;
+
+    if (created) {
+      roi = this._roiFromSerialized(snap.serialized);
+      if (!roi) return;
+      roi.flags   = { ...snap.flags };
+      roi.version = Math.max(roi.version, this._tombstones.get(id) ?? 0);
+      if (snap.xLocked) roi.xLocked = true;
+      this._tombstones.delete(id);
+
+      const parent = snap.serialized.parentId ? this._rois.get(snap.serialized.parentId) : null;
+      if (parent) roi.setParent(parent);
+      this._rois.set(id, roi);
+    }
+
+    roi.setBounds(snap.bounds, true);
+    if (snap.shape) roi.setShape(snap.shape, true);
+    else if (typeof roi._syncPosition === 'function') roi._syncPosition();
+    roi.bumpVersion();
+
+    if (created) {
+      roi.onCreate();
+      this.emit('roiCreated', { roi, type: roi.type });
+    } else {
+      this.emit('roiUpdated', { roi, bounds: roi.getBounds() });
+    }
+    this.emit('roiFinalized', {
+      roi,
+      bounds:    roi.getBounds(),
+      version:   roi.version,
+      updatedAt: roi.updatedAt,
+      domain:    roi.domain,
+    });
+  }
+
   // ─── Hit testing ─────────────────────────────────────────────────────────────
 
+  /** Element that pointer positions of `e` are measured against. */
+  _eventCanvas(e) {
+    const t = e.target;
+    if (t !== this._canvas && t.tagName === 'CANVAS' && this._canvas.contains(t)) {
+      this._pointerCanvas = t;
+    }
+    return this._pointerCanvas || this._canvas;
+  }
+
   /**
    * Find the topmost ROI under screen position.
    * @returns {{ roi, handle } | null}
@@ -623,6 +1548,12 @@ export class ROIController extends EventEmitter {
       } else if (roi.type === 'lineROI') {
         const handle = roi.hitTest(screenX, screenY, this._viewport);
         if (handle !== LINE_HANDLE.NONE) return { roi, handle };
+      } else if (roi instanceof PolygonROI) {
+        const handle = roi.hitTest(screenX, screenY, this._viewport);
+        if (handle !== POLY_HANDLES.NONE) return { roi, handle };
+      } else if (roi.type === 'ellipse') {
+        const handle = roi.hitTest(screenX, screenY, this._viewport);
+        if (handle !== ELLIPSE_HANDLES.NONE) return { roi, handle };
       } else {
         const handle = roi.hitTestHandles(screenX, screenY, this._viewport);
         if (handle !== HANDLES.NONE) return { roi, handle };
@@ -635,15 +1566,57 @@ export class ROIController extends EventEmitter {
   // ─── Selection helpers ────────────────────────────────────────────────────────
 
   _selectOnly(target) {
-    for (const roi of this._rois.values()) {
-      roi.selected = roi === target;
-    }
+    this._setSelection(target ? [target] : []);
   }
 
   _deselectAll() {
+    this._setSelection([]);
+  }
+
+  /** Make exactly `targets` selected; emits 'selectionChanged' if the set changed. */
+  _setSelection(targets) {
+    const next = new Set(targets);
+    let changed = false;
     for (const roi of this._rois.values()) {
-      roi.selected = false;
+      const selected = next.has(roi);
+      if (roi.selected !== selected) {
+        roi.selected = selected;
+        changed = true;
+      }
     }
+    if (changed) this._emitSelectionChanged();
+  }
+
+  _emitSelectionChanged() {
+    const rois = this.getSelectedROIs();
+    this.emit('selectionChanged', { rois, ids: rois.map(roi => roi.id) });
+  }
+
+  /** Drop ROIs that have an ancestor in the same list (the ancestor covers them). */
+  _topLevel(rois) {
+    const set = new Set(rois);
+    return rois.filter(roi => {
+      for (let p = roi.parent; p; p = p.parent) {
+        if (set.has(p)) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Rubber-band test: the ROI must lie inside the box on every axis where
+   * its bounds are finite, and overlap it on infinite axes — so a vertical
+   * LineROI or LinearRegion is picked up by any box spanning its x-extent.
+   */
+  _inMarquee(roi, { x0, y0, x1, y1 }) {
+    const bx1 = Math.min(x0, x1), bx2 = Math.max(x0, x1);
+    const by1 = Math.min(y0, y1), by2 = Math.max(y0, y1);
+    const axisIn = (a1, a2, b1, b2) => {
+      const lo = Math.min(a1, a2), hi = Math.max(a1, a2);
+      if (isFinite(lo) && isFinite(hi)) return lo >= b1 && hi <= b2;
+      return lo <= b2 && hi >= b1;
+    };
+    return axisIn(roi.x1, roi.x2, bx1, bx2) && axisIn(roi.y1, roi.y2, by1, by2);
   }
 }
 
@@ -0,0 +1,69 @@
+/**
+ * ROIHistory — bounded undo/redo stack of ROI edit steps.
+ *
+ * One step corresponds to one user commit (the same granularity as
+ * 'roiFinalized'): a create, a delete, or a drag/resize ending on mouseup.
+ * A step lists every ROI it touched, so children shifted or clamped by
+ * ConstraintEngine during a parent drag are undone together with the parent.
+ *
+ * Step format:
+ *   { label, changes: [{ id, before, after }, ...] }
+ *   before / after — ROIController._snapshot() objects, or null when the ROI
+ *   did not exist on that side of the step (create: before = null,
+ *   delete: after = null).  Changes are stored parent-first so replaying
+ *   `after` (or `before`) in order can re-parent recreated children.
+ *
+ * This class only stores steps; ROIController applies them.
+ */
+
+export class ROIHistory {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.limit=100] — maximum number of undo steps kept
+   */
+  constructor(opts = {}) {
+    this._limit = opts.limit ?? 100;
+    this._undo  = [];
+    this._redo  = [];
+  }
+
+  get canUndo() { return this._undo.length > 0; }
+  get canRedo() { return this._redo.length > 0; }
+
+  /**
+   * Record a new step.  Clears the redo stack; empty steps are ignored.
+   *
+   * @param {{ label: string, changes: Array<{ id, before, after }> }} step
+   * @returns {boolean} true if the step was recorded
+   */
+  push(step) {
+    if (!step || !step.changes || step.changes.length === 0) return false;
+    this._undo.push(step);
+    if (this._undo.length > this._limit) this._undo.shift();
+    this._redo = [];
+    return true;
+  }
+
+  /** Pop the most recent step onto the redo stack and return it (or null). */
+  undo() {
+    const step = this._undo.pop();
+    if (!step) return null;
+    this._redo.push(step);
+    return step;
+  }
+
+  /** Pop the most recently undone step back onto the undo stack (or null). */
+  redo() {
+    const step = this._redo.pop();
+    if (!step) return null;
+    this._undo.push(step);
+    return step;
+  }
+
+  clear() {
+    this._undo = [];
+    this._redo = [];
+  }
+}
+
+export default ROIHistory;
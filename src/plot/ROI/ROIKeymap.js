@@ -0,0 +1,105 @@
+/**
+ * ROIKeymap — key binding table for ROIController.
+ *
+ * A keymap maps action names to one binding string, an array of them, or
+ * null (action disabled).  Binding strings are a KeyboardEvent.key value
+ * with optional modifier prefixes, case-insensitive:
+ *
+ *   'l'              — L with no modifiers
+ *   'Ctrl+z'         — Ctrl+Z; 'Ctrl' also matches Cmd (metaKey) on macOS
+ *   'Ctrl+Shift+z'   — modifiers may be combined in any order
+ *   'Shift+Tab', 'Alt+ArrowLeft', 'Escape', 'Enter', ' ' (space) ...
+ *
+ * Modifiers must match exactly, except for the nudge actions: an arrow
+ * binding without Shift also fires with Shift held and reports a coarse step.
+ *
+ * Pass a partial object as ROIController opts.keymap; it is merged over
+ * DEFAULT_KEYMAP, so { createLasso: 'g', delete: ['d', 'Delete'] } rebinds
+ * two actions and keeps the rest.
+ */
+
+export const DEFAULT_KEYMAP = {
+  createLinear:  'l',
+  createRect:    'r',
+  createVLine:   'v',
+  createHLine:   'h',
+  createPolygon: 'p',
+  createLasso:   'f',
+  createEllipse: 'e',
+  finishPolygon: 'Enter',
+  cancel:        'Escape',
+  delete:        'd',
+  undo:          'Ctrl+z',
+  redo:          ['Ctrl+Shift+z', 'Ctrl+y'],
+  copy:          'Ctrl+c',
+  paste:         'Ctrl+v',
+  nudgeLeft:     'ArrowLeft',
+  nudgeRight:    'ArrowRight',
+  nudgeUp:       'ArrowUp',
+  nudgeDown:     'ArrowDown',
+  nextROI:       'Tab',
+  prevROI:       'Shift+Tab',
+};
+
+/** Actions where Shift is a step-size modifier rather than part of the binding. */
+const NUDGE_ACTIONS = new Set(['nudgeLeft', 'nudgeRight', 'nudgeUp', 'nudgeDown']);
+
+/**
+ * Parse a binding string into { key, ctrl, shift, alt }.
+ * @param {string} binding
+ */
+function parseBinding(binding) {
+  // Split on '+' but keep a literal '+' key ('Ctrl++')
+  const parts = binding.split(/\+(?!$)/);
+  const key   = parts.pop().toLowerCase();
+  const mods  = new Set(parts.map(p => p.toLowerCase()));
+  return {
+    key,
+    ctrl:  mods.has('ctrl') || mods.has('cmd') || mods.has('meta'),
+    shift: mods.has('shift'),
+    alt:   mods.has('alt'),
+  };
+}
+
+/**
+ * Merge user overrides over DEFAULT_KEYMAP and pre-parse every binding.
+ *
+ * @param {object} [overrides]
+ * @returns {Map<string, Array<{ key, ctrl, shift, alt }>>} action → parsed bindings
+ */
+export function resolveKeymap(overrides = {}) {
+  const merged = { ...DEFAULT_KEYMAP, ...overrides };
+  const parsed = new Map();
+  for (const [action, value] of Object.entries(merged)) {
+    if (value == null) continue;
+    const list = Array.isArray(value) ? value : [value];
+    parsed.set(action, list.map(parseBinding));
+  }
+  return parsed;
+}
+
+/**
+ * Find the action bound to a keyboard event.
+ *
+ * @param {Map} keymap — resolveKeymap() result
+ * @param {KeyboardEvent} e
+ * @returns {{ action: string, coarse: boolean }|null}
+ */
+export function matchKeyAction(keymap, e) {
+  const key  = e.key.toLowerCase();
+  const ctrl = !!(e.ctrlKey || e.metaKey);
+  const alt  = !!e.altKey;
+  const shift = !!e.shiftKey;
+
+  let shiftless = null;
+  for (const [action, bindings] of keymap) {
+    for (const b of bindings) {
+      if (b.key !== key || b.ctrl !== ctrl || b.alt !== alt) continue;
+      if (b.shift === shift) return { action, coarse: false };
+      if (shift && !b.shift && NUDGE_ACTIONS.has(action)) shiftless = action;
+    }
+  }
+  return shiftless ? { action: shiftless, coarse: true } : null;
+}
+
+export default DEFAULT_KEYMAP;
@@ -0,0 +1,143 @@
+/**
+ * ROIStats — summary statistics for data inside a ROI.
+ *
+ * Pure functions; no state.  Used by ROIController.computeStats(),
+ * PlotDataView.stats() and LinePlotController.getSignalStats().
+ *
+ * Point statistics (scatter data):
+ *   { count, mean, median, std, min, max, centroid }
+ *   mean / median / std / min / max are { x, y } pairs; std is the population
+ *   standard deviation (ddof = 0, numpy's default).  centroid is [x, y], the
+ *   unweighted mean position.  With no points inside, count is 0 and every
+ *   other number is NaN.
+ *
+ * Signal statistics (line data, over an x-range):
+ *   { count, mean, rms, min, max, peakToPeak, integral }
+ *   integral uses the trapezoidal rule over the samples inside the range
+ *   (no interpolation to the range edges).
+ */
+
+/**
+ * Membership test matching PlotDataView.filterByROI: exact for ROIs with
+ * containsPoint() (polygon, lasso, ellipse), bounding box otherwise.
+ *
+ * @param {ROIBase} roi
+ * @returns {(x: number, y: number) => boolean}
+ */
+export function roiPredicate(roi) {
+  if (typeof roi.containsPoint === 'function') {
+    return (x, y) => roi.containsPoint(x, y);
+  }
+  const { x1, x2, y1, y2 } = roi.getBounds();
+  return (x, y) => x >= x1 && x <= x2 && y >= y1 && y <= y2;
+}
+
+function median(values) {
+  const n = values.length;
+  if (n === 0) return NaN;
+  values.sort();
+  const mid = n >> 1;
+  return n % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+}
+
+/**
+ * Statistics over parallel x / y arrays, optionally restricted by a predicate.
+ *
+ * @param {{ x: ArrayLike<number>, y: ArrayLike<number> }} data
+ * @param {((x: number, y: number) => boolean)|null} [inside] — null = all points
+ * @returns {{ count, mean, median, std, min, max, centroid }}
+ */
+export function computePointStats(data, inside = null) {
+  const n = data.x.length;
+
+  // Pass 1: count, sums, extents
+  let count = 0;
+  let sx = 0, sy = 0;
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const x = data.x[i], y = data.y[i];
+    if (inside && !inside(x, y)) continue;
+    count++;
+    sx += x; sy += y;
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+
+  if (count === 0) {
+    const nan = { x: NaN, y: NaN };
+    return { count: 0, mean: nan, median: nan, std: nan, min: nan, max: nan, centroid: [NaN, NaN] };
+  }
+
+  const mx = sx / count, my = sy / count;
+
+  // Pass 2: variance + copies for the medians
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  let vx = 0, vy = 0, k = 0;
+  for (let i = 0; i < n; i++) {
+    const x = data.x[i], y = data.y[i];
+    if (inside && !inside(x, y)) continue;
+    xs[k] = x; ys[k] = y; k++;
+    vx += (x - mx) * (x - mx);
+    vy += (y - my) * (y - my);
+  }
+
+  return {
+    count,
+    mean:     { x: mx, y: my },
+    median:   { x: median(xs), y: median(ys) },
+    std:      { x: Math.sqrt(vx / count), y: Math.sqrt(vy / count) },
+    min:      { x: minX, y: minY },
+    max:      { x: maxX, y: maxY },
+    centroid: [mx, my],
+  };
+}
+
+/**
+ * Statistics of a sampled signal over [x1, x2].
+ *
+ * @param {ArrayLike<number>} xs — sample x values, ascending
+ * @param {ArrayLike<number>} ys — sample y values
+ * @param {number} x1
+ * @param {number} x2
+ * @returns {{ count, mean, rms, min, max, peakToPeak, integral }}
+ */
+export function computeSignalStats(xs, ys, x1, x2) {
+  const lo = Math.min(x1, x2), hi = Math.max(x1, x2);
+
+  // Binary-search the first sample inside the range
+  let i = 0, j = xs.length;
+  while (i < j) {
+    const mid = (i + j) >>> 1;
+    if (xs[mid] < lo) i = mid + 1; else j = mid;
+  }
+
+  let count = 0, sum = 0, sumSq = 0, integral = 0;
+  let min = Infinity, max = -Infinity;
+
+  for (; i < xs.length && xs[i] <= hi; i++) {
+    const y = ys[i];
+    count++;
+    sum   += y;
+    sumSq += y * y;
+    if (y < min) min = y;
+    if (y > max) max = y;
+    if (count > 1) integral += (xs[i] - xs[i - 1]) * (y + ys[i - 1]) / 2;
+  }
+
+  if (count === 0) {
+    return { count: 0, mean: NaN, rms: NaN, min: NaN, max: NaN, peakToPeak: NaN, integral: 0 };
+  }
+
+  return {
+    count,
+    mean:       sum / count,
+    rms:        Math.sqrt(sumSq / count),
+    min,
+    max,
+    peakToPeak: max - min,
+    integral,
+  };
+}
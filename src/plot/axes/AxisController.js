@@ -1,7 +1,8 @@
 /**
  * AxisController — manages axis domains and d3-scale instances.
  *
- * Wraps d3-scale (linear / log / time) and exposes a unified API for:
+ * Wraps d3-scale (linear / log / time, plus mel / bark frequency warps from
+ * FrequencyScale) and exposes a unified API for:
  *   - Setting domain (data range)
  *   - Getting the scale function (data → screen pixels)
  *   - Generating tick values + formatted labels
@@ -9,12 +10,17 @@
  *
  * PlotController owns one AxisController per axis (x, y) and feeds screen
  * range when canvas size changes.
+ *
+ * Warped axes (log, mel, bark): the domain stays in data units, but zoom and
+ * pan act in the warped display space, where deck.gl geometry is placed —
+ * warp() / unwarp() convert between the two.
  */
 
 import { EventEmitter } from 'events';
 import { scaleLinear, scaleLog, scaleTime } from 'd3-scale';
 import { format } from 'd3-format';
 import { timeFormat } from 'd3-time-format';
+import { WARPS, scaleWarped } from './FrequencyScale.js';
 
 // Scientific number formatter: uses SI prefix for large/small numbers
 const formatSci = format('.3~s');
@@ -35,7 +41,7 @@ function defaultFormatter(scaleType) {
 export class AxisController extends EventEmitter {
   /**
    * @param {object} opts
-   * @param {'linear'|'log'|'time'} [opts.scaleType='linear']
+   * @param {'linear'|'log'|'time'|'mel'|'bark'} [opts.scaleType='linear']
    * @param {string} [opts.axis='x']  — 'x' or 'y'
    * @param {number[]} [opts.domain]  — initial domain [min, max]
    * @param {number[]} [opts.range]   — initial pixel range [start, end]
@@ -84,7 +90,7 @@ export class AxisController extends EventEmitter {
 
   /**
    * Change the scale type and rebuild.
-   * @param {'linear'|'log'|'time'} type
+   * @param {'linear'|'log'|'time'|'mel'|'bark'} type
    */
   setScaleType(type) {
     this.scaleType  = type;
@@ -93,6 +99,30 @@ export class AxisController extends EventEmitter {
     this.emit('scaleTypeChanged', { axis: this.axis, type });
   }
 
+  /** True for axes whose display space is a warp of the data (log, mel, bark). */
+  get isWarped() {
+    return this.scaleType === 'log' || this.scaleType === 'mel' || this.scaleType === 'bark';
+  }
+
+  /**
+   * Map a data value into the axis' linear display space (log10 for log
+   * axes, mel / Bark for frequency axes).  Identity for linear and time.
+   * @param {number} value
+   * @returns {number}
+   */
+  warp(value) {
+    return this.isWarped ? WARPS[this.scaleType].forward(value) : value;
+  }
+
+  /**
+   * Inverse of warp().
+   * @param {number} value — display-space value
+   * @returns {number}
+   */
+  unwarp(value) {
+    return this.isWarped ? WARPS[this.scaleType].inverse(value) : value;
+  }
+
   // ─── Ticks ───────────────────────────────────────────────────────────────────
 
   /**
@@ -102,10 +132,14 @@ export class AxisController extends EventEmitter {
    */
   getTicks(count = 8) {
     const ticks = this._scale.ticks(count);
+    // Log axes tick every digit of every decade; label only the readable subset
+    const format = this.scaleType === 'log'
+      ? this._scale.tickFormat(count, this._formatter)
+      : this._formatter;
     return ticks.map(v => ({
       value:  v,
       screen: this._scale(v),
-      label:  this._formatter(v),
+      label:  format(v),
     }));
   }
 
@@ -120,17 +154,17 @@ export class AxisController extends EventEmitter {
     const [min, max] = this._domain;
     const span = max - min;
 
-    if (this.scaleType === 'log') {
-      // Log space zoom
-      const logMin   = Math.log10(min);
-      const logMax   = Math.log10(max);
-      const logFocal = Math.log10(focalData);
-      const logSpan  = logMax - logMin;
-      const newLogSpan = logSpan / factor;
-      const ratio = (logFocal - logMin) / logSpan;
-      const newLogMin = logFocal - ratio * newLogSpan;
-      const newLogMax = newLogMin + newLogSpan;
-      this.setDomain([Math.pow(10, newLogMin), Math.pow(10, newLogMax)]);
+    if (this.isWarped) {
+      // Display-space zoom
+      const wMin   = this.warp(min);
+      const wMax   = this.warp(max);
+      const wFocal = this.warp(focalData);
+      const wSpan  = wMax - wMin;
+      const newWSpan = wSpan / factor;
+      const ratio = (wFocal - wMin) / wSpan;
+      const newWMin = wFocal - ratio * newWSpan;
+      const newWMax = newWMin + newWSpan;
+      this.setDomain([this.unwarp(newWMin), this.unwarp(newWMax)]);
     } else {
       const newSpan = span / factor;
       const ratio   = (focalData - min) / span;
@@ -152,14 +186,14 @@ export class AxisController extends EventEmitter {
   scaleDomainFromMidpoint(factor) {
     const [min, max] = this._domain;
 
-    if (this.scaleType === 'log') {
-      const logMin  = Math.log10(Math.max(min, 1e-10));
-      const logMax  = Math.log10(Math.max(max, 1e-10));
-      const logMid  = (logMin + logMax) / 2;
-      const newHalf = (logMax - logMin) / (2 * factor);
+    if (this.isWarped) {
+      const wMin    = this.warp(min);
+      const wMax    = this.warp(max);
+      const wMid    = (wMin + wMax) / 2;
+      const newHalf = (wMax - wMin) / (2 * factor);
       this.setDomain([
-        Math.pow(10, logMid - newHalf),
-        Math.pow(10, logMid + newHalf),
+        this.unwarp(wMid - newHalf),
+        this.unwarp(wMid + newHalf),
       ]);
     } else {
       const mid     = (min + max) / 2;
@@ -179,14 +213,13 @@ export class AxisController extends EventEmitter {
 
     const [min, max] = this._domain;
 
-    if (this.scaleType === 'log') {
-      const logMin  = Math.log10(min);
-      const logMax  = Math.log10(max);
-      const logSpan = logMax - logMin;
-      const dataDelta = -(pixelDelta / pxSpan) * logSpan;
+    if (this.isWarped) {
+      const wMin   = this.warp(min);
+      const wMax   = this.warp(max);
+      const wDelta = -(pixelDelta / pxSpan) * (wMax - wMin);
       this.setDomain([
-        Math.pow(10, logMin + dataDelta),
-        Math.pow(10, logMax + dataDelta),
+        this.unwarp(wMin + wDelta),
+        this.unwarp(wMax + wDelta),
       ]);
     } else {
       const dataDelta = -(pixelDelta / pxSpan) * (max - min);
@@ -227,6 +260,10 @@ export class AxisController extends EventEmitter {
       case 'time':
         scale = scaleTime();
         break;
+      case 'mel':
+      case 'bark':
+        scale = scaleWarped(this.scaleType);
+        break;
       case 'linear':
       default:
         scale = scaleLinear();
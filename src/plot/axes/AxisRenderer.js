@@ -40,6 +40,11 @@ export class AxisRenderer {
     };
   }
 
+  /** Read-only style table (colours, font, tick sizes) — shared with SVG export. */
+  get style() {
+    return this._style;
+  }
+
   // ─── Visibility ───────────────────────────────────────────────────────────────
 
   setVisible(v) {
@@ -75,24 +80,19 @@ export class AxisRenderer {
     }
 
     this._clear();
+    this._draw(ctx, rois, pa);
+  }
 
-    ctx.save();
-
-    // Plot area border
-    ctx.strokeStyle = this._style.axisColor;
-    ctx.lineWidth   = 1;
-    ctx.strokeRect(pa.x, pa.y, pa.width, pa.height);
-
-    // X-axis ticks
-    this._renderXTicks(ctx, pa);
-
-    // Y-axis ticks
-    this._renderYTicks(ctx, pa);
-
-    // LineROI labels (half-variants only; canvas overlay per spec)
-    this._renderLineROILabels(ctx, rois, pa);
-
-    ctx.restore();
+  /**
+   * Draw the axis overlay into an arbitrary 2D context (used by PNG export).
+   * Coordinates are in CSS pixels; the caller applies any resolution scaling
+   * via ctx.scale() before calling.  Ignores visibility / export-mode flags.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../ROI/ROIBase').ROIBase[]} [rois=[]]
+   */
+  renderToContext(ctx, rois = []) {
+    this._draw(ctx, rois, this._viewport.plotArea);
   }
 
   // ─── Axis hit-test (F21) ─────────────────────────────────────────────────────
@@ -129,6 +129,26 @@ export class AxisRenderer {
     this._ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
   }
 
+  _draw(ctx, rois, pa) {
+    ctx.save();
+
+    // Plot area border
+    ctx.strokeStyle = this._style.axisColor;
+    ctx.lineWidth   = 1;
+    ctx.strokeRect(pa.x, pa.y, pa.width, pa.height);
+
+    // X-axis ticks
+    this._renderXTicks(ctx, pa);
+
+    // Y-axis ticks
+    this._renderYTicks(ctx, pa);
+
+    // LineROI labels (half-variants only; canvas overlay per spec)
+    this._renderLineROILabels(ctx, rois, pa);
+
+    ctx.restore();
+  }
+
   _renderXTicks(ctx, pa) {
     const s = this._style;
     const ticks = this._xAxis.getTicks(10);
@@ -0,0 +1,84 @@
+/**
+ * FrequencyScale — warped axis mappings for frequency display.
+ *
+ * A warp is a monotonic pair { forward, inverse } between data values (Hz)
+ * and a linear display space.  Layers place geometry in display space
+ * (deck.gl's orthographic projection is linear), and AxisController builds a
+ * d3-compatible scale over the same warp so ticks land where the data is.
+ *
+ *   log   display = log10(f)
+ *   mel   display = 2595 · log10(1 + f / 700)                 (O'Shaughnessy / HTK)
+ *   bark  display = 26.81 · f / (1960 + f) − 0.53              (Traunmüller 1990)
+ */
+
+import { scaleLinear } from 'd3-scale';
+
+export const hzToMel  = (f) => 2595 * Math.log10(1 + f / 700);
+export const melToHz  = (m) => 700 * (Math.pow(10, m / 2595) - 1);
+export const hzToBark = (f) => 26.81 * f / (1960 + f) - 0.53;
+export const barkToHz = (z) => 1960 * (z + 0.53) / (26.28 - z);
+
+/** Warps by name.  `linear` is the identity. */
+export const WARPS = {
+  linear: { forward: (v) => v,                             inverse: (v) => v },
+  log:    { forward: (v) => Math.log10(Math.max(v, 1e-10)), inverse: (v) => Math.pow(10, v) },
+  mel:    { forward: hzToMel,                               inverse: melToHz },
+  bark:   { forward: hzToBark,                              inverse: barkToHz },
+};
+
+/**
+ * d3-compatible continuous scale over a warp: callable, invert, domain,
+ * range, ticks, copy.  Domain and invert() are in data units.
+ *
+ * Ticks are spaced evenly in display space, then rounded in data space to a
+ * power of ten below the local tick spacing, so they stay evenly spread on
+ * screen and read as round numbers at any zoom.
+ *
+ * @param {string} name — key of WARPS
+ * @returns {Function}
+ */
+export function scaleWarped(name) {
+  const warp   = WARPS[name];
+  if (!warp) throw new Error(`scaleWarped: unknown warp "${name}"`);
+  const linear = scaleLinear();
+  let domain   = [0, 1];
+
+  const scale = (v) => linear(warp.forward(v));
+
+  scale.invert = (px) => warp.inverse(linear.invert(px));
+
+  scale.domain = (d) => {
+    if (d === undefined) return [...domain];
+    domain = [+d[0], +d[1]];
+    linear.domain(domain.map(warp.forward));
+    return scale;
+  };
+
+  scale.range = (r) => {
+    if (r === undefined) return linear.range();
+    linear.range(r);
+    return scale;
+  };
+
+  scale.ticks = (count = 10) => {
+    const lo = Math.min(domain[0], domain[1]);
+    const hi = Math.max(domain[0], domain[1]);
+    const us   = linear.ticks(count);
+    const step = us.length > 1 ? us[1] - us[0] : Math.abs(linear.domain()[1] - linear.domain()[0]) / count;
+    const out  = [];
+    for (const u of us) {
+      const local = Math.abs(warp.inverse(u + step / 2) - warp.inverse(u - step / 2));
+      const p     = Math.pow(10, Math.floor(Math.log10(local || 1)));
+      const v     = Math.round(warp.inverse(u) / p) * p;
+      if (v >= lo && v <= hi && out[out.length - 1] !== v) out.push(v);
+    }
+    return out;
+  };
+
+  scale.copy = () => scaleWarped(name).domain(domain).range(linear.range());
+
+  scale.warp = warp;
+  return scale;
+}
+
+export default scaleWarped;
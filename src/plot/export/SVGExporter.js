@@ -0,0 +1,446 @@
+/**
+ * SVGExporter — re-emits the current plot view as vector SVG primitives.
+ *
+ * The WebGL pipeline can only produce rasters, so vector export walks the
+ * same sources the layers are built from (DataStore attributes, signal paths,
+ * ROI bounds, AxisController ticks) and projects them through the
+ * ViewportController into CSS-pixel SVG coordinates.  The resulting document
+ * has the same size and layout as the on-screen canvas; data primitives are
+ * clipped to the plot area exactly like the deck.gl viewport.
+ *
+ * PDF output is intentionally not built in — the SVG converts losslessly
+ * with any vector tool (Inkscape, rsvg-convert, browser print-to-PDF).
+ *
+ * Usage (internal — called by PlotController / LinePlotController):
+ *   const svg = new SVGExporter({ viewport, xAxis, yAxis, style });
+ *   svg.addScatter(gpuAttrs, { decimate: true });
+ *   svg.addROIs(rois);
+ *   svg.addAxes(rois);
+ *   return svg.toString();
+ */
+
+const CLIP_ID = 'masterplot-plot-area';
+
+// Mirrors ROILayer fill/outline alphas so the export matches the screen
+const FILL_ALPHA     = 40;
+const SELECTED_ALPHA = 70;
+
+/** Round to 2 decimals — sub-pixel precision is plenty for CSS-pixel output. */
+function fmt(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function escapeXML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert an [r, g, b, a?] 0-255 colour to SVG paint + opacity attributes.
+ * @param {string} attr — 'fill' | 'stroke'
+ * @param {number[]} c
+ * @param {number} [alphaOverride]
+ */
+function paint(attr, c, alphaOverride) {
+  const a = alphaOverride !== undefined ? alphaOverride : (c.length > 3 ? c[3] : 255);
+  const rgb = `rgb(${c[0]},${c[1]},${c[2]})`;
+  return a >= 255
+    ? `${attr}="${rgb}"`
+    : `${attr}="${rgb}" ${attr}-opacity="${fmt(a / 255)}"`;
+}
+
+export class SVGExporter {
+  /**
+   * @param {object} opts
+   * @param {import('../ViewportController').ViewportController} opts.viewport
+   * @param {import('../axes/AxisController').AxisController}    opts.xAxis
+   * @param {import('../axes/AxisController').AxisController}    opts.yAxis
+   * @param {object}      [opts.style]              — AxisRenderer style (colours, font)
+   * @param {string|null} [opts.background='#0d0d0d'] — null = transparent
+   */
+  constructor({ viewport, xAxis, yAxis, style = {}, background = '#0d0d0d' }) {
+    this._viewport   = viewport;
+    this._xAxis      = xAxis;
+    this._yAxis      = yAxis;
+    this._style      = style;
+    this._background = background;
+
+    this._dataParts = [];   // clipped to plot area
+    this._overlay   = [];   // axes, labels — unclipped
+  }
+
+  // ─── Data primitives ───────────────────────────────────────────────────────
+
+  /**
+   * Add scatter points as <circle> elements.
+   *
+   * With `decimate`, points outside the current axis domains are dropped and
+   * points that land on an already-drawn pixel with the same colour and size
+   * are skipped — visually identical output at a fraction of the file size.
+   *
+   * @param {{ x, y, size, color }} gpuAttrs — DataStore / DataView attributes
+   * @param {object}  [opts]
+   * @param {boolean} [opts.decimate=true]
+   * @returns {number} number of circles emitted
+   */
+  addScatter(gpuAttrs, { decimate = true } = {}) {
+    const { x, y, size, color } = gpuAttrs;
+    const vp = this._viewport;
+    const pa = vp.plotArea;
+    const seen = decimate ? new Set() : null;
+    const out = [];
+
+    for (let i = 0; i < x.length; i++) {
+      const sx = vp.dataXToScreen(x[i]);
+      const sy = vp.dataYToScreen(y[i]);
+      if (!Number.isFinite(sx) || !Number.isFinite(sy)) continue;
+
+      // Same clamp as buildScatterLayer (radiusMin/MaxPixels)
+      const r = Math.min(30, Math.max(1, size[i] * 0.5));
+
+      if (decimate) {
+        if (sx + r < pa.x || sx - r > pa.x + pa.width)  continue;
+        if (sy + r < pa.y || sy - r > pa.y + pa.height) continue;
+        const b   = i * 4;
+        const key = `${Math.round(sx)},${Math.round(sy)},${r},` +
+                    `${color[b]},${color[b + 1]},${color[b + 2]},${color[b + 3]}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+
+      const b = i * 4;
+      out.push(
+        `<circle cx="${fmt(sx)}" cy="${fmt(sy)}" r="${fmt(r)}" ` +
+        `${paint('fill', [color[b], color[b + 1], color[b + 2], color[b + 3]])}/>`
+      );
+    }
+
+    this._dataParts.push(`<g class="scatter">${out.join('')}</g>`);
+    return out.length;
+  }
+
+  /**
+   * Add a polyline in data coordinates.
+   *
+   * With `decimate`, the path is clipped to the visible x-domain (keeping one
+   * neighbour on each side so the line still reaches the plot edge) and
+   * reduced to first/min/max/last per screen-pixel column, which preserves the
+   * rendered envelope.  Assumes x is monotonically increasing, as it is for
+   * LinePlotController signals.
+   *
+   * @param {Array<number[]>} points — [[x, y], ...] or [[x, y, z], ...]
+   * @param {object}  [opts]
+   * @param {number[]} [opts.color=[255,255,255,255]]
+   * @param {number}   [opts.width=2]     — stroke width in pixels
+   * @param {boolean}  [opts.decimate=true]
+   * @returns {number} number of vertices emitted
+   */
+  addPath(points, { color = [255, 255, 255, 255], width = 2, decimate = true } = {}) {
+    if (points.length < 2) return 0;
+
+    const vp = this._viewport;
+    let pts = points;
+
+    if (decimate) {
+      const [xMin, xMax] = this._xAxis.getDomain();
+      let lo = 0, hi = points.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (points[mid][0] < xMin) lo = mid + 1; else hi = mid;
+      }
+      const start = Math.max(0, lo - 1);
+      lo = start; hi = points.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (points[mid][0] <= xMax) lo = mid + 1; else hi = mid;
+      }
+      const end = Math.min(points.length, lo + 1);
+      pts = this._decimateColumns(points, start, end);
+    }
+
+    const coords = [];
+    for (const p of pts) {
+      const sx = vp.dataXToScreen(p[0]);
+      const sy = vp.dataYToScreen(p[1]);
+      if (!Number.isFinite(sx) || !Number.isFinite(sy)) continue;
+      coords.push(`${fmt(sx)},${fmt(sy)}`);
+    }
+    if (coords.length < 2) return 0;
+
+    this._dataParts.push(
+      `<polyline points="${coords.join(' ')}" fill="none" ` +
+      `${paint('stroke', color)} stroke-width="${width}" ` +
+      `stroke-linejoin="round" stroke-linecap="round"/>`
+    );
+    return coords.length;
+  }
+
+  /**
+   * Add ROIs (rects, linear regions, lines, polygons, ellipses) using the same colours and
+   * alphas as ROILayer.  Selection handles are editing chrome and are omitted.
+   *
+   * @param {import('../ROI/ROIBase').ROIBase[]} rois
+   */
+  addROIs(rois) {
+    const vp = this._viewport;
+    const pa = vp.plotArea;
+    const out = [];
+
+    for (const roi of rois) {
+      if (!roi.flags.visible) continue;
+
+      const alpha = roi.selected ? SELECTED_ALPHA : FILL_ALPHA;
+      const color = roi.color || (
+        roi.type === 'linearRegion' ? [100, 160, 255] :
+        roi.type === 'lineROI'      ? [255, 80, 80]   :
+        roi.type === 'polygon'      ? [190, 120, 255] :
+        roi.type === 'lasso'        ? [255, 110, 200] :
+        roi.type === 'ellipse'      ? [80, 220, 200]  :
+        [255, 140, 60]
+      );
+
+      if (roi.type === 'polygon' || roi.type === 'lasso' || roi.type === 'ellipse') {
+        const verts  = roi.type === 'ellipse' ? roi.getOutline(128) : roi.vertices;
+        const points = verts
+          .map(([vx, vy]) => `${fmt(vp.dataXToScreen(vx))},${fmt(vp.dataYToScreen(vy))}`)
+          .join(' ');
+        out.push(
+          `<polygon points="${points}" ${paint('fill', color, alpha)} ` +
+          `${paint('stroke', color, 200)} stroke-width="${roi.selected ? 2 : 1}"/>`
+        );
+        continue;
+      }
+
+      if (roi.type === 'lineROI') {
+        const midX = pa.x + pa.width  / 2;
+        const midY = pa.y + pa.height / 2;
+        let x1, y1, x2, y2;
+        if (roi.orientation === 'vertical') {
+          x1 = x2 = vp.dataXToScreen(roi.position);
+          // Screen y grows downward: top of plot is pa.y
+          switch (roi.mode) {
+            case 'vline-half-top':    y1 = pa.y;  y2 = midY; break;
+            case 'vline-half-bottom': y1 = midY;  y2 = pa.y + pa.height; break;
+            default:                  y1 = pa.y;  y2 = pa.y + pa.height;
+          }
+        } else {
+          y1 = y2 = vp.dataYToScreen(roi.position);
+          switch (roi.mode) {
+            case 'hline-half-left':  x1 = pa.x; x2 = midX; break;
+            case 'hline-half-right': x1 = midX; x2 = pa.x + pa.width; break;
+            default:                 x1 = pa.x; x2 = pa.x + pa.width;
+          }
+        }
+        out.push(
+          `<line x1="${fmt(x1)}" y1="${fmt(y1)}" x2="${fmt(x2)}" y2="${fmt(y2)}" ` +
+          `${paint('stroke', color, roi.selected ? 240 : 180)} stroke-width="${roi.selected ? 2 : 1}"/>`
+        );
+        continue;
+      }
+
+      let sx1 = vp.dataXToScreen(roi.x1);
+      let sx2 = vp.dataXToScreen(roi.x2);
+      let sy1, sy2;
+      if (roi.type === 'linearRegion') {
+        sy1 = pa.y;
+        sy2 = pa.y + pa.height;
+      } else {
+        sy1 = vp.dataYToScreen(roi.y2);   // y2 = visual top
+        sy2 = vp.dataYToScreen(roi.y1);
+      }
+      if (sx1 > sx2) [sx1, sx2] = [sx2, sx1];
+      if (sy1 > sy2) [sy1, sy2] = [sy2, sy1];
+
+      out.push(
+        `<rect x="${fmt(sx1)}" y="${fmt(sy1)}" width="${fmt(sx2 - sx1)}" height="${fmt(sy2 - sy1)}" ` +
+        `${paint('fill', color, alpha)} ${paint('stroke', color, 200)} stroke-width="1"/>`
+      );
+    }
+
+    this._dataParts.push(`<g class="rois">${out.join('')}</g>`);
+  }
+
+  // ─── Axes ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Add the plot border, grid lines, tick marks, tick labels, axis labels and
+   * LineROI half-variant labels — the same content AxisRenderer draws.
+   *
+   * @param {import('../ROI/ROIBase').ROIBase[]} [rois=[]]
+   */
+  addAxes(rois = []) {
+    const s  = this._style;
+    const pa = this._viewport.plotArea;
+    const tickLength   = s.tickLength   ?? 5;
+    const labelPadding = s.labelPadding ?? 4;
+    const fontSize     = s.fontSize     ?? 11;
+    const fontFamily   = s.fontFamily   ?? 'monospace';
+    const gridColor    = s.gridColor    ?? 'rgba(80,80,80,0.25)';
+    const tickColor    = s.tickColor    ?? '#888';
+    const labelColor   = s.labelColor   ?? '#ccc';
+    const axisColor    = s.axisColor    ?? '#666';
+
+    const grid  = [];
+    const ticks = [];
+    const text  = [];
+    const bottom = pa.y + pa.height;
+
+    for (const tick of this._xAxis.getTicks(10)) {
+      const sx = tick.screen;
+      if (sx < pa.x || sx > pa.x + pa.width) continue;
+      grid.push(`<line x1="${fmt(sx)}" y1="${fmt(pa.y)}" x2="${fmt(sx)}" y2="${fmt(bottom)}"/>`);
+      ticks.push(`<line x1="${fmt(sx)}" y1="${fmt(bottom)}" x2="${fmt(sx)}" y2="${fmt(bottom + tickLength)}"/>`);
+      text.push(
+        `<text x="${fmt(sx)}" y="${fmt(bottom + tickLength + labelPadding)}" ` +
+        `text-anchor="middle" dominant-baseline="hanging">${escapeXML(tick.label)}</text>`
+      );
+    }
+
+    for (const tick of this._yAxis.getTicks(8)) {
+      const sy = tick.screen;
+      if (sy < pa.y || sy > bottom) continue;
+      grid.push(`<line x1="${fmt(pa.x)}" y1="${fmt(sy)}" x2="${fmt(pa.x + pa.width)}" y2="${fmt(sy)}"/>`);
+      ticks.push(`<line x1="${fmt(pa.x - tickLength)}" y1="${fmt(sy)}" x2="${fmt(pa.x)}" y2="${fmt(sy)}"/>`);
+      text.push(
+        `<text x="${fmt(pa.x - tickLength - labelPadding)}" y="${fmt(sy)}" ` +
+        `text-anchor="end" dominant-baseline="central">${escapeXML(tick.label)}</text>`
+      );
+    }
+
+    if (this._xAxis.label) {
+      text.push(
+        `<text x="${fmt(pa.x + pa.width / 2)}" y="${fmt(bottom + 30)}" ` +
+        `text-anchor="middle" dominant-baseline="hanging">${escapeXML(this._xAxis.label)}</text>`
+      );
+    }
+    if (this._yAxis.label) {
+      const cy = fmt(pa.y + pa.height / 2);
+      text.push(
+        `<text x="12" y="${cy}" transform="rotate(-90 12 ${cy})" ` +
+        `text-anchor="middle" dominant-baseline="central">${escapeXML(this._yAxis.label)}</text>`
+      );
+    }
+
+    this._overlay.push(
+      `<g class="grid" stroke="${gridColor}" stroke-width="1">${grid.join('')}</g>`,
+      `<rect class="border" x="${fmt(pa.x)}" y="${fmt(pa.y)}" width="${fmt(pa.width)}" height="${fmt(pa.height)}" ` +
+        `fill="none" stroke="${axisColor}" stroke-width="1"/>`,
+      `<g class="ticks" stroke="${tickColor}" stroke-width="1">${ticks.join('')}</g>`,
+      `<g class="tick-labels" fill="${labelColor}" font-family="${fontFamily}" font-size="${fontSize}">${text.join('')}</g>`,
+    );
+
+    this._addLineROILabels(rois, pa, fontSize, fontFamily);
+  }
+
+  // ─── Output ────────────────────────────────────────────────────────────────
+
+  /** @returns {string} standalone SVG document */
+  toString() {
+    const { canvasWidth: W, canvasHeight: H, plotArea: pa } = this._viewport;
+    const bg = this._background
+      ? `<rect width="${W}" height="${H}" fill="${this._background}"/>`
+      : '';
+
+    return (
+      `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">` +
+      `<defs><clipPath id="${CLIP_ID}">` +
+      `<rect x="${fmt(pa.x)}" y="${fmt(pa.y)}" width="${fmt(pa.width)}" height="${fmt(pa.height)}"/>` +
+      `</clipPath></defs>` +
+      bg +
+      `<g class="data" clip-path="url(#${CLIP_ID})">${this._dataParts.join('')}</g>` +
+      this._overlay.join('') +
+      `</svg>\n`
+    );
+  }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  /**
+   * Keep first, min, max and last vertex of each screen-pixel column in
+   * points[start, end).  Output stays in original order.
+   */
+  _decimateColumns(points, start, end) {
+    const vp  = this._viewport;
+    const out = [];
+    let col = null;
+    let first = -1, last = -1, iMin = -1, iMax = -1;
+
+    const flush = () => {
+      if (first < 0) return;
+      const idx = [...new Set([first, iMin, iMax, last])].sort((a, b) => a - b);
+      for (const i of idx) out.push(points[i]);
+    };
+
+    for (let i = start; i < end; i++) {
+      const c = Math.floor(vp.dataXToScreen(points[i][0]));
+      if (c !== col) {
+        flush();
+        col = c;
+        first = last = iMin = iMax = i;
+        continue;
+      }
+      last = i;
+      if (points[i][1] < points[iMin][1]) iMin = i;
+      if (points[i][1] > points[iMax][1]) iMax = i;
+    }
+    flush();
+    return out;
+  }
+
+  /** Mirror of AxisRenderer._renderLineROILabels for half-variant LineROIs. */
+  _addLineROILabels(rois, pa, fontSize, fontFamily) {
+    const LABEL_PAD = 14;
+    const out = [];
+
+    for (const roi of rois) {
+      if (roi.type !== 'lineROI') continue;
+      if (!roi.flags.visible) continue;
+      if (!roi.label) continue;
+      if (!roi.mode.includes('half')) continue;
+
+      let x, y, anchor, baseline;
+      if (roi.orientation === 'vertical') {
+        x = this._viewport.dataXToScreen(roi.position);
+        if (x < pa.x || x > pa.x + pa.width) continue;
+        anchor = 'middle';
+        if (roi.mode === 'vline-half-top') {
+          y = pa.y + LABEL_PAD;
+          baseline = 'hanging';
+        } else {
+          y = pa.y + pa.height - LABEL_PAD;
+          baseline = 'text-after-edge';
+        }
+      } else {
+        const ly = this._viewport.dataYToScreen(roi.position);
+        if (ly < pa.y || ly > pa.y + pa.height) continue;
+        y = ly - 2;
+        baseline = 'text-after-edge';
+        if (roi.mode === 'hline-half-left') {
+          x = pa.x + LABEL_PAD;
+          anchor = 'start';
+        } else {
+          x = pa.x + pa.width - LABEL_PAD;
+          anchor = 'end';
+        }
+      }
+
+      out.push(
+        `<text x="${fmt(x)}" y="${fmt(y)}" text-anchor="${anchor}" dominant-baseline="${baseline}" ` +
+        `paint-order="stroke" stroke="rgba(0,0,0,0.65)" stroke-width="3" fill="#fff">` +
+        `${escapeXML(roi.label)}</text>`
+      );
+    }
+
+    if (out.length > 0) {
+      this._overlay.push(
+        `<g class="roi-labels" font-family="${fontFamily}" font-size="${fontSize}" font-weight="bold">${out.join('')}</g>`
+      );
+    }
+  }
+}
+
+export default SVGExporter;
@@ -6,9 +6,14 @@
  *
  * Used by SpectrogramLayer (calls setSpectrogramData()) and rendered by
  * HistogramLUTPanel (listens to events).
+ *
+ * Several layers may share one controller (one panel per audio channel):
+ * each passes its own `source` key, and the histogram and auto-levels cover
+ * the data of every source together rather than whichever finished last.
  */
 
 import EventEmitter from 'events';
+import { computeHistogram } from './stft.js';
 
 // LUT preset control points: [t, r, g, b], t in [0, 1]
 const LUT_PRESETS = {
@@ -46,8 +51,8 @@ export class HistogramLUTController extends EventEmitter {
   constructor(binCount = 256) {
     super();
     this._binCount    = binCount;
-    this._power       = null;   // Float32Array of dB values (flat, frames×bins)
-    this._isFirstData = true;
+    this._sources     = new Map();   // source → { power, globalMin, globalMax, histogram, bins, edges, binsKey }
+    this._leveled     = new Set();   // sources auto-levelled since the last reset()
     this.state = {
       level_min:      -100,
       level_max:      0,
@@ -60,39 +65,58 @@ export class HistogramLUTController extends EventEmitter {
     };
   }
 
-  /** Called by SpectrogramLayer.updateState() after each STFT. Synchronous. */
-  setSpectrogramData(power, globalMin, globalMax) {
-    this._power = power;
-    this.state.globalMin = globalMin;
-    this.state.globalMax = globalMax;
-    this._computeHistogram();
-    this.emit('histogramReady', {
-      bins:      this.state.histogramBins,
-      edges:     this.state.histogramEdges,
-      globalMin,
-      globalMax,
-    });
-    if (this._isFirstData) {
-      this._isFirstData = false;
-      // autoLevel emits levelsChanged — acceptable on first data
+  /**
+   * Called by SpectrogramLayer when an STFT completes.  Synchronous.
+   * `histogram` ({ bins, edges }, binCount bins) skips the recount when the
+   * STFT worker has already computed it.  `source` identifies the caller
+   * when several layers share the controller; its data replaces that
+   * source's previous data only.
+   */
+  setSpectrogramData(power, globalMin, globalMax, histogram = null, source = 'default') {
+    this._sources.set(source, { power, globalMin, globalMax, histogram, bins: null, edges: null, binsKey: null });
+    this._publish();
+    if (!this._leveled.has(source)) {
+      this._leveled.add(source);
+      // autoLevel emits levelsChanged — acceptable on a source's first data
       this.autoLevel();
     }
   }
 
-  _computeHistogram() {
-    const { globalMin, globalMax } = this.state;
-    const power = this._power;
-    const n     = this._binCount;
-    const range = (globalMax - globalMin) || 1;
-    const bins  = new Float32Array(n);
-    const edges = new Float32Array(n + 1);
-    for (let i = 0; i <= n; i++) edges[i] = globalMin + (i / n) * range;
-    for (let i = 0; i < power.length; i++) {
-      const idx = Math.min(n - 1, Math.floor((power[i] - globalMin) / range * n));
-      if (idx >= 0) bins[idx]++;
+  /** Forget a source's data (its layer was removed) and republish the rest. */
+  removeSource(source) {
+    this._leveled.delete(source);
+    if (this._sources.delete(source) && this._sources.size) this._publish();
+  }
+
+  /** Combined histogram of every source over their joint dB range. */
+  _publish() {
+    let globalMin =  Infinity;
+    let globalMax = -Infinity;
+    for (const s of this._sources.values()) {
+      if (s.globalMin < globalMin) globalMin = s.globalMin;
+      if (s.globalMax > globalMax) globalMax = s.globalMax;
     }
-    this.state.histogramBins  = bins;
-    this.state.histogramEdges = edges;
+
+    // Per-source counts are cached per range, so an update recounts only
+    // its own data unless the joint range moved
+    const key   = `${globalMin}|${globalMax}`;
+    const bins  = new Float32Array(this._binCount);
+    let edges   = null;
+    for (const s of this._sources.values()) {
+      if (s.binsKey !== key) {
+        const own = s.histogram && s.histogram.bins.length === this._binCount &&
+                    s.globalMin === globalMin && s.globalMax === globalMax;
+        const h   = own ? s.histogram : computeHistogram(s.power, globalMin, globalMax, this._binCount);
+        s.bins    = h.bins;
+        s.edges   = h.edges;
+        s.binsKey = key;
+      }
+      for (let i = 0; i < bins.length; i++) bins[i] += s.bins[i];
+      edges = s.edges;
+    }
+
+    Object.assign(this.state, { globalMin, globalMax, histogramBins: bins, histogramEdges: edges });
+    this.emit('histogramReady', { bins, edges, globalMin, globalMax });
   }
 
   setLevels(min, max) {
@@ -130,7 +154,11 @@ export class HistogramLUTController extends EventEmitter {
 
   getLUTArray() { return this.state.lut; }
 
-  reset() { this._isFirstData = true; this._power = null; }
+  /** Number of histogram bins. */
+  get binCount() { return this._binCount; }
+
+  /** Drop every source's data; each auto-levels again on its next data. */
+  reset() { this._sources.clear(); this._leveled.clear(); }
 
   static get presetNames() { return Object.keys(LUT_PRESETS); }
 }
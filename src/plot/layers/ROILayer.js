@@ -1,5 +1,6 @@
 /**
- * ROILayer — composite deck.gl layer for rendering ROIs (RectROI, LinearRegion).
+ * ROILayer — composite deck.gl layer for rendering ROIs (RectROI, LinearRegion,
+ * LineROI, PolygonROI, LassoROI, EllipseROI).
  *
  * Renders each ROI as:
  *   - A semi-transparent fill rectangle (PolygonLayer)
@@ -10,6 +11,10 @@
  * (typically < 100) and structural changes (add/remove ROI) require new layers.
  * This is fine — deck.gl diffing handles it efficiently.
  *
+ * The optional `draft` prop ({ type, vertices }) renders the outline of a
+ * polygon / lasso that is still being drawn, or the rubber-band selection
+ * box (see ROIController.getDraft()).
+ *
  * Coordinate system: ROI bounds are in DATA coordinates. deck.gl's
  * OrthographicView maps data coordinates directly to screen pixels when the
  * view state is set accordingly by PlotController.
@@ -26,8 +31,9 @@ export class ROILayer extends CompositeLayer {
   static get layerName() { return 'ROILayer'; }
 
   renderLayers() {
-    const rois = this.props.rois || [];
-    if (rois.length === 0) return [];
+    const rois  = this.props.rois || [];
+    const draft = this.props.draft;
+    if (rois.length === 0 && !draft) return [];
 
     const xIsLog = this.props.xIsLog || false;
     const yIsLog = this.props.yIsLog || false;
@@ -49,6 +55,9 @@ export class ROILayer extends CompositeLayer {
       const color  = roi.color || (
         roi.type === 'linearRegion' ? [100, 160, 255] :
         roi.type === 'lineROI'      ? [255, 80, 80]   :
+        roi.type === 'polygon'      ? [190, 120, 255] :
+        roi.type === 'lasso'        ? [255, 110, 200] :
+        roi.type === 'ellipse'      ? [80, 220, 200]  :
         [255, 140, 60]  // rect
       );
 
@@ -145,6 +154,94 @@ export class ROILayer extends CompositeLayer {
           }));
         }
 
+      } else if (roi.type === 'polygon' || roi.type === 'lasso') {
+        // PolygonROI / LassoROI: filled polygon; vertex handles when selected
+        const polygon = roi.vertices.map(([vx, vy]) => [toX(vx), toY(vy)]);
+
+        layers.push(new PolygonLayer({
+          id:            `${roi.id}-fill`,
+          data:          [{ polygon }],
+          getPolygon:    d => d.polygon,
+          getFillColor:  [...color, alpha],
+          getLineColor:  roi.hovered ? [255, 255, 100, 220] : [...color, 200],
+          getLineWidth:  roi.selected ? 2 : 1,
+          lineWidthUnits: 'pixels',
+          lineWidthMinPixels: 1,
+          pickable:      true,
+          autoHighlight: true,
+          onClick:       () => this.props.onROIClick && this.props.onROIClick(roi),
+        }));
+
+        if (roi.selected) {
+          layers.push(new ScatterplotLayer({
+            id:              `${roi.id}-handles`,
+            data:            polygon.map(([hx, hy]) => ({ position: [hx, hy, 0] })),
+            getPosition:     d => d.position,
+            // Lassos have dense outlines — smaller handles keep the shape readable
+            getRadius:       roi.type === 'lasso' ? HANDLE_RADIUS - 2 : HANDLE_RADIUS,
+            getFillColor:    [255, 255, 255, 220],
+            getLineColor:    [0, 0, 0, 255],
+            stroked:         true,
+            getLineWidth:    1,
+            radiusUnits:     'pixels',
+            lineWidthUnits:  'pixels',
+            pickable:        false,
+          }));
+        }
+
+      } else if (roi.type === 'ellipse') {
+        // EllipseROI: sampled outline polygon; radius + rotate handles when selected
+        const polygon = roi.getOutline().map(([vx, vy]) => [toX(vx), toY(vy)]);
+
+        layers.push(new PolygonLayer({
+          id:            `${roi.id}-fill`,
+          data:          [{ polygon }],
+          getPolygon:    d => d.polygon,
+          getFillColor:  [...color, alpha],
+          getLineColor:  roi.hovered ? [255, 255, 100, 220] : [...color, 200],
+          getLineWidth:  roi.selected ? 2 : 1,
+          lineWidthUnits: 'pixels',
+          lineWidthMinPixels: 1,
+          pickable:      true,
+          autoHighlight: true,
+          onClick:       () => this.props.onROIClick && this.props.onROIClick(roi),
+        }));
+
+        if (roi.selected) {
+          const h = roi.getHandlePositions();
+          const pos = ([hx, hy]) => [toX(hx), toY(hy), 0];
+          const c   = [toX(roi.cx), toY(roi.cy), 0];
+
+          // Guide line from center through the rx handle to the rotate handle
+          layers.push(new PathLayer({
+            id:         `${roi.id}-axis`,
+            data:       [{ path: [c, pos(h.rotate)] }],
+            getPath:    d => d.path,
+            getColor:   [...color, 160],
+            getWidth:   1,
+            widthUnits: 'pixels',
+            pickable:   false,
+          }));
+
+          layers.push(new ScatterplotLayer({
+            id:              `${roi.id}-handles`,
+            data:            [
+              { position: pos(h.rx),     fill: [255, 255, 255, 220] },
+              { position: pos(h.ry),     fill: [255, 255, 255, 220] },
+              { position: pos(h.rotate), fill: [255, 220, 60, 230] },
+            ],
+            getPosition:     d => d.position,
+            getRadius:       HANDLE_RADIUS,
+            getFillColor:    d => d.fill,
+            getLineColor:    [0, 0, 0, 255],
+            stroked:         true,
+            getLineWidth:    1,
+            radiusUnits:     'pixels',
+            lineWidthUnits:  'pixels',
+            pickable:        false,
+          }));
+        }
+
       } else {
         // RectROI: filled rectangle with border
         const dx1 = toX(roi.x1), dx2 = toX(roi.x2);
@@ -195,12 +292,39 @@ export class ROILayer extends CompositeLayer {
       }
     }
 
+    if (draft && draft.vertices.length > 0) {
+      // In-progress outline: open path for polygons (rubber band to cursor),
+      // closed for lassos so the user sees the region that will be captured
+      const path = draft.vertices.map(([vx, vy]) => [toX(vx), toY(vy), 0]);
+      if ((draft.type === 'lasso' || draft.type === 'marquee') && path.length > 2) path.push(path[0]);
+
+      layers.push(new PathLayer({
+        id:         'roi-draft-outline',
+        data:       [{ path }],
+        getPath:    d => d.path,
+        getColor:   [255, 255, 100, 220],
+        getWidth:   1,
+        widthUnits: 'pixels',
+        pickable:   false,
+      }));
+      layers.push(new ScatterplotLayer({
+        id:             'roi-draft-vertices',
+        data:           draft.type === 'polygon' ? path.map(position => ({ position })) : [],
+        getPosition:    d => d.position,
+        getRadius:      3,
+        getFillColor:   [255, 255, 100, 220],
+        radiusUnits:    'pixels',
+        pickable:       false,
+      }));
+    }
+
     return layers;
   }
 }
 
 ROILayer.defaultProps = {
   rois:       { type: 'array',    value: [] },
+  draft:      { type: 'object',   value: null, optional: true },
   plotXMin:   { type: 'number',   value: 0   },
   plotXMax:   { type: 'number',   value: 1   },
   plotYMin:   { type: 'number',   value: 0   },
@@ -0,0 +1,138 @@
+/**
+ * STFTWorkerClient — runs STFT jobs off the main thread.
+ *
+ * One job at a time: compute() supersedes (and cancels) the running job, and
+ * any message still in flight for a superseded job is dropped.  Samples are
+ * copied once and the copy's buffer is transferred to the worker; result
+ * frames come back as transferred Float32Arrays, so nothing is cloned.
+ *
+ * Where Worker is unavailable (SSR, old browsers, tests under Node) the same
+ * chunked job runs on the main thread via setTimeout, with identical
+ * callbacks — callers never need to know which path ran.
+ *
+ * A failed job — invalid parameters, an exception in any chunk, or the
+ * worker itself erroring — ends with onError(Error) instead of onDone, and
+ * the client is free for the next job.  Nothing is logged.
+ *
+ * Usage:
+ *   const client = new STFTWorkerClient();
+ *   client.compute({ samples, windowSize, hopSize }, {
+ *     onFrames: ({ startFrame, frameCount, numBins, power, min, max }) => { ... },
+ *     onDone:   ({ numFrames, numBins, globalMin, globalMax, bins, edges }) => { ... },
+ *     onError:  (err) => { ... },
+ *   });
+ *   client.terminate();
+ */
+
+import { runSTFTJob } from './stft.js';
+
+const DEFAULT_CHUNK_FRAMES = 256;
+
+export class STFTWorkerClient {
+  constructor() {
+    this._jobId     = 0;
+    this._handlers  = null;   // { jobId, onFrames, onDone, onError } of the running job
+    this._worker    = null;
+    this._cancelled = false;  // fallback path only
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this._worker = new Worker(new URL('./stft.worker.js', import.meta.url));
+        this._worker.onmessage      = (e) => this._onMessage(e.data);
+        this._worker.onmessageerror = ()  => this._failRunning('STFT worker message could not be deserialised');
+        this._worker.onerror        = (e) => {
+          e.preventDefault();
+          this._failRunning(e.message || 'STFT worker error');
+        };
+      } catch {
+        this._worker = null;   // computing on the main thread instead
+      }
+    }
+  }
+
+  /**
+   * Start a job, cancelling any running one.
+   *
+   * @param {object}       params
+   * @param {Float32Array} params.samples
+   * @param {number}       params.windowSize       — power of 2
+   * @param {number}       params.hopSize
+   * @param {number}       [params.chunkFrames=256] — frames per progress message
+   * @param {number}       [params.histogramBins=256]
+   * @param {string}       [params.window]          — and kaiserBeta, zeroPadding, scaling,
+   *                                                   detrend, sampleRate: see createSTFTPlan()
+   * @param {object}       handlers
+   * @param {Function}     [handlers.onFrames]
+   * @param {Function}     [handlers.onDone]
+   * @param {Function}     [handlers.onError]  — called with an Error if the job fails
+   * @returns {number} jobId
+   */
+  compute(params, { onFrames, onDone, onError } = {}) {
+    this.cancel();
+
+    const jobId = ++this._jobId;
+    this._handlers = { jobId, onFrames, onDone, onError };
+
+    const job = {
+      ...params,
+      type:          'compute',
+      jobId,
+      samples:       params.samples.slice(),   // own buffer — transferred below
+      chunkFrames:   params.chunkFrames   || DEFAULT_CHUNK_FRAMES,
+      histogramBins: params.histogramBins || 256,
+    };
+
+    if (this._worker) {
+      this._worker.postMessage(job, [job.samples.buffer]);
+    } else {
+      this._cancelled = false;
+      runSTFTJob(job, (msg) => this._onMessage(msg), () => this._cancelled || this._jobId !== jobId);
+    }
+    return jobId;
+  }
+
+  /** Cancel the running job, if any.  Its callbacks will not fire again. */
+  cancel() {
+    if (!this._handlers) return;
+    const { jobId } = this._handlers;
+    this._handlers = null;
+    if (this._worker) this._worker.postMessage({ type: 'cancel', jobId });
+    else this._cancelled = true;
+  }
+
+  /** True while a job is running. */
+  get busy() { return this._handlers !== null; }
+
+  /** Cancel and release the worker.  The client cannot be reused. */
+  terminate() {
+    this.cancel();
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+  }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  _onMessage(msg) {
+    const h = this._handlers;
+    if (!h || msg.jobId !== h.jobId) return;  // superseded job
+
+    if (msg.type === 'frames') {
+      if (h.onFrames) h.onFrames(msg);
+    } else if (msg.type === 'done') {
+      this._handlers = null;
+      if (h.onDone) h.onDone(msg);
+    } else if (msg.type === 'error') {
+      this._handlers = null;
+      if (h.onError) h.onError(new Error(msg.message));
+    }
+  }
+
+  /** The worker failed outside a job's own error handling: fail the running job. */
+  _failRunning(message) {
+    if (this._handlers) this._onMessage({ type: 'error', jobId: this._handlers.jobId, message });
+  }
+}
+
+export default STFTWorkerClient;
@@ -5,62 +5,172 @@
  * DataStore GPU attribute buffers directly, avoiding JSON object allocation
  * per point.
  *
- * For 10M+ points we use instanced rendering via deck.gl's attribute system.
- * The data is passed as a plain object with a `length` property (duck-typed
- * iterable) and per-attribute accessors that index into our typed arrays.
+ * For 10M+ points we use instanced rendering via deck.gl's binary attribute
+ * path: `data` is `{ length, attributes }` and each attribute is a typed
+ * array handed to the GPU as-is.  No accessor runs per point.
  *
- * deck.gl version 8.x attribute accessors:
- *   - getPosition: [x, y] — called once per point
- *   - getColor:    [r,g,b,a]
- *   - getRadius:   number
+ *   getPosition  ← gpuAttrs.positions  interleaved [x0, y0, x1, y1, ...] Float32Array
+ *   getRadius    ← gpuAttrs.size       Float32Array (radiusScale 0.5: size is a diameter)
+ *   getFillColor ← gpuAttrs.color      Uint8Array RGBA, normalized
  *
- * Performance note: Passing typed arrays directly through `data` with numeric
- * `length` allows deck.gl to use them without object-per-point overhead.
+ * Log axes: positions are uploaded in log10 space (the view state is in log
+ * space too), so a log-transformed mirror of the interleaved buffer is kept
+ * per source buffer and scale combination.
+ *
+ * Upload granularity:
+ *   The attribute wrappers are memoised per source typed array and the
+ *   `data` object per gpuAttrs object.  deck.gl re-uploads a buffer only
+ *   when its wrapper changes, so zoom/pan frames upload nothing.
+ *   For buffers that are updated in place (DataStore.getPhysicalAttributes),
+ *   pass `opts.dirtyRanges` and only those instance ranges are re-uploaded,
+ *   via DataColumn.updateSubBuffer, on the layer's next draw.  Each new
+ *   ranges array is uploaded once; `data` does not need to change with it.
  */
 
 import { ScatterplotLayer } from '@deck.gl/layers';
 
+// source typed array → { xIsLog, yIsLog, positions, attributes }
+const _attrCache = new WeakMap();
+// gpuAttrs object → { attributes, data }
+const _dataCache = new WeakMap();
+
+/**
+ * ScatterplotLayer that re-uploads dirty instance ranges of its binary
+ * attributes from the (mutated in place) source arrays.
+ */
+class StreamingScatterplotLayer extends ScatterplotLayer {
+  updateState(params) {
+    super.updateState(params);
+    const { props, oldProps } = params;
+    if (props.dirtyRanges && props.dirtyRanges !== oldProps.dirtyRanges) {
+      this.state.pendingRanges = (this.state.pendingRanges || []).concat(props.dirtyRanges);
+    }
+  }
+
+  draw(opts) {
+    this._uploadPendingRanges();
+    super.draw(opts);
+  }
+
+  _uploadPendingRanges() {
+    const ranges = this.state.pendingRanges;
+    if (!ranges || ranges.length === 0) return;
+    this.state.pendingRanges = null;
+
+    const { attributes } = this.getAttributeManager();
+    const columns = [
+      [attributes.instancePositions,  2],
+      [attributes.instanceRadius,     1],
+      [attributes.instanceFillColors, 4],
+    ];
+
+    for (const [attribute, size] of columns) {
+      // Only while the attribute still holds the array the ranges refer to
+      if (!attribute || !attribute.value || !attribute.buffer) continue;
+      const limit = attribute.value.length / size;
+      for (const [start, end] of ranges) {
+        const e = Math.min(end, limit);
+        if (e > start) attribute.updateSubBuffer({ startOffset: start * size, endOffset: e * size });
+      }
+    }
+    this.setNeedsRedraw();
+  }
+}
+
+StreamingScatterplotLayer.layerName    = 'StreamingScatterplotLayer';
+// Compared by identity: a new ranges array alone triggers updateState and
+// the upload, whether or not `data` changed with it
+StreamingScatterplotLayer.defaultProps = { dirtyRanges: { type: 'array', value: null, optional: true } };
+
+/**
+ * Interleave x / y into [x0, y0, x1, y1, ...], optionally in log10 space.
+ *
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {boolean} [xIsLog=false]
+ * @param {boolean} [yIsLog=false]
+ * @param {Float32Array} [out]         — write into this array instead of a new one
+ * @param {number}       [start=0]     — first point to write
+ * @param {number}       [end=x.length] — one past the last point to write
+ * @returns {Float32Array}
+ */
+export function interleavePositions(x, y, xIsLog = false, yIsLog = false,
+                                    out = null, start = 0, end = x.length) {
+  if (!out) out = new Float32Array(x.length * 2);
+  for (let i = start; i < end; i++) {
+    out[i * 2]     = xIsLog ? Math.log10(Math.max(x[i], 1e-10)) : x[i];
+    out[i * 2 + 1] = yIsLog ? Math.log10(Math.max(y[i], 1e-10)) : y[i];
+  }
+  return out;
+}
+
+/**
+ * Binary attribute wrappers for one set of source arrays, memoised so an
+ * unchanged buffer is never re-uploaded.  Log mirrors are refreshed over
+ * `dirtyRanges` (or fully, when ranges are null).
+ */
+function getAttributes(gpuAttrs, xIsLog, yIsLog, dirtyRanges) {
+  const { x, y, size, color } = gpuAttrs;
+  const key    = gpuAttrs.positions || x;
+  const cached = _attrCache.get(key);
+  const needsMirror = xIsLog || yIsLog || !gpuAttrs.positions;
+
+  if (cached && cached.xIsLog === xIsLog && cached.yIsLog === yIsLog) {
+    if (needsMirror && dirtyRanges) {
+      for (const [start, end] of dirtyRanges) {
+        interleavePositions(x, y, xIsLog, yIsLog, cached.positions, start, end);
+      }
+    }
+    return cached.attributes;
+  }
+
+  const positions = needsMirror ? interleavePositions(x, y, xIsLog, yIsLog) : gpuAttrs.positions;
+  const attributes = {
+    getPosition:  { value: positions, size: 2 },
+    getRadius:    { value: size,      size: 1 },
+    getFillColor: { value: color,     size: 4, normalized: true },
+  };
+  _attrCache.set(key, { xIsLog, yIsLog, positions, attributes });
+  return attributes;
+}
+
 /**
  * Build a deck.gl ScatterplotLayer from DataStore GPU attributes.
  *
- * @param {object} gpuAttrs — { x, y, color, size } typed arrays
+ * @param {object} gpuAttrs — { x, y, color, size } typed arrays, plus the
+ *   interleaved `positions` buffer when it comes from DataStore (built here
+ *   otherwise) and an optional instance count `length` (default x.length)
  * @param {object} [opts]
+ * @param {boolean} [opts.xIsLog=false]
+ * @param {boolean} [opts.yIsLog=false]
+ * @param {Array<[number, number]>} [opts.dirtyRanges] — instance ranges of
+ *   gpuAttrs changed in place since the previous call (see DataStore.getDirtyRanges)
+ * @param {boolean} [opts.pickable=false] — enable deck.gl picking; picked
+ *   `info.index` is the position in gpuAttrs
  * @returns {ScatterplotLayer}
  */
 export function buildScatterLayer(gpuAttrs, opts = {}) {
-  const { x, y, color, size } = gpuAttrs;
-  const count = x.length;
   const xIsLog = opts.xIsLog || false;
   const yIsLog = opts.yIsLog || false;
+  const attributes = getAttributes(gpuAttrs, xIsLog, yIsLog, opts.dirtyRanges || null);
 
-  const data = { length: count };
+  let cached = _dataCache.get(gpuAttrs);
+  if (!cached || cached.attributes !== attributes) {
+    cached = { attributes, data: { length: gpuAttrs.length ?? gpuAttrs.x.length, attributes } };
+    _dataCache.set(gpuAttrs, cached);
+  }
 
-  return new ScatterplotLayer({
+  return new StreamingScatterplotLayer({
     id:               opts.id || 'masterplot-scatter',
-    data,
+    data:             cached.data,
+    dirtyRanges:      opts.dirtyRanges || null,
     radiusUnits:      'pixels',
+    radiusScale:      0.5,
     radiusMinPixels:  1,
     radiusMaxPixels:  30,
-    pickable:         false,
+    pickable:         opts.pickable || false,
     stroked:          false,
 
-    getPosition: (_, { index }) => [
-      xIsLog ? Math.log10(Math.max(x[index], 1e-10)) : x[index],
-      yIsLog ? Math.log10(Math.max(y[index], 1e-10)) : y[index],
-      0,
-    ],
-    getRadius: (_, { index }) => size[index] * 0.5,
-    getColor:  (_, { index }) => {
-      const base = index * 4;
-      return [color[base], color[base + 1], color[base + 2], color[base + 3]];
-    },
-
-    updateTriggers: {
-      getPosition: opts.dataTrigger || 0,
-      getRadius:   opts.dataTrigger || 0,
-      getColor:    opts.dataTrigger || 0,
-    },
-
     ...opts.layerProps,
   });
 }
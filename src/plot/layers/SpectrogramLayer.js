@@ -2,26 +2,75 @@
  * SpectrogramLayer — deck.gl CompositeLayer that computes an STFT from raw
  * audio samples and renders the result as a BitmapLayer.
  *
- * Pipeline (CPU, runs when props change):
- *   1. STFT via fft.js (Hann window, radix-2 FFT per frame)
- *   2. Magnitude → dB, then global min/max normalisation
+ * Pipeline (runs when samples / window props change):
+ *   1. STFT via fft.js (windowed, zero-padded radix-2 FFT per frame) ┐ Web Worker
+ *   2. Scaled magnitude / power / PSD → dB, plus a histogram          ┘ (stft.worker.js)
  *   3. Colour via LUT (from lutController if provided, else Viridis fallback)
- *   4. ImageData written into an OffscreenCanvas (or regular canvas)
- *   5. BitmapLayer renders the canvas with bounds in data space
+ *   4. RGBA columns painted as frames arrive, ImageBitmap built once per animation frame
+ *   5. BitmapLayer renders the image with bounds in data space
+ *
+ * The STFT is asynchronous: frames arrive in chunks and the image fills in
+ * left to right.  Until the first chunk of a new job arrives, the previous
+ * image stays on screen.  A props change mid-compute cancels the running
+ * job; stale chunks are dropped.  Progressive chunks are coloured with the
+ * controller's current levels (or the running dB extent before the
+ * controller has seen any data); the image is repainted with the final
+ * levels when the job completes and lutController.setSpectrogramData() runs.
+ *
+ * Warped frequency scales (frequencyScale 'log' | 'mel' | 'bark'): image rows
+ * are spaced evenly in warped units over frequencyRange, and each row is
+ * resampled from the linear bins — interpolated where a row is narrower
+ * than a bin, the maximum of the covered bins where it is wider, so narrow
+ * peaks survive.  The bitmap's y bounds are then in warped units
+ * (log10 Hz, mel, Bark), matching an AxisController of the same scaleType;
+ * build the view state from yAxis.warp(domain).  Changing the scale only
+ * repaints; the STFT is not recomputed.
+ *
+ * Incremental mode (incremental: true) is for continuously appended streams
+ * (microphone, live feeds).  `samples` is then a window onto the stream,
+ * starting at absolute sample `sampleOffset`; each update computes only the
+ * frames the newly appended samples complete, into a frame buffer holding
+ * the last `maxDuration` seconds.  When the buffer is full the bitmap scrolls
+ * left, so cost per append stays constant however long the stream runs.
+ * Frames already computed are kept — change `streamId` when the samples are
+ * replaced rather than appended.
  *
  * Props:
  *   samples       {Float32Array}              — raw time-domain samples
  *   sampleRate    {number}                    — samples per second (e.g. 44100)
- *   windowSize    {number}                    — FFT window size, power of 2 (default 1024)
+ *   windowSize    {number}                    — segment length, power of 2 (default 1024)
  *   hopSize       {number}                    — hop between windows (default windowSize/2)
+ *   overlap       {number|null}               — fraction of windowSize shared by adjacent
+ *                                               segments, [0, 1); overrides hopSize when set
+ *   window        {string}                    — 'hann' | 'hamming' | 'blackman' | 'blackmanharris' |
+ *                                               'kaiser' | 'flattop' | 'boxcar' (default 'hann')
+ *   kaiserBeta    {number}                    — Kaiser shape parameter (default 8.6)
+ *   zeroPadding   {number}                    — nfft = windowSize · zeroPadding, power of 2 (default 1)
+ *   scaling       {string}                    — 'magnitude' | 'spectrum' | 'power' | 'psd' (default 'magnitude');
+ *                                               see stft.js for the scipy equivalents
+ *   detrend       {string}                    — 'none' | 'constant' | 'linear' (default 'none')
+ *   frequencyScale {string}                   — 'linear' | 'log' | 'mel' | 'bark' (default 'linear')
+ *   frequencyRange {number[]|null}            — [fMin, fMax] Hz shown by warped scales
+ *                                               (default [0 or first bin for log, Nyquist])
  *   dataTrigger   {number}                    — increment to force STFT recompute + re-upload
- *   lutController {HistogramLUTController}    — optional; if provided, uses its levels + LUT
+ *   lutController {HistogramLUTController}    — optional; if provided, uses its levels + LUT.
+ *                                               Layers sharing one publish their data under
+ *                                               their layer id; the histogram covers them all
  *   colorTrigger  {number}                    — increment to force image rebuild without STFT
+ *   incremental   {boolean}                   — compute only frames completed by appended samples
+ *   sampleOffset  {number}                    — absolute stream index of samples[0]; the image is
+ *                                               placed at x = 0 for samples[0] (default 0)
+ *   maxDuration   {number}                    — incremental frame buffer length in seconds (default 30)
+ *   streamId      {number}                    — change to discard computed frames (incremental mode)
+ *   onError       {Function}                  — called with an Error when an STFT job fails; the
+ *                                               previous image stays on screen
  */
 
 import { CompositeLayer } from '@deck.gl/core';
 import { BitmapLayer }    from '@deck.gl/layers';
-import FFT                from 'fft.js';
+import { STFTWorkerClient } from './STFTWorkerClient.js';
+import { stftFrameCount, stftBinCount } from './stft.js';
+import { WARPS }            from '../axes/FrequencyScale.js';
 
 // ── Viridis LUT (16 evenly-spaced stops) — used as standalone fallback ───────
 
@@ -57,85 +106,45 @@ function viridisColor(t) {
   ];
 }
 
-// ── STFT ─────────────────────────────────────────────────────────────────────
-
-function computeSTFT(samples, windowSize, hopSize) {
-  const numBins   = windowSize / 2;
-  const numFrames = Math.max(0, Math.floor((samples.length - windowSize) / hopSize) + 1);
-
-  if (numFrames === 0) return null;
-
-  // Pre-compute Hann window
-  const hann = new Float32Array(windowSize);
-  for (let i = 0; i < windowSize; i++) {
-    hann[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (windowSize - 1)));
-  }
-
-  const fft      = new FFT(windowSize);
-  const out      = fft.createComplexArray();
-  const windowed = new Float32Array(windowSize);
-  const power    = new Float32Array(numFrames * numBins);  // dB values
-
-  let globalMin =  Infinity;
-  let globalMax = -Infinity;
-
-  for (let frame = 0; frame < numFrames; frame++) {
-    const offset = frame * hopSize;
-
-    // Apply Hann window
-    for (let i = 0; i < windowSize; i++) {
-      windowed[i] = samples[offset + i] * hann[i];
-    }
-
-    fft.realTransform(out, windowed);
-
-    // Compute dB magnitude for each positive-frequency bin
-    for (let bin = 0; bin < numBins; bin++) {
-      const re  = out[bin * 2];
-      const im  = out[bin * 2 + 1];
-      const mag = Math.sqrt(re * re + im * im) / windowSize;
-      const db  = 20 * Math.log10(Math.max(mag, 1e-10));
-      power[frame * numBins + bin] = db;
-      if (db < globalMin) globalMin = db;
-      if (db > globalMax) globalMax = db;
-    }
-  }
-
-  return { power, numFrames, numBins, globalMin, globalMax };
-}
-
 // ── Image builder ─────────────────────────────────────────────────────────────
 
 /**
- * Build a BitmapLayer-compatible image from STFT power data.
+ * Colour STFT frames [f0, f1) into an RGBA buffer laid out as the image
+ * (numBins rows × numFrames columns).
  *
- * @param {Float32Array} power     — flat array [numFrames × numBins] of dB values
- * @param {number}       numFrames
- * @param {number}       numBins
- * @param {number}       levelMin  — dB value that maps to LUT index 0
- * @param {number}       levelMax  — dB value that maps to LUT index 255
- * @param {Uint8Array|null} lut    — RGBA LUT (256*4 bytes); null → Viridis fallback
+ * @param {Uint8ClampedArray} rgba   — numFrames × numBins × 4 bytes
+ * @param {Float32Array}      power  — flat array [numFrames × numBins] of dB values
+ * @param {number}            numFrames
+ * @param {number}            numBins
+ * @param {number}            f0
+ * @param {number}            f1
+ * @param {number}            levelMin — dB value that maps to LUT index 0
+ * @param {number}            levelMax — dB value that maps to LUT index 255
+ * @param {Uint8Array|null}   lut      — RGBA LUT (256*4 bytes); null → Viridis fallback
+ * @param {object|null}       [rowMap] — buildRowMap() result for warped scales; null → row = bin
  */
-function buildImage(power, numFrames, numBins, levelMin, levelMax, lut = null) {
+function paintColumns(rgba, power, numFrames, numBins, f0, f1, levelMin, levelMax, lut = null,
+                      rowMap = null) {
   const range = (levelMax - levelMin) || 1;
 
-  // Use OffscreenCanvas if available (no DOM needed), fall back to regular canvas
-  let canvas;
-  if (typeof OffscreenCanvas !== 'undefined') {
-    canvas = new OffscreenCanvas(numFrames, numBins);
-  } else {
-    canvas = document.createElement('canvas');
-    canvas.width  = numFrames;
-    canvas.height = numBins;
-  }
-
-  const ctx     = canvas.getContext('2d');
-  const imgData = ctx.createImageData(numFrames, numBins);
-  const d       = imgData.data;
-
-  for (let frame = 0; frame < numFrames; frame++) {
+  for (let frame = f0; frame < f1; frame++) {
+    const base = frame * numBins;
     for (let bin = 0; bin < numBins; bin++) {
-      const db = power[frame * numBins + bin];
+      let db;
+      if (!rowMap) {
+        db = power[base + bin];
+      } else if (rowMap.hi[bin] > 0) {
+        // Row covers several bins: keep the strongest
+        db = -Infinity;
+        for (let k = rowMap.lo[bin]; k < rowMap.hi[bin]; k++) {
+          if (power[base + k] > db) db = power[base + k];
+        }
+      } else {
+        // Row inside one bin: interpolate between neighbouring bin centres
+        const k = rowMap.lo[bin];
+        const f = rowMap.frac[bin];
+        db = f > 0 ? power[base + k] * (1 - f) + power[base + k + 1] * f : power[base + k];
+      }
       const t  = Math.max(0, Math.min(1, (db - levelMin) / range));
 
       let r, g, b;
@@ -151,14 +160,66 @@ function buildImage(power, numFrames, numBins, levelMin, levelMax, lut = null) {
       // → visual bottom. Nyquist (bin numBins-1) → row 0 → v=1 → visual top. ✓
       const row = numBins - 1 - bin;
       const idx = (row * numFrames + frame) * 4;
-      d[idx]     = r;
-      d[idx + 1] = g;
-      d[idx + 2] = b;
-      d[idx + 3] = 255;
+      rgba[idx]     = r;
+      rgba[idx + 1] = g;
+      rgba[idx + 2] = b;
+      rgba[idx + 3] = 255;
     }
   }
+}
 
-  ctx.putImageData(imgData, 0, 0);
+/**
+ * Per-row bin mapping for a warped frequency scale.  Row r (0 = bottom) spans
+ * [fMin, fMax] evenly in warped units; rows as many as bins.
+ *
+ * @returns {{ lo: Int32Array, hi: Int32Array, frac: Float32Array }}
+ *   hi[r] > 0: maximum over bins [lo, hi); otherwise interpolate bin lo → lo+1 by frac
+ */
+function buildRowMap(warp, numBins, nfft, sampleRate, fMin, fMax) {
+  const lo   = new Int32Array(numBins);
+  const hi   = new Int32Array(numBins);
+  const frac = new Float32Array(numBins);
+  const binsPerHz = nfft / sampleRate;
+  const w0 = warp.forward(fMin);
+  const dw = (warp.forward(fMax) - w0) / numBins;
+
+  for (let r = 0; r < numBins; r++) {
+    const b0 = warp.inverse(w0 + r * dw) * binsPerHz;
+    const b1 = warp.inverse(w0 + (r + 1) * dw) * binsPerHz;
+    const first = Math.max(0, Math.ceil(b0));
+    const last  = Math.min(numBins, Math.ceil(b1));   // exclusive
+    if (last - first >= 2) {
+      lo[r] = first;
+      hi[r] = last;
+    } else {
+      const bc = Math.max(0, Math.min(numBins - 1, warp.inverse(w0 + (r + 0.5) * dw) * binsPerHz));
+      lo[r]   = Math.min(Math.floor(bc), numBins - 2);
+      frac[r] = bc - lo[r];
+    }
+  }
+  return { lo, hi, frac };
+}
+
+/**
+ * Build a BitmapLayer-compatible image from an RGBA buffer.
+ *
+ * @param {Uint8ClampedArray} rgba
+ * @param {number}            width  — numFrames
+ * @param {number}            height — numBins
+ */
+function rgbaToImage(rgba, width, height) {
+  // Use OffscreenCanvas if available (no DOM needed), fall back to regular canvas
+  let canvas;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width, height);
+  } else {
+    canvas = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = height;
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
   // luma.gl 8.5.x accepts HTMLCanvasElement, HTMLImageElement, and ImageBitmap.
   // OffscreenCanvas support is unreliable at this version — convert to ImageBitmap.
   if (canvas.transferToImageBitmap) {
@@ -167,64 +228,405 @@ function buildImage(power, numFrames, numBins, levelMin, levelMax, lut = null) {
   return canvas;  // HTMLCanvasElement fallback
 }
 
+/** STFT parameters (the worker job fields) derived from layer props. */
+function stftParams(props) {
+  const { windowSize } = props;
+  const hopSize = props.overlap != null
+    ? Math.max(1, Math.round(windowSize * (1 - props.overlap)))
+    : (props.hopSize || windowSize / 2);
+  return {
+    windowSize,
+    hopSize,
+    window:      props.window,
+    kaiserBeta:  props.kaiserBeta,
+    zeroPadding: props.zeroPadding,
+    scaling:     props.scaling,
+    detrend:     props.detrend,
+    sampleRate:  props.sampleRate,
+  };
+}
+
+function sameRange(a, b) {
+  return a === b || (!!a && !!b && a[0] === b[0] && a[1] === b[1]);
+}
+
+const PARAM_PROPS = ['windowSize', 'hopSize', 'overlap', 'window', 'kaiserBeta',
+                     'zeroPadding', 'scaling', 'detrend', 'sampleRate'];
+
+const nextFrame = typeof requestAnimationFrame !== 'undefined'
+  ? requestAnimationFrame
+  : (fn) => setTimeout(fn, 16);
+
 // ── SpectrogramLayer ──────────────────────────────────────────────────────────
 
 export class SpectrogramLayer extends CompositeLayer {
   initializeState() {
-    this.setState({ stftResult: null, image: null });
+    this.setState({
+      client:       new STFTWorkerClient(),
+      stftResult:   null,   // last completed full STFT (+ its rgba)
+      pending:      null,   // full STFT in progress
+      ring:         null,   // incremental mode frame buffer
+      stream:       null,   // incremental mode: { samples, sampleOffset } as of the last update
+      image:        null,
+      imageStart:   0,      // absolute sample index of the image's left edge
+      imageSpan:    0,      // samples covered by the image width
+      imageYBounds: [0, 0], // [bottom, top] of the image rows, in (warped) frequency units
+      rowMap:       null,   // { key, map } cache for the current frequency scale
+      imageVersion: 0,
+      imageQueued:  false,
+      imageTarget:  null,   // pending / stftResult / ring to build the next image from
+      finalized:    false,
+    });
   }
 
   updateState({ props, oldProps }) {
-    const dataChanged  = props.dataTrigger  !== oldProps.dataTrigger;
-    const colorChanged = props.colorTrigger !== oldProps.colorTrigger;
-
-    let stftResult = this.state.stftResult;
-
-    // Recompute STFT only when data changes (or first render when stftResult is null)
-    if (dataChanged || !stftResult) {
-      const { samples, windowSize, hopSize } = props;
-      if (samples && samples.length >= windowSize) {
-        stftResult = computeSTFT(samples, windowSize, hopSize || windowSize / 2);
-        this.setState({ stftResult });
-        if (props.lutController && stftResult) {
-          // Synchronous: sets controller levels/histogram before buildImage below
-          props.lutController.setSpectrogramData(
-            stftResult.power, stftResult.globalMin, stftResult.globalMax
-          );
-        }
-      }
+    const paramsChanged = PARAM_PROPS.some(k => props[k] !== oldProps[k]) ||
+                          props.incremental !== oldProps.incremental ||
+                          props.streamId    !== oldProps.streamId;
+    const dataChanged   = props.dataTrigger !== oldProps.dataTrigger || paramsChanged;
+    const colorChanged  = props.colorTrigger   !== oldProps.colorTrigger   ||
+                          props.frequencyScale !== oldProps.frequencyScale ||
+                          !sameRange(props.frequencyRange, oldProps.frequencyRange);
+
+    if (props.incremental) {
+      this._updateIncremental(props, oldProps, dataChanged, paramsChanged);
+    } else if (dataChanged || (!this.state.stftResult && !this.state.pending)) {
+      // Recompute STFT only when data changes (or first render with nothing computed)
+      this._startSTFT(props);
     }
 
-    // Rebuild image when data OR color changes
-    if ((dataChanged || colorChanged || !this.state.image) && stftResult) {
-      const lc       = props.lutController;
-      const levelMin = lc ? lc.state.level_min : stftResult.globalMin;
-      const levelMax = lc ? lc.state.level_max : stftResult.globalMax;
-      const lut      = lc ? lc.getLUTArray()   : null;  // null → Viridis fallback
-
-      const image = buildImage(
-        stftResult.power, stftResult.numFrames, stftResult.numBins,
-        levelMin, levelMax, lut
-      );
-      this.setState({ image });
+    // Recolour (or re-warp) whatever has been computed so far
+    if (colorChanged) {
+      const target = this.state.ring || this.state.pending || this.state.stftResult;
+      if (target) this._repaint(target, target.framesDone);
     }
   }
 
+  finalizeState(context) {
+    this.state.finalized = true;
+    this.state.pending   = null;
+    this.state.ring      = null;
+    this.state.client.terminate();
+    if (this.props.lutController) this.props.lutController.removeSource(this.id);
+    super.finalizeState(context);
+  }
+
   renderLayers() {
-    const { samples, sampleRate, dataTrigger, colorTrigger } = this.props;
-    const { image } = this.state;
-    if (!image || !samples) return [];
+    const { sampleRate, sampleOffset } = this.props;
+    const { image, imageStart, imageSpan, imageYBounds, imageVersion } = this.state;
+    if (!image) return [];
 
+    const left = (imageStart - sampleOffset) / sampleRate;
     return [
       new BitmapLayer(this.getSubLayerProps({
         id:    'bitmap',
         image,
         // bounds: [left, bottom, right, top] in world / data space
-        bounds: [0, 0, samples.length / sampleRate, sampleRate / 2],
-        updateTriggers: { image: [dataTrigger, colorTrigger] },
+        bounds: [left, imageYBounds[0], left + imageSpan / sampleRate, imageYBounds[1]],
+        updateTriggers: { image: imageVersion },
       })),
     ];
   }
+
+  // ─── Full STFT job ─────────────────────────────────────────────────────────
+
+  /** Start a worker job for the current samples, superseding any running one. */
+  _startSTFT(props) {
+    const { samples, lutController } = props;
+    const { client } = this.state;
+    const params = stftParams(props);
+    const { windowSize, hopSize } = params;
+    this.state.ring = null;
+
+    if (!samples || samples.length < windowSize) {
+      client.cancel();
+      this.state.pending = null;
+      return;
+    }
+
+    const numBins   = stftBinCount(windowSize, params.zeroPadding);
+    const numFrames = stftFrameCount(samples.length, windowSize, hopSize);
+    const pending = {
+      power:       new Float32Array(numFrames * numBins),
+      rgba:        new Uint8ClampedArray(numFrames * numBins * 4),
+      numFrames,
+      numBins,
+      nfft:        windowSize * params.zeroPadding,
+      framesDone:  0,
+      min:         Infinity,
+      max:        -Infinity,
+      startSample: props.sampleOffset,
+      sampleSpan:  samples.length,
+    };
+    this.state.pending = pending;
+
+    client.compute(
+      { ...params, samples, histogramBins: lutController ? lutController.binCount : 256 },
+      {
+        onFrames: (msg) => this._onFrames(pending, msg),
+        onDone:   (msg) => this._onDone(pending, msg),
+        onError:  (err) => this._onError(pending, err),
+      }
+    );
+  }
+
+  /** A chunk of frames arrived: store, colour and queue an image rebuild. */
+  _onFrames(pending, { startFrame, frameCount, power, min, max }) {
+    if (this.state.pending !== pending) return;
+
+    pending.power.set(power, startFrame * pending.numBins);
+    pending.framesDone = startFrame + frameCount;
+    if (min < pending.min) pending.min = min;
+    if (max > pending.max) pending.max = max;
+
+    this._paint(pending, startFrame, startFrame + frameCount);
+    this._queueImage(pending);
+  }
+
+  /** Job complete: publish the histogram, repaint with final levels. */
+  _onDone(pending, { numFrames, numBins, globalMin, globalMax, bins, edges }) {
+    if (this.state.pending !== pending) return;
+
+    const stftResult = {
+      power: pending.power, rgba: pending.rgba, numFrames, numBins, nfft: pending.nfft,
+      framesDone: numFrames, globalMin, globalMax,
+      startSample: pending.startSample, sampleSpan: pending.sampleSpan,
+    };
+    this.state.pending    = null;
+    this.state.stftResult = stftResult;
+
+    const lc = this.props.lutController;
+    if (lc) lc.setSpectrogramData(stftResult.power, globalMin, globalMax, { bins, edges }, this.id);
+
+    this._repaint(stftResult, numFrames);
+  }
+
+  /** Job failed: drop it and tell the app.  `target` is the pending job or ring. */
+  _onError(target, err) {
+    if (this.state.pending !== target && this.state.ring !== target) return;
+    if (this.state.pending === target) this.state.pending = null;
+    if (this.props.onError) this.props.onError(err);
+  }
+
+  // ─── Incremental mode ──────────────────────────────────────────────────────
+  //
+  // Frames live in a fixed-capacity buffer of maxDuration seconds, oldest
+  // first, addressed by absolute frame index (frame f starts at absolute
+  // sample f * hopSize).  Each update computes only the frames that the
+  // newly appended samples complete; when the buffer is full, power rows and
+  // image columns are shifted left to make room, so the bitmap scrolls and
+  // per-append cost is bounded by maxDuration, not by the stream length.
+
+  _updateIncremental(props, oldProps, dataChanged, paramsChanged) {
+    const { samples, sampleOffset, sampleRate, maxDuration } = props;
+    const params    = stftParams(props);
+    const { windowSize, hopSize } = params;
+    const streamEnd = sampleOffset + (samples ? samples.length : 0);
+
+    let ring = this.state.ring;
+    const reset = !ring || paramsChanged ||
+                  props.maxDuration !== oldProps.maxDuration ||
+                  streamEnd < ring.streamEnd;   // stream went backwards: not an append
+
+    if (reset) {
+      this.state.client.cancel();
+      this.state.pending = null;
+      const numBins  = stftBinCount(windowSize, params.zeroPadding);
+      const capacity = Math.max(1, Math.ceil(maxDuration * sampleRate / hopSize));
+      ring = {
+        params, windowSize, hopSize, numBins,
+        nfft:        windowSize * params.zeroPadding,
+        numFrames:   capacity,  // image width
+        power:       new Float32Array(capacity * numBins),
+        rgba:        new Uint8ClampedArray(capacity * numBins * 4),
+        framesDone:  0,         // frames held
+        firstFrame:  0,         // absolute index of power row 0 / image column 0
+        nextFrame:   Math.ceil(sampleOffset / hopSize),
+        min:         Infinity,
+        max:        -Infinity,
+        startSample: 0,
+        sampleSpan:  capacity * hopSize,
+        streamEnd,
+      };
+      ring.firstFrame  = ring.nextFrame;
+      ring.startSample = ring.firstFrame * hopSize;
+      this.state.ring  = ring;
+    }
+
+    ring.streamEnd    = streamEnd;
+    this.state.stream = { samples, sampleOffset };
+    if (dataChanged || reset) this._pumpIncremental();
+  }
+
+  /** Compute the frames completed since the last job, unless a job is running. */
+  _pumpIncremental() {
+    const { ring, stream, client } = this.state;
+    if (!ring || !stream || !stream.samples || client.busy) return;
+
+    const { windowSize, hopSize, numFrames: capacity } = ring;
+    const { samples, sampleOffset } = stream;
+    const endFrame = Math.floor((sampleOffset + samples.length - windowSize) / hopSize) + 1;
+
+    // Samples were trimmed before their frames were computed, or more frames
+    // are due than the buffer holds: restart contiguously at the newest frames
+    const firstAvailable = Math.ceil(sampleOffset / hopSize);
+    if (ring.nextFrame < firstAvailable || endFrame - ring.nextFrame > capacity) {
+      this._clearRing(ring, Math.max(firstAvailable, endFrame - capacity));
+    }
+    if (endFrame <= ring.nextFrame) return;
+
+    const jobStart = ring.nextFrame;
+    const from     = jobStart * hopSize - sampleOffset;
+    const to       = (endFrame - 1) * hopSize + windowSize - sampleOffset;
+    const lc       = this.props.lutController;
+
+    client.compute(
+      { ...ring.params, samples: samples.subarray(from, to), histogramBins: lc ? lc.binCount : 256 },
+      {
+        onFrames: (msg) => this._onRingFrames(ring, jobStart, msg),
+        onDone:   ()    => this._onRingDone(ring),
+        onError:  (err) => this._onError(ring, err),   // the next append retries
+      }
+    );
+  }
+
+  /** Append a chunk of frames to the ring, scrolling out the oldest if full. */
+  _onRingFrames(ring, jobStart, { startFrame, frameCount, power, min, max }) {
+    if (this.state.ring !== ring || jobStart + startFrame !== ring.nextFrame) return;
+
+    const { numBins, numFrames: capacity } = ring;
+    const overflow = ring.framesDone + frameCount - capacity;
+    if (overflow > 0) this._scrollRing(ring, overflow);
+
+    const col = ring.framesDone;
+    ring.power.set(power, col * numBins);
+    ring.framesDone += frameCount;
+    ring.nextFrame  += frameCount;
+    if (min < ring.min) ring.min = min;
+    if (max > ring.max) ring.max = max;
+
+    this._paint(ring, col, col + frameCount);
+    this._queueImage(ring);
+  }
+
+  /** Job complete: publish the buffer's histogram, then catch up with newer samples. */
+  _onRingDone(ring) {
+    if (this.state.ring !== ring) return;
+
+    const lc = this.props.lutController;
+    if (lc && ring.framesDone > 0) {
+      const live = ring.power.subarray(0, ring.framesDone * ring.numBins);
+      let min =  Infinity;
+      let max = -Infinity;
+      for (let i = 0; i < live.length; i++) {
+        if (live[i] < min) min = live[i];
+        if (live[i] > max) max = live[i];
+      }
+      lc.setSpectrogramData(live, min, max, null, this.id);
+    }
+
+    this._pumpIncremental();
+  }
+
+  /** Drop the oldest `n` frames, shifting power rows and image columns left. */
+  _scrollRing(ring, n) {
+    const { numBins, numFrames: capacity, power, rgba } = ring;
+    const keep = ring.framesDone - n;
+    power.copyWithin(0, n * numBins, ring.framesDone * numBins);
+    for (let row = 0; row < numBins; row++) {
+      const base = row * capacity * 4;
+      rgba.copyWithin(base, base + n * 4, base + ring.framesDone * 4);
+    }
+    ring.framesDone  = keep;
+    ring.firstFrame += n;
+    ring.startSample = ring.firstFrame * ring.hopSize;
+  }
+
+  /** Empty the ring and restart it at absolute frame `frame`. */
+  _clearRing(ring, frame) {
+    ring.rgba.fill(0);
+    ring.framesDone  = 0;
+    ring.firstFrame  = frame;
+    ring.nextFrame   = frame;
+    ring.startSample = frame * ring.hopSize;
+  }
+
+  // ─── Image ─────────────────────────────────────────────────────────────────
+
+  /** [levelMin, levelMax, lut] for colouring `target`. */
+  _levels(target) {
+    const lc = this.props.lutController;
+    // Before the controller has any histogram its levels are placeholders
+    if (lc && lc.state.histogramBins) {
+      return [lc.state.level_min, lc.state.level_max, lc.getLUTArray()];
+    }
+    const min = target.globalMin ?? target.min;
+    const max = target.globalMax ?? target.max;
+    return [min, max, lc ? lc.getLUTArray() : null];  // null → Viridis fallback
+  }
+
+  /**
+   * Row mapping and y bounds for `target` under the current frequency scale.
+   * Linear: rows are bins, centred on k · fs / nfft (DC … Nyquist).
+   * @returns {{ map: object|null, yBounds: number[] }}
+   */
+  _rowMapping(target) {
+    const { sampleRate, frequencyScale, frequencyRange } = this.props;
+    const { numBins, nfft } = target;
+
+    if (frequencyScale === 'linear' || !WARPS[frequencyScale]) {
+      const halfBin = sampleRate / nfft / 2;
+      return { map: null, yBounds: [-halfBin, sampleRate / 2 + halfBin] };
+    }
+
+    const warp = WARPS[frequencyScale];
+    const [fMin, fMax] = frequencyRange ||
+      [frequencyScale === 'log' ? sampleRate / nfft : 0, sampleRate / 2];
+    const key = `${frequencyScale}|${numBins}|${nfft}|${sampleRate}|${fMin}|${fMax}`;
+    if (!this.state.rowMap || this.state.rowMap.key !== key) {
+      this.state.rowMap = { key, map: buildRowMap(warp, numBins, nfft, sampleRate, fMin, fMax) };
+    }
+    return { map: this.state.rowMap.map, yBounds: [warp.forward(fMin), warp.forward(fMax)] };
+  }
+
+  /** Colour frames [f0, f1) of `target` with the current levels and frequency scale. */
+  _paint(target, f0, f1) {
+    const [levelMin, levelMax, lut] = this._levels(target);
+    const { map, yBounds } = this._rowMapping(target);
+    paintColumns(target.rgba, target.power, target.numFrames, target.numBins,
+                 f0, f1, levelMin, levelMax, lut, map);
+    target.yBounds = yBounds;
+  }
+
+  /** Recolour frames [0, framesDone) of a pending job, completed result or ring. */
+  _repaint(target, framesDone) {
+    if (framesDone === 0) return;
+    this._paint(target, 0, framesDone);
+    this._queueImage(target);
+  }
+
+  /** Rebuild the ImageBitmap from `target` at most once per animation frame. */
+  _queueImage(target) {
+    this.state.imageTarget = target;
+    if (this.state.imageQueued) return;
+    this.state.imageQueued = true;
+
+    nextFrame(() => {
+      const state = this.state;
+      state.imageQueued = false;
+      if (state.finalized) return;
+
+      const t = state.imageTarget;
+      // CompositeLayer.setState also flags the layer for renderLayers()
+      this.setState({
+        image:        rgbaToImage(t.rgba, t.numFrames, t.numBins),
+        imageStart:   t.startSample,
+        imageSpan:    t.sampleSpan,
+        imageYBounds: t.yBounds,
+        imageVersion: state.imageVersion + 1,
+      });
+    });
+  }
 }
 
 SpectrogramLayer.layerName = 'SpectrogramLayer';
@@ -234,9 +636,22 @@ SpectrogramLayer.defaultProps = {
   sampleRate:    { type: 'number',  value: 44100 },
   windowSize:    { type: 'number',  value: 1024  },
   hopSize:       { type: 'number',  value: 512   },
+  overlap:       { type: 'number',  value: null, optional: true },  // overrides hopSize when set
+  window:        { type: 'string',  value: 'hann' },
+  kaiserBeta:    { type: 'number',  value: 8.6   },
+  zeroPadding:   { type: 'number',  value: 1     },
+  scaling:       { type: 'string',  value: 'magnitude' },
+  detrend:       { type: 'string',  value: 'none' },
+  frequencyScale: { type: 'string', value: 'linear' },
+  frequencyRange: { type: 'array',  value: null, optional: true, compare: true },
   dataTrigger:   { type: 'number',  value: 0     },  // increment to force re-STFT + re-upload
   lutController: { type: 'object',  value: null  },
   colorTrigger:  { type: 'number',  value: 0     },  // increment to force image rebuild only
+  incremental:   { type: 'boolean', value: false },  // compute only frames completed by appended samples
+  sampleOffset:  { type: 'number',  value: 0     },  // absolute stream index of samples[0]
+  maxDuration:   { type: 'number',  value: 30    },  // incremental frame buffer length, seconds
+  streamId:      { type: 'number',  value: 0     },  // change to discard frames computed so far
+  onError:       { type: 'function', value: null, optional: true },
 };
 
 export default SpectrogramLayer;
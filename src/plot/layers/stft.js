@@ -0,0 +1,256 @@
+/**
+ * stft — pure STFT / dB / histogram kernels shared by the STFT worker and its
+ * main-thread fallback.  No DOM, no deck.gl.
+ *
+ * Frame layout: power is a flat Float32Array [numFrames × numBins] of dB
+ * values, frame-major (frame f, bin b at f * numBins + b).
+ *
+ * scipy compatibility: with the same window, nperseg = windowSize,
+ * noverlap = windowSize - hopSize, nfft = windowSize * zeroPadding, detrend
+ * and scaling, each frame matches a column of scipy.signal.spectrogram's Sxx
+ * (one-sided, numBins = nfft/2 + 1, DC … Nyquist) in dB:
+ *
+ *   scaling     scipy call                                   value
+ *   'spectrum'  mode='magnitude', scaling='spectrum'         20·log10 |X| / Σw
+ *   'power'     mode='psd',       scaling='spectrum'         10·log10 |X|² / (Σw)²      (×2 off DC/Nyquist)
+ *   'psd'       mode='psd',       scaling='density'          10·log10 |X|² / (fs·Σw²)   (×2 off DC/Nyquist)
+ *
+ * The default, 'magnitude', is the original 20·log10 |X| / windowSize: not
+ * window-compensated (under Hann, 6 dB below 'spectrum'), and kept
+ * so existing level settings still line up.  It has no scipy equivalent.
+ *
+ * Windows are periodic (DFT-even), as scipy.signal.get_window returns them.
+ * Values are floored at -200 dB.
+ */
+
+import FFT from 'fft.js';
+import { createWindow } from '../../audio/dsp/windows.js';
+
+// Windows live with the DSP core; re-exported here for existing importers
+export { WINDOW_NAMES, createWindow } from '../../audio/dsp/windows.js';
+
+/**
+ * Number of full STFT frames that fit in `length` samples.
+ * @param {number} length
+ * @param {number} windowSize
+ * @param {number} hopSize
+ * @returns {number}
+ */
+export function stftFrameCount(length, windowSize, hopSize) {
+  return Math.max(0, Math.floor((length - windowSize) / hopSize) + 1);
+}
+
+// ─── STFT ────────────────────────────────────────────────────────────────────
+
+/** Scaling names accepted by createSTFTPlan() — see the table at the top. */
+export const SCALINGS = ['magnitude', 'spectrum', 'power', 'psd'];
+
+/**
+ * Number of one-sided frequency bins (DC … Nyquist).
+ * @param {number} windowSize
+ * @param {number} [zeroPadding=1]
+ * @returns {number}
+ */
+export function stftBinCount(windowSize, zeroPadding = 1) {
+  return windowSize * zeroPadding / 2 + 1;
+}
+
+/**
+ * Reusable per-parameter state: window, FFT plan, scale factors and scratch
+ * buffers.
+ *
+ * @param {number} windowSize              — segment length (nperseg)
+ * @param {object} [opts]
+ * @param {string} [opts.window='hann']    — see WINDOW_NAMES
+ * @param {number} [opts.kaiserBeta=8.6]
+ * @param {number} [opts.zeroPadding=1]    — nfft = windowSize · zeroPadding; nfft must be a power of 2
+ * @param {string} [opts.scaling='magnitude'] — 'magnitude' | 'spectrum' | 'power' | 'psd'
+ * @param {string} [opts.detrend='none']   — 'none' | 'constant' | 'linear' (scipy default: 'constant')
+ * @param {number} [opts.sampleRate=1]     — fs, used by 'psd'
+ */
+export function createSTFTPlan(windowSize, opts = {}) {
+  const scaling = opts.scaling || 'magnitude';
+  const detrend = opts.detrend || 'none';
+  const nfft    = windowSize * (opts.zeroPadding || 1);
+  if (nfft & (nfft - 1)) throw new Error(`createSTFTPlan: nfft ${nfft} is not a power of 2`);
+  if (!SCALINGS.includes(scaling)) {
+    throw new Error(`createSTFTPlan: unknown scaling "${scaling}"`);
+  }
+
+  const win = createWindow(opts.window || 'hann', windowSize, { beta: opts.kaiserBeta });
+  let sum = 0, sumSq = 0;
+  for (let i = 0; i < windowSize; i++) { sum += win[i]; sumSq += win[i] * win[i]; }
+
+  // Factor applied to |X|² before 10·log10 (magnitude: 20·log10 |X| = 10·log10 |X|²)
+  const scale = scaling === 'psd'       ? 1 / ((opts.sampleRate || 1) * sumSq)
+              : scaling === 'magnitude' ? 1 / (windowSize * windowSize)
+              : 1 / (sum * sum);
+
+  const fft = new FFT(nfft);
+  return {
+    windowSize,
+    nfft,
+    numBins:  nfft / 2 + 1,
+    window:   win,
+    scale,
+    onesided: scaling === 'power' || scaling === 'psd',   // scipy doubles non-DC/Nyquist bins in psd mode only
+    detrend,
+    fft,
+    out:      fft.createComplexArray(),
+    windowed: new Float64Array(nfft),    // zero tail = padding
+  };
+}
+
+/**
+ * Compute frames [frameStart, frameEnd) into `power` (dB, one row of
+ * plan.numBins bins per frame, written at (frame - frameStart) * numBins).
+ *
+ * @param {object}       plan — createSTFTPlan() result
+ * @param {Float32Array} samples
+ * @param {number}       hopSize
+ * @param {number}       frameStart
+ * @param {number}       frameEnd
+ * @param {Float32Array} power — length >= (frameEnd - frameStart) * numBins
+ * @returns {{ min: number, max: number }} dB extent of the computed frames
+ */
+export function computeSTFTFrames(plan, samples, hopSize, frameStart, frameEnd, power) {
+  const { windowSize, numBins, window: win, scale, onesided, detrend, fft, out, windowed } = plan;
+  const lastBin = numBins - 1;
+  const floor   = 1e-20;   // -200 dB
+  let min =  Infinity;
+  let max = -Infinity;
+
+  for (let frame = frameStart; frame < frameEnd; frame++) {
+    const offset = frame * hopSize;
+
+    // Detrend, then apply the window
+    let a = 0, b = 0;   // segment ≈ a + b·(i - centre)
+    if (detrend !== 'none') {
+      for (let i = 0; i < windowSize; i++) a += samples[offset + i];
+      a /= windowSize;
+      if (detrend === 'linear') {
+        const c = (windowSize - 1) / 2;
+        let num = 0, den = 0;
+        for (let i = 0; i < windowSize; i++) {
+          num += (i - c) * samples[offset + i];
+          den += (i - c) * (i - c);
+        }
+        b = den > 0 ? num / den : 0;
+        for (let i = 0; i < windowSize; i++) {
+          windowed[i] = (samples[offset + i] - a - b * (i - c)) * win[i];
+        }
+      } else {
+        for (let i = 0; i < windowSize; i++) windowed[i] = (samples[offset + i] - a) * win[i];
+      }
+    } else {
+      for (let i = 0; i < windowSize; i++) windowed[i] = samples[offset + i] * win[i];
+    }
+
+    fft.realTransform(out, windowed);
+
+    // Scaled power → dB for each one-sided bin
+    const row = (frame - frameStart) * numBins;
+    for (let bin = 0; bin < numBins; bin++) {
+      const re = out[bin * 2];
+      const im = out[bin * 2 + 1];
+      let p = (re * re + im * im) * scale;
+      if (onesided && bin !== 0 && bin !== lastBin) p *= 2;
+      const db = 10 * Math.log10(Math.max(p, floor));
+      power[row + bin] = db;
+      if (db < min) min = db;
+      if (db > max) max = db;
+    }
+  }
+
+  return { min, max };
+}
+
+/**
+ * Histogram of dB values over [globalMin, globalMax].
+ *
+ * @param {Float32Array} power
+ * @param {number} globalMin
+ * @param {number} globalMax
+ * @param {number} binCount
+ * @returns {{ bins: Float32Array, edges: Float32Array }} edges.length === binCount + 1
+ */
+export function computeHistogram(power, globalMin, globalMax, binCount) {
+  const range = (globalMax - globalMin) || 1;
+  const bins  = new Float32Array(binCount);
+  const edges = new Float32Array(binCount + 1);
+  for (let i = 0; i <= binCount; i++) edges[i] = globalMin + (i / binCount) * range;
+  for (let i = 0; i < power.length; i++) {
+    const idx = Math.min(binCount - 1, Math.floor((power[i] - globalMin) / range * binCount));
+    if (idx >= 0) bins[idx]++;
+  }
+  return { bins, edges };
+}
+
+/**
+ * Run one STFT job in chunks, yielding to the event loop between chunks so
+ * cancellation messages can be handled.  Used by stft.worker.js and by
+ * STFTWorkerClient when Worker is unavailable.
+ *
+ * Posts, in order:
+ *   { type: 'frames', jobId, startFrame, frameCount, numBins, power, min, max }  — per chunk
+ *   { type: 'done', jobId, numFrames, numBins, globalMin, globalMax, bins, edges }
+ * or, as soon as the job throws (invalid parameters, or in any chunk):
+ *   { type: 'error', jobId, message }
+ * `power`, `bins` and `edges` are fresh buffers, safe to transfer.  Nothing
+ * is thrown: later chunks run from setTimeout, outside any caller's try.
+ *
+ * @param {object}   job — { jobId, samples, windowSize, hopSize, chunkFrames, histogramBins }
+ *   plus the createSTFTPlan() options (window, kaiserBeta, zeroPadding, scaling, detrend, sampleRate)
+ * @param {(msg: object, transfer: ArrayBuffer[]) => void} post
+ * @param {() => boolean} isCancelled
+ */
+export function runSTFTJob(job, post, isCancelled) {
+  const { jobId, samples, windowSize, hopSize } = job;
+  const fail = (err) => post({ type: 'error', jobId, message: err && err.message ? err.message : String(err) });
+
+  let plan, numBins, numFrames, chunkFrames, all;
+  try {
+    plan        = createSTFTPlan(windowSize, job);
+    numBins     = plan.numBins;
+    numFrames   = stftFrameCount(samples.length, windowSize, hopSize);
+    chunkFrames = Math.max(1, job.chunkFrames || 256);
+    all         = new Float32Array(numFrames * numBins);  // kept for the histogram
+  } catch (err) {
+    fail(err);
+    return;
+  }
+
+  let frame = 0;
+  let globalMin =  Infinity;
+  let globalMax = -Infinity;
+
+  const step = () => {
+    if (isCancelled()) return;
+
+    try {
+      if (frame >= numFrames) {
+        const { bins, edges } = computeHistogram(all, globalMin, globalMax, job.histogramBins || 256);
+        post({ type: 'done', jobId, numFrames, numBins, globalMin, globalMax, bins, edges },
+             [bins.buffer, edges.buffer]);
+        return;
+      }
+
+      const end   = Math.min(numFrames, frame + chunkFrames);
+      const power = new Float32Array((end - frame) * numBins);
+      const { min, max } = computeSTFTFrames(plan, samples, hopSize, frame, end, power);
+      all.set(power, frame * numBins);
+      if (min < globalMin) globalMin = min;
+      if (max > globalMax) globalMax = max;
+
+      post({ type: 'frames', jobId, startFrame: frame, frameCount: end - frame, numBins, power, min, max },
+           [power.buffer]);
+      frame = end;
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    setTimeout(step, 0);
+  };
+
+  step();
+}
@@ -0,0 +1,36 @@
+/**
+ * stft.worker — Web Worker entry for STFTWorkerClient.
+ *
+ * Messages in:
+ *   { type: 'compute', jobId, samples, windowSize, hopSize, chunkFrames, histogramBins }
+ *   { type: 'cancel',  jobId }
+ *
+ * Messages out: see runSTFTJob() in stft.js, including { type: 'error', jobId, message }
+ * when the job fails.  Only one job runs at a time —
+ * a new 'compute' supersedes the running job, which stops at its next chunk.
+ */
+
+import { runSTFTJob } from './stft.js';
+
+let currentJobId = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+
+  if (msg.type === 'cancel') {
+    if (msg.jobId === currentJobId) currentJobId = null;
+    return;
+  }
+
+  if (msg.type === 'compute') {
+    const jobId = msg.jobId;
+    currentJobId = jobId;
+    // Errors come back as 'error' messages; anything else reaches the
+    // client's worker.onerror
+    runSTFTJob(
+      msg,
+      (out, transfer) => self.postMessage(out, transfer),
+      () => currentJobId !== jobId,
+    );
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * ScatterLOD — pixel-grid decimation of scatter attributes for rendering.
+ *
+ * Scatter points have no x ordering, so a per-column M4 reduction would
+ * drop interior points of a cloud.  Instead each point is binned into the
+ * device pixel its centre falls on, and only the last point per pixel is
+ * kept — the one that would be drawn on top.  Points outside the plot area
+ * (plus a margin of the maximum marker radius) are dropped.  The output is
+ * bounded by the plot-area pixel count, whatever the input size.
+ *
+ * Output has the DataStore attribute shape plus an `index` array mapping
+ * each kept point back to the source's logical index (composed with the
+ * source's own `index`, when it is a filtered PlotDataView snapshot), so
+ * picking and metadata lookups keep working.
+ */
+
+const MARGIN_PX = 30;   // buildScatterLayer radiusMaxPixels
+
+// Scratch buffers reused across calls (decimation runs once per zoom/pan frame)
+let _owner = new Int32Array(0);
+let _keep  = new Uint8Array(0);
+
+/**
+ * @param {{ x, y, size, color, index? }} attrs — DataStore / PlotDataView attributes
+ * @param {object}   view
+ * @param {number[]} view.xDomain
+ * @param {number[]} view.yDomain
+ * @param {number}   view.width   — plot-area width in pixels
+ * @param {number}   view.height  — plot-area height in pixels
+ * @param {boolean}  [view.xIsLog=false]
+ * @param {boolean}  [view.yIsLog=false]
+ * @param {number}   [view.pixelRatio=1] — device pixels per CSS pixel
+ * @returns {{ x: Float32Array, y: Float32Array, size: Float32Array, color: Uint8Array,
+ *             positions: Float32Array, index: Uint32Array }}
+ */
+export function decimateScatter(attrs, view) {
+  const { x, y, size, color } = attrs;
+  const n = x.length;
+
+  const tx = view.xIsLog ? v => Math.log10(Math.max(v, 1e-10)) : v => v;
+  const ty = view.yIsLog ? v => Math.log10(Math.max(v, 1e-10)) : v => v;
+
+  const ratio  = view.pixelRatio || 1;
+  const margin = Math.ceil(MARGIN_PX * ratio);
+  const W  = Math.ceil(view.width  * ratio) + 2 * margin;
+  const H  = Math.ceil(view.height * ratio) + 2 * margin;
+  const x0 = tx(view.xDomain[0]);
+  const y0 = ty(view.yDomain[0]);
+  const sx = view.width  * ratio / ((tx(view.xDomain[1]) - x0) || 1e-10);
+  const sy = view.height * ratio / ((ty(view.yDomain[1]) - y0) || 1e-10);
+
+  if (_owner.length < W * H) _owner = new Int32Array(W * H);
+  if (_keep.length  < n)     _keep  = new Uint8Array(n);
+  const owner = _owner;
+  const keep  = _keep;
+  owner.fill(-1, 0, W * H);
+
+  for (let i = 0; i < n; i++) {
+    const col = Math.floor((tx(x[i]) - x0) * sx) + margin;
+    const row = Math.floor((ty(y[i]) - y0) * sy) + margin;
+    if (!(col >= 0 && col < W && row >= 0 && row < H)) continue;  // also rejects NaN
+    owner[row * W + col] = i;
+  }
+
+  keep.fill(0, 0, n);
+  let count = 0;
+  for (let c = 0; c < W * H; c++) {
+    if (owner[c] >= 0) { keep[owner[c]] = 1; count++; }
+  }
+
+  const out = {
+    x:     new Float32Array(count),
+    y:     new Float32Array(count),
+    size:  new Float32Array(count),
+    color: new Uint8Array(count * 4),
+    positions: new Float32Array(count * 2),
+    index: new Uint32Array(count),
+  };
+
+  // Walk in source order so draw order (and overlap) is preserved
+  for (let i = 0, k = 0; i < n; i++) {
+    if (!keep[i]) continue;
+    out.x[k]    = x[i];
+    out.y[k]    = y[i];
+    out.size[k] = size[i];
+    out.positions[k * 2]     = x[i];
+    out.positions[k * 2 + 1] = y[i];
+    out.color[k * 4]     = color[i * 4];
+    out.color[k * 4 + 1] = color[i * 4 + 1];
+    out.color[k * 4 + 2] = color[i * 4 + 2];
+    out.color[k * 4 + 3] = color[i * 4 + 3];
+    out.index[k] = attrs.index ? attrs.index[i] : i;
+    k++;
+  }
+
+  return out;
+}
+
+export default decimateScatter;
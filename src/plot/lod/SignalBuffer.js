@@ -0,0 +1,307 @@
+/**
+ * SignalBuffer — typed-array sample storage for one line signal, with a
+ * min/max pyramid for M4 level-of-detail decimation.
+ *
+ * Memory layout: x in a Float64Array (sample times need the precision), y in
+ * a Float32Array — 12 bytes per sample instead of one [x, y, 0] JS array.
+ * x must be non-decreasing; every query binary-searches it.
+ *
+ * Trimming (rolling windows) only advances a start offset.  Samples before
+ * the offset are reclaimed when the buffer next needs room: live samples are
+ * moved to the front and the pyramid is rebuilt, amortised O(1) per sample.
+ *
+ * Min/max pyramid:
+ *   level 1 holds, for every full block of BRANCH raw samples, the index of
+ *   the minimum and maximum y; level k+1 does the same over level k.  Only
+ *   full blocks are stored, so appends extend each level in place.  A
+ *   range query walks up from the raw samples, consuming unaligned ends at
+ *   each level — O(BRANCH · log n) regardless of range size.
+ *
+ * M4 decimation (decimate()):
+ *   the visible x-range is split into one bucket per pixel column and each
+ *   bucket keeps its first, min, max and last sample, in index order.  A
+ *   line through those points rasterises identically to the full signal
+ *   (Jugel et al., "M4: A Visualization-Oriented Time Series Data
+ *   Aggregation", VLDB 2014).
+ */
+
+const INITIAL_CAPACITY = 1024;
+const GROWTH_FACTOR    = 1.5;
+const BRANCH           = 16;   // pyramid fan-out
+
+export class SignalBuffer {
+  constructor(initialCapacity = INITIAL_CAPACITY) {
+    this._x      = new Float64Array(initialCapacity);
+    this._y      = new Float32Array(initialCapacity);
+    this._start  = 0;   // first live sample; [0, _start) is trimmed
+    this._end    = 0;   // one past the last sample
+    this._levels = [];  // [{ min: Uint32Array, max: Uint32Array, length }]
+  }
+
+  // ─── Data ──────────────────────────────────────────────────────────────────
+
+  /** Number of live samples. */
+  get length() { return this._end - this._start; }
+
+  /** Live x values (subarray view, no copy — invalidated by the next append). */
+  get x() { return this._x.subarray(this._start, this._end); }
+
+  /** Live y values (subarray view, no copy — invalidated by the next append). */
+  get y() { return this._y.subarray(this._start, this._end); }
+
+  /**
+   * Append samples.
+   *
+   * @param {ArrayLike<number>} xValues — must continue the non-decreasing x order
+   * @param {ArrayLike<number>} yValues — same length as xValues
+   */
+  append(xValues, yValues) {
+    const n = Math.min(xValues.length, yValues.length);
+    if (n === 0) return;
+
+    this._ensureCapacity(n);
+    const from = this._end;
+    this._x.set(xValues.length === n ? xValues : Array.prototype.slice.call(xValues, 0, n), from);
+    this._y.set(yValues.length === n ? yValues : Array.prototype.slice.call(yValues, 0, n), from);
+    this._end += n;
+    this._extendLevels();
+  }
+
+  /**
+   * Drop samples with x < xMin.
+   * @param {number} xMin
+   * @returns {number} number of samples dropped
+   */
+  trimBefore(xMin) {
+    const i = this._lowerBound(xMin, this._start, this._end);
+    const dropped = i - this._start;
+    this._start = i;
+    if (this._start === this._end) this.clear();
+    return dropped;
+  }
+
+  /** Remove all samples (capacity is kept). */
+  clear() {
+    this._start  = 0;
+    this._end    = 0;
+    this._levels = [];
+  }
+
+  /**
+   * Copy live samples out as [[x, y, 0], ...] (PathLayer / SVGExporter format).
+   * @param {number} [i0=0]          — first live index
+   * @param {number} [i1=this.length] — one past the last live index
+   * @returns {Array<number[]>}
+   */
+  toPoints(i0 = 0, i1 = this.length) {
+    const out = [];
+    for (let i = this._start + i0; i < this._start + i1; i++) {
+      out.push([this._x[i], this._y[i], 0]);
+    }
+    return out;
+  }
+
+  // ─── Queries ───────────────────────────────────────────────────────────────
+
+  /**
+   * Minimum and maximum y over live samples [i0, i1).
+   * @param {number} [i0=0]
+   * @param {number} [i1=this.length]
+   * @returns {number[]|null} [min, max], or null for an empty range
+   */
+  yExtent(i0 = 0, i1 = this.length) {
+    if (i1 <= i0) return null;
+    const { iMin, iMax } = this._rangeMinMax(this._start + i0, this._start + i1);
+    return [this._y[iMin], this._y[iMax]];
+  }
+
+  /**
+   * Live index range covering [xMin, xMax].
+   * @param {number} xMin
+   * @param {number} xMax
+   * @returns {number[]} [i0, i1) — i1 <= i0 when nothing is inside
+   */
+  indexRange(xMin, xMax) {
+    const i0 = this._lowerBound(xMin, this._start, this._end);
+    const i1 = this._upperBound(xMax, i0, this._end);
+    return [i0 - this._start, i1 - this._start];
+  }
+
+  /**
+   * M4 decimation of the samples visible in [xMin, xMax] at `columns` pixel
+   * columns.  One sample on each side of the range is kept so the line
+   * still reaches the plot edges.  When the visible range has no more than
+   * 4 samples per column it is returned undecimated.
+   *
+   * @param {number} xMin
+   * @param {number} xMax
+   * @param {number} columns — plot-area width in pixels
+   * @returns {Array<number[]>} [[x, y, 0], ...] in x order
+   */
+  decimate(xMin, xMax, columns) {
+    if (this.length === 0) return [];
+
+    const cols = Math.max(1, Math.ceil(columns));
+    const vis0 = this._lowerBound(xMin, this._start, this._end);
+    const vis1 = this._upperBound(xMax, vis0, this._end);
+    const a = Math.max(this._start, vis0 - 1);
+    const b = Math.min(this._end, vis1 + 1);
+
+    if (b - a <= cols * 4) {
+      return this.toPoints(a - this._start, b - this._start);
+    }
+
+    const out = [];
+    const push = i => out.push([this._x[i], this._y[i], 0]);
+
+    if (a < vis0) push(a);
+
+    const span = xMax - xMin;
+    let i0 = vis0;
+    for (let c = 1; c <= cols && i0 < vis1; c++) {
+      const i1 = c === cols ? vis1 : this._lowerBound(xMin + span * c / cols, i0, vis1);
+      if (i1 <= i0) continue;
+
+      const last = i1 - 1;
+      const { iMin, iMax } = this._rangeMinMax(i0, i1);
+      const lo = Math.min(iMin, iMax), hi = Math.max(iMin, iMax);
+      push(i0);
+      if (lo !== i0 && lo !== last) push(lo);
+      if (hi !== i0 && hi !== last && hi !== lo) push(hi);
+      if (last !== i0) push(last);
+
+      i0 = i1;
+    }
+
+    if (b > vis1) push(b - 1);
+    return out;
+  }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  /** First absolute index in [lo, hi) with x >= v (hi if none). */
+  _lowerBound(v, lo, hi) {
+    const x = this._x;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (x[mid] < v) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /** First absolute index in [lo, hi) with x > v (hi if none). */
+  _upperBound(v, lo, hi) {
+    const x = this._x;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (x[mid] <= v) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Make room for n more samples.  Reclaims trimmed space first; grows by
+   * GROWTH_FACTOR only when live samples would still not fit.
+   */
+  _ensureCapacity(n) {
+    const capacity = this._x.length;
+    if (this._end + n <= capacity) return;
+
+    const live = this._end - this._start;
+    if (live + n <= capacity && this._start >= capacity / 2) {
+      this._x.copyWithin(0, this._start, this._end);
+      this._y.copyWithin(0, this._start, this._end);
+    } else {
+      const newCap = Math.max(Math.ceil(capacity * GROWTH_FACTOR), live + n);
+      const x = new Float64Array(newCap);
+      const y = new Float32Array(newCap);
+      x.set(this._x.subarray(this._start, this._end));
+      y.set(this._y.subarray(this._start, this._end));
+      this._x = x;
+      this._y = y;
+    }
+
+    // Indices shifted (or the trimmed prefix was dropped): rebuild the pyramid
+    this._start  = 0;
+    this._end    = live;
+    this._levels = [];
+    this._extendLevels();
+  }
+
+  /** Extend every pyramid level to cover the full blocks now available. */
+  _extendLevels() {
+    const y = this._y;
+    let srcLen = this._end;
+
+    for (let k = 0; srcLen >= BRANCH; k++) {
+      const below = k === 0 ? null : this._levels[k - 1];
+      let level = this._levels[k];
+      if (!level) {
+        level = { min: new Uint32Array(64), max: new Uint32Array(64), length: 0 };
+        this._levels[k] = level;
+      }
+
+      const newLen = Math.floor(srcLen / BRANCH);
+      if (newLen > level.min.length) {
+        const cap = Math.max(Math.ceil(level.min.length * GROWTH_FACTOR), newLen);
+        const min = new Uint32Array(cap);
+        const max = new Uint32Array(cap);
+        min.set(level.min.subarray(0, level.length));
+        max.set(level.max.subarray(0, level.length));
+        level.min = min;
+        level.max = max;
+      }
+
+      for (let j = level.length; j < newLen; j++) {
+        const e0 = j * BRANCH;
+        let iMin = below ? below.min[e0] : e0;
+        let iMax = below ? below.max[e0] : e0;
+        for (let e = e0 + 1; e < e0 + BRANCH; e++) {
+          const cMin = below ? below.min[e] : e;
+          const cMax = below ? below.max[e] : e;
+          if (y[cMin] < y[iMin]) iMin = cMin;
+          if (y[cMax] > y[iMax]) iMax = cMax;
+        }
+        level.min[j] = iMin;
+        level.max[j] = iMax;
+      }
+      level.length = newLen;
+      srcLen = newLen;
+    }
+  }
+
+  /**
+   * Indices of the minimum and maximum y over absolute range [a, b), a < b.
+   * @returns {{ iMin: number, iMax: number }}
+   */
+  _rangeMinMax(a, b) {
+    const y = this._y;
+    let iMin = -1, iMax = -1;
+
+    const take = (level, e) => {
+      const cMin = level ? level.min[e] : e;
+      const cMax = level ? level.max[e] : e;
+      if (iMin < 0 || y[cMin] < y[iMin]) iMin = cMin;
+      if (iMax < 0 || y[cMax] > y[iMax]) iMax = cMax;
+    };
+
+    for (let k = 0; a < b; k++) {
+      const level = k === 0 ? null : this._levels[k - 1];
+
+      // No coarser level: scan what is left at this one
+      if (!this._levels[k]) {
+        for (let e = a; e < b; e++) take(level, e);
+        break;
+      }
+
+      while (a < b && a % BRANCH !== 0) take(level, a++);
+      while (a < b && b % BRANCH !== 0) take(level, --b);
+      a /= BRANCH;
+      b /= BRANCH;
+    }
+
+    return { iMin, iMax };
+  }
+}
+
+export default SignalBuffer;
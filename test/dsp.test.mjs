@@ -0,0 +1,164 @@
+/**
+ * dsp — checks for the pure-JS filter and resampling core (src/audio/dsp).
+ *
+ * Run with `npm test` (node:test, no browser or AudioContext needed).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  biquadCoefficients, sosResponse, butterworth, firEquiripple, firResponse,
+  designStage, applyDesigns, StreamingFilter, resample, resamplePoly, decimate,
+} from '../src/audio/dsp/index.js';
+import { FilterController } from '../src/audio/FilterController.js';
+import { ResampleWorkerClient } from '../src/audio/ResampleWorkerClient.js';
+
+const SR = 48000;
+
+/** |H(f)| in dB of second-order sections. */
+function sosDb(sos, f, sampleRate = SR) {
+  const { re, im } = sosResponse(sos, [f], sampleRate);
+  return 20 * Math.log10(Math.hypot(re[0], im[0]));
+}
+
+function noise(n, seed = 1) {
+  const x = new Float32Array(n);
+  let s = seed;
+  for (let i = 0; i < n; i++) {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    x[i] = s / 2 ** 32 - 0.5;
+  }
+  return x;
+}
+
+// ─── Biquad ──────────────────────────────────────────────────────────────────
+
+test('biquad lowpass / highpass gain at the cutoff is Q in dB (Web Audio spec)', () => {
+  for (const type of ['lowpass', 'highpass']) {
+    for (const Q of [0, 3, 12]) {
+      const db = sosDb([biquadCoefficients(type, 1000, Q, 0, SR)], 1000);
+      assert.ok(Math.abs(db - Q) < 1e-6, `${type} Q=${Q} dB: ${db} dB at the cutoff`);
+    }
+  }
+});
+
+test('biquad bandpass is unity at the centre, notch is a null', () => {
+  assert.ok(Math.abs(sosDb([biquadCoefficients('bandpass', 2000, 4, 0, SR)], 2000)) < 1e-6);
+  assert.ok(sosDb([biquadCoefficients('notch', 2000, 4, 0, SR)], 2000) < -100);
+});
+
+// ─── Butterworth ─────────────────────────────────────────────────────────────
+
+test('Butterworth is −3.01 dB on every band edge', () => {
+  const cases = [
+    ['lowpass',  1000,        [2, 4, 8]],
+    ['highpass', 1000,        [2, 4, 8]],
+    ['bandpass', [500, 4000], [2, 4]],
+  ];
+  for (const [type, freq, orders] of cases) {
+    for (const order of orders) {
+      const sos = butterworth(order, type, freq, SR);
+      for (const edge of [].concat(freq)) {
+        const db = sosDb(sos, edge);
+        assert.ok(Math.abs(db + 3.0103) < 1e-3, `${type} order ${order}: ${db} dB at ${edge} Hz`);
+      }
+    }
+  }
+});
+
+test('Butterworth lowpass is flat in the passband and falls 6·order dB per octave', () => {
+  const sos = butterworth(8, 'lowpass', 1000, SR);
+  assert.ok(Math.abs(sosDb(sos, 100)) < 1e-3);
+  assert.ok(sosDb(sos, 4000) < -90);   // two octaves up: ≈ −96 dB
+});
+
+// ─── FIR ─────────────────────────────────────────────────────────────────────
+
+test('equiripple lowpass meets its bands', () => {
+  const taps = firEquiripple(101, [0, 4000, 6000, SR / 2], [1, 0], SR);
+  const pass = Array.from({ length: 40 }, (_, i) => i * 100);
+  const stop = Array.from({ length: 40 }, (_, i) => 6000 + i * 450);
+  const db = (freqs) => {
+    const { re, im } = firResponse(taps, freqs, SR);
+    return freqs.map((_, i) => 20 * Math.log10(Math.hypot(re[i], im[i])));
+  };
+  assert.ok(db(pass).every(v => Math.abs(v) < 0.1), 'passband ripple under 0.1 dB');
+  assert.ok(db(stop).every(v => v < -60), 'stopband below −60 dB');
+});
+
+// ─── Chain / streaming ───────────────────────────────────────────────────────
+
+test('StreamingFilter in chunks equals filtering the whole signal', () => {
+  const designs = [
+    designStage({ kind: 'butterworth', type: 'bandpass', frequency: [300, 3000], order: 4 }, SR),
+    designStage({ kind: 'fir-window', type: 'lowpass', frequency: 5000, numTaps: 63 }, SR),
+  ];
+  const x       = noise(10000);
+  const whole   = applyDesigns(designs, x);
+  const stream  = new StreamingFilter(designs);
+  const chunked = new Float32Array(x.length);
+  let pos = 0;
+  for (const n of [1, 7, 64, 1000, 3, 4000]) {
+    chunked.set(stream.process(x.subarray(pos, pos + n)), pos);
+    pos += n;
+  }
+  chunked.set(stream.process(x.subarray(pos)), pos);
+  assert.deepEqual(chunked, whole);
+});
+
+test('zero-phase filtering keeps an impulse centred', () => {
+  const designs = [designStage({ kind: 'butterworth', type: 'lowpass', frequency: 2000, order: 4 }, SR)];
+  const x = new Float32Array(2001);
+  x[1000] = 1;
+  const y = applyDesigns(designs, x, { zeroPhase: true });
+  let peak = 0;
+  for (let i = 1; i < y.length; i++) if (y[i] > y[peak]) peak = i;
+  assert.equal(peak, 1000);
+  assert.ok(Math.abs(y[990] - y[1010]) < 1e-6, 'symmetric about the impulse');
+});
+
+test('FilterController runs in pure JS by default', async () => {
+  const fc = new FilterController();
+  fc.setType('lowpass');
+  fc.setFrequency(1000);
+  fc.addStage({ kind: 'butterworth', type: 'highpass', frequency: 100, order: 2 });
+  const out = await fc.applyToSamples(noise(4096), SR);
+  assert.equal(out.length, 4096);
+  const { freqs, db } = fc.getFrequencyResponse(64, SR);
+  assert.equal(freqs.length, 64);
+  assert.ok(db.every(Number.isFinite));
+});
+
+// ─── Resampling ──────────────────────────────────────────────────────────────
+
+test('resample output length is ⌈n · to / from⌉', () => {
+  for (const [from, to] of [[48000, 44100], [44100, 16000], [8000, 48000], [22050, 22050]]) {
+    for (const n of [0, 1, 999, 4801]) {
+      assert.equal(resample(new Float32Array(n), from, to).length, Math.ceil(n * to / from),
+        `${n} samples ${from} → ${to}`);
+    }
+  }
+  assert.equal(resamplePoly(new Float32Array(1000), 3, 2).length, 1500);
+  assert.equal(decimate(new Float32Array(1001), 4).length, 251);
+});
+
+test('resample keeps a passband tone and rejects one above the new Nyquist', () => {
+  const tone = (f, n, rate) => Float32Array.from({ length: n }, (_, i) => Math.sin(2 * Math.PI * f * i / rate));
+  const rms  = (y) => Math.sqrt(y.reduce((a, v) => a + v * v, 0) / y.length);
+  const mid  = (y) => y.subarray(y.length / 4, (3 * y.length) / 4);   // past the edge transients
+
+  const kept = resample(tone(1000, 48000, SR), SR, 16000);
+  assert.ok(Math.abs(rms(mid(kept)) - Math.SQRT1_2) < 0.01);
+  const gone = resample(tone(12000, 48000, SR), SR, 16000);
+  assert.ok(20 * Math.log10(rms(mid(gone)) / Math.SQRT1_2) < -60);
+});
+
+test('ResampleWorkerClient gives the same channels as resample()', async () => {
+  const channels = [noise(4800, 1), noise(4800, 2)];
+  const client   = new ResampleWorkerClient();   // no Worker under Node: main-thread path
+  const out      = await client.resample(channels, SR, 44100);
+  client.terminate();
+  assert.equal(out.length, 2);
+  out.forEach((ch, c) => assert.deepEqual(ch, resample(channels[c], SR, 44100)));
+});